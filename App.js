@@ -13,6 +13,20 @@ import NfcManager from 'react-native-nfc-manager';
 
 // Import Services
 import offlineSyncManager from './services/OfflineSyncManager';
+import serverProfileService from './services/ServerProfileService';
+import apiClient from './services/ApiClient';
+import requestSigner from './services/RequestSigner';
+import deviceRegistrationService from './services/DeviceRegistrationService';
+import geofenceService from './services/GeofenceService';
+import settingsService from './services/SettingsService';
+import shiftService from './services/ShiftService';
+import authPolicyService from './services/AuthPolicyService';
+import cardSecurityService from './services/CardSecurityService';
+import cardKeyService from './services/CardKeyService';
+import adminPinService from './services/AdminPinService';
+import biometricVerificationService from './services/BiometricVerificationService';
+import badgeService from './services/BadgeService';
+import attendanceService from './services/AttendanceService';
 import analyticsService from './services/AnalyticsService';
 import ToastService, { ToastManager } from './services/ToastService';
 
@@ -26,6 +40,17 @@ import EnrollScreen from './screens/EnrollScreen';
 import AttendanceScreen from './screens/AttendanceScreen';
 import DiagnosticsScreen from './screens/DiagnosticsScreen';
 import HistoryScreen from './screens/HistoryScreen';
+import ServerProfilesScreen from './screens/ServerProfilesScreen';
+import PairingScreen from './screens/PairingScreen';
+import GeofenceScreen from './screens/GeofenceScreen';
+import AttendanceRulesScreen from './screens/AttendanceRulesScreen';
+import ShiftScreen from './screens/ShiftScreen';
+import AuthPolicyScreen from './screens/AuthPolicyScreen';
+import RosterImportScreen from './screens/RosterImportScreen';
+import BackupScreen from './screens/BackupScreen';
+import SecurityScreen from './screens/SecurityScreen';
+import BadgeScreen from './screens/BadgeScreen';
+import IdCardScreen from './screens/IdCardScreen';
 
 function App() {
   const [currentScreen, setCurrentScreen] = useState('home');
@@ -48,6 +73,31 @@ function App() {
 
   const initializeServices = async () => {
     try {
+      // Load server profiles before anything talks to the network
+      const profile = await serverProfileService.init();
+      console.log('Server profile:', profile.name);
+
+      // Identify and sign every request as this paired device
+      await deviceRegistrationService.init();
+      apiClient.setIdentityProvider(profileId => deviceRegistrationService.getIdentity(profileId));
+      apiClient.setSigner(params => requestSigner.sign(params));
+
+      // First run: pair with the server before taking attendance
+      if (!deviceRegistrationService.isRegistered(profile.id)) {
+        setCurrentScreen('pairing');
+      }
+
+      // Attendance rules, geofence policy, shifts and auth policies are checked on every punch
+      await settingsService.init();
+      await geofenceService.init();
+      await shiftService.init();
+      await authPolicyService.init();
+      await cardSecurityService.init();
+      await cardKeyService.init();
+      await adminPinService.init();
+      await biometricVerificationService.init();
+      await badgeService.loadMyBadge();
+
       // Initialize offline sync manager
       const isOnline = await offlineSyncManager.initialize();
       console.log('Offline Sync initialized:', isOnline ? 'Online' : 'Offline');
@@ -67,6 +117,17 @@ function App() {
             ToastService.error(`❌ Failed to sync ${failed} record(s)`);
           }
         }
+
+        if (event.authProblem) {
+          ToastService.error('🔐 Server refused this kiosk - check the clock or pair it again. Records stay queued.');
+        }
+      });
+
+      // Punches are saved by the attendance service; mirror them in app state
+      attendanceService.subscribe((event) => {
+        if (event.historyChanged) {
+          setSystemData(prev => ({ ...prev, attendanceHistory: event.history, systemStats: event.stats }));
+        }
       });
 
       // Initialize analytics
@@ -95,8 +156,14 @@ function App() {
         AsyncStorage.getItem('systemStats'),
       ]);
 
+      // Badge secrets used to be kept on the user records
+      const { users, moved } = await badgeService.takeSecrets(enrolled ? JSON.parse(enrolled) : []);
+      if (moved > 0) {
+        await AsyncStorage.setItem('enrolledUsers', JSON.stringify(users));
+      }
+
       setSystemData({
-        enrolledUsers: enrolled ? JSON.parse(enrolled) : [],
+        enrolledUsers: users,
         errorLogs: logs ? JSON.parse(logs) : [],
         attendanceHistory: history ? JSON.parse(history) : [],
         systemStats: stats ? JSON.parse(stats) : {
@@ -112,8 +179,7 @@ function App() {
   };
 
   const updateSystemData = async (key, value) => {
-    const newData = { ...systemData, [key]: value };
-    setSystemData(newData);
+    setSystemData(prev => ({ ...prev, [key]: value }));
     
     try {
       await AsyncStorage.setItem(key, JSON.stringify(value));
@@ -163,6 +229,28 @@ function App() {
         return <DiagnosticsScreen {...screenProps} />;
       case 'history':
         return <HistoryScreen {...screenProps} />;
+      case 'servers':
+        return <ServerProfilesScreen {...screenProps} />;
+      case 'pairing':
+        return <PairingScreen {...screenProps} />;
+      case 'geofence':
+        return <GeofenceScreen {...screenProps} />;
+      case 'rules':
+        return <AttendanceRulesScreen {...screenProps} />;
+      case 'shifts':
+        return <ShiftScreen {...screenProps} />;
+      case 'policies':
+        return <AuthPolicyScreen {...screenProps} />;
+      case 'import':
+        return <RosterImportScreen {...screenProps} />;
+      case 'backup':
+        return <BackupScreen {...screenProps} />;
+      case 'security':
+        return <SecurityScreen {...screenProps} />;
+      case 'badge':
+        return <BadgeScreen {...screenProps} />;
+      case 'idcards':
+        return <IdCardScreen {...screenProps} />;
       default:
         return <HomeScreen {...screenProps} />;
     }
@@ -16,6 +16,10 @@ import {
 import ReactNativeBiometrics from 'react-native-biometrics';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import NfcManager, { NfcTech, Ndef } from 'react-native-nfc-manager';
+import serverProfileService from './services/ServerProfileService';
+import apiClient from './services/ApiClient';
+import requestSigner from './services/RequestSigner';
+import deviceRegistrationService from './services/DeviceRegistrationService';
 
 // Pre-defined users (you can expand this)
 const USERS_DATABASE = [
@@ -46,12 +50,16 @@ function App() {
   });
   const [advancedInfo, setAdvancedInfo] = useState({
     screenSize: `${Dimensions.get('window').width}x${Dimensions.get('window').height}`,
-    deviceModel: Platform.OS === 'android' ? 'Nothing Phone 2' : 'iOS Device',
+    deviceModel: deviceRegistrationService.getDeviceModel(),
     appVersion: '2.0.0',
     buildNumber: '20251219',
   });
 
   useEffect(() => {
+    serverProfileService.init();
+    deviceRegistrationService.init();
+    apiClient.setSigner(params => requestSigner.sign(params));
+    apiClient.setIdentityProvider(profileId => deviceRegistrationService.getIdentity(profileId));
     checkDeviceCapabilities();
     loadEnrolledUsers();
     initNFC();
@@ -284,17 +292,13 @@ function App() {
   };
 
   const testServerConnection = () => {
-    fetch('https://darkviolet-dotterel-146840.hostingersite.com/attendance/api/sync.php', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Device-Token': 'kiosk_main_gate_2024',
-      },
-      body: JSON.stringify({
+    apiClient.request({
+      url: serverProfileService.getSyncUrl(),
+      body: {
         uid: 'TEST123',
-        device_id: 'EMULATOR_TEST',
+        device_id: apiClient.getDeviceIdentity().deviceId,
         timestamp: new Date().toISOString(),
-      }),
+      },
     })
       .then(response => response.json())
       .then(data => {
@@ -489,17 +493,14 @@ function App() {
 
     // Send to server with detailed capture
     try {
-      const response = await fetch('https://darkviolet-dotterel-146840.hostingersite.com/attendance/api/sync.php', {
-        method: 'POST',
+      const response = await apiClient.request({
+        url: serverProfileService.getSyncUrl(),
         headers: {
-          'Content-Type': 'application/json',
-          'X-Device-Token': 'kiosk_main_gate_2024',
           'X-App-Version': advancedInfo.appVersion,
-          'X-Device-Model': advancedInfo.deviceModel,
         },
-        body: JSON.stringify({
+        body: {
           uid: user.id,
-          device_id: 'FINGERPRINT_KIOSK',
+          device_id: apiClient.getDeviceIdentity().deviceId,
           timestamp: new Date().toISOString(),
           type: 'fingerprint',
           user_name: user.name,
@@ -516,7 +517,7 @@ function App() {
             status: deviceInfo.internet,
             latency: deviceInfo.networkLatency,
           },
-        }),
+        },
       });
 
       const data = await response.json();
@@ -614,17 +615,14 @@ function App() {
                 );
                 
                 // Send to server with detailed capture
-                const response = await fetch('https://darkviolet-dotterel-146840.hostingersite.com/attendance/api/sync.php', {
-                  method: 'POST',
+                const response = await apiClient.request({
+                  url: serverProfileService.getSyncUrl(),
                   headers: {
-                    'Content-Type': 'application/json',
-                    'X-Device-Token': 'kiosk_main_gate_2024',
                     'X-App-Version': advancedInfo.appVersion,
-                    'X-Device-Model': advancedInfo.deviceModel,
                   },
-                  body: JSON.stringify({
+                  body: {
                     uid: uid || tag.id,
-                    device_id: 'NOTHING_PHONE_2_NFC',
+                    device_id: apiClient.getDeviceIdentity().deviceId,
                     timestamp: new Date().toISOString(),
                     type: 'nfc',
                     tag_type: tag.techTypes ? tag.techTypes.join(', ') : 'Unknown',
@@ -645,7 +643,7 @@ function App() {
                       status: deviceInfo.internet,
                       latency: deviceInfo.networkLatency,
                     },
-                  }),
+                  },
                 });
                 
                 const data = await response.json();
@@ -756,7 +754,7 @@ function App() {
         <View style={styles.card}>
           <Text style={styles.cardTitle}>🌐 SERVER CONNECTION</Text>
           <Text style={styles.serverUrl}>
-            https://darkviolet-dotterel-146840.hostingersite.com
+            {serverProfileService.getActiveProfile().baseUrl}
           </Text>
           <Text style={styles.serverStatus}>Status: {deviceInfo.internet === '✅ Connected' ? 'Active' : 'Testing...'}</Text>
           <TouchableOpacity style={styles.editButton} onPress={testServerConnection}>
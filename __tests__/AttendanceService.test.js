@@ -0,0 +1,264 @@
+import attendanceService from '../services/AttendanceService';
+import PunchStateMachine from '../utils/PunchStateMachine';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('@react-native-community/netinfo', () => require('@react-native-community/netinfo/jest/netinfo-mock'));
+jest.mock('react-native', () => ({
+  Platform: { OS: 'android', Version: 33 },
+  PermissionsAndroid: {},
+  InteractionManager: { runAfterInteractions: (task) => task() },
+}));
+jest.mock('react-native-geolocation-service', () => ({}));
+jest.mock('react-native-keychain', () => ({}));
+
+const NOW = new Date('2025-01-06T08:00:00Z');
+const USER = { userId: 'S001', userName: 'Ana Cruz', userRole: 'Student', status: 'active' };
+
+const respond = (status, body = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: `Status ${status}`,
+  json: async () => body,
+});
+
+/**
+ * In-memory sync server: answers each request with the next scripted response
+ * (a response object, or an Error to throw like a dropped connection)
+ */
+const fakeServer = (...responses) => {
+  const server = { online: true, sent: [], queue: [], deadLetter: [] };
+  server.transport = {
+    target: () => ({ profileId: 'p1', url: 'https://school.test/sync.php', deviceId: 'KIOSK-1', deviceModel: 'Test' }),
+    isOnline: () => server.online,
+    send: async (request) => {
+      server.sent.push(request);
+      const next = responses.shift() || respond(200, { success: true });
+      if (next instanceof Error) throw next;
+      return next;
+    },
+    enqueue: async (item) => { server.queue.push(item); },
+    deadLetter: async (item, message) => { server.deadLetter.push({ item, message }); },
+  };
+  return server;
+};
+
+const memoryStorage = () => {
+  const storage = { history: [], stats: { totalScans: 0, successfulScans: 0, failedScans: 0, lastSyncTime: null } };
+  storage.api = {
+    getHistory: async () => storage.history,
+    saveHistory: async (history) => { storage.history = history; },
+    getStats: async () => storage.stats,
+    saveStats: async (stats) => { storage.stats = stats; },
+  };
+  return storage;
+};
+
+const fakeServices = (overrides = {}) => {
+  const lastPunches = {};
+  return {
+    lastPunches,
+    punchState: {
+      reserve: async () => null,
+      release: () => {},
+      resolvePunch: async (userId, now) => PunchStateMachine.next(lastPunches[userId] || null, now),
+      commitPunch: async (userId, punch) => { lastPunches[userId] = punch; },
+    },
+    location: { getCurrentFix: jest.fn(async () => null), toPayload: () => null },
+    geofence: {
+      isActive: () => false,
+      check: () => ({ action: 'allow', reason: 'disabled' }),
+      siteOf: () => null,
+    },
+    authPolicy: { needsSite: () => false, resolve: () => null },
+    shift: { classify: () => null },
+    analytics: {
+      trackEvent: jest.fn(async () => {}),
+      trackDuplicatePunch: jest.fn(async () => {}),
+      trackAttendance: jest.fn(async () => {}),
+      trackPerformance: jest.fn(async () => {}),
+      trackError: jest.fn(async () => {}),
+    },
+    ...overrides,
+  };
+};
+
+const setup = ({ responses = [], services = {} } = {}) => {
+  const server = fakeServer(...responses);
+  const storage = memoryStorage();
+  const fakes = fakeServices(services);
+  attendanceService.configure({ transport: server.transport, storage: storage.api, services: fakes });
+  return { server, storage, fakes };
+};
+
+describe('AttendanceService.record', () => {
+  it('sends a punch and records it as a check-in', async () => {
+    const { server, storage, fakes } = setup({ responses: [respond(200, { success: true, id: 7 })] });
+
+    const result = await attendanceService.record(USER, 'nfc', { cardUid: '04A1B2C3' }, { now: NOW });
+
+    expect(result).toMatchObject({ status: 'success', direction: 'IN', serverResponse: { success: true, id: 7 } });
+    expect(server.sent).toHaveLength(1);
+    expect(server.sent[0].body).toMatchObject({
+      uid: 'S001',
+      device_id: 'KIOSK-1',
+      type: 'nfc',
+      direction: 'IN',
+      cardUid: '04A1B2C3',
+      idempotency_key: server.sent[0].idempotencyKey,
+    });
+    expect(server.queue).toEqual([]);
+    expect(storage.history[0]).toMatchObject({ userId: 'S001', direction: 'IN', syncStatus: 'success' });
+    expect(storage.stats).toMatchObject({ totalScans: 1, successfulScans: 1 });
+    expect(fakes.lastPunches.S001.direction).toBe('IN');
+  });
+
+  it('queues the punch while offline', async () => {
+    const { server, storage } = setup();
+    server.online = false;
+
+    const result = await attendanceService.record(USER, 'barcode', { barcodeId: 'B-1' }, { now: NOW });
+
+    expect(result.status).toBe('queued');
+    expect(server.sent).toEqual([]);
+    expect(server.queue).toHaveLength(1);
+    expect(server.queue[0]).toMatchObject({ type: 'attendance', profileId: 'p1', data: { uid: 'S001', direction: 'IN' } });
+    expect(storage.history[0].syncStatus).toBe('queued');
+  });
+
+  it('queues a dropped request for retry with the same idempotency key', async () => {
+    const { server, storage, fakes } = setup({ responses: [new Error('Network request failed')] });
+
+    const result = await attendanceService.record(USER, 'nfc', { cardUid: '04A1B2C3' }, { now: NOW });
+
+    expect(result.status).toBe('failed');
+    expect(result.error.message).toBe('Network request failed');
+    expect(server.queue).toHaveLength(1);
+    expect(server.queue[0].idempotencyKey).toBe(server.sent[0].idempotencyKey);
+    expect(storage.stats.failedScans).toBe(1);
+    expect(fakes.lastPunches.S001.direction).toBe('IN');
+  });
+
+  it.each([500, 503, 401, 403])('queues a punch answered with %s for retry', async (status) => {
+    const { server } = setup({ responses: [respond(status)] });
+
+    const result = await attendanceService.record(USER, 'nfc', { cardUid: '04A1B2C3' }, { now: NOW });
+
+    expect(result.status).toBe('failed');
+    expect(server.queue).toHaveLength(1);
+    expect(server.deadLetter).toEqual([]);
+  });
+
+  it('dead-letters a punch the server refuses and keeps the direction', async () => {
+    const { server, storage, fakes } = setup({ responses: [respond(422, { message: 'Fingerprint proof expired' })] });
+
+    const result = await attendanceService.record(USER, 'fingerprint', {}, { now: NOW });
+
+    expect(result.status).toBe('rejected');
+    expect(result.error.message).toBe('HTTP 422: Status 422 - Fingerprint proof expired');
+    expect(server.queue).toEqual([]);
+    expect(server.deadLetter).toHaveLength(1);
+    expect(storage.history[0].syncStatus).toBe('rejected');
+    expect(fakes.lastPunches.S001).toBeUndefined();
+  });
+
+  it('treats 409 as a punch that already got through', async () => {
+    const { server } = setup({ responses: [respond(409)] });
+
+    const result = await attendanceService.record(USER, 'nfc', { cardUid: '04A1B2C3' }, { now: NOW });
+
+    expect(result.status).toBe('success');
+    expect(result.serverResponse).toEqual({ status: 'duplicate', idempotency_key: server.sent[0].idempotencyKey });
+  });
+
+  it('does not queue a punch the server accepted when saving it locally fails', async () => {
+    const { server, storage } = setup();
+    attendanceService.configure({ storage: { ...storage.api, saveHistory: async () => { throw new Error('Disk full'); } } });
+
+    await expect(attendanceService.record(USER, 'nfc', { cardUid: '04A1B2C3' }, { now: NOW })).rejects.toThrow('Disk full');
+    expect(server.sent).toHaveLength(1);
+    expect(server.queue).toEqual([]);
+  });
+
+  it('queues the forgotten check-out before the new check-in', async () => {
+    const { server, storage, fakes } = setup();
+    fakes.lastPunches.S001 = { direction: 'IN', timestamp: '2025-01-05T06:00:00Z' };
+
+    const result = await attendanceService.record(USER, 'nfc', { cardUid: '04A1B2C3' }, { now: NOW });
+
+    expect(result).toMatchObject({ status: 'success', direction: 'IN', missedCheckOut: true });
+    expect(server.queue).toHaveLength(1);
+    expect(server.queue[0].data).toMatchObject({ type: 'auto_close', direction: 'OUT', auto_closed: true });
+    expect(storage.history.map(record => record.direction)).toEqual(['IN', 'OUT']);
+  });
+
+  it('checks out on the next punch', async () => {
+    setup();
+    await attendanceService.record(USER, 'nfc', { cardUid: '04A1B2C3' }, { now: NOW });
+
+    const result = await attendanceService.record(USER, 'nfc', { cardUid: '04A1B2C3' }, { now: new Date('2025-01-06T16:00:00Z') });
+
+    expect(result.direction).toBe('OUT');
+  });
+});
+
+describe('AttendanceService checks before sending', () => {
+  it('refuses suspended users', async () => {
+    const { server } = setup();
+
+    const result = await attendanceService.record({ ...USER, status: 'suspended' }, 'nfc', {}, { now: NOW });
+
+    expect(result.status).toBe('refused');
+    expect(server.sent).toEqual([]);
+  });
+
+  it('reports a duplicate tap without sending', async () => {
+    const lastPunch = { direction: 'IN', timestamp: '2025-01-06T07:59:30Z' };
+    const { server, fakes } = setup();
+    fakes.punchState.reserve = async () => ({ lastPunch });
+
+    const result = await attendanceService.record(USER, 'nfc', {}, { now: NOW });
+
+    expect(result).toMatchObject({ status: 'duplicate', lastPunch });
+    expect(fakes.analytics.trackDuplicatePunch).toHaveBeenCalledWith('S001', 'nfc', 30);
+    expect(server.sent).toEqual([]);
+  });
+
+  it('skips the location lookup when no geofence or site policy applies', async () => {
+    const { fakes } = setup();
+
+    await attendanceService.record(USER, 'nfc', { cardUid: '04A1B2C3' }, { now: NOW });
+
+    expect(fakes.location.getCurrentFix).not.toHaveBeenCalled();
+  });
+
+  it('blocks a punch outside the geofence', async () => {
+    const fix = { latitude: 14.6, longitude: 121.0, accuracy: 10, timestamp: NOW.getTime() };
+    const { server, fakes } = setup({
+      services: {
+        geofence: {
+          isActive: () => true,
+          check: () => ({ action: 'block', reason: 'outside', fence: 'HQ', distanceMeters: 900 }),
+          siteOf: () => null,
+        },
+      },
+    });
+    fakes.location.getCurrentFix.mockResolvedValue(fix);
+
+    const result = await attendanceService.record(USER, 'nfc', {}, { now: NOW });
+
+    expect(result).toMatchObject({ status: 'blocked', geofence: { reason: 'outside' } });
+    expect(server.sent).toEqual([]);
+  });
+
+  it('refuses a punch missing a factor the policy requires', async () => {
+    const rule = { id: 'r1', name: 'Labs', roles: [], sites: [], window: null, factors: ['nfc', 'fingerprint'] };
+    const { server } = setup({ services: { authPolicy: { needsSite: () => false, resolve: () => rule } } });
+
+    const result = await attendanceService.record(USER, 'nfc', { cardUid: '04A1B2C3' }, { now: NOW });
+
+    expect(result).toMatchObject({ status: 'refused', refusal: { status: 'auth_policy' } });
+    expect(result.refusal.message).toContain('Missing: 👆 Fingerprint');
+    expect(server.sent).toEqual([]);
+  });
+});
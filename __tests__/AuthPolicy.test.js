@@ -0,0 +1,95 @@
+import AuthPolicy from '../utils/AuthPolicy';
+
+// 2025-01-06 is a Monday
+const at = (local) => new Date(local);
+
+const nightWindow = { start: '22:00', end: '06:00', weekdays: [1, 2, 3, 4, 5] };
+
+const rules = [
+  { id: 'r1', name: 'Labs', roles: [], sites: ['lab'], window: null, factors: ['nfc', 'fingerprint'] },
+  { id: 'r2', name: 'Students', roles: ['Student'], sites: [], window: null, factors: ['barcode'] },
+  { id: 'r3', name: 'Night staff', roles: ['Teacher', 'Staff'], sites: [], window: nightWindow, factors: ['fingerprint'] },
+];
+
+const teacher = { userId: 'u1', userRole: 'Teacher' };
+const student = { userId: 'u2', userRole: 'Student' };
+const visitor = { userId: 'u3', userRole: 'Visitor' };
+
+describe('AuthPolicy.resolve', () => {
+  const day = at('2025-01-06T12:00:00');
+  const night = at('2025-01-06T23:00:00');
+
+  it.each([
+    ['teacher in the lab by day', teacher, { now: day, siteId: 'lab' }, 'r1'],
+    ['teacher in the lab at night', teacher, { now: night, siteId: 'lab' }, 'r1'],
+    ['student in the lab', student, { now: day, siteId: 'lab' }, 'r1'],
+    ['student elsewhere', student, { now: day, siteId: 'hq' }, 'r2'],
+    ['student without a site', student, { now: night, siteId: null }, 'r2'],
+    ['teacher at night', teacher, { now: night, siteId: 'hq' }, 'r3'],
+    ['teacher by day', teacher, { now: day, siteId: 'hq' }, null],
+    ['visitor at night', visitor, { now: night, siteId: null }, null],
+  ])('%s -> %s', (_, user, context, expected) => {
+    const rule = AuthPolicy.resolve(rules, user, context);
+    expect(rule ? rule.id : null).toBe(expected);
+  });
+
+  it('lets any method start a punch when no rule applies', () => {
+    const rule = AuthPolicy.resolve(rules, teacher, { now: day });
+    expect(AuthPolicy.METHODS.every(method => AuthPolicy.allowsMethod(rule, method))).toBe(true);
+    expect(AuthPolicy.isSatisfied(rule, ['barcode'])).toBe(true);
+    expect(AuthPolicy.isSatisfied(rule, [])).toBe(false);
+  });
+
+  it('limits methods to the rule factors', () => {
+    const rule = AuthPolicy.resolve(rules, student, { now: day });
+    expect(AuthPolicy.allowsMethod(rule, 'barcode')).toBe(true);
+    expect(AuthPolicy.allowsMethod(rule, 'nfc')).toBe(false);
+  });
+});
+
+describe('AuthPolicy.inWindow', () => {
+  it('handles overnight windows across midnight and weekdays', () => {
+    expect(AuthPolicy.inWindow(null, at('2025-01-06T12:00:00'))).toBe(true);
+    expect(AuthPolicy.inWindow(nightWindow, at('2025-01-06T21:59:00'))).toBe(false);
+    expect(AuthPolicy.inWindow(nightWindow, at('2025-01-06T22:00:00'))).toBe(true);
+    expect(AuthPolicy.inWindow(nightWindow, at('2025-01-07T05:59:00'))).toBe(true);
+    expect(AuthPolicy.inWindow(nightWindow, at('2025-01-07T06:00:00'))).toBe(false);
+    // Friday night runs into Saturday; Saturday night is not in the window
+    expect(AuthPolicy.inWindow(nightWindow, at('2025-01-11T02:00:00'))).toBe(true);
+    expect(AuthPolicy.inWindow(nightWindow, at('2025-01-11T23:00:00'))).toBe(false);
+  });
+});
+
+describe('AuthPolicy factors', () => {
+  it('tracks the factors still needed', () => {
+    expect(AuthPolicy.remainingFactors(rules[0], [])).toEqual(['nfc', 'fingerprint']);
+    expect(AuthPolicy.remainingFactors(rules[0], ['fingerprint'])).toEqual(['nfc']);
+    expect(AuthPolicy.isSatisfied(rules[0], ['nfc'])).toBe(false);
+    expect(AuthPolicy.isSatisfied(rules[0], ['fingerprint', 'nfc'])).toBe(true);
+  });
+
+  it('only counts factors that came with their evidence', () => {
+    expect(AuthPolicy.provenFactors('nfc', { cardUid: '04A1B2C3' })).toEqual(['nfc']);
+    expect(AuthPolicy.provenFactors('nfc', { cardUid: '04A1B2C3', factors: ['nfc', 'fingerprint'] })).toEqual(['nfc']);
+    expect(AuthPolicy.provenFactors('nfc', {
+      cardUid: '04A1B2C3',
+      fingerprintVerified: true,
+      fingerprintSignature: 'sig',
+      factors: ['nfc', 'fingerprint'],
+    })).toEqual(['nfc', 'fingerprint']);
+    expect(AuthPolicy.provenFactors('fingerprint', { fingerprintVerified: true })).toEqual([]);
+    expect(AuthPolicy.provenFactors('barcode', { badgeCode: 'B-1' })).toEqual(['barcode']);
+    expect(AuthPolicy.provenFactors('nfc', { cardUid: '04A1', factors: ['nfc', 'retina'] })).toEqual(['nfc']);
+  });
+});
+
+describe('AuthPolicy.validateRule', () => {
+  it('accepts a valid rule and explains invalid ones', () => {
+    expect(AuthPolicy.validateRule(rules[2])).toEqual([]);
+    expect(AuthPolicy.validateRule({ ...rules[0], name: ' ' })).toEqual(['Policy name is required']);
+    expect(AuthPolicy.validateRule({ ...rules[0], factors: [] })).toHaveLength(1);
+    expect(AuthPolicy.validateRule({ ...rules[0], factors: ['nfc', 'nfc'] })).toEqual(['Each method can only be required once']);
+    expect(AuthPolicy.validateRule({ ...rules[2], window: { ...nightWindow, end: '22:00' } }))
+      .toEqual(['Time window: Start and end must be different']);
+  });
+});
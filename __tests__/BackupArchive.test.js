@@ -0,0 +1,37 @@
+import BackupArchive from '../utils/BackupArchive';
+
+const PAYLOAD = { createdAt: '2025-01-06T08:00:00.000Z', source: 'KIOSK-1', entries: { enrolledUsers: [{ userId: 'S001' }] } };
+const FAST = { iterations: 1000 };
+
+describe('BackupArchive seal/open', () => {
+  it('opens what it sealed with the same password', () => {
+    const text = BackupArchive.seal(PAYLOAD, 'correct horse', FAST);
+    expect(BackupArchive.open(text, 'correct horse')).toEqual(PAYLOAD);
+  });
+
+  it('uses a fresh random salt and IV for every archive', () => {
+    const first = JSON.parse(BackupArchive.seal(PAYLOAD, 'correct horse', FAST));
+    const second = JSON.parse(BackupArchive.seal(PAYLOAD, 'correct horse', FAST));
+    expect(first.kdf.salt).toMatch(/^[0-9a-f]{32}$/);
+    expect(first.iv).toMatch(/^[0-9a-f]{32}$/);
+    expect(second.kdf.salt).not.toBe(first.kdf.salt);
+    expect(second.iv).not.toBe(first.iv);
+    expect(second.ciphertext).not.toBe(first.ciphertext);
+  });
+
+  it('refuses a wrong password and a tampered file alike', () => {
+    const text = BackupArchive.seal(PAYLOAD, 'correct horse', FAST);
+    const archive = JSON.parse(text);
+
+    expect(() => BackupArchive.open(text, 'wrong horse')).toThrow('Wrong password, or the backup file is damaged');
+    expect(() => BackupArchive.open(JSON.stringify({ ...archive, createdAt: '2020-01-01T00:00:00.000Z' }), 'correct horse'))
+      .toThrow('Wrong password, or the backup file is damaged');
+    expect(() => BackupArchive.open(JSON.stringify({ ...archive, mac: archive.mac.slice(0, -1) }), 'correct horse'))
+      .toThrow('Wrong password, or the backup file is damaged');
+  });
+
+  it('rejects files that are not backups', () => {
+    expect(() => BackupArchive.inspect('not json')).toThrow('This is not a backup file');
+    expect(() => BackupArchive.inspect(JSON.stringify({ format: 'other' }))).toThrow('This is not a backup file');
+  });
+});
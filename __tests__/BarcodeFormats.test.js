@@ -0,0 +1,99 @@
+import BarcodeFormats from '../utils/BarcodeFormats';
+
+const users = [
+  { userId: 'S001', barcodeId: '12345', barcodeFormat: 'CODE128' },
+  { userId: 'S002', barcodeId: '5901234123457', barcodeFormat: 'EAN13' },
+  { userId: 'S003', barcodeId: 'R-1042', barcodeFormat: 'CODE39' },
+  { userId: 'S004', barcodeId: '20231019', barcodeFormat: 'CODE128' },
+];
+
+describe('BarcodeFormats EAN-13 / UPC check digits', () => {
+  it('adds or checks the EAN-13 check digit', () => {
+    expect(BarcodeFormats.prepare('590123412345', 'EAN13')).toEqual({ value: '5901234123457' });
+    expect(BarcodeFormats.prepare('5901234123457', 'EAN13')).toEqual({ value: '5901234123457' });
+    expect(BarcodeFormats.prepare('5901234123450', 'EAN13')).toEqual({ error: 'Check digit should be 7' });
+    expect(BarcodeFormats.prepare('59012341234', 'EAN13').error).toBe('EAN-13 needs 12 digits, or 13 with the check digit');
+  });
+
+  it('generates in-house EAN-13 codes with a valid check digit', () => {
+    const code = BarcodeFormats.generate('S001', 'EAN13', 1736150400000);
+    expect(code).toMatch(/^2\d{12}$/);
+    expect(BarcodeFormats.prepare(code, 'EAN13')).toEqual({ value: code });
+  });
+
+  it('detects EAN-13 only for 13 digits with a valid check digit', () => {
+    expect(BarcodeFormats.detect('5901234123457')).toBe('EAN13');
+    expect(BarcodeFormats.detect('5901234123450')).toBe('CODE128');
+    expect(BarcodeFormats.detect('20231019')).toBe('CODE128');
+  });
+
+  it('matches every EAN/UPC scan as EAN-13', () => {
+    ['ean-13', 'ean-8', 'upc-a', 'upc-e'].forEach(codeType => expect(BarcodeFormats.scanFormat(codeType)).toBe('EAN13'));
+    expect(BarcodeFormats.scanFormat('code-39')).toBe('CODE39');
+    expect(BarcodeFormats.scanFormat('qr')).toBe('QR');
+    expect(BarcodeFormats.scanFormat('aztec')).toBeNull();
+  });
+
+  it('drops the check digit and padding only for EAN/UPC codes', () => {
+    expect(BarcodeFormats.keys('0000000123457', 'EAN13')).toEqual(['0000000123457', '12345']);
+    // UPC-A 036000291452 read as its EAN-13 form
+    expect(BarcodeFormats.keys('0036000291452', 'EAN13')).toEqual(['0036000291452', '3600029145']);
+    expect(BarcodeFormats.keys('0000000123450', 'EAN13')).toEqual(['0000000123450', '123450']);
+    expect(BarcodeFormats.keys('20231019')).toEqual(['20231019']);
+    expect(BarcodeFormats.keys('00042')).toEqual(['00042', '42']);
+  });
+});
+
+describe('BarcodeFormats.keys', () => {
+  it('strips AIM prefixes, Code 39 wrappers and check characters', () => {
+    expect(BarcodeFormats.keys(']C0*R-1042*')).toEqual(['R-1042']);
+    expect(BarcodeFormats.keys('r-1042')).toEqual(['R-1042']);
+    expect(BarcodeFormats.keys('R-1042R')).toEqual(['R-1042R', 'R-1042']);
+    expect(BarcodeFormats.keys('R-1042Q')).toEqual(['R-1042Q']);
+    expect(BarcodeFormats.keys('   ')).toEqual([]);
+  });
+});
+
+describe('BarcodeFormats.findUser', () => {
+  it('prefers an exact match', () => {
+    expect(BarcodeFormats.findUser(users, '12345')).toEqual({ user: users[0], exact: true });
+    expect(BarcodeFormats.findUser(users, '*r-1042*')).toEqual({ user: users[2], exact: true });
+  });
+
+  it('finds a code printed as EAN-13 around an enrolled roll number', () => {
+    expect(BarcodeFormats.findUser(users, '0000000123457', BarcodeFormats.scanFormat('ean-13')))
+      .toEqual({ user: users[0], exact: false });
+  });
+
+  it('does not take the last digit of a Code 128 scan as a check digit', () => {
+    expect(BarcodeFormats.findUser(users, '2023101', BarcodeFormats.scanFormat('code-128'))).toBeNull();
+    expect(BarcodeFormats.findUser(users, '020231019', BarcodeFormats.scanFormat('code-128')))
+      .toEqual({ user: users[3], exact: false });
+  });
+
+  it('gives up when more than one user fits', () => {
+    const clash = [...users, { userId: 'S005', barcodeId: '012345', barcodeFormat: 'CODE128' }];
+    expect(BarcodeFormats.findUser(clash, '0000000123457', 'EAN13')).toBeNull();
+  });
+});
+
+describe('BarcodeFormats.ownerOf', () => {
+  it('finds another user holding the code in any form', () => {
+    expect(BarcodeFormats.ownerOf(users, '0000000123457', 'S009', 'EAN13')).toBe(users[0]);
+    expect(BarcodeFormats.ownerOf(users, '12345', 'S001')).toBeNull();
+    expect(BarcodeFormats.ownerOf(users, 'NEW-1', 'S009')).toBeNull();
+  });
+});
+
+describe('BarcodeFormats.bars', () => {
+  it('encodes linear formats and refuses what they cannot hold', () => {
+    const ean = BarcodeFormats.bars('5901234123457', 'EAN13');
+    expect(ean).toHaveLength(95);
+    expect(ean.startsWith('101')).toBe(true);
+    expect(ean.endsWith('101')).toBe(true);
+    expect(BarcodeFormats.bars('R-1042', 'CODE39').startsWith('1000101110111010')).toBe(true);
+    expect(BarcodeFormats.bars('ATTS001', 'CODE128')).toMatch(/^[01]+$/);
+    expect(BarcodeFormats.bars('123', 'EAN13')).toBeNull();
+    expect(BarcodeFormats.bars('ATTS001', 'QR')).toBeNull();
+  });
+});
@@ -0,0 +1,140 @@
+import CardCredential from '../utils/CardCredential';
+
+const KEY = 'b1946ac92492d2347c6235b4d2611184b1946ac92492d2347c6235b4d2611184';
+const OTHER_KEY = '0f'.repeat(32);
+const ISSUED_AT = '2026-10-18T14:30:00Z';
+const NOW = new Date('2026-10-18T15:00:00Z');
+
+const issue = (overrides = {}) => CardCredential.encode(
+  { userId: 'S001', cardUid: '04:A1:B2:C3', issuedAt: ISSUED_AT, keyVersion: 1, ...overrides },
+  KEY
+);
+
+const enrolled = (overrides = {}) => ({
+  userId: 'S001',
+  userName: 'Ana Reyes',
+  hasNFC: true,
+  cardUid: '04:A1:B2:C3',
+  credentialIssuedAt: ISSUED_AT,
+  credentialKeyVersion: 1,
+  ...overrides,
+});
+
+describe('CardCredential.encode / parse', () => {
+  it('writes the user, card UID, issue time and key version before the MAC', () => {
+    expect(issue()).toBe('ATC1|S001|04A1B2C3|2026-10-18T14:30:00Z|1|sTZTnaZQv36LoCMD13_33A');
+    expect(CardCredential.parse(issue())).toMatchObject({
+      userId: 'S001',
+      cardUid: '04A1B2C3',
+      issuedAt: ISSUED_AT,
+      keyVersion: 1,
+    });
+  });
+
+  it('refuses cards without a UID, IDs containing the separator and bad keys', () => {
+    expect(() => issue({ cardUid: '' })).toThrow('UID');
+    expect(() => issue({ userId: 'S|001' })).toThrow('User ID');
+    expect(() => CardCredential.encode({ userId: 'S001', cardUid: '04A1B2C3', issuedAt: ISSUED_AT, keyVersion: 1 }, 'abc'))
+      .toThrow('64 hex');
+  });
+
+  it('does not parse text in the old layout without a card UID', () => {
+    expect(CardCredential.parse('ATC1|S001|2026-10-18T14:30:00Z|1|Bm9hoIyrTF-BY_U_lQ39oQ')).toBeNull();
+  });
+});
+
+describe('CardCredential.verify', () => {
+  it('accepts a credential signed with a known key', () => {
+    expect(CardCredential.verify(issue(), { 1: KEY }, { now: NOW })).toEqual({
+      valid: true,
+      userId: 'S001',
+      cardUid: '04A1B2C3',
+      issuedAt: ISSUED_AT,
+      keyVersion: 1,
+    });
+  });
+
+  it('rejects edited user IDs and card UIDs', () => {
+    expect(CardCredential.verify(issue().replace('S001', 'S002'), { 1: KEY }, { now: NOW }).reason).toBe('bad_signature');
+    expect(CardCredential.verify(issue().replace('04A1B2C3', '04FF0011'), { 1: KEY }, { now: NOW }).reason).toBe('bad_signature');
+  });
+
+  it('rejects unknown key versions, wrong keys and future issue times', () => {
+    expect(CardCredential.verify(issue(), { 2: KEY }, { now: NOW }).reason).toBe('unknown_key');
+    expect(CardCredential.verify(issue(), { 1: OTHER_KEY }, { now: NOW }).reason).toBe('bad_signature');
+    expect(CardCredential.verify(issue({ issuedAt: '2026-10-18T16:00:00Z' }), { 1: KEY }, { now: NOW }).reason).toBe('future');
+    expect(CardCredential.verify('ATC1|garbage', { 1: KEY }, { now: NOW }).reason).toBe('malformed');
+  });
+});
+
+describe('CardCredential.identify', () => {
+  const keys = { 1: KEY };
+  const options = { now: NOW };
+
+  it('identifies a user by the credential on the card it was written to', () => {
+    const result = CardCredential.identify([enrolled()], { cardUid: '04a1b2c3', text: issue() }, keys, options);
+    expect(result.user.userId).toBe('S001');
+    expect(result.match).toBe('credential');
+  });
+
+  it('rejects a credential copied onto another card', () => {
+    const result = CardCredential.identify([enrolled()], { cardUid: '04:FF:00:11', text: issue() }, keys, options);
+    expect(result).toEqual({ user: null, reason: 'wrong_card', userId: 'S001' });
+  });
+
+  it('rejects a credential that is no longer the user\'s current one', () => {
+    const users = [enrolled({ credentialIssuedAt: '2026-10-19T08:00:00Z' })];
+    const result = CardCredential.identify(users, { cardUid: '04:A1:B2:C3', text: issue() }, keys, options);
+    expect(result.reason).toBe('superseded');
+  });
+
+  it('rejects a credential for someone not enrolled here', () => {
+    const result = CardCredential.identify([enrolled({ userId: 'S999' })], { cardUid: '04:A1:B2:C3', text: issue() }, keys, options);
+    expect(result).toEqual({ user: null, reason: 'unknown_user', userId: 'S001' });
+  });
+
+  it('asks for a rewrite when the credential carries a corrected ID', () => {
+    const users = [enrolled({ userId: 'S0001', previousIds: ['S001'], credentialNeedsReissue: true })];
+    const result = CardCredential.identify(users, { cardUid: '04:A1:B2:C3', text: issue() }, keys, options);
+    expect(result).toEqual({ user: null, reason: 'renamed', userId: 'S001', currentUserId: 'S0001' });
+  });
+
+  it('falls back to the UID for users who never had a credential', () => {
+    const users = [enrolled({ credentialIssuedAt: null, credentialKeyVersion: null })];
+    const result = CardCredential.identify(users, { cardUid: '04:A1:B2:C3', text: '' }, keys, options);
+    expect(result.user.userId).toBe('S001');
+    expect(result.match).toBe('uid');
+  });
+
+  it('refuses a UID-only match for users who were issued a credential', () => {
+    const result = CardCredential.identify([enrolled()], { cardUid: '04:A1:B2:C3', text: '' }, keys, options);
+    expect(result).toEqual({ user: null, reason: 'credential_missing', userId: 'S001' });
+  });
+
+  it('reports unknown cards as not enrolled', () => {
+    const result = CardCredential.identify([enrolled()], { cardUid: '04:00:00:01', text: '' }, keys, options);
+    expect(result).toEqual({ user: null, reason: 'not_enrolled' });
+  });
+
+  it('describes every refusal', () => {
+    ['wrong_card', 'credential_missing', 'superseded', 'renamed', 'not_enrolled'].forEach(reason => {
+      expect(CardCredential.describeFailure({ reason, userId: 'S001' })).not.toBe('The card could not be verified');
+    });
+  });
+});
+
+describe('CardCredential.forCard', () => {
+  it('keeps the credential while the card stays the same', () => {
+    const user = enrolled({ cardUid: '04a1b2c3' });
+    expect(CardCredential.forCard(user, enrolled())).toBe(user);
+    expect(CardCredential.forCard(user, null)).toBe(user);
+  });
+
+  it('drops the credential when the card changed, so the new card is identified by UID', () => {
+    const user = CardCredential.forCard(enrolled({ cardUid: '04:00:00:02', credentialNeedsReissue: true }), enrolled());
+    expect(user).toMatchObject({ cardUid: '04:00:00:02', credentialIssuedAt: null, credentialKeyVersion: null, credentialNeedsReissue: false });
+
+    const result = CardCredential.identify([user], { cardUid: '04:00:00:02', text: '' }, { 1: KEY }, { now: NOW });
+    expect(result.match).toBe('uid');
+  });
+});
@@ -0,0 +1,95 @@
+import Geofence from '../utils/Geofence';
+
+const NOW = Date.parse('2026-10-18T14:30:00Z');
+const HQ = { id: 'hq', name: 'HQ', type: 'circle', center: { latitude: 14.5995, longitude: 120.9842 }, radiusMeters: 150 };
+const YARD = {
+  id: 'yard',
+  name: 'Yard',
+  type: 'polygon',
+  points: [
+    { latitude: 14.6000, longitude: 120.9900 },
+    { latitude: 14.6000, longitude: 120.9910 },
+    { latitude: 14.6010, longitude: 120.9910 },
+    { latitude: 14.6010, longitude: 120.9900 },
+  ],
+};
+
+const policy = (overrides = {}) => ({
+  enabled: true,
+  mode: 'block',
+  maxAccuracyMeters: 100,
+  maxAgeMs: 2 * 60 * 1000,
+  fences: [HQ, YARD],
+  ...overrides,
+});
+
+// Metres north of the HQ centre (1 degree of latitude is ~111.2 km)
+const northOfHq = (meters, overrides = {}) => ({
+  latitude: HQ.center.latitude + meters / 111195,
+  longitude: HQ.center.longitude,
+  accuracy: 10,
+  timestamp: NOW,
+  ...overrides,
+});
+
+describe('Geofence.evaluate', () => {
+  it('allows a fix inside a circle or a polygon', () => {
+    expect(Geofence.evaluate(northOfHq(20), policy(), NOW)).toMatchObject({ action: 'allow', inside: true, fence: 'HQ', fenceId: 'hq' });
+    const inYard = { latitude: 14.6005, longitude: 120.9905, accuracy: 10, timestamp: NOW };
+    expect(Geofence.evaluate(inYard, policy(), NOW)).toMatchObject({ action: 'allow', fence: 'Yard', distanceMeters: 0 });
+  });
+
+  it('applies the policy mode outside every fence and names the nearest', () => {
+    const result = Geofence.evaluate(northOfHq(1168), policy(), NOW);
+    expect(result).toMatchObject({ action: 'block', inside: false, reason: 'outside', fence: 'HQ' });
+    expect(result.distanceMeters).toBeCloseTo(1018, -1);
+    expect(Geofence.evaluate(northOfHq(1168), policy({ mode: 'flag' }), NOW).action).toBe('flag');
+  });
+
+  it('treats the radius itself as inside and just past it as outside', () => {
+    expect(Geofence.evaluate(northOfHq(149.5, { accuracy: 0 }), policy(), NOW).inside).toBe(true);
+    expect(Geofence.evaluate(northOfHq(151, { accuracy: 0 }), policy(), NOW).inside).toBe(false);
+  });
+
+  it('stretches the fence by the fix accuracy in warn mode only', () => {
+    const nearEdge = northOfHq(180, { accuracy: 40 });
+    expect(Geofence.evaluate(nearEdge, policy({ mode: 'warn' }), NOW).action).toBe('allow');
+    expect(Geofence.evaluate(nearEdge, policy({ mode: 'block' }), NOW).action).toBe('block');
+  });
+
+  it('handles a fix without an accuracy as exact', () => {
+    expect(Geofence.evaluate(northOfHq(100, { accuracy: undefined }), policy({ mode: 'warn' }), NOW).inside).toBe(true);
+    expect(Geofence.evaluate(northOfHq(160, { accuracy: undefined }), policy({ mode: 'warn' }), NOW).inside).toBe(false);
+  });
+
+  it('refuses missing, stale, inaccurate and mocked fixes', () => {
+    expect(Geofence.evaluate(null, policy(), NOW).reason).toBe('no_fix');
+    expect(Geofence.evaluate({ latitude: 91, longitude: 0 }, policy(), NOW).reason).toBe('no_fix');
+    expect(Geofence.evaluate(northOfHq(0, { timestamp: NOW - 3 * 60 * 1000 }), policy(), NOW).reason).toBe('stale');
+    expect(Geofence.evaluate(northOfHq(0, { accuracy: 250 }), policy(), NOW).reason).toBe('inaccurate');
+    expect(Geofence.evaluate(northOfHq(0, { mocked: true }), policy(), NOW)).toMatchObject({ action: 'block', reason: 'mocked' });
+  });
+
+  it('allows everything when disabled or without fences', () => {
+    expect(Geofence.evaluate(null, policy({ enabled: false }), NOW)).toMatchObject({ action: 'allow', reason: 'disabled' });
+    expect(Geofence.evaluate(null, policy({ fences: [] }), NOW).reason).toBe('disabled');
+  });
+});
+
+describe('Geofence.validateFence', () => {
+  it('accepts valid fences and explains invalid ones', () => {
+    expect(Geofence.validateFence(HQ)).toEqual([]);
+    expect(Geofence.validateFence(YARD)).toEqual([]);
+    expect(Geofence.validateFence({ ...HQ, radiusMeters: 0 })).toContain('Radius must be greater than 0 m');
+    expect(Geofence.validateFence({ ...YARD, points: YARD.points.slice(0, 2) })).toContain('A polygon needs at least 3 points');
+    expect(Geofence.validateFence({ name: 'X', type: 'square' })).toContain('Type must be circle or polygon');
+  });
+});
+
+describe('Geofence.describe', () => {
+  it('explains each result', () => {
+    expect(Geofence.describe({ reason: 'outside', distanceMeters: 42, fence: 'HQ' })).toBe('42 m outside HQ');
+    expect(Geofence.describe({ reason: 'mocked' })).toBe('Location comes from a mock-location app');
+    expect(Geofence.describe({ reason: 'disabled' })).toBe('Geofencing off');
+  });
+});
@@ -0,0 +1,65 @@
+import PunchStateMachine from '../utils/PunchStateMachine';
+
+const IN = (timestamp) => ({ direction: 'IN', timestamp });
+const at = (local) => new Date(local);
+const iso = (local) => new Date(local).toISOString();
+
+describe('PunchStateMachine.next', () => {
+  it('starts with a check-in and alternates', () => {
+    expect(PunchStateMachine.next(null, at('2025-01-06T08:00:00'))).toEqual({ direction: 'IN', missedCheckOut: false, autoClose: null });
+    expect(PunchStateMachine.next(IN('2025-01-06T08:00:00'), at('2025-01-06T17:00:00')).direction).toBe('OUT');
+    expect(PunchStateMachine.next({ direction: 'OUT', timestamp: '2025-01-06T17:00:00' }, at('2025-01-06T18:00:00')).direction).toBe('IN');
+  });
+
+  it('keeps a night shift open across the work day start', () => {
+    expect(PunchStateMachine.next(IN('2025-01-06T22:00:00'), at('2025-01-07T06:00:00')))
+      .toEqual({ direction: 'OUT', missedCheckOut: false, autoClose: null });
+    expect(PunchStateMachine.next(IN('2025-01-06T22:00:00'), at('2025-01-07T10:00:00')).direction).toBe('OUT');
+  });
+
+  it('closes an IN older than the maximum shift at check-in + maximum shift', () => {
+    const result = PunchStateMachine.next(IN('2025-01-06T22:00:00'), at('2025-01-07T10:00:01'));
+    expect(result).toEqual({
+      direction: 'IN',
+      missedCheckOut: true,
+      autoClose: { timestamp: iso('2025-01-07T10:00:00'), openedAt: iso('2025-01-06T22:00:00'), reason: 'next_day' },
+    });
+    expect(PunchStateMachine.next(IN('2025-01-06T05:00:00'), at('2025-01-06T23:00:00')).autoClose.reason).toBe('max_shift');
+  });
+
+  it('closes at the end of the opening work day in day_end mode', () => {
+    const rules = { ...PunchStateMachine.DEFAULT_RULES, autoCloseMode: 'day_end' };
+    expect(PunchStateMachine.next(IN('2025-01-06T08:00:00'), at('2025-01-07T09:00:00'), rules).autoClose.timestamp)
+      .toBe(iso('2025-01-07T03:59:59'));
+    expect(PunchStateMachine.next(IN('2025-01-06T22:00:00'), at('2025-01-07T06:00:00'), rules).direction).toBe('OUT');
+  });
+
+  it('never closes after the punch that found the open IN', () => {
+    const rules = { ...PunchStateMachine.DEFAULT_RULES, autoCloseMode: 'day_end' };
+    expect(PunchStateMachine.next(IN('2025-01-06T14:00:00'), at('2025-01-07T02:30:00'), rules).autoClose.timestamp)
+      .toBe(iso('2025-01-07T02:29:59'));
+  });
+
+  it('leaves a forgotten IN open in none mode', () => {
+    const rules = { ...PunchStateMachine.DEFAULT_RULES, autoCloseMode: 'none' };
+    expect(PunchStateMachine.next(IN('2025-01-06T08:00:00'), at('2025-01-07T09:00:00'), rules))
+      .toEqual({ direction: 'IN', missedCheckOut: true, autoClose: null });
+  });
+});
+
+describe('PunchStateMachine.cooldownRemaining', () => {
+  it('counts down from the last punch and ignores a clock set backwards', () => {
+    const last = IN('2025-01-06T08:00:00');
+    expect(PunchStateMachine.cooldownRemaining(last, at('2025-01-06T08:00:30'), 120)).toBe(90000);
+    expect(PunchStateMachine.cooldownRemaining(last, at('2025-01-06T08:03:00'), 120)).toBe(0);
+    expect(PunchStateMachine.cooldownRemaining(last, at('2025-01-06T07:00:00'), 120)).toBe(0);
+    expect(PunchStateMachine.cooldownRemaining(last, at('2025-01-06T08:00:30'), 0)).toBe(0);
+  });
+});
+
+describe('PunchStateMachine.validateRules', () => {
+  it('accepts the defaults and rejects out-of-range values', () => {
+    expect(PunchStateMachine.validateRules(PunchStateMachine.DEFAULT_RULES)).toEqual([]);
+    expect(PunchStateMachine.validateRules({ dayStartHour: 24, maxShiftHours: 0, autoCloseMode: 'never' })).toHaveLength(3);
+  });
+});
@@ -0,0 +1,87 @@
+import RosterParser from '../utils/RosterParser';
+import CardCredential from '../utils/CardCredential';
+
+const NOW = '2026-10-18T15:00:00.000Z';
+
+const enrolled = [
+  {
+    userId: 'S001',
+    userName: 'Ana Reyes',
+    userRole: 'Student',
+    hasFingerprint: true,
+    fingerprintPublicKey: 'MIIB...',
+    hasNFC: true,
+    hasBarcode: false,
+    cardUid: '04:A1:B2:C3',
+    credentialIssuedAt: '2026-10-01T08:00:00Z',
+    credentialKeyVersion: 1,
+    enrollmentType: 'both',
+  },
+  { userId: 'S002', userName: 'Ben Cruz', userRole: 'Teacher', hasFingerprint: false, hasNFC: false, hasBarcode: false },
+];
+
+const importCsv = (csv, users = enrolled) => {
+  const { columns, rows } = RosterParser.parse(csv, 'csv');
+  const plan = RosterParser.plan(rows, RosterParser.guessMapping(columns), users);
+  return { plan, users: RosterParser.apply(plan, users, NOW) };
+};
+
+describe('RosterParser.plan', () => {
+  it('sorts rows into new, update, unchanged, invalid and conflict', () => {
+    const { plan } = importCsv(
+      'Student ID,Name,Role,RFID\n' +
+      'S001,Ana Reyes,Student,\n' +
+      'S002,Ben Cruz,Teacher,04:00:00:09\n' +
+      'S003,Cy Dela Cruz,Student,\n' +
+      ',No Id,Student,\n' +
+      'S004,Dee Santos,Student,04A1B2C3\n'
+    );
+    expect(plan.entries.map(entry => entry.status)).toEqual(['unchanged', 'update', 'new', 'invalid', 'conflict']);
+    expect(plan.entries[1].changes).toEqual(['cardUid']);
+  });
+});
+
+describe('RosterParser.apply', () => {
+  it('adds new users and keeps enrollment data of updated ones', () => {
+    const { users } = importCsv('Student ID,Name,Role\nS001,Ana R. Reyes,Student\nS003,Cy Dela Cruz,Student\n');
+
+    expect(users[0]).toMatchObject({
+      userName: 'Ana R. Reyes',
+      fingerprintPublicKey: 'MIIB...',
+      cardUid: '04:A1:B2:C3',
+      credentialIssuedAt: '2026-10-01T08:00:00Z',
+      credentialKeyVersion: 1,
+      importedAt: NOW,
+    });
+    expect(users[2]).toMatchObject({ userId: 'S003', userRole: 'Student', hasNFC: false, enrolledAt: NOW });
+  });
+
+  it('drops the card credential when the import changes the card', () => {
+    const { users } = importCsv('Student ID,Name,RFID\nS001,Ana Reyes,04:00:00:02\n');
+
+    expect(users[0]).toMatchObject({
+      cardUid: '04:00:00:02',
+      hasNFC: true,
+      nfcEnrolledAt: NOW,
+      credentialIssuedAt: null,
+      credentialKeyVersion: null,
+      credentialNeedsReissue: false,
+    });
+
+    // The new card works straight away instead of reporting a missing credential
+    const result = CardCredential.identify(users, { cardUid: '04:00:00:02', text: '' }, {});
+    expect(result).toMatchObject({ match: 'uid', user: { userId: 'S001' } });
+  });
+
+  it('gives a user their first card and an EAN-13 format to a GTIN barcode', () => {
+    const { users } = importCsv('Student ID,Name,RFID,Barcode\nS002,Ben Cruz,04:00:00:09,5901234123457\n');
+
+    expect(users[1]).toMatchObject({
+      cardUid: '04:00:00:09',
+      hasNFC: true,
+      hasBarcode: true,
+      barcodeFormat: 'EAN13',
+      enrollmentType: RosterParser.enrollmentType({ hasNFC: true, hasBarcode: true }),
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import ShiftSchedule from '../utils/ShiftSchedule';
+import PunchStateMachine from '../utils/PunchStateMachine';
+
+// 2025-01-06 is a Monday
+const at = (local) => new Date(local);
+
+const morning = {
+  id: 's1', name: 'Morning', start: '08:00', end: '16:00',
+  weekdays: [1, 2, 3, 4, 5], lateGraceMinutes: 5, earlyLeaveGraceMinutes: 0,
+};
+const night = { ...morning, id: 's2', name: 'Night', start: '22:00', end: '06:00' };
+
+describe('ShiftSchedule.classify', () => {
+  it('uses the late grace window on check-in', () => {
+    expect(ShiftSchedule.classify('IN', at('2025-01-06T07:50:00'), morning)).toMatchObject({ status: 'on_time', minutes: 0 });
+    expect(ShiftSchedule.classify('IN', at('2025-01-06T08:05:00'), morning).status).toBe('on_time');
+    expect(ShiftSchedule.classify('IN', at('2025-01-06T08:05:01'), morning)).toMatchObject({ status: 'late', minutes: 6 });
+    expect(ShiftSchedule.classify('IN', at('2025-01-06T08:12:00'), morning)).toMatchObject({
+      status: 'late',
+      minutes: 12,
+      shiftId: 's1',
+      shiftName: 'Morning',
+      scheduledStart: at('2025-01-06T08:00:00').toISOString(),
+      scheduledEnd: at('2025-01-06T16:00:00').toISOString(),
+    });
+  });
+
+  it('uses the early-leave grace window on check-out', () => {
+    expect(ShiftSchedule.classify('OUT', at('2025-01-06T15:30:00'), morning)).toMatchObject({ status: 'early_leave', minutes: 30 });
+    expect(ShiftSchedule.classify('OUT', at('2025-01-06T15:30:00'), { ...morning, earlyLeaveGraceMinutes: 30 }).status).toBe('on_time');
+    expect(ShiftSchedule.classify('OUT', at('2025-01-06T16:45:00'), morning).status).toBe('on_time');
+  });
+
+  it('is off shift on other weekdays, far from the shift, or checking in after it ends', () => {
+    expect(ShiftSchedule.classify('IN', at('2025-01-11T08:00:00'), morning)).toMatchObject({ status: 'off_shift', scheduledStart: null });
+    expect(ShiftSchedule.classify('IN', at('2025-01-06T02:00:00'), morning).status).toBe('off_shift');
+    expect(ShiftSchedule.classify('IN', at('2025-01-06T17:00:00'), morning).status).toBe('off_shift');
+  });
+
+  it('returns null for a user without a shift', () => {
+    expect(ShiftSchedule.classify('IN', at('2025-01-06T08:00:00'), null)).toBeNull();
+  });
+
+  it('classifies an overnight shift against the day it starts on', () => {
+    expect(ShiftSchedule.classify('IN', at('2025-01-06T22:10:00'), night)).toMatchObject({ status: 'late', minutes: 10 });
+    expect(ShiftSchedule.classify('OUT', at('2025-01-07T06:02:00'), night)).toMatchObject({
+      status: 'on_time',
+      scheduledStart: at('2025-01-06T22:00:00').toISOString(),
+      scheduledEnd: at('2025-01-07T06:00:00').toISOString(),
+    });
+    expect(ShiftSchedule.classify('OUT', at('2025-01-07T05:00:00'), night)).toMatchObject({ status: 'early_leave', minutes: 60 });
+    // Friday night's shift ends on Saturday; Sunday night has none
+    expect(ShiftSchedule.classify('OUT', at('2025-01-11T06:00:00'), night).status).toBe('on_time');
+    expect(ShiftSchedule.classify('OUT', at('2025-01-06T06:00:00'), night).status).toBe('off_shift');
+  });
+
+  it('pairs an overnight check-in and check-out across the work day start', () => {
+    const checkIn = { direction: 'IN', timestamp: at('2025-01-06T21:58:00').toISOString() };
+    const now = at('2025-01-07T06:03:00');
+    const { direction, missedCheckOut } = PunchStateMachine.next(checkIn, now, PunchStateMachine.DEFAULT_RULES);
+
+    expect(direction).toBe('OUT');
+    expect(missedCheckOut).toBe(false);
+    expect(ShiftSchedule.classify(direction, now, night).status).toBe('on_time');
+  });
+});
+
+describe('ShiftSchedule.shiftFor', () => {
+  it("prefers the user's own assignment over their role's", () => {
+    const schedule = { shifts: [morning, night], roleShifts: { Guard: 's2' }, userShifts: { u2: 's1' } };
+    expect(ShiftSchedule.shiftFor({ userId: 'u1', userRole: 'Guard' }, schedule)).toBe(night);
+    expect(ShiftSchedule.shiftFor({ userId: 'u2', userRole: 'Guard' }, schedule)).toBe(morning);
+    expect(ShiftSchedule.shiftFor({ userId: 'u3', userRole: 'Teacher' }, schedule)).toBeNull();
+  });
+});
+
+describe('ShiftSchedule.validateShift', () => {
+  it('accepts overnight shifts and explains invalid ones', () => {
+    expect(ShiftSchedule.validateShift(night)).toEqual([]);
+    expect(ShiftSchedule.validateShift({ ...morning, end: '08:00' })).toEqual(['Start and end must be different']);
+    expect(ShiftSchedule.validateShift({ ...morning, start: '8:00' })).toEqual(['Start and end must be times like 08:00']);
+    expect(ShiftSchedule.validateShift({ ...morning, weekdays: [] })).toEqual(['Pick at least one weekday']);
+    expect(ShiftSchedule.validateShift({ ...morning, lateGraceMinutes: 300 })).toEqual(['Grace periods must be whole minutes from 0 to 240']);
+  });
+});
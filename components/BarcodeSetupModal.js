@@ -0,0 +1,352 @@
+/**
+ * Barcode Setup Modal Component
+ *
+ * Gives a user a static barcode: either a new code generated in the
+ * chosen format, or the code already printed on their student card,
+ * typed in or scanned with the camera.
+ * The parent stores the result; this component only collects it.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Modal,
+  StyleSheet,
+  Alert,
+  Linking,
+} from 'react-native';
+import { Camera, useCameraDevice, useCameraPermission, useCodeScanner } from 'react-native-vision-camera';
+import BarcodeFormats from '../utils/BarcodeFormats';
+import BarcodeSymbol from './BarcodeSymbol';
+
+const BarcodeSetupModal = ({ user, users, onSave, onClose }) => {
+  const [mode, setMode] = useState('generate');
+  const [format, setFormat] = useState(BarcodeFormats.DEFAULT_FORMAT);
+  const [code, setCode] = useState('');
+  const [scanning, setScanning] = useState(false);
+
+  const { hasPermission, requestPermission } = useCameraPermission();
+  const device = useCameraDevice('back');
+
+  useEffect(() => {
+    if (!user) return;
+    setMode('generate');
+    setFormat(BarcodeFormats.DEFAULT_FORMAT);
+    setCode('');
+    setScanning(false);
+  }, [user]);
+
+  const codeScanner = useCodeScanner({
+    codeTypes: BarcodeFormats.SCANNER_CODE_TYPES,
+    onCodeScanned: (codes) => {
+      if (codes.length === 0) return;
+      setCode(codes[0].value);
+      setFormat(BarcodeFormats.fromCodeType(codes[0].type) || BarcodeFormats.DEFAULT_FORMAT);
+      setScanning(false);
+    },
+  });
+
+  if (!user) return null;
+
+  const linked = mode === 'link' ? BarcodeFormats.prepare(code, format) : null;
+  const owner = linked && linked.value ? BarcodeFormats.ownerOf(users, linked.value, user.userId, format) : null;
+  const error = linked && code.trim()
+    ? linked.error || (owner ? `Already belongs to ${owner.userName} (${owner.userId})` : null)
+    : null;
+  const canSave = mode === 'generate' || (linked && linked.value && !error);
+
+  const openScanner = async () => {
+    if (!device) {
+      Alert.alert('❌ No Camera', 'Camera not available on this device');
+      return;
+    }
+    if (!hasPermission && !(await requestPermission())) {
+      Alert.alert(
+        '📷 Camera Permission Required',
+        'Please grant camera permission to scan the card',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Open Settings', onPress: () => Linking.openSettings() }
+        ]
+      );
+      return;
+    }
+    setScanning(true);
+  };
+
+  const save = () => {
+    const barcodeId = mode === 'generate' ? BarcodeFormats.generate(user.userId, format) : linked.value;
+    onSave({ barcodeId, barcodeFormat: format, linked: mode === 'link' });
+  };
+
+  if (scanning) {
+    return (
+      <Modal visible={true} transparent={false} animationType="slide" onRequestClose={() => setScanning(false)}>
+        <View style={styles.cameraContainer}>
+          <Camera style={styles.camera} device={device} isActive={scanning} codeScanner={codeScanner} />
+          <View style={styles.cameraOverlay}>
+            <Text style={styles.cameraTitle}>📷 Scan Student Card</Text>
+            <TouchableOpacity style={styles.cameraCancelButton} onPress={() => setScanning(false)}>
+              <Text style={styles.cameraCancelText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+    );
+  }
+
+  return (
+    <Modal visible={true} transparent={true} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <ScrollView>
+            <Text style={styles.title}>📊 Static Barcode</Text>
+            <Text style={styles.subtitle}>{user.userName} · {user.userId}</Text>
+
+            <View style={styles.chipRow}>
+              {[{ value: 'generate', label: '🆕 Generate New' }, { value: 'link', label: '🔗 Link Existing Card' }].map(option => (
+                <TouchableOpacity
+                  key={option.value}
+                  style={[styles.chip, mode === option.value && styles.chipActive]}
+                  onPress={() => setMode(option.value)}>
+                  <Text style={[styles.chipText, mode === option.value && styles.chipTextActive]}>{option.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <Text style={styles.label}>Format</Text>
+            <View style={styles.chipRow}>
+              {Object.keys(BarcodeFormats.FORMATS).map(value => (
+                <TouchableOpacity
+                  key={value}
+                  style={[styles.chip, format === value && styles.chipActive]}
+                  onPress={() => setFormat(value)}>
+                  <Text style={[styles.chipText, format === value && styles.chipTextActive]}>{BarcodeFormats.label(value)}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {mode === 'link' ? (
+              <>
+                <Text style={styles.label}>Code on the card</Text>
+                <TextInput
+                  style={styles.input}
+                  value={code}
+                  onChangeText={setCode}
+                  placeholder={format === 'EAN13' ? '12 or 13 digits' : 'e.g. the roll number'}
+                  autoCapitalize="characters"
+                  autoCorrect={false}
+                />
+                <TouchableOpacity style={[styles.secondaryButton, styles.buttonSpaced]} onPress={openScanner}>
+                  <Text style={styles.secondaryButtonText}>📷 Scan the Card</Text>
+                </TouchableOpacity>
+                {error && <Text style={styles.error}>⚠️ {error}</Text>}
+                {linked && linked.value && !error && (
+                  <View style={styles.preview}>
+                    <BarcodeSymbol value={linked.value} format={format} moduleWidth={1.5} height={50} />
+                  </View>
+                )}
+                <Text style={styles.hint}>
+                  ℹ️ Scans match even when a reader adds or drops check digits, leading zeros or * and ]C0 prefixes
+                </Text>
+              </>
+            ) : (
+              <Text style={styles.hint}>
+                ℹ️ A new {BarcodeFormats.label(format)} code is created for {user.userName} to print on an ID card
+              </Text>
+            )}
+
+            <TouchableOpacity
+              style={[styles.primaryButton, !canSave && styles.buttonDisabled]}
+              disabled={!canSave}
+              onPress={save}>
+              <Text style={styles.primaryButtonText}>
+                {mode === 'generate' ? '📊 Generate Barcode' : '🔗 Link Code'}
+              </Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+              <Text style={styles.closeButtonText}>Cancel</Text>
+            </TouchableOpacity>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  container: {
+    backgroundColor: 'white',
+    borderRadius: 20,
+    padding: 24,
+    width: '100%',
+    maxWidth: 400,
+    maxHeight: '90%',
+    elevation: 15,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#718096',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4a5568',
+    marginBottom: 4,
+  },
+  input: {
+    backgroundColor: '#f7fafc',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 14,
+    marginBottom: 10,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#718096',
+    marginBottom: 10,
+  },
+  error: {
+    fontSize: 12,
+    color: '#dc2626',
+    marginBottom: 8,
+  },
+  preview: {
+    alignItems: 'center',
+    padding: 10,
+    marginBottom: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 10,
+  },
+  chip: {
+    backgroundColor: '#f7fafc',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  chipActive: {
+    backgroundColor: '#4299e1',
+    borderColor: '#4299e1',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#2d3748',
+  },
+  chipTextActive: {
+    color: 'white',
+  },
+  primaryButton: {
+    backgroundColor: '#10b981',
+    padding: 14,
+    borderRadius: 12,
+    marginTop: 6,
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontSize: 15,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  secondaryButton: {
+    backgroundColor: '#eff6ff',
+    padding: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#93c5fd',
+  },
+  secondaryButtonText: {
+    color: '#1d4ed8',
+    fontSize: 14,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  buttonSpaced: {
+    marginBottom: 8,
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  closeButton: {
+    backgroundColor: '#3b82f6',
+    padding: 16,
+    borderRadius: 12,
+    marginTop: 16,
+  },
+  closeButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  cameraContainer: {
+    flex: 1,
+    backgroundColor: 'black',
+  },
+  camera: {
+    flex: 1,
+  },
+  cameraOverlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+  },
+  cameraTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 40,
+    textShadowColor: 'rgba(0, 0, 0, 0.75)',
+    textShadowOffset: { width: -1, height: 1 },
+    textShadowRadius: 10,
+  },
+  cameraCancelButton: {
+    backgroundColor: 'rgba(239, 68, 68, 0.9)',
+    paddingHorizontal: 32,
+    paddingVertical: 14,
+    borderRadius: 12,
+  },
+  cameraCancelText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default BarcodeSetupModal;
@@ -0,0 +1,65 @@
+/**
+ * Barcode Symbol Component
+ *
+ * Draws a user's static code in its enrolled format
+ * Linear formats (Code 128, Code 39, EAN-13) as SVG bars, QR as a QR code
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Svg, { Rect } from 'react-native-svg';
+import QRCode from 'react-native-qrcode-svg';
+
+import BarcodeFormats from '../utils/BarcodeFormats';
+
+const BarcodeSymbol = ({ value, format = BarcodeFormats.DEFAULT_FORMAT, moduleWidth = 2, height = 80, textStyle }) => {
+  if (format === 'QR') {
+    return (
+      <View style={styles.container}>
+        <QRCode value={value} size={height * 2} />
+        <Text style={[styles.text, textStyle]}>{value}</Text>
+      </View>
+    );
+  }
+
+  const bars = BarcodeFormats.bars(value, format);
+  if (!bars) {
+    return <Text style={styles.error}>⚠️ {value} cannot be drawn as {BarcodeFormats.label(format)}</Text>;
+  }
+
+  const runs = [];
+  bars.replace(/1+/g, (run, offset) => {
+    runs.push({ x: offset * moduleWidth, width: run.length * moduleWidth });
+    return run;
+  });
+
+  return (
+    <View style={styles.container}>
+      <Svg width={bars.length * moduleWidth} height={height}>
+        {runs.map(run => (
+          <Rect key={run.x} x={run.x} y={0} width={run.width} height={height} fill="#000000" />
+        ))}
+      </Svg>
+      <Text style={[styles.text, textStyle]}>{value}</Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    alignItems: 'center',
+    backgroundColor: 'white',
+  },
+  text: {
+    marginTop: 6,
+    fontSize: 14,
+    color: '#000000',
+  },
+  error: {
+    fontSize: 13,
+    color: '#dc2626',
+    textAlign: 'center',
+  },
+});
+
+export default BarcodeSymbol;
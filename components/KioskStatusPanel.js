@@ -0,0 +1,173 @@
+/**
+ * Kiosk Status Panel Component
+ *
+ * Full-screen panel for hands-free kiosk mode
+ * Shows "ready" while idle and each punch result in large type,
+ * then returns to ready on its own - nobody has to dismiss anything
+ * Exit is hidden behind a long press in the top-right corner
+ * During a multi-factor punch the ready screen asks for the next step
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  StatusBar,
+} from 'react-native';
+
+const EXIT_PRESS_MS = 3000;
+
+const STATUS_STYLES = {
+  success: { icon: '✅', color: '#059669' },
+  queued: { icon: '📱', color: '#2563eb' },
+  warning: { icon: '⚠️', color: '#d97706' },
+  error: { icon: '❌', color: '#dc2626' },
+};
+
+const KioskStatusPanel = ({ result, sources, waitingFor, onDismiss, onExitRequest, dismissAfterMs = 4000, children }) => {
+  const [clock, setClock] = useState(new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setClock(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Every new result restarts the countdown back to ready
+  useEffect(() => {
+    if (!result) return undefined;
+    const timer = setTimeout(onDismiss, dismissAfterMs);
+    return () => clearTimeout(timer);
+  }, [result]);
+
+  const status = result ? STATUS_STYLES[result.status] || STATUS_STYLES.error : null;
+
+  return (
+    <View style={[styles.container, status && { backgroundColor: status.color }]}>
+      <StatusBar hidden={true} />
+
+      {/* Admin exit: invisible, long press only */}
+      <TouchableOpacity
+        style={styles.exitZone}
+        delayLongPress={EXIT_PRESS_MS}
+        onLongPress={onExitRequest}
+        activeOpacity={1}
+      />
+
+      <Text style={styles.clock}>
+        {clock.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+      </Text>
+
+      {result ? (
+        <TouchableOpacity style={styles.body} activeOpacity={0.9} onPress={onDismiss}>
+          <Text style={styles.resultIcon}>{status.icon}</Text>
+          <Text style={styles.resultTitle}>{result.title}</Text>
+          <Text style={styles.resultMessage}>{result.message}</Text>
+        </TouchableOpacity>
+      ) : waitingFor ? (
+        <View style={styles.body}>
+          <Text style={styles.readyIcon}>🔐</Text>
+          <Text style={styles.readyTitle}>One More Step</Text>
+          <Text style={styles.readySubtitle}>{waitingFor}</Text>
+        </View>
+      ) : (
+        <View style={styles.body}>
+          <Text style={styles.readyIcon}>👋</Text>
+          <Text style={styles.readyTitle}>Ready</Text>
+          <Text style={styles.readySubtitle}>
+            {sources.nfc && sources.camera ? 'Tap your card or show your barcode' :
+             sources.nfc ? 'Tap your card on the back of the device' :
+             'Show your barcode to the camera'}
+          </Text>
+        </View>
+      )}
+
+      {/* Camera stays mounted between scans so it does not restart */}
+      {sources.camera && <View style={styles.preview}>{children}</View>}
+
+      <Text style={styles.footer}>
+        {sources.nfc ? '📡 NFC on' : '📡 NFC off'} • {sources.camera ? '📷 Camera on' : '📷 Camera off'}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#1e293b',
+    paddingTop: 40,
+    paddingBottom: 24,
+    paddingHorizontal: 24,
+  },
+  exitZone: {
+    position: 'absolute',
+    top: 0,
+    right: 0,
+    width: 80,
+    height: 80,
+    zIndex: 10,
+  },
+  clock: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: 'rgba(255, 255, 255, 0.8)',
+    textAlign: 'center',
+  },
+  body: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  resultIcon: {
+    fontSize: 96,
+    marginBottom: 16,
+  },
+  resultTitle: {
+    fontSize: 36,
+    fontWeight: 'bold',
+    color: 'white',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  resultMessage: {
+    fontSize: 20,
+    color: 'white',
+    textAlign: 'center',
+    lineHeight: 30,
+  },
+  readyIcon: {
+    fontSize: 80,
+    marginBottom: 12,
+  },
+  readyTitle: {
+    fontSize: 40,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 8,
+  },
+  readySubtitle: {
+    fontSize: 18,
+    color: '#cbd5e1',
+    textAlign: 'center',
+    marginBottom: 24,
+  },
+  preview: {
+    width: 260,
+    height: 200,
+    borderRadius: 20,
+    overflow: 'hidden',
+    borderWidth: 3,
+    borderColor: 'rgba(255, 255, 255, 0.6)',
+    alignSelf: 'center',
+    marginBottom: 16,
+  },
+  footer: {
+    fontSize: 13,
+    color: 'rgba(255, 255, 255, 0.7)',
+    textAlign: 'center',
+  },
+});
+
+export default KioskStatusPanel;
@@ -0,0 +1,403 @@
+/**
+ * User Edit Modal Component
+ *
+ * Corrects an enrolled user's name, ID or role and moves them between
+ * active, suspended and left. Shows the user's recent change log.
+ * Lost or damaged NFC cards are revoked and replaced from here.
+ * Permanent delete is only offered once a user is marked as left.
+ * The parent stores changes; this component only collects them.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Modal,
+  StyleSheet,
+  Platform,
+} from 'react-native';
+import userAuditService from '../services/UserAuditService';
+import UserLifecycle from '../utils/UserLifecycle';
+import CardLifecycle from '../utils/CardLifecycle';
+
+const STANDARD_ROLES = ['Student', 'Teacher', 'Staff'];
+
+const ACTION_LABELS = {
+  edited: '✏️ Edited',
+  status_changed: '🔁 Status',
+  card_revoked: '⛔ Card revoked',
+  card_issued: '📡 Card issued',
+  badge_issued: '🔄 Badge issued',
+  deleted: '🗑️ Deleted',
+};
+
+const describeChanges = (changes) => Object.entries(changes)
+  .map(([field, { from, to }]) => (field === 'status'
+    ? `${UserLifecycle.label(from)} → ${UserLifecycle.label(to)}`
+    : `${field}: ${from ?? '—'} → ${to ?? '—'}`))
+  .join('\n');
+
+const UserEditModal = ({ user, users, onSave, onStatusChange, onRevokeCard, onReplaceCard, onWriteCredential, onShowBadgeSetup, onDelete, onClose }) => {
+  const [form, setForm] = useState({ userId: '', userName: '', userRole: '' });
+  const [reason, setReason] = useState('');
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    if (!user) return undefined;
+    setForm({ userId: user.userId, userName: user.userName, userRole: user.userRole || '' });
+    setReason('');
+
+    const loadEntries = () => userAuditService.getEntriesFor(user).then(setEntries);
+    loadEntries();
+    return userAuditService.subscribe(loadEntries);
+  }, [user]);
+
+  if (!user) return null;
+
+  const status = UserLifecycle.statusOf(user);
+  const errors = UserLifecycle.validateEdit(form, user, users);
+  const changed = Object.keys(UserLifecycle.diff(user, {
+    userId: form.userId.trim(),
+    userName: form.userName.trim(),
+    userRole: form.userRole.trim(),
+  })).length > 0;
+  const roles = [...new Set([...STANDARD_ROLES, user.userRole].filter(Boolean))];
+
+  const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  return (
+    <Modal visible={true} transparent={true} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <ScrollView>
+            <Text style={styles.title}>✏️ Edit User</Text>
+            <Text style={styles.subtitle}>{UserLifecycle.label(status)}</Text>
+
+            {/* Profile */}
+            <Text style={styles.label}>Full Name</Text>
+            <TextInput
+              style={styles.input}
+              value={form.userName}
+              onChangeText={(value) => updateForm('userName', value)}
+            />
+
+            <Text style={styles.label}>ID</Text>
+            <TextInput
+              style={styles.input}
+              value={form.userId}
+              autoCapitalize="characters"
+              onChangeText={(value) => updateForm('userId', value)}
+            />
+            {form.userId.trim() !== user.userId && (
+              <Text style={styles.hint}>
+                ℹ️ Past punches keep the old ID {user.userId}; it is remembered on the profile
+              </Text>
+            )}
+
+            <Text style={styles.label}>Role</Text>
+            <View style={styles.chipRow}>
+              {roles.map(role => (
+                <TouchableOpacity
+                  key={role}
+                  style={[styles.chip, form.userRole === role && styles.chipActive]}
+                  onPress={() => updateForm('userRole', role)}>
+                  <Text style={[styles.chipText, form.userRole === role && styles.chipTextActive]}>{role}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {errors.map(error => (
+              <Text key={error} style={styles.error}>⚠️ {error}</Text>
+            ))}
+
+            <TouchableOpacity
+              style={[styles.primaryButton, (!changed || errors.length > 0) && styles.buttonDisabled]}
+              disabled={!changed || errors.length > 0}
+              onPress={() => onSave(form)}>
+              <Text style={styles.primaryButtonText}>💾 Save Changes</Text>
+            </TouchableOpacity>
+
+            {/* Card and status changes share one note */}
+            <Text style={styles.sectionTitle}>Card & Status</Text>
+            <TextInput
+              style={styles.input}
+              value={reason}
+              placeholder="Reason or note (recorded in the change log)"
+              onChangeText={setReason}
+            />
+
+            <Text style={styles.label}>NFC Card</Text>
+            {user.cardUid ? (
+              <>
+                <Text style={styles.cardUid}>📡 {user.cardUid}</Text>
+                <Text style={styles.hint}>
+                  {user.credentialNeedsReissue
+                    ? `⚠️ Credential names the old ID ${user.previousIds[user.previousIds.length - 1]} - rewrite it`
+                    : user.credentialIssuedAt
+                    ? `🔏 Signed credential (key v${user.credentialKeyVersion}, ${new Date(user.credentialIssuedAt).toLocaleDateString()})`
+                    : '⚠️ UID only - no signed credential on the card'}
+                </Text>
+                <View style={styles.chipRow}>
+                  {CardLifecycle.REASONS.filter(r => r !== 'replaced').map(r => (
+                    <TouchableOpacity key={r} style={styles.chip} onPress={() => onRevokeCard(r, reason)}>
+                      <Text style={styles.chipText}>{CardLifecycle.reasonLabel(r)}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </>
+            ) : (
+              <Text style={styles.hint}>
+                {user.previousCardUids && user.previousCardUids.length > 0
+                  ? `No card. Revoked: ${user.previousCardUids.join(', ')}`
+                  : 'No card assigned'}
+              </Text>
+            )}
+            {user.cardUid && (!user.credentialIssuedAt || user.credentialNeedsReissue) && (
+              <TouchableOpacity style={[styles.secondaryButton, styles.buttonSpaced]} onPress={onWriteCredential}>
+                <Text style={styles.secondaryButtonText}>
+                  {user.credentialNeedsReissue ? '🔏 Rewrite Credential' : '🔏 Write Credential'}
+                </Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={styles.secondaryButton} onPress={onReplaceCard}>
+              <Text style={styles.secondaryButtonText}>
+                {user.cardUid ? '🔁 Replace Card' : '📡 Issue Card'}
+              </Text>
+            </TouchableOpacity>
+
+            {user.badgeIssuedAt && (
+              <>
+                <Text style={[styles.label, styles.labelSpaced]}>Rotating QR Badge</Text>
+                <Text style={styles.hint}>
+                  Issued {new Date(user.badgeIssuedAt).toLocaleDateString()} - show the setup code again for a new phone
+                </Text>
+                <TouchableOpacity style={styles.secondaryButton} onPress={onShowBadgeSetup}>
+                  <Text style={styles.secondaryButtonText}>🔄 Show Badge Setup QR</Text>
+                </TouchableOpacity>
+              </>
+            )}
+
+            <Text style={[styles.label, styles.labelSpaced]}>Status</Text>
+            <View style={styles.chipRow}>
+              {UserLifecycle.STATUSES.map(option => (
+                <TouchableOpacity
+                  key={option}
+                  style={[styles.chip, status === option && styles.chipActive]}
+                  disabled={status === option}
+                  onPress={() => onStatusChange(option, reason)}>
+                  <Text style={[styles.chipText, status === option && styles.chipTextActive]}>
+                    {UserLifecycle.label(option)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <Text style={styles.hint}>
+              Suspended and left users keep their card and history but cannot punch.
+            </Text>
+
+            {status === 'left' && (
+              <TouchableOpacity style={styles.deleteButton} onPress={onDelete}>
+                <Text style={styles.deleteButtonText}>🗑️ Delete Permanently</Text>
+              </TouchableOpacity>
+            )}
+
+            {/* Change log */}
+            <Text style={styles.sectionTitle}>Change Log</Text>
+            {entries.length === 0 ? (
+              <Text style={styles.hint}>No changes recorded yet</Text>
+            ) : (
+              entries.slice(0, 10).map(entry => (
+                <View key={entry.id} style={styles.entry}>
+                  <Text style={styles.entryTitle}>
+                    {ACTION_LABELS[entry.action] || entry.action} · {new Date(entry.timestamp).toLocaleString()}
+                  </Text>
+                  <Text style={styles.entryText}>{describeChanges(entry.changes)}</Text>
+                  {entry.reason && <Text style={styles.entryText}>💬 {entry.reason}</Text>}
+                </View>
+              ))
+            )}
+          </ScrollView>
+
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <Text style={styles.closeButtonText}>Close</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  container: {
+    backgroundColor: 'white',
+    borderRadius: 20,
+    padding: 24,
+    width: '100%',
+    maxWidth: 400,
+    maxHeight: '90%',
+    elevation: 15,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#718096',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2d3748',
+    marginTop: 20,
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4a5568',
+    marginBottom: 4,
+  },
+  labelSpaced: {
+    marginTop: 16,
+  },
+  input: {
+    backgroundColor: '#f7fafc',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 14,
+    marginBottom: 10,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#718096',
+    marginBottom: 10,
+  },
+  error: {
+    fontSize: 12,
+    color: '#dc2626',
+    marginBottom: 4,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 10,
+  },
+  chip: {
+    backgroundColor: '#f7fafc',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  chipActive: {
+    backgroundColor: '#4299e1',
+    borderColor: '#4299e1',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#2d3748',
+  },
+  chipTextActive: {
+    color: 'white',
+  },
+  primaryButton: {
+    backgroundColor: '#10b981',
+    padding: 14,
+    borderRadius: 12,
+    marginTop: 6,
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontSize: 15,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  secondaryButton: {
+    backgroundColor: '#eff6ff',
+    padding: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#93c5fd',
+  },
+  secondaryButtonText: {
+    color: '#1d4ed8',
+    fontSize: 14,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  buttonSpaced: {
+    marginBottom: 8,
+  },
+  cardUid: {
+    fontSize: 14,
+    color: '#2d3748',
+    fontFamily: Platform.OS === 'ios' ? 'Courier' : 'monospace',
+    marginBottom: 8,
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  deleteButton: {
+    backgroundColor: '#fee2e2',
+    padding: 14,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#fca5a5',
+  },
+  deleteButtonText: {
+    color: '#b91c1c',
+    fontSize: 15,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  entry: {
+    backgroundColor: '#f7fafc',
+    padding: 10,
+    borderRadius: 8,
+    marginBottom: 6,
+  },
+  entryTitle: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#2d3748',
+  },
+  entryText: {
+    fontSize: 12,
+    color: '#4a5568',
+    marginTop: 2,
+  },
+  closeButton: {
+    backgroundColor: '#3b82f6',
+    padding: 16,
+    borderRadius: 12,
+    marginTop: 16,
+  },
+  closeButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+});
+
+export default UserEditModal;
@@ -2,6 +2,8 @@
  * @format
  */
 
+// Must load before anything that needs crypto.getRandomValues
+import 'react-native-get-random-values';
 import {AppRegistry} from 'react-native';
 import App from './App';
 import {name as appName} from './app.json';
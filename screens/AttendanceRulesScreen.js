@@ -0,0 +1,329 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+} from 'react-native';
+
+import settingsService from '../services/SettingsService';
+import analyticsService from '../services/AnalyticsService';
+import ToastService from '../services/ToastService';
+import HapticFeedback from '../utils/HapticFeedback';
+
+const AUTO_CLOSE_OPTIONS = [
+  { mode: 'max_shift', label: '⏱️ Max Shift', hint: 'Close a forgotten check-out at check-in + maximum shift' },
+  { mode: 'day_end', label: '🌙 Day End', hint: 'Close a forgotten check-out at the end of that work day' },
+  { mode: 'none', label: '✋ Leave Open', hint: 'Do not invent a check-out; the next punch is flagged as missed' },
+];
+
+const AttendanceRulesScreen = ({ navigateTo }) => {
+  const [punchRules, setPunchRules] = useState(settingsService.get('punch'));
+  const [punchForm, setPunchForm] = useState({
+    dayStartHour: String(punchRules.dayStartHour),
+    maxShiftHours: String(punchRules.maxShiftHours),
+  });
+
+  const [cooldownSeconds, setCooldownSeconds] = useState(String(settingsService.get('cooldown').seconds));
+
+  useEffect(() => {
+    analyticsService.trackScreenView('AttendanceRulesScreen');
+  }, []);
+
+  const savePunchRules = async (changes) => {
+    try {
+      const saved = await settingsService.update('punch', changes);
+      setPunchRules(saved);
+      HapticFeedback.success();
+      await analyticsService.trackEvent('settings', 'update_punch_rules', saved.autoCloseMode);
+      return true;
+    } catch (error) {
+      HapticFeedback.error();
+      Alert.alert('⚠️ Invalid Rules', error.message);
+      return false;
+    }
+  };
+
+  const saveShiftLimits = async () => {
+    const saved = await savePunchRules({
+      dayStartHour: Number(punchForm.dayStartHour),
+      maxShiftHours: Number(punchForm.maxShiftHours),
+    });
+    if (saved) {
+      ToastService.success('Check-in / check-out rules saved');
+    }
+  };
+
+  const saveCooldown = async () => {
+    try {
+      const saved = await settingsService.update('cooldown', { seconds: Number(cooldownSeconds) });
+      setCooldownSeconds(String(saved.seconds));
+      HapticFeedback.success();
+      await analyticsService.trackEvent('settings', 'update_cooldown', null, saved.seconds);
+      ToastService.success(saved.seconds > 0 ? `Duplicate punches ignored for ${saved.seconds}s` : 'Duplicate-punch cooldown turned off');
+    } catch (error) {
+      HapticFeedback.error();
+      Alert.alert('⚠️ Invalid Cooldown', error.message);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Modern Header */}
+      <View style={styles.modernHeader}>
+        <Text style={styles.headerEmoji}>⚙️</Text>
+        <Text style={styles.headerTitle}>Attendance Rules</Text>
+        <Text style={styles.headerSubtitle}>How punches are interpreted</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+
+      {/* Check-in / Check-out */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>🔁 Check-In / Check-Out</Text>
+        <Text style={styles.hintText}>
+          A user's first punch of the work day is a check-in, the next a check-out, and so on.
+        </Text>
+
+        <View style={styles.formRow}>
+          <View style={styles.formColumn}>
+            <Text style={styles.label}>Work day starts at (hour)</Text>
+            <TextInput
+              style={styles.input}
+              value={punchForm.dayStartHour}
+              onChangeText={(text) => setPunchForm({ ...punchForm, dayStartHour: text })}
+              keyboardType="numeric"
+            />
+          </View>
+          <View style={styles.formColumn}>
+            <Text style={styles.label}>Maximum shift (hours)</Text>
+            <TextInput
+              style={styles.input}
+              value={punchForm.maxShiftHours}
+              onChangeText={(text) => setPunchForm({ ...punchForm, maxShiftHours: text })}
+              keyboardType="numeric"
+            />
+          </View>
+        </View>
+        <TouchableOpacity style={[styles.smallButton, styles.primaryButton]} onPress={saveShiftLimits}>
+          <Text style={styles.smallButtonText}>💾 Save</Text>
+        </TouchableOpacity>
+
+        <Text style={[styles.label, styles.sectionLabel]}>Forgotten check-out:</Text>
+        <View style={styles.segmentRow}>
+          {AUTO_CLOSE_OPTIONS.map(option => (
+            <TouchableOpacity
+              key={option.mode}
+              style={[styles.segment, punchRules.autoCloseMode === option.mode && styles.segmentActive]}
+              onPress={() => savePunchRules({ autoCloseMode: option.mode })}>
+              <Text style={[styles.segmentText, punchRules.autoCloseMode === option.mode && styles.segmentTextActive]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <Text style={styles.hintText}>
+          {AUTO_CLOSE_OPTIONS.find(o => o.mode === punchRules.autoCloseMode).hint}.
+        </Text>
+      </View>
+
+      {/* Duplicate-punch cooldown */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>⏳ Duplicate-Punch Cooldown</Text>
+        <Text style={styles.hintText}>
+          A user who scans again within this window is told their punch is already recorded, instead of being checked out. Use 0 to turn it off.
+        </Text>
+
+        <Text style={styles.label}>Cooldown (seconds)</Text>
+        <TextInput
+          style={styles.input}
+          value={cooldownSeconds}
+          onChangeText={setCooldownSeconds}
+          keyboardType="numeric"
+        />
+        <TouchableOpacity style={[styles.smallButton, styles.primaryButton]} onPress={saveCooldown}>
+          <Text style={styles.smallButtonText}>💾 Save</Text>
+        </TouchableOpacity>
+      </View>
+
+      <TouchableOpacity style={styles.backButton} onPress={() => navigateTo('home')}>
+        <Text style={styles.backButtonText}>‹ Back to Dashboard</Text>
+      </TouchableOpacity>
+
+      {/* Info */}
+      <View style={styles.infoCard}>
+        <Text style={styles.infoTitle}>ℹ️ About Forgotten Check-Outs</Text>
+        <Text style={styles.infoText}>
+          A check-in counts as forgotten once it is older than the maximum shift. A shift that runs past the work day start (e.g. 22:00 - 06:00) still closes normally.{'\n'}
+          {'\n'}
+          Auto-closed check-outs are sent to the server marked auto_closed so they can be reviewed.{'\n'}
+          {'\n'}
+          Suppressed duplicate punches are listed under Diagnostics.
+        </Text>
+      </View>
+
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  modernHeader: {
+    backgroundColor: '#1e293b',
+    paddingTop: 40,
+    paddingBottom: 30,
+    paddingHorizontal: 20,
+    borderBottomLeftRadius: 30,
+    borderBottomRightRadius: 30,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.3,
+    shadowRadius: 12,
+    elevation: 10,
+    alignItems: 'center',
+  },
+  headerEmoji: {
+    fontSize: 48,
+    marginBottom: 8,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 4,
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#cbd5e1',
+    opacity: 0.9,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 30,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 20,
+    padding: 20,
+    marginTop: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.08,
+    shadowRadius: 8,
+    elevation: 6,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    marginBottom: 16,
+    borderBottomWidth: 3,
+    borderBottomColor: '#3b82f6',
+    paddingBottom: 10,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4a5568',
+    marginBottom: 6,
+  },
+  sectionLabel: {
+    marginTop: 16,
+  },
+  input: {
+    backgroundColor: '#f7fafc',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  formRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  formColumn: {
+    flex: 1,
+  },
+  segmentRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 8,
+  },
+  segment: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: '#e2e8f0',
+    alignItems: 'center',
+  },
+  segmentActive: {
+    backgroundColor: '#3b82f6',
+  },
+  segmentText: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#334155',
+  },
+  segmentTextActive: {
+    color: 'white',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#64748b',
+    marginBottom: 12,
+  },
+  smallButton: {
+    alignSelf: 'flex-start',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  smallButtonText: {
+    color: 'white',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  primaryButton: {
+    backgroundColor: '#3b82f6',
+  },
+  backButton: {
+    padding: 14,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  backButtonText: {
+    color: '#3b82f6',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  infoCard: {
+    backgroundColor: '#ebf8ff',
+    borderRadius: 10,
+    padding: 16,
+    marginTop: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: '#4299e1',
+  },
+  infoTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#2c5282',
+    marginBottom: 8,
+  },
+  infoText: {
+    fontSize: 13,
+    color: '#2c5282',
+    lineHeight: 20,
+  },
+});
+
+export default AttendanceRulesScreen;
@@ -1,4 +1,4 @@
-import React, {useState, useEffect} from 'react';
+import React, {useState, useEffect, useRef} from 'react';
 import {
   StyleSheet,
   Text,
@@ -15,23 +15,126 @@ import {
 import ReactNativeBiometrics from 'react-native-biometrics';
 import NfcManager, { NfcTech, Ndef } from 'react-native-nfc-manager';
 import RNFS from 'react-native-fs';
+import { Camera, useCameraDevice, useCameraPermission, useCodeScanner } from 'react-native-vision-camera';
 
 // Import new services
-import offlineSyncManager from '../services/OfflineSyncManager';
+import locationService from '../services/LocationService';
+import geofenceService from '../services/GeofenceService';
+import punchStateService from '../services/PunchStateService';
+import biometricVerificationService from '../services/BiometricVerificationService';
+import authPolicyService from '../services/AuthPolicyService';
+import attendanceService from '../services/AttendanceService';
+import cardSecurityService from '../services/CardSecurityService';
+import cardKeyService from '../services/CardKeyService';
+import adminPinService from '../services/AdminPinService';
+import badgeService from '../services/BadgeService';
 import analyticsService from '../services/AnalyticsService';
 import ToastService from '../services/ToastService';
 import HapticFeedback from '../utils/HapticFeedback';
+import Geofence from '../utils/Geofence';
+import PunchStateMachine from '../utils/PunchStateMachine';
+import ShiftSchedule from '../utils/ShiftSchedule';
+import AuthPolicy from '../utils/AuthPolicy';
+import UserLifecycle from '../utils/UserLifecycle';
+import CardCredential from '../utils/CardCredential';
+import BadgeCode from '../utils/BadgeCode';
+import BarcodeFormats from '../utils/BarcodeFormats';
+import KioskStatusPanel from '../components/KioskStatusPanel';
+
+// Kiosk mode timings
+const KIOSK_RESULT_MS = 4000; // How long a result stays on the status panel
+const KIOSK_RESCAN_DELAY_MS = 1500; // Pause before listening again after a punch
+const KIOSK_SAME_CODE_MS = 8000; // A badge left on the reader is read once
+const KIOSK_NFC_RETRY_MS = 3000;
+
+// Time allowed to present the remaining factors of a multi-factor punch
+const MFA_TIMEOUT_MS = 60 * 1000;
+
+// Why a fingerprint punch was refused (biometricVerificationService.verifyUser reasons)
+const FINGERPRINT_FAILURES = {
+  not_enrolled: (user) => `${user.userName} has no fingerprint key on record.\n\nPlease enroll the fingerprint again.`,
+  key_changed: (user) =>
+    `${user.userName}'s fingerprint was enrolled with a key this kiosk no longer has (after an app update, or on another device).\n\n` +
+    'Please enroll the fingerprint again on the Enroll screen.',
+  signature_mismatch: () => 'The fingerprint signature could not be verified.\n\nPlease try again.',
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * "04:A2:..." card UID from an NFC tag
+ */
+const toCardUid = (tag) => {
+  if (!tag || !tag.id) {
+    return '';
+  }
+  return Array.from(tag.id)
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join(':')
+    .toUpperCase();
+};
+
+/**
+ * Text of the tag's first NDEF record ('' when it has none)
+ */
+const toNdefText = (tag) => {
+  if (!tag || !tag.ndefMessage || tag.ndefMessage.length === 0) {
+    return '';
+  }
+  try {
+    return Ndef.text.decodePayload(tag.ndefMessage[0].payload);
+  } catch (error) {
+    return '';
+  }
+};
 
-const AttendanceScreen = ({ systemData, updateSystemData, logError }) => {
+const AttendanceScreen = ({ systemData, logError }) => {
   const [scanning, setScanning] = useState(false);
   const [selectedUser, setSelectedUser] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [showUserSelection, setShowUserSelection] = useState(false);
   const [showBarcodeScanner, setShowBarcodeScanner] = useState(false);
+  const [kioskMode, setKioskMode] = useState(false);
+  const [kioskSources, setKioskSources] = useState({ nfc: false, camera: false });
+  const [kioskResult, setKioskResult] = useState(null);
+  const [pendingAuth, setPendingAuth] = useState(null);
+  const [showExitPin, setShowExitPin] = useState(false);
+  const [exitPin, setExitPin] = useState('');
+
+  const { hasPermission, requestPermission } = useCameraPermission();
+  const device = useCameraDevice('back');
+  // Kiosks face the queue, so badges are shown to the front camera when there is one
+  const kioskDevice = useCameraDevice('front') || device;
+
+  // The kiosk NFC loop outlives renders, so it reads state through refs
+  const kioskActive = useRef(false);
+  const kioskSession = useRef(0);
+  const kioskBusy = useRef(false);
+  const lastKioskScan = useRef({ value: null, at: 0 });
+  const kioskScanHandler = useRef(null);
+  const attendanceResultHandler = useRef(null);
+  // Multi-factor punch in progress: { user, rule, factors, remaining, expiresAt }
+  const pendingAuthRef = useRef(null);
 
   useEffect(() => {
     // Track screen view
     analyticsService.trackScreenView('AttendanceScreen');
+
+    // Punch results, whichever entry point recorded them
+    const unsubscribe = attendanceService.subscribe((event) => {
+      if (event.recorded) {
+        attendanceResultHandler.current(event.recorded);
+      }
+    });
+
+    return () => {
+      unsubscribe();
+      pendingAuthRef.current = null;
+      if (kioskActive.current) {
+        kioskActive.current = false;
+        NfcManager.cancelTechnologyRequest().catch(() => {});
+      }
+    };
   }, []);
 
   const markAttendanceWithFingerprint = async () => {
@@ -62,34 +165,45 @@ const AttendanceScreen = ({ systemData, updateSystemData, logError }) => {
     setShowUserSelection(false);
     setSelectedUser(user);
 
-    const rnBiometrics = new ReactNativeBiometrics({ allowDeviceCredentials: true });
+    // Biometric only - a PIN must not stand in for the fingerprint
+    const rnBiometrics = new ReactNativeBiometrics({ allowDeviceCredentials: false });
 
     try {
       const { available } = await rnBiometrics.isSensorAvailable();
 
       if (!available) {
-        Alert.alert('❌ Not Available', 'Fingerprint sensor is not available');
+        showResult('error', '❌ Not Available', 'Fingerprint sensor is not available');
         return;
       }
 
       setScanning(true);
       
       try {
-        const { success } = await rnBiometrics.createSignature({
-          promptMessage: `✅ VERIFY FINGERPRINT\n\nPlace finger to confirm:\n${user.userName} (${user.userId})`,
-          payload: user.userId + '_' + Date.now(),
-          cancelButtonText: 'Cancel'
-        });
+        // Sign a one-time challenge and check it against the key from enrollment
+        const result = await biometricVerificationService.verifyUser(
+          user,
+          `✅ VERIFY FINGERPRINT\n\nPlace finger to confirm:\n${user.userName} (${user.userId})`
+        );
 
-        if (success) {
-          // Fingerprint confirmed! Record attendance
-          recordAttendance(user, 'fingerprint');
+        if (result.verified) {
+          // Fingerprint confirmed! Record attendance with the proof for the server
+          await submitFactor(user, 'fingerprint', {
+            fingerprintVerified: true,
+            fingerprintChallenge: result.challenge,
+            fingerprintSignature: result.signature,
+            fingerprintPublicKey: result.publicKey,
+          });
+        } else if (result.reason === 'cancelled') {
+          showResult('error', '❌ Failed', 'Fingerprint authentication failed');
         } else {
-          Alert.alert('❌ Failed', 'Fingerprint authentication failed');
+          HapticFeedback.error();
+          logError('FINGERPRINT', 'Signature verification failed', { userId: user.userId, reason: result.reason });
+          await analyticsService.trackEvent('fingerprint', 'verify_failed', result.reason);
+          showResult('error', '❌ Not Verified', FINGERPRINT_FAILURES[result.reason](user));
         }
       } catch (error) {
         logError('FINGERPRINT', 'Attendance scan failed', { error: error.message });
-        Alert.alert('❌ Error', error.message);
+        showResult('error', '❌ Error', error.message);
       } finally {
         setScanning(false);
         setSelectedUser(null);
@@ -129,27 +243,25 @@ const AttendanceScreen = ({ systemData, updateSystemData, logError }) => {
                 await NfcManager.requestTechnology(NfcTech.Ndef);
                 const tag = await NfcManager.getTag();
 
-                let cardUid = '';
-                if (tag && tag.id) {
-                  cardUid = Array.from(tag.id)
-                    .map(byte => byte.toString(16).padStart(2, '0'))
-                    .join(':')
-                    .toUpperCase();
-                }
+                const cardUid = toCardUid(tag);
+                const ndefText = toNdefText(tag);
 
                 await NfcManager.cancelTechnologyRequest();
                 const scanDuration = Date.now() - scanStart;
 
-                // Find user by card UID
-                const user = systemData.enrolledUsers.find(u => u.cardUid === cardUid && u.hasNFC);
+                if (cardSecurityService.isBlocked(cardUid)) {
+                  await refuseRevokedCard(cardUid, 'nfc');
+                  return;
+                }
 
-                if (user) {
-                  recordAttendance(user, 'nfc', { cardUid, scanDuration });
-                } else {
-                  Alert.alert(
-                    '❌ Card Not Recognized',
-                    `Card UID: ${cardUid}\n\nThis card is not assigned to any user. Please enroll first.`
-                  );
+                const identity = await identifyCard(cardUid, ndefText);
+                if (identity) {
+                  try {
+                    await submitFactor(identity.user, 'nfc', cardEvidence(identity, cardUid, scanDuration));
+                  } catch (error) {
+                    logError('NFC', 'Attendance scan failed', { error: error.message });
+                    showResult('error', '❌ Error', error.message);
+                  }
                 }
 
               } catch (scanError) {
@@ -199,210 +311,670 @@ const AttendanceScreen = ({ systemData, updateSystemData, logError }) => {
   const onBarcodeScanned = async (codes) => {
     if (codes.length === 0 || scanning) return;
 
-    const scannedCode = codes[0].value;
+    const { value: scannedCode, type: codeType } = codes[0];
     setScanning(true);
     setShowBarcodeScanner(false);
 
-    const scanStartTime = Date.now();
+    try {
+      const scanStartTime = Date.now();
+      const identity = await identifyBarcode(scannedCode, codeType);
+      const scanDuration = Date.now() - scanStartTime;
+
+      if (identity) {
+        try {
+          await submitFactor(identity.user, 'barcode', { ...identity.evidence, scanDuration });
+        } catch (error) {
+          logError('BARCODE', 'Attendance scan failed', { error: error.message });
+          showResult('error', '❌ Error', error.message);
+        }
+      }
+    } catch (error) {
+      logError('BARCODE', 'Barcode scan failed', { error: error.message });
+      Alert.alert('❌ Scan Failed', error.message);
+    } finally {
+      setScanning(false);
+    }
+  };
 
-    // Find user with this barcode
-    const user = systemData.enrolledUsers.find(u => u.barcodeId === scannedCode);
+  const codeScanner = useCodeScanner({
+    codeTypes: BarcodeFormats.SCANNER_CODE_TYPES,
+    onCodeScanned: (codes) => {
+      if (kioskActive.current) {
+        if (codes.length > 0) {
+          processKioskScan('barcode', codes[0].value, 0, '', codes[0].type);
+        }
+        return;
+      }
+      onBarcodeScanned(codes);
+    },
+  });
 
-    const scanDuration = Date.now() - scanStartTime;
+  // ==================== KIOSK MODE ====================
 
-    if (user) {
-      recordAttendance(user, 'barcode', { barcodeId: scannedCode, scanDuration });
-    } else {
-      Alert.alert(
-        '❌ Barcode Not Recognized',
-        `Scanned: ${scannedCode}\n\nThis barcode is not assigned to any user. Please enroll first.`
+  /**
+   * Show a punch outcome - an alert normally, the status panel in kiosk mode
+   * @param {string} status - 'success' | 'queued' | 'warning' | 'error'
+   */
+  const showResult = (status, title, message) => {
+    if (kioskActive.current) {
+      setKioskResult({ status, title, message });
+      return;
+    }
+    Alert.alert(title, message, [{ text: 'OK', style: 'default' }]);
+  };
+
+  /**
+   * A revoked card is a security incident, never a punch
+   */
+  const refuseRevokedCard = async (cardUid, source) => {
+    const incident = await cardSecurityService.reportTap(cardUid, source);
+    HapticFeedback.error();
+    logError('SECURITY', 'Revoked card used', {
+      cardUid,
+      userId: incident.userId,
+      reason: incident.reason,
+    });
+    showResult(
+      'error',
+      '⛔ CARD REVOKED',
+      `This card was reported ${incident.reason} on ${new Date(incident.revokedAt).toLocaleDateString()}.\n\n` +
+      `It cannot be used for attendance. This attempt has been reported.\n` +
+      `Please see an administrator.`
+    );
+  };
+
+  /**
+   * Find a card's owner: its signed credential when it has one, else its UID
+   * @returns {Object|null} CardCredential.identify() result, null after showing why not
+   */
+  const identifyCard = async (cardUid, ndefText) => {
+    const identity = CardCredential.identify(
+      systemData.enrolledUsers,
+      { cardUid, text: ndefText },
+      cardKeyService.getKeys()
+    );
+    if (identity.user) {
+      return identity;
+    }
+
+    HapticFeedback.error();
+    await analyticsService.trackEvent('nfc', 'card_rejected', identity.reason);
+    if (identity.reason === 'not_enrolled') {
+      showResult(
+        'error',
+        '❌ Card Not Recognized',
+        `Card UID: ${cardUid}\n\nThis card is not assigned to anyone.\nPlease see an administrator.`
       );
+      return null;
     }
 
-    setScanning(false);
+    logError('NFC', 'Card credential rejected', { cardUid, reason: identity.reason, userId: identity.userId });
+    showResult('error', '⛔ Card Not Accepted', `${CardCredential.describeFailure(identity)}.\n\nPlease see an administrator.`);
+    return null;
   };
 
-  const codeScanner = useCodeScanner({
-    codeTypes: ['code-128', 'code-39', 'code-93', 'ean-13', 'ean-8', 'upc-a', 'upc-e'],
-    onCodeScanned: onBarcodeScanned,
+  const cardEvidence = (identity, cardUid, scanDuration) => ({
+    cardUid,
+    scanDuration,
+    cardMatch: identity.match,
+    ...(identity.credential && {
+      credentialKeyVersion: identity.credential.keyVersion,
+      credentialIssuedAt: identity.credential.issuedAt,
+    }),
   });
 
-  // ==================== FACE RECOGNITION ATTENDANCE ====================
+  /**
+   * Find a barcode's owner: a rotating QR badge is checked against the
+   * user's secret and accepted once; anything else is a static barcode
+   * @param {string} codeType - the camera's code type, e.g. 'ean-13'
+   * @returns {Object|null} { user, evidence }, null after showing why not
+   */
+  const identifyBarcode = async (value, codeType = null) => {
+    if (BadgeCode.isLive(value)) {
+      const result = await badgeService.verifyScan(systemData.enrolledUsers, value);
+      if (result.user) {
+        return { user: result.user, evidence: { barcodeId: null, badgeCode: 'rotating', badgeDrift: result.drift } };
+      }
 
+      HapticFeedback.error();
+      if (result.reason === 'expired' || result.reason === 'replayed') {
+        logError('BADGE', 'Rotating badge refused', { userId: result.userId, reason: result.reason });
+      }
+      showResult('error', '⛔ Badge Not Accepted', `${BadgeCode.describeFailure(result)}.`);
+      return null;
+    }
 
+    // Matches across formats: check digits, padding and scanner prefixes are ignored
+    const match = BarcodeFormats.findUser(systemData.enrolledUsers, value, BarcodeFormats.scanFormat(codeType));
+    if (match) {
+      const { user, exact } = match;
+      return {
+        user,
+        evidence: {
+          barcodeId: user.barcodeId,
+          barcodeFormat: user.barcodeFormat || BarcodeFormats.DEFAULT_FORMAT,
+          ...(exact ? {} : { scannedCode: value }),
+        },
+      };
+    }
 
+    HapticFeedback.error();
+    showResult(
+      'error',
+      '❌ Barcode Not Recognized',
+      `Scanned: ${value}\n\nThis badge is not assigned to anyone.\nPlease see an administrator.`
+    );
+    if (kioskActive.current) {
+      await analyticsService.trackEvent('kiosk', 'unknown_credential', 'barcode');
+    }
+    return null;
+  };
 
-  const recordAttendance = async (user, method, extraData = {}) => {
-    const startTime = Date.now();
-    
-    const attendanceRecord = {
-      id: Date.now(),
-      userId: user.userId,
-      userName: user.userName,
-      userRole: user.userRole,
-      method: method,
-      timestamp: new Date().toISOString(),
-      ...extraData,
-    };
+  const handleKioskScan = async (method, value, scanDuration, ndefText, codeType) => {
+    if (method === 'nfc') {
+      if (cardSecurityService.isBlocked(value)) {
+        await refuseRevokedCard(value, 'kiosk');
+        return;
+      }
+
+      const identity = await identifyCard(value, ndefText);
+      if (identity) {
+        await submitFactor(identity.user, 'nfc', cardEvidence(identity, value, scanDuration));
+      }
+      return;
+    }
+
+    const identity = await identifyBarcode(value, codeType);
+    if (identity) {
+      await submitFactor(identity.user, method, { ...identity.evidence, scanDuration });
+    }
+  };
+
+  // Refreshed every render so the long-running loop sees current users and history
+  kioskScanHandler.current = handleKioskScan;
 
+  /**
+   * Handle one kiosk read - one at a time, and a badge left in place is read once
+   */
+  const processKioskScan = async (method, value, scanDuration = 0, ndefText = '', codeType = null) => {
+    const now = Date.now();
+    if (kioskBusy.current || !value) return;
+    if (lastKioskScan.current.value === value && now - lastKioskScan.current.at < KIOSK_SAME_CODE_MS) return;
+
+    kioskBusy.current = true;
+    lastKioskScan.current = { value, at: now };
     try {
-      // Check if online
-      const isOnline = offlineSyncManager.checkOnlineStatus();
-
-      if (!isOnline) {
-        // OFFLINE MODE: Queue for later sync
-        await offlineSyncManager.addToQueue({
-          type: 'attendance',
-          data: {
-            uid: user.userId,
-            device_id: 'NOTHING_PHONE_2',
-            timestamp: new Date().toISOString(),
-            type: method,
-            user_name: user.userName,
-            user_role: user.userRole,
-            location: { latitude: 0, longitude: 0 },
-            device_model: 'Nothing Phone 2',
-            ...extraData,
-          },
-          url: 'https://darkviolet-dotterel-146840.hostingersite.com/attendance/api/sync.php',
-          method: 'POST',
+      await kioskScanHandler.current(method, value, scanDuration, ndefText, codeType);
+    } catch (error) {
+      logError('KIOSK', 'Kiosk punch failed', { method, error: error.message });
+      showResult('error', 'Something Went Wrong', 'Please try again.');
+    } finally {
+      await wait(KIOSK_RESCAN_DELAY_MS);
+      kioskBusy.current = false;
+    }
+  };
+
+  /**
+   * Keep an NFC read armed for as long as kiosk mode is on
+   */
+  const runKioskNfcLoop = async () => {
+    // A loop left over from an earlier session stops instead of reading alongside this one
+    const session = ++kioskSession.current;
+    while (kioskActive.current && kioskSession.current === session) {
+      try {
+        await NfcManager.requestTechnology(NfcTech.Ndef);
+        const scanStart = Date.now();
+        const tag = await NfcManager.getTag();
+        await NfcManager.cancelTechnologyRequest();
+
+        if (kioskActive.current) {
+          await processKioskScan('nfc', toCardUid(tag), Date.now() - scanStart, toNdefText(tag));
+        }
+      } catch (error) {
+        await NfcManager.cancelTechnologyRequest().catch(() => {});
+        // Exiting cancels the pending read, which lands here
+        if (!kioskActive.current) break;
+        logError('KIOSK', 'NFC read failed', { error: error.message });
+        await wait(KIOSK_NFC_RETRY_MS);
+      }
+    }
+  };
+
+  const startKioskMode = async () => {
+    if (systemData.enrolledUsers.length === 0) {
+      Alert.alert('⚠️ No Users', 'Please enroll users first before starting kiosk mode');
+      return;
+    }
+
+    const nfc = await NfcManager.isEnabled().catch(() => false);
+    const camera = !!kioskDevice && (hasPermission || await requestPermission());
+
+    if (!nfc && !camera) {
+      Alert.alert(
+        '⚠️ Nothing to Scan With',
+        'Kiosk mode needs NFC turned on or camera permission for barcodes.',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Open Settings', onPress: () => Linking.openSettings() }
+        ]
+      );
+      return;
+    }
+
+    // Without a screen lock, fingerprint or exit PIN nobody could leave kiosk mode
+    if (!adminPinService.isSet() && !await canAuthenticateOwner()) {
+      Alert.alert(
+        '🔒 No Way to Exit',
+        'Leaving kiosk mode needs this device\'s screen lock or fingerprint, or a kiosk exit PIN.\n\n' +
+        'Set a screen lock in the device settings, or a PIN on the Card Security screen.'
+      );
+      return;
+    }
+
+    HapticFeedback.success();
+    kioskActive.current = true;
+    lastKioskScan.current = { value: null, at: 0 };
+    setKioskSources({ nfc, camera });
+    setKioskResult(null);
+    setKioskMode(true);
+    await analyticsService.trackEvent('kiosk', 'start', [nfc && 'nfc', camera && 'camera'].filter(Boolean).join('+'));
+
+    if (nfc) {
+      runKioskNfcLoop();
+    }
+  };
+
+  const exitKioskMode = async () => {
+    kioskActive.current = false;
+    setKioskMode(false);
+    setKioskResult(null);
+    await NfcManager.cancelTechnologyRequest().catch(() => {});
+    await analyticsService.trackEvent('kiosk', 'exit', 'admin');
+    ToastService.info('Kiosk mode ended');
+  };
+
+  // Device owner's biometrics or screen lock (PIN, pattern, password)
+  const ownerBiometrics = new ReactNativeBiometrics({ allowDeviceCredentials: true });
+
+  const canAuthenticateOwner = async () => {
+    try {
+      const { available } = await ownerBiometrics.isSensorAvailable();
+      return available;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  /**
+   * Admin gesture: long press in the corner, then confirm with the device owner's
+   * biometrics or screen lock - or the kiosk exit PIN on a device with neither
+   */
+  const requestKioskExit = async () => {
+    HapticFeedback.heavy();
+
+    if (await canAuthenticateOwner()) {
+      try {
+        const { success } = await ownerBiometrics.simplePrompt({
+          promptMessage: 'Exit kiosk mode',
+          cancelButtonText: 'Stay in kiosk mode',
         });
+        if (success) {
+          await exitKioskMode();
+        }
+        return;
+      } catch (error) {
+        logError('KIOSK', 'Kiosk exit prompt failed', { error: error.message });
+      }
+    }
 
-        // Save to local history
-        const updatedHistory = [
-          { ...attendanceRecord, syncStatus: 'queued' },
-          ...systemData.attendanceHistory
-        ].slice(0, 50);
-        await updateSystemData('attendanceHistory', updatedHistory);
+    if (adminPinService.isSet()) {
+      setExitPin('');
+      setShowExitPin(true);
+      return;
+    }
 
-        // User feedback
-        HapticFeedback.success();
-        ToastService.info(`📱 Queued offline - will sync when online`);
+    // Never leave unchecked
+    HapticFeedback.error();
+    await analyticsService.trackEvent('kiosk', 'exit_refused', 'no_authentication');
+    Alert.alert(
+      '🔒 Cannot Exit',
+      'This device has no screen lock or fingerprint and no kiosk exit PIN is set, so kiosk mode cannot be left here.'
+    );
+  };
 
-        Alert.alert(
-          '📱 QUEUED FOR SYNC',
-          `${method === 'fingerprint' ? '👆 FINGERPRINT VERIFIED' : 
-             method === 'nfc' ? '📡 RFID CARD SCANNED' : 
-             method === 'barcode' ? '📊 BARCODE SCANNED' : 
-             '👤 FACE RECOGNIZED'}\n\n` +
-          `👤 ${user.userName}\n` +
-          `🆔 ${user.userId}\n` +
-          `📋 ${user.userRole}\n` +
-          `🕐 ${new Date().toLocaleTimeString()}\n` +
-          `\n📱 You're offline. Attendance queued for sync.`,
-          [{ text: 'OK', style: 'default' }]
-        );
+  const submitExitPin = async () => {
+    const result = await adminPinService.verify(exitPin);
+    setExitPin('');
+
+    if (result.valid) {
+      setShowExitPin(false);
+      await exitKioskMode();
+      return;
+    }
+
+    HapticFeedback.error();
+    await analyticsService.trackEvent('kiosk', 'exit_refused', result.reason);
+    if (result.reason === 'locked') {
+      setShowExitPin(false);
+      Alert.alert('🔒 Too Many Attempts', `Try again in ${Math.ceil(result.retryInMs / 60000)} min.`);
+    } else {
+      ToastService.error('❌ Wrong PIN');
+    }
+  };
+
+  // ==================== MULTI-FACTOR ====================
+
+  const updatePendingAuth = (pending) => {
+    pendingAuthRef.current = pending;
+    setPendingAuth(pending);
+  };
+
+  // A multi-factor punch left unfinished is dropped, never recorded
+  useEffect(() => {
+    if (!pendingAuth) return undefined;
+    const timer = setTimeout(async () => {
+      if (pendingAuthRef.current !== pendingAuth) return;
+      await abandonPendingAuth('expired');
+      HapticFeedback.warning();
+      showResult('warning', '⌛ Timed Out', `${pendingAuth.user.userName}, your punch was NOT recorded.\n\nPlease start again.`);
+    }, Math.max(0, pendingAuth.expiresAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [pendingAuth]);
+
+  const abandonPendingAuth = async (reason) => {
+    const pending = pendingAuthRef.current;
+    if (!pending) return;
+    updatePendingAuth(null);
+    await analyticsService.trackEvent('mfa', 'abandoned', reason, pending.factors.length);
+  };
+
+  /**
+   * Start the flow for one of the remaining factors
+   */
+  const startFactor = (user, method) => {
+    if (method === 'fingerprint') {
+      // The person is already known, so no name selection
+      confirmFingerprintAfterSelection(user);
+    } else if (method === 'nfc') {
+      markAttendanceWithNFC();
+    } else {
+      markAttendanceWithBarcode();
+    }
+  };
+
+  const promptNextFactor = async (pending) => {
+    const step = `Step ${pending.factors.length + 1} of ${pending.rule.factors.length}`;
+    HapticFeedback.notification();
+
+    if (kioskActive.current) {
+      setKioskResult(null);
+      // Card and barcode readers are already listening; a fingerprint needs the prompt
+      if (pending.remaining.length === 1 && pending.remaining[0] === 'fingerprint') {
+        await confirmFingerprintAfterSelection(pending.user);
+      }
+      return;
+    }
+
+    Alert.alert(
+      `🔐 ${step}`,
+      `${pending.user.userName}, "${pending.rule.name}" also requires:\n\n` +
+      `${AuthPolicy.describeFactors(pending.remaining)}`,
+      [
+        { text: 'Cancel', style: 'cancel', onPress: () => abandonPendingAuth('cancelled') },
+        ...pending.remaining.map(method => ({
+          text: AuthPolicy.label(method),
+          onPress: () => startFactor(pending.user, method),
+        })),
+      ]
+    );
+  };
 
-        // Track analytics
-        await analyticsService.trackAttendance(method, true);
-        await analyticsService.trackEvent('offline', 'queue_attendance', method);
+  /**
+   * Accept one verification method for a user
+   * The punch is recorded only once the user's auth policy is satisfied;
+   * every factor used is listed on the record
+   */
+  const submitFactor = async (user, method, extraData = {}) => {
+    let pending = pendingAuthRef.current;
+    if (pending && Date.now() > pending.expiresAt) {
+      await abandonPendingAuth('expired');
+      pending = null;
+    }
 
+    // Continuing a multi-factor punch
+    if (pending) {
+      if (pending.user.userId !== user.userId) {
+        await abandonPendingAuth('different_user');
+        HapticFeedback.error();
+        showResult(
+          'error',
+          '⛔ Different Person',
+          `That ${AuthPolicy.label(method)} belongs to ${user.userName}, not ${pending.user.userName}.\n\n` +
+          `The unfinished punch was cancelled. Please start again.`
+        );
+        return;
+      }
+      if (!pending.remaining.includes(method)) {
+        HapticFeedback.warning();
+        showResult('warning', '🔐 Next Step', `${user.userName}, please use:\n${AuthPolicy.describeFactors(pending.remaining)}`);
         return;
       }
 
-      // ONLINE MODE: Direct server sync
-      const response = await fetch(
-        'https://darkviolet-dotterel-146840.hostingersite.com/attendance/api/sync.php',
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Device-Token': 'secure_kiosk_2024_v2',
-          },
-          body: JSON.stringify({
-            uid: user.userId,
-            device_id: 'NOTHING_PHONE_2',
-            timestamp: new Date().toISOString(),
-            type: method,
-            user_name: user.userName,
-            user_role: user.userRole,
-            location: { latitude: 0, longitude: 0 },
-            device_model: 'Nothing Phone 2',
-            ...extraData,
-          }),
-        }
-      );
+      const factors = [...pending.factors, { method, extraData }];
+      const remaining = AuthPolicy.remainingFactors(pending.rule, factors.map(f => f.method));
+      if (remaining.length > 0) {
+        const next = { ...pending, factors, remaining };
+        updatePendingAuth(next);
+        await promptNextFactor(next);
+        return;
+      }
 
-      const data = await response.json();
-
-      // Save to history
-      const updatedHistory = [
-        { ...attendanceRecord, syncStatus: 'success', serverResponse: data },
-        ...systemData.attendanceHistory
-      ].slice(0, 50);
-      await updateSystemData('attendanceHistory', updatedHistory);
-
-      // Update stats
-      const updatedStats = {
-        ...systemData.systemStats,
-        totalScans: systemData.systemStats.totalScans + 1,
-        successfulScans: systemData.systemStats.successfulScans + 1,
-        lastSyncTime: new Date().toISOString(),
-      };
-      await updateSystemData('systemStats', updatedStats);
+      updatePendingAuth(null);
+      await completeFactors(user, pending.rule, factors);
+      return;
+    }
 
-      // User feedback
-      HapticFeedback.success();
-      ToastService.success(`✅ Attendance recorded for ${user.userName}`);
+    // Suspended or departed: no second factor, the service refuses the punch
+    if (UserLifecycle.refusal(user)) {
+      await recordAttendance(user, method, extraData);
+      return;
+    }
 
-      Alert.alert(
-        '✅ ATTENDANCE MARKED!',
-        `${method === 'fingerprint' ? '👆 FINGERPRINT VERIFIED' : 
-           method === 'nfc' ? '📡 RFID CARD SCANNED' : 
-           method === 'barcode' ? '📊 BARCODE SCANNED' : 
-           '👤 FACE RECOGNIZED'}\n\n` +
-        `👤 ${user.userName}\n` +
-        `🆔 ${user.userId}\n` +
-        `📋 ${user.userRole}\n` +
-        `🕐 ${new Date().toLocaleTimeString()}\n` +
-        `${method === 'face' && extraData.faceConfidence ? `🎯 Confidence: ${extraData.faceConfidence}\n` : ''}` +
-        `\n✅ Synced to server successfully!`,
-        [{ text: 'OK', style: 'default' }]
+    // First factor: which policy applies here and now?
+    const siteId = authPolicyService.needsSite()
+      ? geofenceService.siteOf(await locationService.getCurrentFix())
+      : null;
+    const rule = authPolicyService.resolve(user, { now: new Date(), siteId });
+
+    if (!AuthPolicy.allowsMethod(rule, method)) {
+      HapticFeedback.error();
+      await analyticsService.trackEvent('mfa', 'method_not_allowed', method);
+      showResult(
+        'error',
+        '⛔ Method Not Allowed',
+        `${user.userName}, "${rule.name}" requires:\n${AuthPolicy.describeFactors(rule.factors)}`
       );
+      return;
+    }
+
+    const remaining = AuthPolicy.remainingFactors(rule, [method]);
+    if (remaining.length === 0) {
+      await completeFactors(user, rule, [{ method, extraData }]);
+      return;
+    }
+
+    // Punched moments ago - let recordAttendance say so instead of asking for more
+    if (await punchStateService.checkCooldown(user.userId)) {
+      await recordAttendance(user, method, extraData);
+      return;
+    }
+
+    const next = {
+      user,
+      rule,
+      factors: [{ method, extraData }],
+      remaining,
+      expiresAt: Date.now() + MFA_TIMEOUT_MS,
+    };
+    updatePendingAuth(next);
+    await analyticsService.trackEvent('mfa', 'started', rule.name);
+    await promptNextFactor(next);
+  };
+
+  const completeFactors = async (user, rule, factors) => {
+    if (factors.length > 1) {
+      await analyticsService.trackEvent('mfa', 'completed', rule.name);
+    }
+
+    await recordAttendance(user, factors[0].method, {
+      ...Object.assign({}, ...factors.map(f => f.extraData)),
+      factors: factors.map(f => f.method),
+      authPolicy: rule ? rule.name : null,
+    });
+  };
+
+  // ==================== FACE RECOGNITION ATTENDANCE ====================
+
+
+
+
+  const missedCheckOutNote = (result) => {
+    if (result.autoClose) {
+      return `\n⏱️ Missed check-out auto-closed at ${new Date(result.autoClose.timestamp).toLocaleString()}\n`;
+    }
+    return result.missedCheckOut ? '\n⚠️ Previous check-in had no check-out\n' : '';
+  };
+
+  const shiftNote = (shift) => {
+    return shift ? `🗓️ ${ShiftSchedule.describe(shift)}\n` : '';
+  };
+
+  const punchSummary = (result) => (
+    `${result.method === 'fingerprint' ? '👆 FINGERPRINT VERIFIED' : 
+       result.method === 'nfc' ? '📡 RFID CARD SCANNED' : 
+       result.method === 'barcode' ? '📊 BARCODE SCANNED' : 
+       '👤 FACE RECOGNIZED'}\n\n` +
+    `${PunchStateMachine.label(result.direction)}\n` +
+    `👤 ${result.user.userName}\n` +
+    `🆔 ${result.user.userId}\n` +
+    `📋 ${result.user.userRole}\n` +
+    `🕐 ${new Date(result.record.timestamp).toLocaleTimeString()}\n` +
+    shiftNote(result.shift) +
+    missedCheckOutNote(result)
+  );
 
-      // Track analytics
-      await analyticsService.trackAttendance(method, true);
-      const duration = Date.now() - startTime;
-      await analyticsService.trackPerformance(`attendance_${method}`, duration);
+  /**
+   * Feedback for an attendanceService result
+   */
+  const presentAttendanceResult = (result) => {
+    const { user } = result;
 
+    if (result.geofence && result.geofence.action === 'warn') {
+      ToastService.warning(`📍 ${Geofence.describe(result.geofence)}`);
+    }
+
+    switch (result.status) {
+      case 'duplicate': {
+        const recordedAt = new Date(result.lastPunch.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        HapticFeedback.warning();
+        showResult(
+          'warning',
+          '👋 Already Recorded',
+          `${user.userName}, your ${PunchStateMachine.label(result.lastPunch.direction)} was already recorded at ${recordedAt}.\n\n` +
+          `No need to scan again.`
+        );
+        break;
+      }
+
+      case 'refused':
+        HapticFeedback.error();
+        showResult('error', result.refusal.title, result.refusal.message);
+        break;
+
+      case 'blocked':
+        HapticFeedback.error();
+        logError('GEOFENCE', 'Attendance blocked outside geofence', {
+          userId: user.userId,
+          reason: result.geofence.reason,
+          fence: result.geofence.fence,
+          distanceMeters: result.geofence.distanceMeters,
+        });
+        showResult(
+          'error',
+          '📍 OUTSIDE ALLOWED AREA',
+          `👤 ${user.userName}\n\n` +
+          `${Geofence.describe(result.geofence)}\n\n` +
+          `Attendance can only be recorded at an approved site.`
+        );
+        break;
+
+      case 'queued':
+        HapticFeedback.success();
+        ToastService.info(`📱 Queued offline - will sync when online`);
+        showResult(
+          'queued',
+          '📱 QUEUED FOR SYNC',
+          punchSummary(result) +
+          `\n📱 You're offline. Attendance queued for sync.`
+        );
+        break;
+
+      case 'success':
+        HapticFeedback.success();
+        ToastService.success(`✅ Attendance recorded for ${user.userName}`);
+        showResult(
+          'success',
+          result.direction === PunchStateMachine.OUT ? '✅ CHECKED OUT!' : '✅ CHECKED IN!',
+          punchSummary(result) +
+          `${result.method === 'face' && result.record.faceConfidence ? `🎯 Confidence: ${result.record.faceConfidence}\n` : ''}` +
+          `\n✅ Synced to server successfully!`
+        );
+        break;
+
+      case 'rejected':
+        HapticFeedback.error();
+        logError('SYNC', 'Server rejected attendance', {
+          error: result.error.message,
+          userId: user.userId,
+        });
+        showResult(
+          'error',
+          '⛔ NOT RECORDED',
+          `👤 ${user.userName}\n\n` +
+          `❌ The server refused this punch: ${result.error.message}\n\n` +
+          `It was not counted and will not be retried. An admin can review it in Diagnostics (Dead-Letter Queue).`
+        );
+        break;
+
+      default:
+        HapticFeedback.error();
+        ToastService.error(`Failed: ${result.error.message}`);
+        logError('SYNC', 'Server sync failed', {
+          error: result.error.message,
+          userId: user.userId,
+        });
+        showResult(
+          'warning',
+          '⚠️ Partial Success',
+          `${PunchStateMachine.label(result.direction)} marked for ${user.userName}\n\n` +
+          `✅ Saved locally\n` +
+          `❌ Server sync failed: ${result.error.message}\n\n` +
+          `Will retry sync later.`
+        );
+    }
+  };
+
+  // Refreshed every render so results are shown with current props
+  attendanceResultHandler.current = presentAttendanceResult;
+
+  const recordAttendance = async (user, method, extraData = {}) => {
+    try {
+      // Feedback arrives through the subscription above
+      await attendanceService.record(user, method, extraData);
     } catch (error) {
-      // Error handling
       HapticFeedback.error();
-      ToastService.error(`Failed: ${error.message}`);
-      
-      logError('SYNC', 'Server sync failed', {
-        error: error.message,
-        userId: user.userId,
-      });
-
-      // Track analytics
-      await analyticsService.trackError('attendance_failed', error.message, method);
-      await analyticsService.trackAttendance(method, false);
-
-      // Save to history as failed
-      const updatedHistory = [
-        { ...attendanceRecord, syncStatus: 'failed', error: error.message },
-        ...systemData.attendanceHistory
-      ].slice(0, 50);
-      await updateSystemData('attendanceHistory', updatedHistory);
-
-      // Update stats
-      const updatedStats = {
-        ...systemData.systemStats,
-        totalScans: systemData.systemStats.totalScans + 1,
-        failedScans: systemData.systemStats.failedScans + 1,
-        lastSyncTime: new Date().toISOString(),
-      };
-      await updateSystemData('systemStats', updatedStats);
-
-      Alert.alert(
-        '⚠️ Partial Success',
-        `Attendance marked for ${user.userName}\n\n` +
-        `✅ Saved locally\n` +
-        `❌ Server sync failed: ${error.message}\n\n` +
-        `Will retry sync later.`,
-        [{ text: 'OK' }]
-      );
+      logError('ATTENDANCE', 'Recording failed', { error: error.message, userId: user.userId });
+      showResult('error', '❌ Error', error.message);
     }
   };
 
@@ -436,6 +1008,21 @@ const AttendanceScreen = ({ systemData, updateSystemData, logError }) => {
         
         <Text style={styles.subtitle}>👇 Select verification method</Text>
 
+        {pendingAuth && (
+          <View style={styles.pendingCard}>
+            <Text style={styles.pendingTitle}>
+              🔐 {pendingAuth.user.userName}: step {pendingAuth.factors.length + 1} of {pendingAuth.rule.factors.length}
+            </Text>
+            <Text style={styles.pendingText}>
+              Done: {AuthPolicy.describeFactors(pendingAuth.factors.map(f => f.method))}{'\n'}
+              Still needed: {AuthPolicy.describeFactors(pendingAuth.remaining)}
+            </Text>
+            <TouchableOpacity style={styles.pendingCancel} onPress={() => abandonPendingAuth('cancelled')}>
+              <Text style={styles.pendingCancelText}>Cancel punch</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
         <TouchableOpacity 
           style={[styles.modernScanButton, styles.fingerprintButton]}
           onPress={markAttendanceWithFingerprint}
@@ -478,6 +1065,20 @@ const AttendanceScreen = ({ systemData, updateSystemData, logError }) => {
           <Text style={styles.buttonArrow}>›</Text>
         </TouchableOpacity>
 
+        <TouchableOpacity 
+          style={[styles.modernScanButton, styles.kioskButton]}
+          onPress={startKioskMode}
+          disabled={scanning}>
+          <View style={styles.buttonIconContainer}>
+            <Text style={styles.buttonIcon}>🏁</Text>
+          </View>
+          <View style={styles.scanContent}>
+            <Text style={styles.scanTitle}>Kiosk Mode</Text>
+            <Text style={styles.scanSubtitle}>Hands-free card & barcode scanning</Text>
+          </View>
+          <Text style={styles.buttonArrow}>›</Text>
+        </TouchableOpacity>
+
 
 
         {scanning && (
@@ -580,7 +1181,7 @@ const AttendanceScreen = ({ systemData, updateSystemData, logError }) => {
                 record.syncStatus === 'success' ? styles.recordSuccess : styles.recordFailed
               ]}>
               <Text style={styles.recordIcon}>
-                {record.method === 'fingerprint' ? '👆' : record.method === 'nfc' ? '📡' : '📊'}
+                {record.method === 'fingerprint' ? '👆' : record.method === 'nfc' ? '📡' : record.method === 'auto' ? '⏱️' : '📊'}
               </Text>
               <View style={styles.recordContent}>
                 <Text style={styles.recordName}>{record.userName}</Text>
@@ -588,6 +1189,7 @@ const AttendanceScreen = ({ systemData, updateSystemData, logError }) => {
                   {record.userId} | {record.userRole}
                 </Text>
                 <Text style={styles.recordTime}>
+                  {record.direction ? `${PunchStateMachine.label(record.direction)} • ` : ''}
                   {new Date(record.timestamp).toLocaleString()}
                 </Text>
               </View>
@@ -610,6 +1212,8 @@ const AttendanceScreen = ({ systemData, updateSystemData, logError }) => {
           3. Attendance is recorded automatically{'\n'}
           4. Data syncs to server instantly{'\n'}
           {'\n'}
+          🏁 Kiosk mode keeps listening for cards and barcodes. To leave it, hold the top-right corner for 3 seconds.{'\n'}
+          {'\n'}
           💡 Make sure you're enrolled first!
         </Text>
       </View>
@@ -643,6 +1247,62 @@ const AttendanceScreen = ({ systemData, updateSystemData, logError }) => {
         </Modal>
       )}
 
+      {/* Kiosk Mode */}
+      <Modal
+        visible={kioskMode}
+        transparent={false}
+        animationType="fade"
+        onRequestClose={() => {}}>
+        <KioskStatusPanel
+          result={kioskResult}
+          sources={kioskSources}
+          waitingFor={pendingAuth
+            ? `${pendingAuth.user.userName}, now use ${AuthPolicy.describeFactors(pendingAuth.remaining)}`
+            : null}
+          dismissAfterMs={KIOSK_RESULT_MS}
+          onDismiss={() => setKioskResult(null)}
+          onExitRequest={requestKioskExit}>
+          {kioskMode && kioskSources.camera && kioskDevice && (
+            <Camera
+              style={styles.camera}
+              device={kioskDevice}
+              isActive={kioskMode}
+              codeScanner={codeScanner}
+            />
+          )}
+        </KioskStatusPanel>
+
+        {showExitPin && (
+          <View style={styles.modalOverlay}>
+            <View style={styles.modalContent}>
+              <Text style={styles.modalTitle}>🔢 Kiosk Exit PIN</Text>
+              <Text style={styles.modalSubtitle}>Enter the PIN to leave kiosk mode</Text>
+              <TextInput
+                style={styles.searchInput}
+                value={exitPin}
+                onChangeText={setExitPin}
+                onSubmitEditing={submitExitPin}
+                keyboardType="number-pad"
+                secureTextEntry
+                maxLength={8}
+                autoFocus={true}
+              />
+              <TouchableOpacity style={styles.exitPinButton} onPress={submitExitPin}>
+                <Text style={styles.exitPinButtonText}>Exit Kiosk Mode</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.modalCancelButton}
+                onPress={() => {
+                  setShowExitPin(false);
+                  setExitPin('');
+                }}>
+                <Text style={styles.modalCancelText}>Stay in kiosk mode</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+      </Modal>
+
     </ScrollView>
   );
 };
@@ -929,6 +1589,17 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#4a5568',
   },
+  exitPinButton: {
+    backgroundColor: '#e53e3e',
+    padding: 14,
+    borderRadius: 10,
+    alignItems: 'center',
+  },
+  exitPinButtonText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: 'white',
+  },
   recordSuccess: {
     backgroundColor: '#f0fff4',
     borderLeftColor: '#38a169',
@@ -992,6 +1663,42 @@ const styles = StyleSheet.create({
     backgroundColor: '#a855f7',
     shadowColor: '#a855f7',
   },
+  pendingCard: {
+    backgroundColor: '#eef2ff',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 16,
+    borderLeftWidth: 4,
+    borderLeftColor: '#6366f1',
+  },
+  pendingTitle: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#3730a3',
+    marginBottom: 6,
+  },
+  pendingText: {
+    fontSize: 13,
+    color: '#3730a3',
+    lineHeight: 20,
+    marginBottom: 10,
+  },
+  pendingCancel: {
+    alignSelf: 'flex-start',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 8,
+    backgroundColor: '#e0e7ff',
+  },
+  pendingCancelText: {
+    color: '#3730a3',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  kioskButton: {
+    backgroundColor: '#1e293b',
+    shadowColor: '#1e293b',
+  },
   cameraContainer: {
     flex: 1,
     backgroundColor: 'black',
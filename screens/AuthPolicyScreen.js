@@ -0,0 +1,533 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Switch,
+  Alert,
+} from 'react-native';
+
+import authPolicyService from '../services/AuthPolicyService';
+import geofenceService from '../services/GeofenceService';
+import analyticsService from '../services/AnalyticsService';
+import ToastService from '../services/ToastService';
+import HapticFeedback from '../utils/HapticFeedback';
+import AuthPolicy from '../utils/AuthPolicy';
+import ShiftSchedule from '../utils/ShiftSchedule';
+
+// Roles offered at enrollment; free-text roles of enrolled users are added
+const STANDARD_ROLES = ['Student', 'Teacher', 'Staff'];
+
+const DEFAULT_WINDOW = { start: '08:00', end: '17:00', weekdays: [1, 2, 3, 4, 5] };
+
+const toForm = (rule) => ({
+  id: rule.id || null,
+  name: rule.name,
+  factors: [...rule.factors],
+  roles: [...rule.roles],
+  sites: [...rule.sites],
+  windowEnabled: !!rule.window,
+  window: { ...(rule.window || DEFAULT_WINDOW), weekdays: [...(rule.window || DEFAULT_WINDOW).weekdays] },
+});
+
+const toggle = (list, value) => (
+  list.includes(value) ? list.filter(v => v !== value) : [...list, value]
+);
+
+const AuthPolicyScreen = ({ systemData, navigateTo }) => {
+  const [rules, setRules] = useState(authPolicyService.getRules());
+  const [ruleForm, setRuleForm] = useState(null); // null = closed
+  const fences = geofenceService.getPolicy().fences;
+
+  useEffect(() => {
+    analyticsService.trackScreenView('AuthPolicyScreen');
+  }, []);
+
+  const roles = [...new Set([
+    ...STANDARD_ROLES,
+    ...systemData.enrolledUsers.map(u => u.userRole).filter(Boolean),
+  ])];
+
+  const fenceName = (id) => {
+    const fence = fences.find(f => f.id === id);
+    return fence ? fence.name : 'Deleted site';
+  };
+
+  const updateRuleForm = (field, value) => {
+    setRuleForm({ ...ruleForm, [field]: value });
+  };
+
+  const updateWindow = (field, value) => {
+    setRuleForm({ ...ruleForm, window: { ...ruleForm.window, [field]: value } });
+  };
+
+  const saveRule = async () => {
+    const rule = {
+      name: ruleForm.name,
+      factors: ruleForm.factors,
+      roles: ruleForm.roles,
+      sites: ruleForm.sites,
+      window: ruleForm.windowEnabled
+        ? { ...ruleForm.window, start: ruleForm.window.start.trim(), end: ruleForm.window.end.trim() }
+        : null,
+    };
+
+    try {
+      if (ruleForm.id) {
+        await authPolicyService.updateRule(ruleForm.id, rule);
+      } else {
+        await authPolicyService.addRule(rule);
+        await analyticsService.trackEvent('settings', 'add_auth_policy', rule.factors.join('+'));
+      }
+      HapticFeedback.success();
+      ToastService.success(`Saved ${rule.name.trim()}`);
+      setRules(authPolicyService.getRules());
+      setRuleForm(null);
+    } catch (error) {
+      HapticFeedback.error();
+      Alert.alert('⚠️ Invalid Policy', error.message);
+    }
+  };
+
+  const deleteRule = (rule) => {
+    Alert.alert(
+      '⚠️ Delete Policy',
+      `Remove "${rule.name}"? Punches it matched will fall through to the next policy.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            await authPolicyService.removeRule(rule.id);
+            setRules(authPolicyService.getRules());
+          },
+        },
+      ]
+    );
+  };
+
+  const moveRule = async (rule, offset) => {
+    await authPolicyService.moveRule(rule.id, offset);
+    HapticFeedback.light();
+    setRules(authPolicyService.getRules());
+  };
+
+  const describeScope = (rule) => {
+    const parts = [
+      rule.roles.length > 0 ? rule.roles.join(', ') : 'Everyone',
+      rule.sites.length > 0 ? `at ${rule.sites.map(fenceName).join(', ')}` : 'anywhere',
+    ];
+    if (rule.window) {
+      parts.push(`${rule.window.start} – ${rule.window.end} ${ShiftSchedule.formatWeekdays(rule.window.weekdays)}`);
+    }
+    return parts.join(' • ');
+  };
+
+  /**
+   * Wrapping multi-select chips
+   */
+  const renderChips = (options, selected, onToggle) => (
+    <View style={styles.chipWrap}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option.value}
+          style={[styles.chip, selected.includes(option.value) && styles.chipActive]}
+          onPress={() => onToggle(option.value)}>
+          <Text style={[styles.chipText, selected.includes(option.value) && styles.chipTextActive]}>
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const renderRuleForm = () => (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>{ruleForm.id ? '✏️ Edit Policy' : '➕ New Policy'}</Text>
+
+      <Text style={styles.label}>Policy Name *</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="e.g. Lab access"
+        value={ruleForm.name}
+        onChangeText={(text) => updateRuleForm('name', text)}
+      />
+
+      <Text style={styles.label}>Required methods (all of them)</Text>
+      {renderChips(
+        AuthPolicy.METHODS.map(method => ({ value: method, label: AuthPolicy.label(method) })),
+        ruleForm.factors,
+        (method) => updateRuleForm('factors', toggle(ruleForm.factors, method))
+      )}
+
+      <Text style={styles.label}>Roles</Text>
+      {renderChips(
+        roles.map(role => ({ value: role, label: role })),
+        ruleForm.roles,
+        (role) => updateRuleForm('roles', toggle(ruleForm.roles, role))
+      )}
+      <Text style={styles.hintText}>None selected = every role.</Text>
+
+      <Text style={styles.label}>Sites</Text>
+      {fences.length > 0 ? (
+        renderChips(
+          fences.map(fence => ({ value: fence.id, label: fence.name })),
+          ruleForm.sites,
+          (id) => updateRuleForm('sites', toggle(ruleForm.sites, id))
+        )
+      ) : (
+        <Text style={styles.hintText}>Add geofences to limit a policy to a site.</Text>
+      )}
+      {fences.length > 0 && <Text style={styles.hintText}>None selected = anywhere.</Text>}
+
+      <View style={styles.windowToggle}>
+        <Text style={styles.label}>Only during a time window</Text>
+        <Switch
+          value={ruleForm.windowEnabled}
+          onValueChange={(value) => updateRuleForm('windowEnabled', value)}
+        />
+      </View>
+
+      {ruleForm.windowEnabled && (
+        <>
+          <View style={styles.formRow}>
+            <View style={styles.formColumn}>
+              <Text style={styles.label}>From (HH:MM)</Text>
+              <TextInput
+                style={styles.input}
+                value={ruleForm.window.start}
+                onChangeText={(text) => updateWindow('start', text)}
+                keyboardType="numbers-and-punctuation"
+              />
+            </View>
+            <View style={styles.formColumn}>
+              <Text style={styles.label}>Until (HH:MM)</Text>
+              <TextInput
+                style={styles.input}
+                value={ruleForm.window.end}
+                onChangeText={(text) => updateWindow('end', text)}
+                keyboardType="numbers-and-punctuation"
+              />
+            </View>
+          </View>
+
+          <View style={styles.weekdayRow}>
+            {ShiftSchedule.WEEKDAY_NAMES.map((name, day) => (
+              <TouchableOpacity
+                key={name}
+                style={[styles.weekday, ruleForm.window.weekdays.includes(day) && styles.chipActive]}
+                onPress={() => updateWindow('weekdays', toggle(ruleForm.window.weekdays, day))}>
+                <Text style={[styles.chipText, ruleForm.window.weekdays.includes(day) && styles.chipTextActive]}>
+                  {name}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </>
+      )}
+
+      <View style={styles.buttonRow}>
+        <TouchableOpacity style={[styles.smallButton, styles.primaryButton]} onPress={saveRule}>
+          <Text style={styles.smallButtonText}>💾 Save</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.smallButton, styles.neutralButton]} onPress={() => setRuleForm(null)}>
+          <Text style={styles.neutralButtonText}>Cancel</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      {/* Modern Header */}
+      <View style={styles.modernHeader}>
+        <Text style={styles.headerEmoji}>🔐</Text>
+        <Text style={styles.headerTitle}>Verification Policies</Text>
+        <Text style={styles.headerSubtitle}>Which methods each punch needs</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+
+      {ruleForm && renderRuleForm()}
+
+      {/* Policies, in match order */}
+      {rules.map((rule, index) => (
+        <View key={rule.id} style={styles.card}>
+          <View style={styles.ruleHeader}>
+            <Text style={styles.ruleName}>{index + 1}. {rule.name}</Text>
+            <View style={styles.buttonRow}>
+              <TouchableOpacity
+                style={[styles.smallButton, styles.neutralButton]}
+                onPress={() => moveRule(rule, -1)}
+                disabled={index === 0}>
+                <Text style={styles.neutralButtonText}>▲</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.smallButton, styles.neutralButton]}
+                onPress={() => moveRule(rule, 1)}
+                disabled={index === rules.length - 1}>
+                <Text style={styles.neutralButtonText}>▼</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={[styles.smallButton, styles.primaryButton]} onPress={() => setRuleForm(toForm(rule))}>
+                <Text style={styles.smallButtonText}>✏️</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={[styles.smallButton, styles.dangerButton]} onPress={() => deleteRule(rule)}>
+                <Text style={styles.smallButtonText}>🗑️</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+          <Text style={styles.ruleDetail}>{AuthPolicy.describeFactors(rule.factors)}</Text>
+          <Text style={styles.hintText}>{describeScope(rule)}</Text>
+        </View>
+      ))}
+
+      {!ruleForm && (
+        <TouchableOpacity style={styles.addButton} onPress={() => setRuleForm(toForm(AuthPolicy.EMPTY_RULE))}>
+          <Text style={styles.addButtonText}>➕ Add Policy</Text>
+        </TouchableOpacity>
+      )}
+
+      <TouchableOpacity style={styles.backButton} onPress={() => navigateTo('home')}>
+        <Text style={styles.backButtonText}>‹ Back to Dashboard</Text>
+      </TouchableOpacity>
+
+      {/* Info */}
+      <View style={styles.infoCard}>
+        <Text style={styles.infoTitle}>ℹ️ About Policies</Text>
+        <Text style={styles.infoText}>
+          Policies are checked from the top and the first one that matches the person, site and time applies. Without a match any single method records the punch.{'\n'}
+          {'\n'}
+          After the first method succeeds the kiosk asks for the rest. The punch is only recorded once every required method is done - a cancelled or timed-out second step records nothing.
+        </Text>
+      </View>
+
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  modernHeader: {
+    backgroundColor: '#1e293b',
+    paddingTop: 40,
+    paddingBottom: 30,
+    paddingHorizontal: 20,
+    borderBottomLeftRadius: 30,
+    borderBottomRightRadius: 30,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.3,
+    shadowRadius: 12,
+    elevation: 10,
+    alignItems: 'center',
+  },
+  headerEmoji: {
+    fontSize: 48,
+    marginBottom: 8,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 4,
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#cbd5e1',
+    opacity: 0.9,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 30,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 20,
+    padding: 20,
+    marginTop: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.08,
+    shadowRadius: 8,
+    elevation: 6,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    marginBottom: 16,
+    borderBottomWidth: 3,
+    borderBottomColor: '#3b82f6',
+    paddingBottom: 10,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4a5568',
+    marginBottom: 6,
+  },
+  input: {
+    backgroundColor: '#f7fafc',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  formRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  formColumn: {
+    flex: 1,
+  },
+  weekdayRow: {
+    flexDirection: 'row',
+    gap: 4,
+    marginBottom: 8,
+  },
+  weekday: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#e2e8f0',
+    alignItems: 'center',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#e2e8f0',
+  },
+  chipActive: {
+    backgroundColor: '#3b82f6',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#334155',
+  },
+  chipTextActive: {
+    color: 'white',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#64748b',
+    marginBottom: 12,
+  },
+  ruleHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  ruleName: {
+    fontSize: 17,
+    fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  ruleDetail: {
+    fontSize: 14,
+    color: '#475569',
+    marginBottom: 4,
+  },
+  chipWrap: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+  windowToggle: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 4,
+  },
+  smallButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  smallButtonText: {
+    color: 'white',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  primaryButton: {
+    backgroundColor: '#3b82f6',
+  },
+  dangerButton: {
+    backgroundColor: '#ef4444',
+  },
+  neutralButton: {
+    backgroundColor: '#e2e8f0',
+  },
+  neutralButtonText: {
+    color: '#334155',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  addButton: {
+    backgroundColor: '#3b82f6',
+    padding: 16,
+    borderRadius: 16,
+    alignItems: 'center',
+    marginTop: 16,
+    shadowColor: '#3b82f6',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.4,
+    shadowRadius: 12,
+    elevation: 8,
+  },
+  addButtonText: {
+    color: 'white',
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  backButton: {
+    padding: 14,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  backButtonText: {
+    color: '#3b82f6',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  infoCard: {
+    backgroundColor: '#ebf8ff',
+    borderRadius: 10,
+    padding: 16,
+    marginTop: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: '#4299e1',
+  },
+  infoTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#2c5282',
+    marginBottom: 8,
+  },
+  infoText: {
+    fontSize: 13,
+    color: '#2c5282',
+    lineHeight: 20,
+  },
+});
+
+export default AuthPolicyScreen;
@@ -0,0 +1,563 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+  ActivityIndicator,
+  Share,
+  Platform,
+} from 'react-native';
+
+import backupService from '../services/BackupService';
+import analyticsService from '../services/AnalyticsService';
+import ToastService from '../services/ToastService';
+import HapticFeedback from '../utils/HapticFeedback';
+import BackupArchive from '../utils/BackupArchive';
+
+// Kept in App state as well as storage, so they are pushed back after a restore
+const APP_STATE_KEYS = ['enrolledUsers', 'attendanceHistory', 'systemStats', 'errorLogs'];
+
+const BackupScreen = ({ updateSystemData, logError, navigateTo }) => {
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [created, setCreated] = useState(null);
+  const [backups, setBackups] = useState([]);
+  const [selectedBackup, setSelectedBackup] = useState(null);
+  const [restorePassword, setRestorePassword] = useState('');
+  const [restoreMode, setRestoreMode] = useState('merge');
+  const [prepared, setPrepared] = useState(null);
+  const [busy, setBusy] = useState(null); // 'backup' | 'check' | 'restore'
+
+  useEffect(() => {
+    analyticsService.trackScreenView('BackupScreen');
+    loadBackups();
+  }, []);
+
+  const loadBackups = async () => {
+    setBackups(await backupService.listBackups());
+  };
+
+  // ==================== BACKUP ====================
+
+  const createBackup = async () => {
+    const passwordError = BackupArchive.validatePassword(password);
+    if (passwordError || password !== confirmPassword) {
+      HapticFeedback.error();
+      Alert.alert('⚠️ Check Password', passwordError || 'The passwords do not match');
+      return;
+    }
+
+    setBusy('backup');
+    try {
+      const result = await backupService.createBackup(password);
+      HapticFeedback.success();
+      ToastService.success(`💾 Saved ${result.fileName}`);
+      setCreated(result);
+      setPassword('');
+      setConfirmPassword('');
+      loadBackups();
+    } catch (error) {
+      HapticFeedback.error();
+      logError('BACKUP', 'Backup failed', { error: error.message });
+      Alert.alert('❌ Backup Failed', error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const shareBackup = async () => {
+    try {
+      // Android's share sheet takes text only; iOS can share the file itself
+      await Share.share(Platform.OS === 'ios'
+        ? { url: `file://${created.path}`, title: created.fileName }
+        : { message: await backupService.readText(created), title: created.fileName });
+    } catch (error) {
+      Alert.alert('❌ Share Failed', error.message);
+    }
+  };
+
+  // ==================== RESTORE ====================
+
+  const selectBackup = (file) => {
+    HapticFeedback.light();
+    setSelectedBackup(file);
+    setPrepared(null);
+  };
+
+  const checkBackup = async () => {
+    setBusy('check');
+    try {
+      setPrepared(await backupService.prepareRestore(selectedBackup, restorePassword, restoreMode));
+      HapticFeedback.success();
+    } catch (error) {
+      HapticFeedback.error();
+      Alert.alert('❌ Cannot Open Backup', error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const confirmRestore = () => {
+    Alert.alert(
+      prepared.mode === 'replace' ? '⚠️ Replace Data' : '♻️ Merge Backup',
+      prepared.mode === 'replace'
+        ? 'Everything in the backup will overwrite the same data on this kiosk. This cannot be undone.'
+        : 'Records missing on this kiosk will be added. Existing records and settings are kept.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: prepared.mode === 'replace' ? 'Replace' : 'Merge',
+          style: prepared.mode === 'replace' ? 'destructive' : 'default',
+          onPress: restore,
+        },
+      ]
+    );
+  };
+
+  const restore = async () => {
+    setBusy('restore');
+    try {
+      await backupService.applyRestore(prepared);
+      for (const key of APP_STATE_KEYS) {
+        if (key in prepared.values) {
+          await updateSystemData(key, prepared.values[key]);
+        }
+      }
+
+      HapticFeedback.success();
+      ToastService.success('✅ Backup restored');
+      Alert.alert(
+        '✅ Restored',
+        `${prepared.changes.length} item(s) restored from the backup of ${new Date(prepared.createdAt).toLocaleString()}.\n\n` +
+        `If this is a replacement kiosk, pair it with the server again.`
+      );
+      setPrepared(null);
+      setRestorePassword('');
+    } catch (error) {
+      HapticFeedback.error();
+      logError('BACKUP', 'Restore failed', { error: error.message });
+      Alert.alert('❌ Restore Failed', error.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const renderPreview = () => (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>👀 Backup Contents</Text>
+      <Text style={styles.hintText}>
+        Made {new Date(prepared.createdAt).toLocaleString()}
+        {prepared.source.deviceName || prepared.source.deviceId ? ` on ${prepared.source.deviceName || prepared.source.deviceId}` : ''}
+      </Text>
+
+      <View style={styles.changeRow}>
+        <Text style={styles.label}>Item</Text>
+        <Text style={styles.label}>This kiosk → after {prepared.mode}</Text>
+      </View>
+      {prepared.changes.map(change => (
+        <View key={change.key} style={styles.changeRow}>
+          <Text style={styles.changeLabel}>{change.label}</Text>
+          <Text style={styles.changeValue}>{change.before} → {change.after}</Text>
+        </View>
+      ))}
+
+      {prepared.missing.length > 0 && (
+        <Text style={styles.hintText}>
+          Not in this backup (kept as is): {prepared.missing.join(', ')}
+        </Text>
+      )}
+      {prepared.ignored.length > 0 && (
+        <Text style={styles.hintText}>
+          Made by a newer app - skipped: {prepared.ignored.join(', ')}
+        </Text>
+      )}
+
+      <TouchableOpacity
+        style={[styles.importButton, prepared.mode === 'replace' && styles.dangerButton, busy && styles.buttonDisabled]}
+        onPress={confirmRestore}
+        disabled={!!busy}>
+        {busy === 'restore' ? (
+          <ActivityIndicator color="white" />
+        ) : (
+          <Text style={styles.importButtonText}>
+            {prepared.mode === 'replace' ? '⚠️ Replace With Backup' : '♻️ Merge Backup'}
+          </Text>
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      {/* Modern Header */}
+      <View style={styles.modernHeader}>
+        <Text style={styles.headerEmoji}>💾</Text>
+        <Text style={styles.headerTitle}>Backup & Restore</Text>
+        <Text style={styles.headerSubtitle}>Move everything to a replacement kiosk</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+
+      {/* Create */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>🔒 Create Encrypted Backup</Text>
+        <Text style={styles.label}>Password (min {BackupArchive.MIN_PASSWORD_LENGTH} characters)</Text>
+        <TextInput
+          style={styles.input}
+          value={password}
+          onChangeText={setPassword}
+          secureTextEntry
+          autoCapitalize="none"
+        />
+        <Text style={styles.label}>Repeat password</Text>
+        <TextInput
+          style={styles.input}
+          value={confirmPassword}
+          onChangeText={setConfirmPassword}
+          secureTextEntry
+          autoCapitalize="none"
+        />
+        <Text style={styles.hintText}>Without this password the backup cannot be restored - nobody can recover it.</Text>
+
+        <TouchableOpacity
+          style={[styles.importButton, busy && styles.buttonDisabled]}
+          onPress={createBackup}
+          disabled={!!busy}>
+          {busy === 'backup' ? (
+            <ActivityIndicator color="white" />
+          ) : (
+            <Text style={styles.importButtonText}>💾 Create Backup</Text>
+          )}
+        </TouchableOpacity>
+
+        {created && (
+          <>
+            <Text style={[styles.label, styles.createdTitle]}>✅ {created.fileName}</Text>
+            {Object.entries(created.counts).map(([key, count]) => (
+              <View key={key} style={styles.changeRow}>
+                <Text style={styles.changeLabel}>{backupService.getLabel(key)}</Text>
+                <Text style={styles.changeValue}>{count}</Text>
+              </View>
+            ))}
+            <View style={styles.buttonRow}>
+              <TouchableOpacity style={[styles.smallButton, styles.primaryButton]} onPress={shareBackup}>
+                <Text style={styles.smallButtonText}>📤 Share</Text>
+              </TouchableOpacity>
+            </View>
+          </>
+        )}
+      </View>
+
+      {/* Restore */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>♻️ Restore From Backup</Text>
+        {backups.length > 0 ? (
+          backups.map(file => (
+            <TouchableOpacity
+              key={file.path}
+              style={[styles.fileRow, selectedBackup && selectedBackup.path === file.path && styles.fileRowActive]}
+              onPress={() => selectBackup(file)}>
+              <Text style={styles.fileIcon}>🗄️</Text>
+              <View style={styles.fileContent}>
+                <Text style={styles.fileName}>{file.name}</Text>
+                <Text style={styles.hintText}>
+                  {(file.size / 1024).toFixed(1)} KB
+                  {file.modifiedAt ? ` • ${new Date(file.modifiedAt).toLocaleString()}` : ''}
+                </Text>
+              </View>
+            </TouchableOpacity>
+          ))
+        ) : (
+          <Text style={styles.hintText}>No .backup files found.</Text>
+        )}
+        <View style={styles.buttonRow}>
+          <TouchableOpacity style={[styles.smallButton, styles.neutralButton]} onPress={loadBackups}>
+            <Text style={styles.neutralButtonText}>🔄 Refresh</Text>
+          </TouchableOpacity>
+        </View>
+
+        {selectedBackup && (
+          <>
+            <Text style={[styles.label, styles.createdTitle]}>Backup password</Text>
+            <TextInput
+              style={styles.input}
+              value={restorePassword}
+              onChangeText={(text) => { setRestorePassword(text); setPrepared(null); }}
+              secureTextEntry
+              autoCapitalize="none"
+            />
+
+            <Text style={styles.label}>Restore mode</Text>
+            <View style={styles.buttonRow}>
+              {[{ value: 'merge', label: '♻️ Merge' }, { value: 'replace', label: '⚠️ Replace' }].map(option => (
+                <TouchableOpacity
+                  key={option.value}
+                  style={[styles.chip, restoreMode === option.value && styles.chipActive]}
+                  onPress={() => { setRestoreMode(option.value); setPrepared(null); }}>
+                  <Text style={[styles.chipText, restoreMode === option.value && styles.chipTextActive]}>{option.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <Text style={styles.hintText}>
+              {restoreMode === 'merge'
+                ? 'Adds users, history and queued records this kiosk does not have. Its own settings are kept.'
+                : 'Overwrites this kiosk\'s data with the backup.'}
+            </Text>
+
+            <TouchableOpacity
+              style={[styles.smallButton, styles.primaryButton, (!restorePassword || busy) && styles.buttonDisabled]}
+              onPress={checkBackup}
+              disabled={!restorePassword || !!busy}>
+              <Text style={styles.smallButtonText}>{busy === 'check' ? '⏳ Checking…' : '🔍 Check Backup'}</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+
+      {prepared && renderPreview()}
+
+      <TouchableOpacity style={styles.backButton} onPress={() => navigateTo('home')}>
+        <Text style={styles.backButtonText}>‹ Back to Dashboard</Text>
+      </TouchableOpacity>
+
+      {/* Info */}
+      <View style={styles.infoCard}>
+        <Text style={styles.infoTitle}>ℹ️ About Backups</Text>
+        <Text style={styles.infoText}>
+          A backup holds the roster, attendance history, statistics, sync and dead-letter queues, audit logs, analytics and all settings, encrypted with your password (AES-256, PBKDF2).{'\n'}
+          {'\n'}
+          Restoring checks the file first: a wrong password or a damaged file is rejected before anything changes. The server pairing and fingerprint keys are never included - pair the new kiosk and enroll fingerprints again.
+        </Text>
+      </View>
+
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  modernHeader: {
+    backgroundColor: '#1e293b',
+    paddingTop: 40,
+    paddingBottom: 30,
+    paddingHorizontal: 20,
+    borderBottomLeftRadius: 30,
+    borderBottomRightRadius: 30,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.3,
+    shadowRadius: 12,
+    elevation: 10,
+    alignItems: 'center',
+  },
+  headerEmoji: {
+    fontSize: 48,
+    marginBottom: 8,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 4,
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#cbd5e1',
+    opacity: 0.9,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 30,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 20,
+    padding: 20,
+    marginTop: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.08,
+    shadowRadius: 8,
+    elevation: 6,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    marginBottom: 16,
+    borderBottomWidth: 3,
+    borderBottomColor: '#3b82f6',
+    paddingBottom: 10,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4a5568',
+    marginBottom: 6,
+  },
+  input: {
+    backgroundColor: '#f7fafc',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  chipRow: {
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#e2e8f0',
+  },
+  chipActive: {
+    backgroundColor: '#3b82f6',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#334155',
+  },
+  chipTextActive: {
+    color: 'white',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#64748b',
+    marginBottom: 12,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 4,
+  },
+  smallButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  smallButtonText: {
+    color: 'white',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  primaryButton: {
+    backgroundColor: '#3b82f6',
+  },
+  neutralButton: {
+    backgroundColor: '#e2e8f0',
+  },
+  neutralButtonText: {
+    color: '#334155',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  backButton: {
+    padding: 14,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  backButtonText: {
+    color: '#3b82f6',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  infoCard: {
+    backgroundColor: '#ebf8ff',
+    borderRadius: 10,
+    padding: 16,
+    marginTop: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: '#4299e1',
+  },
+  infoTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#2c5282',
+    marginBottom: 8,
+  },
+  infoText: {
+    fontSize: 13,
+    color: '#2c5282',
+    lineHeight: 20,
+  },
+  fileRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f1f5f9',
+  },
+  fileRowActive: {
+    backgroundColor: '#eff6ff',
+  },
+  fileContent: {
+    flex: 1,
+  },
+  fileName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  importButton: {
+    backgroundColor: '#059669',
+    padding: 16,
+    borderRadius: 16,
+    alignItems: 'center',
+    marginTop: 16,
+    shadowColor: '#059669',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.4,
+    shadowRadius: 12,
+    elevation: 8,
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  importButtonText: {
+    color: 'white',
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  fileIcon: {
+    fontSize: 24,
+    marginRight: 12,
+  },
+  createdTitle: {
+    marginTop: 16,
+  },
+  changeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f1f5f9',
+  },
+  changeLabel: {
+    fontSize: 14,
+    color: '#1e293b',
+  },
+  changeValue: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#334155',
+  },
+  dangerButton: {
+    backgroundColor: '#dc2626',
+    shadowColor: '#dc2626',
+  },
+});
+
+export default BackupScreen;
@@ -0,0 +1,386 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  Modal,
+  Linking,
+  Platform,
+} from 'react-native';
+import { Camera, useCameraDevice, useCameraPermission, useCodeScanner } from 'react-native-vision-camera';
+import QRCode from 'react-native-qrcode-svg';
+
+import badgeService from '../services/BadgeService';
+import analyticsService from '../services/AnalyticsService';
+import ToastService from '../services/ToastService';
+import HapticFeedback from '../utils/HapticFeedback';
+import BadgeCode from '../utils/BadgeCode';
+import Totp from '../utils/Totp';
+
+const BadgeScreen = ({ navigateTo }) => {
+  const [badge, setBadge] = useState(badgeService.myBadge);
+  const [now, setNow] = useState(new Date());
+  const [showScanner, setShowScanner] = useState(false);
+  const settingUp = useRef(false);
+
+  const { hasPermission, requestPermission } = useCameraPermission();
+  const device = useCameraDevice('back');
+
+  useEffect(() => {
+    analyticsService.trackScreenView('BadgeScreen');
+    badgeService.loadMyBadge().then(setBadge);
+  }, []);
+
+  // The code changes every 30 seconds; tick each second for the countdown
+  useEffect(() => {
+    if (!badge) return undefined;
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, [badge]);
+
+  const setUpFrom = async (text) => {
+    if (settingUp.current) return;
+    settingUp.current = true;
+    setShowScanner(false);
+
+    try {
+      if (!BadgeCode.isSetup(text)) {
+        throw new Error('This is not a badge setup code. Ask an administrator to show the setup QR from the Enroll screen.');
+      }
+      const saved = await badgeService.setUpMyBadge(text);
+      setBadge(saved);
+      HapticFeedback.success();
+      ToastService.success(`🪪 Badge ready for ${saved.userName || saved.userId}`);
+    } catch (error) {
+      HapticFeedback.error();
+      Alert.alert('❌ Cannot Set Up Badge', error.message);
+    } finally {
+      settingUp.current = false;
+    }
+  };
+
+  const codeScanner = useCodeScanner({
+    codeTypes: ['qr'],
+    onCodeScanned: (codes) => {
+      if (codes.length > 0) {
+        setUpFrom(codes[0].value);
+      }
+    },
+  });
+
+  const openScanner = async () => {
+    if (!device) {
+      Alert.alert('❌ No Camera', 'Camera not available on this device');
+      return;
+    }
+    if (!hasPermission && !(await requestPermission())) {
+      Alert.alert(
+        '📷 Camera Permission Required',
+        'Please grant camera permission to scan the setup code',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Open Settings', onPress: () => Linking.openSettings() }
+        ]
+      );
+      return;
+    }
+    setShowScanner(true);
+  };
+
+  const removeBadge = () => {
+    Alert.alert(
+      '🗑️ Remove Badge?',
+      'This phone will stop showing your badge. You will need the setup QR from an administrator to add it again.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            await badgeService.removeMyBadge();
+            setBadge(null);
+            ToastService.info('🪪 Badge removed from this phone');
+          },
+        },
+      ]
+    );
+  };
+
+  const secondsLeft = Totp.secondsLeft(now);
+
+  return (
+    <View style={styles.container}>
+      {/* Modern Header */}
+      <View style={styles.modernHeader}>
+        <Text style={styles.headerEmoji}>🪪</Text>
+        <Text style={styles.headerTitle}>My Badge</Text>
+        <Text style={styles.headerSubtitle}>
+          {badge ? `${badge.userName || badge.userId} · ${badge.userId}` : 'Show a live code at the kiosk'}
+        </Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+
+      {badge ? (
+        <View style={[styles.card, styles.badgeCard]}>
+          <Text style={styles.cardTitle}>🔄 Live Code</Text>
+          <View style={styles.qrFrame}>
+            <QRCode value={BadgeCode.live(badge.userId, badge.secret, now)} size={220} />
+          </View>
+          <Text style={[styles.countdown, secondsLeft <= 5 && styles.countdownSoon]}>
+            New code in {secondsLeft}s
+          </Text>
+          <Text style={styles.hintText}>
+            Hold this screen up to the kiosk camera. Screenshots stop working within a minute.
+          </Text>
+          <TouchableOpacity style={[styles.smallButton, styles.dangerButton]} onPress={removeBadge}>
+            <Text style={styles.smallButtonText}>🗑️ Remove From This Phone</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>📷 Set Up Your Badge</Text>
+          <Text style={styles.rowDetail}>
+            Ask an administrator to open your ✏️ edit sheet on the Enroll screen and show the badge setup QR, then scan it here.
+          </Text>
+          <TouchableOpacity style={[styles.smallButton, styles.primaryButton, styles.setupButton]} onPress={openScanner}>
+            <Text style={styles.smallButtonText}>📷 Scan Setup QR</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      <TouchableOpacity style={styles.backButton} onPress={() => navigateTo('home')}>
+        <Text style={styles.backButtonText}>‹ Back to Dashboard</Text>
+      </TouchableOpacity>
+
+      {/* Info */}
+      <View style={styles.infoCard}>
+        <Text style={styles.infoTitle}>ℹ️ Rotating Badges</Text>
+        <Text style={styles.infoText}>
+          Your badge shows a new code every 30 seconds, made from a secret only this phone and the kiosk know. The kiosk accepts each code once, so a photo or screenshot of it is useless after a minute.{'\n'}
+          {'\n'}
+          The secret is kept in this phone's secure storage. If the phone is lost, ask an administrator to issue a new rotating badge - the old one stops working.
+        </Text>
+      </View>
+
+      </ScrollView>
+
+      <Modal
+        visible={showScanner}
+        transparent={false}
+        animationType="slide"
+        onRequestClose={() => setShowScanner(false)}>
+        <View style={styles.cameraContainer}>
+          {device && (
+            <Camera
+              style={styles.camera}
+              device={device}
+              isActive={showScanner}
+              codeScanner={codeScanner}
+            />
+          )}
+          <View style={styles.cameraOverlay}>
+            <Text style={styles.cameraTitle}>🪪 Scan Setup QR</Text>
+            <Text style={styles.cameraInstructions}>
+              Position the setup code within frame
+            </Text>
+            <TouchableOpacity
+              style={styles.cameraCancelButton}
+              onPress={() => setShowScanner(false)}>
+              <Text style={styles.cameraCancelText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  modernHeader: {
+    backgroundColor: '#0f766e',
+    paddingTop: 40,
+    paddingBottom: 30,
+    paddingHorizontal: 20,
+    borderBottomLeftRadius: 30,
+    borderBottomRightRadius: 30,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.3,
+    shadowRadius: 12,
+    elevation: 10,
+    alignItems: 'center',
+  },
+  headerEmoji: {
+    fontSize: 48,
+    marginBottom: 8,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 4,
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#ccfbf1',
+    opacity: 0.9,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 30,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 20,
+    padding: 20,
+    marginTop: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.08,
+    shadowRadius: 8,
+    elevation: 6,
+  },
+  badgeCard: {
+    alignItems: 'center',
+  },
+  cardTitle: {
+    alignSelf: 'stretch',
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    marginBottom: 16,
+    borderBottomWidth: 3,
+    borderBottomColor: '#14b8a6',
+    paddingBottom: 10,
+  },
+  qrFrame: {
+    padding: 16,
+    backgroundColor: 'white',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  countdown: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#0f766e',
+    marginTop: 12,
+    marginBottom: 4,
+    fontFamily: Platform.OS === 'ios' ? 'Courier' : 'monospace',
+  },
+  countdownSoon: {
+    color: '#f59e0b',
+  },
+  rowDetail: {
+    fontSize: 13,
+    color: '#475569',
+    marginBottom: 2,
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#64748b',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  setupButton: {
+    marginTop: 12,
+  },
+  smallButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  smallButtonText: {
+    color: 'white',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  primaryButton: {
+    backgroundColor: '#3b82f6',
+  },
+  dangerButton: {
+    backgroundColor: '#ef4444',
+  },
+  backButton: {
+    padding: 14,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  backButtonText: {
+    color: '#3b82f6',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  infoCard: {
+    backgroundColor: '#ebf8ff',
+    borderRadius: 10,
+    padding: 16,
+    marginTop: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: '#4299e1',
+  },
+  infoTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#2c5282',
+    marginBottom: 8,
+  },
+  infoText: {
+    fontSize: 13,
+    color: '#2c5282',
+    lineHeight: 20,
+  },
+  cameraContainer: {
+    flex: 1,
+    backgroundColor: 'black',
+  },
+  camera: {
+    flex: 1,
+  },
+  cameraOverlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+  },
+  cameraTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 12,
+    textShadowColor: 'rgba(0, 0, 0, 0.75)',
+    textShadowOffset: { width: -1, height: 1 },
+    textShadowRadius: 10,
+  },
+  cameraInstructions: {
+    fontSize: 16,
+    color: 'white',
+    marginBottom: 40,
+  },
+  cameraCancelButton: {
+    backgroundColor: 'rgba(239, 68, 68, 0.9)',
+    paddingHorizontal: 32,
+    paddingVertical: 14,
+    borderRadius: 12,
+  },
+  cameraCancelText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default BadgeScreen;
@@ -5,6 +5,7 @@ import {
   View,
   ScrollView,
   TouchableOpacity,
+  TextInput,
   Alert,
   Platform,
   Share,
@@ -21,10 +22,25 @@ const DiagnosticsScreen = ({ systemData, updateSystemData }) => {
   const [queueStatus, setQueueStatus] = useState({ total: 0, pending: 0, failed: 0, syncing: false });
   const [analytics, setAnalytics] = useState(null);
   const [performance, setPerformance] = useState({});
+  const [deadLetters, setDeadLetters] = useState([]);
+  const [duplicates, setDuplicates] = useState([]);
+  const [expandedDeadLetter, setExpandedDeadLetter] = useState(null);
+  const [editingEndpoint, setEditingEndpoint] = useState(null);
+  const [endpointDraft, setEndpointDraft] = useState('');
 
   useEffect(() => {
     analyticsService.trackScreenView('DiagnosticsScreen');
     loadDiagnostics();
+
+    const unsubscribe = offlineSyncManager.subscribe((event) => {
+      if (event.syncCompleted || event.deadLetterChanged) {
+        loadDiagnostics();
+      }
+    });
+
+    return () => {
+      unsubscribe();
+    };
   }, []);
 
   const loadDiagnostics = async () => {
@@ -32,10 +48,12 @@ const DiagnosticsScreen = ({ systemData, updateSystemData }) => {
       // Sync queue status
       const queue = offlineSyncManager.getQueueStatus();
       setQueueStatus(queue);
+      setDeadLetters(offlineSyncManager.getDeadLetterItems());
 
       // Analytics data
       const stats = await analyticsService.getAttendanceStats();
       setAnalytics(stats);
+      setDuplicates(await analyticsService.getSuppressedDuplicates());
 
       // Performance metrics
       const perf = await analyticsService.getPerformanceMetrics();
@@ -77,6 +95,66 @@ const DiagnosticsScreen = ({ systemData, updateSystemData }) => {
     );
   };
   
+  // ==================== DEAD-LETTER QUEUE ====================
+
+  const startEditEndpoint = (item) => {
+    setEditingEndpoint(item.id);
+    setEndpointDraft(item.url || '');
+  };
+
+  const saveEndpoint = async (item) => {
+    const url = endpointDraft.trim();
+    if (!/^https?:\/\//i.test(url)) {
+      ToastService.warning('Endpoint must start with http:// or https://');
+      return;
+    }
+
+    try {
+      await offlineSyncManager.updateDeadLetterEndpoint(item.id, url);
+      setEditingEndpoint(null);
+      ToastService.success('Endpoint updated');
+    } catch (error) {
+      ToastService.error(error.message);
+    }
+  };
+
+  const requeueDeadLetter = async (item) => {
+    HapticFeedback.medium();
+    try {
+      await offlineSyncManager.requeueDeadLetterItem(item.id);
+      ToastService.success('Moved back to sync queue');
+      await analyticsService.trackEvent('offline', 'dead_letter_requeue', item.operation);
+    } catch (error) {
+      ToastService.error(error.message);
+    }
+  };
+
+  const exportDeadLetters = async (item = null) => {
+    try {
+      await Share.share({
+        message: offlineSyncManager.exportDeadLetterItems(item ? item.id : null),
+        title: item ? 'Dead-Letter Item' : 'Dead-Letter Queue',
+      });
+    } catch (err) {
+      Alert.alert('❌ Share Failed', err.message);
+    }
+  };
+
+  const discardDeadLetter = (item) => {
+    Alert.alert(
+      '⚠️ Discard Record',
+      'This record will be permanently deleted and never reach the server. Export it first if unsure.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: () => offlineSyncManager.removeDeadLetterItem(item.id),
+        },
+      ]
+    );
+  };
+
   const copyError = async (error) => {
     const errorText = `ERROR LOG\n\nType: ${error.type}\nMessage: ${error.message}\nTime: ${new Date(error.timestamp).toLocaleString()}\nDetails: ${JSON.stringify(error.details, null, 2)}\nStack: ${error.stack || 'N/A'}`;
     
@@ -170,12 +248,27 @@ const DiagnosticsScreen = ({ systemData, updateSystemData }) => {
             {queueStatus.failed || 0}
           </Text>
         </View>
+        <View style={styles.statRow}>
+          <Text style={styles.statLabel}>Next Retry:</Text>
+          <Text style={styles.statValueSmall}>
+            {queueStatus.nextRetryAt
+              ? new Date(queueStatus.nextRetryAt).toLocaleTimeString()
+              : '—'}
+          </Text>
+        </View>
         <View style={styles.statRow}>
           <Text style={styles.statLabel}>Status:</Text>
           <Text style={styles.statValue}>
             {queueStatus.syncing ? '🔄 Syncing...' : '✅ Idle'}
           </Text>
         </View>
+        {queueStatus.authProblem && (
+          <Text style={[styles.errorMessage, styles.statFailed]}>
+            🔐 The server refused this kiosk ({queueStatus.authProblem.message}) at{' '}
+            {new Date(queueStatus.authProblem.at).toLocaleTimeString()}. Check the clock or pair it again
+            from Pair This Kiosk - queued records are kept and retried.
+          </Text>
+        )}
         
         <TouchableOpacity
           style={[styles.actionButton, styles.primaryButton]}
@@ -184,6 +277,91 @@ const DiagnosticsScreen = ({ systemData, updateSystemData }) => {
         </TouchableOpacity>
       </View>
 
+      {/* Dead-Letter Queue */}
+      <View style={styles.card}>
+        <View style={styles.errorHeader}>
+          <Text style={styles.cardTitle}>☠️ Dead-Letter Queue ({deadLetters.length})</Text>
+          {deadLetters.length > 0 && (
+            <TouchableOpacity style={styles.copyButton} onPress={() => exportDeadLetters()}>
+              <Text style={styles.copyButtonText}>📤 Export All</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {deadLetters.length > 0 ? (
+          deadLetters.map((item) => (
+            <View key={item.id} style={styles.errorCard}>
+              <TouchableOpacity
+                onPress={() => setExpandedDeadLetter(expandedDeadLetter === item.id ? null : item.id)}>
+                <View style={styles.errorCardHeader}>
+                  <Text style={styles.errorType}>
+                    [{item.operation}] {item.originalPayload?.user_name || item.originalPayload?.uid || ''}
+                  </Text>
+                  <Text style={styles.errorTime}>{item.retryHistory.length} attempts</Text>
+                </View>
+                <Text style={styles.errorTime}>
+                  Dead since {new Date(item.deadLetteredAt).toLocaleString()}
+                </Text>
+                <Text style={styles.errorMessage}>{item.lastError}</Text>
+              </TouchableOpacity>
+
+              {expandedDeadLetter === item.id && (
+                <View style={styles.errorDetailsBox}>
+                  <Text style={styles.errorDetailsText}>Endpoint: {item.url}</Text>
+                  <Text style={styles.errorDetailsText}>Key: {item.idempotencyKey}</Text>
+                  {item.retryHistory.map((attempt, index) => (
+                    <Text key={index} style={styles.errorDetailsText}>
+                      #{attempt.attempt} {new Date(attempt.attemptedAt).toLocaleString()} - {attempt.error}
+                    </Text>
+                  ))}
+                  <Text style={styles.errorDetailsText}>
+                    {JSON.stringify(item.originalPayload, null, 2)}
+                  </Text>
+                </View>
+              )}
+
+              {editingEndpoint === item.id && (
+                <View>
+                  <TextInput
+                    style={styles.endpointInput}
+                    value={endpointDraft}
+                    onChangeText={setEndpointDraft}
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                    keyboardType="url"
+                  />
+                  <View style={styles.deadLetterActions}>
+                    <TouchableOpacity style={styles.copyButton} onPress={() => saveEndpoint(item)}>
+                      <Text style={styles.copyButtonText}>💾 Save</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.miniClearButton} onPress={() => setEditingEndpoint(null)}>
+                      <Text style={styles.miniClearText}>Cancel</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              )}
+
+              <View style={styles.deadLetterActions}>
+                <TouchableOpacity style={styles.copyButton} onPress={() => requeueDeadLetter(item)}>
+                  <Text style={styles.copyButtonText}>🔁 Requeue</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.copyButton} onPress={() => startEditEndpoint(item)}>
+                  <Text style={styles.copyButtonText}>✏️ Endpoint</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.copyButton} onPress={() => exportDeadLetters(item)}>
+                  <Text style={styles.copyButtonText}>📤 Export</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.miniClearButton} onPress={() => discardDeadLetter(item)}>
+                  <Text style={styles.miniClearText}>🗑️</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          ))
+        ) : (
+          <Text style={styles.emptySubtext}>No records have exhausted their retries</Text>
+        )}
+      </View>
+
       {/* Analytics Statistics */}
       {analytics && (
         <View style={styles.card}>
@@ -234,6 +412,27 @@ const DiagnosticsScreen = ({ systemData, updateSystemData }) => {
         </View>
       )}
 
+      {/* Suppressed Duplicate Punches */}
+      {duplicates.length > 0 && (
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>🔁 Suppressed Duplicates ({duplicates.length})</Text>
+
+          {duplicates.map((item, index) => {
+            const user = systemData.enrolledUsers.find(u => u.userId === item.userId);
+            return (
+              <View key={`${item.timestamp}-${index}`} style={styles.statRow}>
+                <Text style={styles.statLabel}>
+                  {user ? user.userName : item.userId} ({item.method})
+                </Text>
+                <Text style={styles.statValue}>
+                  {new Date(item.timestamp).toLocaleTimeString()} · +{item.secondsSinceLast}s
+                </Text>
+              </View>
+            );
+          })}
+        </View>
+      )}
+
       {/* Performance Metrics */}
       {Object.keys(performance).length > 0 && (
         <View style={styles.card}>
@@ -565,6 +764,21 @@ const styles = StyleSheet.create({
     color: '#a0aec0',
     fontStyle: 'italic',
   },
+  endpointInput: {
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 6,
+    padding: 8,
+    fontSize: 12,
+    marginBottom: 8,
+  },
+  deadLetterActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 4,
+  },
   emptyState: {
     alignItems: 'center',
     paddingVertical: 40,
@@ -13,16 +13,32 @@ import {
 } from 'react-native';
 import ReactNativeBiometrics from 'react-native-biometrics';
 import NfcManager, { NfcTech, Ndef } from 'react-native-nfc-manager';
-import Barcode from 'react-native-barcode-builder';
+import QRCode from 'react-native-qrcode-svg';
 import RNFS from 'react-native-fs';
 
 // Import new services
 import PerformanceOptimizer from '../services/PerformanceOptimizer';
+import biometricVerificationService from '../services/BiometricVerificationService';
 import analyticsService from '../services/AnalyticsService';
 import ToastService from '../services/ToastService';
+import attendanceService from '../services/AttendanceService';
+import punchStateService from '../services/PunchStateService';
+import shiftService from '../services/ShiftService';
+import userAuditService from '../services/UserAuditService';
+import cardSecurityService from '../services/CardSecurityService';
+import cardKeyService from '../services/CardKeyService';
+import badgeService from '../services/BadgeService';
 import HapticFeedback from '../utils/HapticFeedback';
+import UserLifecycle from '../utils/UserLifecycle';
+import CardLifecycle from '../utils/CardLifecycle';
+import RosterParser from '../utils/RosterParser';
+import BadgeCode from '../utils/BadgeCode';
+import BarcodeFormats from '../utils/BarcodeFormats';
+import UserEditModal from '../components/UserEditModal';
+import BarcodeSetupModal from '../components/BarcodeSetupModal';
+import BarcodeSymbol from '../components/BarcodeSymbol';
 
-const EnrollScreen = ({ systemData, updateSystemData, logError }) => {
+const EnrollScreen = ({ systemData, updateSystemData, logError, navigateTo }) => {
   const [userName, setUserName] = useState('');
   const [userId, setUserId] = useState('');
   const [userRole, setUserRole] = useState('Student');
@@ -31,11 +47,30 @@ const EnrollScreen = ({ systemData, updateSystemData, logError }) => {
   const [filterType, setFilterType] = useState('all'); // all, fingerprint, nfc, both, barcode, face
   const [showBarcodeModal, setShowBarcodeModal] = useState(false);
   const [currentBarcode, setCurrentBarcode] = useState(null);
+  const [editingUserId, setEditingUserId] = useState(null);
+  const [barcodeSetupUser, setBarcodeSetupUser] = useState(null);
+  const [deviceKey, setDeviceKey] = useState(null);
   
   useEffect(() => {
     analyticsService.trackScreenView('EnrollScreen');
   }, []);
 
+  // Re-read after every enrollment, which may create the kiosk's key
+  useEffect(() => {
+    biometricVerificationService.getDeviceKey().then(setDeviceKey);
+  }, [systemData.enrolledUsers]);
+
+  const staleFingerprints = systemData.enrolledUsers.filter(
+    user => biometricVerificationService.needsReenrollment(user, deviceKey)
+  );
+
+  const startReenrollment = (user) => {
+    HapticFeedback.light();
+    setUserName(user.userName);
+    setUserId(user.userId);
+    setUserRole(user.userRole);
+  };
+
   // Debounced search
   const debouncedSearch = useCallback(
     PerformanceOptimizer.debounce((query) => {
@@ -71,13 +106,15 @@ const EnrollScreen = ({ systemData, updateSystemData, logError }) => {
     const existingIndex = systemData.enrolledUsers.findIndex(u => u.userId === userId);
     const existing = existingIndex >= 0 ? systemData.enrolledUsers[existingIndex] : null;
     
-    if (existing && existing.hasFingerprint) {
+    // Without a key from the current key pair a punch cannot be verified, so that user may enroll again
+    const currentKey = await biometricVerificationService.getDeviceKey();
+    if (existing && existing.hasFingerprint && currentKey && existing.fingerprintPublicKey === currentKey) {
       ToastService.warning('Already has fingerprint');
       Alert.alert('ℹ️ Already Has Fingerprint', `${existing.userName} already has fingerprint enrolled.`);
       return;
     }
 
-    const rnBiometrics = new ReactNativeBiometrics({ allowDeviceCredentials: true });
+    const rnBiometrics = new ReactNativeBiometrics({ allowDeviceCredentials: false });
 
     try {
       const { available } = await rnBiometrics.isSensorAvailable();
@@ -97,7 +134,8 @@ const EnrollScreen = ({ systemData, updateSystemData, logError }) => {
             style: 'default',
             onPress: async () => {
               try {
-                const { publicKey } = await rnBiometrics.createKeys();
+                // Shared kiosk key - a new key pair would lock out users already enrolled
+                const publicKey = await biometricVerificationService.getEnrollmentKey();
                 const { success } = await rnBiometrics.createSignature({
                   promptMessage: `Enroll fingerprint for ${userName}`,
                   payload: userId,
@@ -172,6 +210,96 @@ const EnrollScreen = ({ systemData, updateSystemData, logError }) => {
     }
   };
 
+  /**
+   * Read one NFC card and write the user's signed credential onto it
+   * The card is checked with accept(cardUid) before anything is written;
+   * cards that cannot hold NDEF keep working by UID
+   * @returns {Object|null} { tag, cardUid, ndefData, credential, writeError }, null when not accepted
+   */
+  const readAndIssueCard = async (forUserId, accept = (cardUid) => isCardAvailable(cardUid, forUserId)) => {
+    try {
+      await NfcManager.requestTechnology(NfcTech.Ndef);
+      const tag = await NfcManager.getTag();
+
+      let cardUid = '';
+      if (tag && tag.id) {
+        cardUid = Array.from(tag.id)
+          .map(byte => byte.toString(16).padStart(2, '0'))
+          .join(':')
+          .toUpperCase();
+      }
+
+      if (!accept(cardUid)) {
+        return null;
+      }
+
+      try {
+        const credential = await cardKeyService.issue(forUserId, cardUid);
+        await NfcManager.ndefHandler.writeNdefMessage(Ndef.encodeMessage([Ndef.textRecord(credential.text)]));
+        await analyticsService.trackEvent('nfc', 'credential_written', `v${credential.keyVersion}`);
+        return { tag, cardUid, ndefData: credential.text, credential, writeError: null };
+      } catch (writeError) {
+        await analyticsService.trackEvent('nfc', 'credential_write_failed', writeError.message);
+      }
+
+      let ndefData = '';
+      if (tag.ndefMessage && tag.ndefMessage.length > 0) {
+        try {
+          ndefData = Ndef.text.decodePayload(tag.ndefMessage[0].payload);
+        } catch (err) {
+          ndefData = '';
+        }
+      }
+      return { tag, cardUid, ndefData, credential: null, writeError: 'This card cannot store a credential' };
+    } finally {
+      await NfcManager.cancelTechnologyRequest().catch(() => {});
+    }
+  };
+
+  /**
+   * Card fields for a user after issuing
+   */
+  const cardFields = ({ tag, cardUid, ndefData, credential }) => ({
+    hasNFC: true,
+    cardUid,
+    cardType: tag.techTypes ? tag.techTypes.join(', ') : 'Unknown',
+    ndefData,
+    credentialIssuedAt: credential ? credential.issuedAt : null,
+    credentialKeyVersion: credential ? credential.keyVersion : null,
+    credentialNeedsReissue: false,
+    nfcEnrolledAt: new Date().toISOString(),
+  });
+
+  const credentialStatus = (issued) => (issued.credential
+    ? `🔏 Signed credential written (key v${issued.credential.keyVersion})`
+    : `⚠️ ${issued.writeError} - it will be matched by UID only`);
+
+  /**
+   * A card can be bound unless it is revoked or belongs to someone else
+   */
+  const isCardAvailable = (cardUid, forUserId) => {
+    const revoked = cardSecurityService.getEntry(cardUid);
+    if (revoked) {
+      Alert.alert(
+        '⛔ Card Revoked',
+        `This card was reported ${revoked.reason} for ${revoked.userName} (${revoked.userId}) ` +
+        `on ${new Date(revoked.revokedAt).toLocaleDateString()}.\n\nUse a new card, or remove it from the blocklist under Card Security first.`
+      );
+      return false;
+    }
+
+    // Check if card already assigned to a DIFFERENT user
+    const cardOwner = systemData.enrolledUsers.find(u => u.cardUid === cardUid && u.userId !== forUserId);
+    if (cardOwner) {
+      Alert.alert(
+        '⚠️ Card Already Assigned',
+        `This card is already assigned to:\n\n${cardOwner.userName} (${cardOwner.userId})`
+      );
+      return false;
+    }
+    return true;
+  };
+
   const enrollWithNFC = async () => {
     if (!userName.trim() || !userId.trim()) {
       Alert.alert('⚠️ Missing Info', 'Please enter both name and ID');
@@ -216,37 +344,11 @@ const EnrollScreen = ({ systemData, updateSystemData, logError }) => {
             style: 'default',
             onPress: async () => {
               try {
-                await NfcManager.requestTechnology(NfcTech.Ndef);
-                const tag = await NfcManager.getTag();
-
-                let cardUid = '';
-                if (tag && tag.id) {
-                  cardUid = Array.from(tag.id)
-                    .map(byte => byte.toString(16).padStart(2, '0'))
-                    .join(':')
-                    .toUpperCase();
-                }
-
-                let ndefData = '';
-                if (tag.ndefMessage && tag.ndefMessage.length > 0) {
-                  try {
-                    ndefData = Ndef.text.decodePayload(tag.ndefMessage[0].payload);
-                  } catch (err) {
-                    ndefData = '';
-                  }
-                }
-
-                await NfcManager.cancelTechnologyRequest();
-
-                // Check if card already assigned to a DIFFERENT user
-                const cardOwner = systemData.enrolledUsers.find(u => u.cardUid === cardUid && u.userId !== userId);
-                if (cardOwner) {
-                  Alert.alert(
-                    '⚠️ Card Already Assigned',
-                    `This card is already assigned to:\n\n${cardOwner.userName} (${cardOwner.userId})`
-                  );
+                const issued = await readAndIssueCard(userId);
+                if (!issued) {
                   return;
                 }
+                const { cardUid } = issued;
 
                 let updatedUsers;
                 
@@ -255,11 +357,7 @@ const EnrollScreen = ({ systemData, updateSystemData, logError }) => {
                   updatedUsers = [...systemData.enrolledUsers];
                   updatedUsers[existingIndex] = {
                     ...existing,
-                    hasNFC: true,
-                    cardUid,
-                    cardType: tag.techTypes ? tag.techTypes.join(', ') : 'Unknown',
-                    ndefData,
-                    nfcEnrolledAt: new Date().toISOString(),
+                    ...cardFields(issued),
                     enrollmentType: existing.hasFingerprint ? 'both' : 'nfc',
                   };
                 } else {
@@ -269,13 +367,9 @@ const EnrollScreen = ({ systemData, updateSystemData, logError }) => {
                     userName,
                     userRole,
                     hasFingerprint: false,
-                    hasNFC: true,
-                    cardUid,
-                    cardType: tag.techTypes ? tag.techTypes.join(', ') : 'Unknown',
-                    ndefData,
+                    ...cardFields(issued),
                     enrollmentType: 'nfc',
                     enrolledAt: new Date().toISOString(),
-                    nfcEnrolledAt: new Date().toISOString(),
                   };
                   updatedUsers = [...systemData.enrolledUsers, newUser];
                 }
@@ -292,7 +386,8 @@ const EnrollScreen = ({ systemData, updateSystemData, logError }) => {
                   `Card UID: ${cardUid}\n` +
                   `User ID: ${userId}\n` +
                   `Role: ${userRole}\n` +
-                  `Status: ${enrollmentStatus}\n\n` +
+                  `Status: ${enrollmentStatus}\n` +
+                  `${credentialStatus(issued)}\n\n` +
                   `${existing?.hasFingerprint ? '👆 Fingerprint + 📡 NFC Card' : '📡 NFC Card Only'}`,
                   [{ 
                     text: 'Done',
@@ -327,47 +422,62 @@ const EnrollScreen = ({ systemData, updateSystemData, logError }) => {
     }
   };
 
-  const generateBarcode = async () => {
+  const generateBarcode = () => {
     if (!userName.trim() || !userId.trim()) {
       Alert.alert('⚠️ Missing Info', 'Please enter both name and ID');
       return;
     }
 
-    // Check if user exists
-    const existingIndex = systemData.enrolledUsers.findIndex(u => u.userId === userId);
-    const existing = existingIndex >= 0 ? systemData.enrolledUsers[existingIndex] : null;
-    
+    Alert.alert(
+      '📊 Badge Type',
+      `🔄 Rotating QR: the code on ${userName.trim()}'s phone changes every 30 seconds, so screenshots and printed copies stop working.\n\n` +
+      `📊 Static: one fixed code for a printed card - a new one, or the code already on their student card.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: '📊 Static', onPress: openBarcodeSetup },
+        { text: '🔄 Rotating QR', onPress: issueRotatingBadge },
+      ]
+    );
+  };
+
+  const openBarcodeSetup = () => {
+    const existing = systemData.enrolledUsers.find(u => u.userId === userId);
     if (existing && existing.hasBarcode) {
       Alert.alert('ℹ️ Already Has Barcode', `${existing.userName} already has barcode generated.`);
       return;
     }
 
-    // Generate unique barcode ID
-    const barcodeId = `ATT${userId}${Date.now().toString(36).toUpperCase()}`;
-    
+    setBarcodeSetupUser({ userId, userName: userName.trim() });
+  };
+
+  /**
+   * Store a generated or linked static barcode
+   * @param {Object} barcode - { barcodeId, barcodeFormat, linked } from BarcodeSetupModal
+   */
+  const saveStaticBarcode = async ({ barcodeId, barcodeFormat, linked }) => {
+    setBarcodeSetupUser(null);
+
+    // Check if user exists
+    const existingIndex = systemData.enrolledUsers.findIndex(u => u.userId === userId);
+    const existing = existingIndex >= 0 ? systemData.enrolledUsers[existingIndex] : null;
+
+    // The new code goes after the existing record, or a re-issue would keep the old one
     const newUser = {
       userId,
       userName: userName.trim(),
       userRole,
-      hasBarcode: true,
-      barcodeId: barcodeId,
       enrolledAt: new Date().toISOString(),
-      barcodeGeneratedAt: new Date().toISOString(),
       ...(existing || {}),
       hasFingerprint: existing?.hasFingerprint || false,
       hasNFC: existing?.hasNFC || false,
       fingerprintPublicKey: existing?.fingerprintPublicKey || null,
       cardUid: existing?.cardUid || null,
-      enrollmentType: existing
-        ? existing.hasFingerprint && existing.hasNFC
-          ? 'all'
-          : existing.hasFingerprint
-          ? 'fingerprint-barcode'
-          : existing.hasNFC
-          ? 'nfc-barcode'
-          : 'barcode'
-        : 'barcode',
+      hasBarcode: true,
+      barcodeId,
+      barcodeFormat,
+      barcodeGeneratedAt: new Date().toISOString(),
     };
+    newUser.enrollmentType = RosterParser.enrollmentType(newUser);
 
     let updatedUsers;
     if (existing) {
@@ -380,32 +490,284 @@ const EnrollScreen = ({ systemData, updateSystemData, logError }) => {
 
     await updateSystemData('enrolledUsers', updatedUsers);
     
+    await analyticsService.trackEvent('enroll', linked ? 'barcode_linked' : 'barcode_generated', barcodeFormat);
+
     setCurrentBarcode({ user: newUser, barcodeId });
     setShowBarcodeModal(true);
     
     Alert.alert(
-      '✅ Barcode Generated!',
-      `Barcode created for ${userName}.\n\nBarcode ID: ${barcodeId}\n\nYou can screenshot or print this barcode for the ID card.`
+      linked ? '✅ Barcode Linked!' : '✅ Barcode Generated!',
+      `${BarcodeFormats.label(barcodeFormat)} ${linked ? 'linked to' : 'created for'} ${userName}.\n\nBarcode ID: ${barcodeId}` +
+      (linked ? '' : '\n\nPrint it from 🪪 Print ID Cards for a proper ID card.')
     );
   };
 
+  /**
+   * Give a user a rotating QR badge; any static barcode stops working
+   */
+  const issueRotatingBadge = async () => {
+    const existing = systemData.enrolledUsers.find(u => u.userId === userId);
+    const now = new Date().toISOString();
+    let secret;
+    try {
+      secret = await badgeService.issue(userId);
+    } catch (error) {
+      HapticFeedback.error();
+      Alert.alert('❌ Badge Not Issued', error.message);
+      return;
+    }
+
+    const user = {
+      userId,
+      userName: userName.trim(),
+      userRole,
+      hasFingerprint: false,
+      hasNFC: false,
+      enrolledAt: now,
+      ...(existing || {}),
+      hasBarcode: true,
+      barcodeId: null,
+      badgeIssuedAt: now,
+      barcodeGeneratedAt: now,
+    };
+    user.enrollmentType = RosterParser.enrollmentType(user);
+
+    const updatedUsers = existing
+      ? systemData.enrolledUsers.map(u => (u.userId === userId ? user : u))
+      : [...systemData.enrolledUsers, user];
+    await updateSystemData('enrolledUsers', updatedUsers);
+    if (existing) {
+      await userAuditService.record({
+        action: 'badge_issued',
+        user,
+        changes: { barcodeId: { from: existing.barcodeId || null, to: null } },
+      });
+    }
+    await analyticsService.trackEvent('badge', 'issued', existing && existing.badgeIssuedAt ? 'reissue' : 'new');
+
+    showBadgeSetup(user, secret);
+  };
+
+  const showBadgeSetup = async (user, secret = null) => {
+    const badgeSecret = secret || await badgeService.getSecret(user.userId);
+    if (!badgeSecret) {
+      Alert.alert('⚠️ No Badge Secret', `This kiosk has no badge secret for ${user.userName}. Issue a new rotating badge.`);
+      return;
+    }
+    setEditingUserId(null);
+    setCurrentBarcode({ user, setupCode: BadgeCode.setup(user, badgeSecret) });
+    setShowBarcodeModal(true);
+  };
+
   // ==================== FACE ENROLLMENT (ENTERPRISE SECURITY) ====================
 
 
 
 
-  const deleteUser = (userId) => {
+  // ==================== EDIT & LIFECYCLE ====================
+
+  const editingUser = systemData.enrolledUsers.find(u => u.userId === editingUserId) || null;
+
+  const saveUserEdit = async (edits) => {
+    try {
+      const { users, user, changes } = UserLifecycle.applyEdit(systemData.enrolledUsers, editingUserId, edits);
+      await updateSystemData('enrolledUsers', users);
+      if (changes.userId) {
+        // Keep past punches, the badge secret, the open/closed punch state and the personal shift with the corrected ID
+        await attendanceService.renameUser(changes.userId.from, changes.userId.to);
+        await badgeService.renameUser(changes.userId.from, changes.userId.to);
+        await punchStateService.renameUser(changes.userId.from, changes.userId.to);
+        await shiftService.renameUser(changes.userId.from, changes.userId.to);
+        setEditingUserId(user.userId);
+      }
+      await userAuditService.record({ action: 'edited', user, changes });
+      await analyticsService.trackEvent('lifecycle', 'edited', Object.keys(changes).join(','));
+      HapticFeedback.success();
+      ToastService.success(`✅ ${user.userName} updated`);
+
+      if (changes.userId && user.credentialNeedsReissue) {
+        Alert.alert(
+          '🔏 Rewrite Card Credential',
+          `${user.userName}'s card still carries the old ID ${changes.userId.from} and will be refused until it is rewritten.`,
+          [
+            { text: 'Later', style: 'cancel' },
+            { text: 'Rewrite Now', onPress: () => writeCardCredential(user, users) },
+          ]
+        );
+      }
+    } catch (error) {
+      HapticFeedback.error();
+      Alert.alert('❌ Cannot Save', error.message);
+    }
+  };
+
+  const changeUserStatus = (status, reason) => {
+    const apply = async () => {
+      const { users, user, changes } = UserLifecycle.applyStatus(systemData.enrolledUsers, editingUserId, status, reason);
+      await updateSystemData('enrolledUsers', users);
+      await userAuditService.record({ action: 'status_changed', user, changes, reason: user.statusReason });
+      await analyticsService.trackEvent('lifecycle', 'status_changed', status);
+      HapticFeedback.success();
+      ToastService.success(`${UserLifecycle.label(status)}: ${user.userName}`);
+    };
+
+    if (status === 'active') {
+      apply();
+      return;
+    }
+    Alert.alert(
+      `${UserLifecycle.label(status)}?`,
+      `${editingUser.userName} will be refused at the scanner. Their card, history and enrollment are kept.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Confirm', style: 'destructive', onPress: apply },
+      ]
+    );
+  };
+
+  // ==================== CARD LIFECYCLE ====================
+
+  const revokeCard = (reason, note) => {
+    const user = editingUser;
+    Alert.alert(
+      `${CardLifecycle.reasonLabel(reason)} Card?`,
+      `Card ${user.cardUid} will be removed from ${user.userName} and blocklisted.\n\n` +
+      `Any later tap of it is reported as a security incident.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Revoke',
+          style: 'destructive',
+          onPress: async () => {
+            const revoked = await cardSecurityService.revoke(systemData.enrolledUsers, user.userId, reason, note);
+            await updateSystemData('enrolledUsers', revoked.users);
+            await userAuditService.record({
+              action: 'card_revoked',
+              user: revoked.user,
+              changes: { cardUid: { from: revoked.entry.cardUid, to: null } },
+              reason: [CardLifecycle.reasonLabel(reason), revoked.entry.note].filter(Boolean).join(' - '),
+            });
+            HapticFeedback.success();
+            ToastService.warning(`⛔ Card ${revoked.entry.cardUid} blocklisted`);
+          }
+        }
+      ]
+    );
+  };
+
+  /**
+   * Bind a new card; a card still bound is revoked as 'replaced' in the same step
+   */
+  const replaceCard = async () => {
+    const user = editingUser;
+    try {
+      const enabled = await NfcManager.isEnabled();
+      if (!enabled) {
+        Alert.alert('⚠️ NFC Disabled', 'Please enable NFC in your device settings');
+        return;
+      }
+
+      ToastService.info(`📡 Hold the new card for ${user.userName} to the phone`);
+      const issued = await readAndIssueCard(user.userId, (cardUid) => {
+        if (!cardUid || cardUid === user.cardUid) {
+          Alert.alert('ℹ️ Same Card', 'That is the card this user already has. Use a new card.');
+          return false;
+        }
+        return isCardAvailable(cardUid, user.userId);
+      });
+      if (!issued) {
+        return;
+      }
+
+      let users = systemData.enrolledUsers;
+      let current = user;
+      if (user.cardUid) {
+        const revoked = await cardSecurityService.revoke(users, user.userId, 'replaced');
+        users = revoked.users;
+        current = revoked.user;
+      }
+
+      const updated = { ...current, ...cardFields(issued) };
+      updated.enrollmentType = RosterParser.enrollmentType(updated);
+
+      await updateSystemData('enrolledUsers', users.map(u => (u.userId === user.userId ? updated : u)));
+      await userAuditService.record({
+        action: 'card_issued',
+        user: updated,
+        changes: { cardUid: { from: user.cardUid || null, to: issued.cardUid } },
+      });
+      HapticFeedback.success();
+      Alert.alert(
+        '✅ Replacement Card Issued',
+        `${user.userName}\n\nNew card: ${issued.cardUid}\n${credentialStatus(issued)}` +
+        `${user.cardUid ? `\nOld card ${user.cardUid} is blocklisted` : ''}`
+      );
+    } catch (error) {
+      HapticFeedback.error();
+      Alert.alert('❌ NFC Error', error.message);
+    }
+  };
+
+  /**
+   * Write a signed credential onto the card a user already has
+   * (UID-only cards, or a credential that still names a corrected ID)
+   * @param {Array} users - the enrolled users to update; pass them when called
+   *                        straight after an edit, before systemData catches up
+   */
+  const writeCardCredential = async (user, users = systemData.enrolledUsers) => {
+    try {
+      ToastService.info(`📡 Hold ${user.userName}'s card to the phone`);
+      const issued = await readAndIssueCard(user.userId, (cardUid) => {
+        if (cardUid !== user.cardUid) {
+          Alert.alert('⚠️ Different Card', `That is not ${user.userName}'s card (${user.cardUid}).`);
+          return false;
+        }
+        return true;
+      });
+      if (!issued) {
+        return;
+      }
+      if (!issued.credential) {
+        Alert.alert('⚠️ Not Written', `${issued.writeError}. It keeps working by UID.`);
+        return;
+      }
+
+      const updated = { ...user, ...cardFields(issued), nfcEnrolledAt: user.nfcEnrolledAt };
+      await updateSystemData('enrolledUsers', users.map(u => (u.userId === user.userId ? updated : u)));
+      await userAuditService.record({
+        action: 'card_issued',
+        user: updated,
+        changes: { credentialIssuedAt: { from: user.credentialIssuedAt || null, to: updated.credentialIssuedAt } },
+      });
+      HapticFeedback.success();
+      ToastService.success(`🔏 Credential written for ${user.userName}`);
+    } catch (error) {
+      HapticFeedback.error();
+      Alert.alert('❌ NFC Error', error.message);
+    }
+  };
+
+  const deleteUser = () => {
+    const user = editingUser;
     Alert.alert(
-      '⚠️ Confirm Delete',
-      'Are you sure you want to remove this user?',
+      '⚠️ Delete Permanently',
+      `Remove ${user.userName} (${user.userId}) and their card binding?\n\n` +
+      `Past punches stay in the history. This cannot be undone - re-enrolling starts from scratch.`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
           text: 'Delete',
           style: 'destructive',
           onPress: async () => {
-            const updatedUsers = systemData.enrolledUsers.filter(u => u.userId !== userId);
+            const updatedUsers = systemData.enrolledUsers.filter(u => u.userId !== user.userId);
             await updateSystemData('enrolledUsers', updatedUsers);
+            await badgeService.removeUser(user.userId);
+            await userAuditService.record({
+              action: 'deleted',
+              user,
+              changes: { status: { from: UserLifecycle.statusOf(user), to: null } },
+            });
+            setEditingUserId(null);
             Alert.alert('✅ Deleted', 'User has been removed');
           }
         }
@@ -425,6 +787,23 @@ const EnrollScreen = ({ systemData, updateSystemData, logError }) => {
         </View>
       </View>
 
+      {/* Fingerprints enrolled with a key this kiosk no longer has */}
+      {staleFingerprints.length > 0 && (
+        <View style={styles.reenrollCard}>
+          <Text style={styles.reenrollTitle}>
+            ⚠️ {staleFingerprints.length} fingerprint{staleFingerprints.length === 1 ? '' : 's'} to enroll again
+          </Text>
+          <Text style={styles.reenrollText}>
+            The fingerprint key on this kiosk changed, so these users cannot punch with a fingerprint. Tap a name, then Register Fingerprint.
+          </Text>
+          {staleFingerprints.map(user => (
+            <TouchableOpacity key={user.userId} style={styles.reenrollUser} onPress={() => startReenrollment(user)}>
+              <Text style={styles.reenrollUserText}>👆 {user.userName} ({user.userId})</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
       {/* Enrollment Form */}
       <View style={styles.formCard}>
         <Text style={styles.cardTitle}>➕ Enroll New User</Text>
@@ -502,7 +881,33 @@ const EnrollScreen = ({ systemData, updateSystemData, logError }) => {
           </View>
           <View style={styles.buttonContent}>
             <Text style={styles.buttonTitle}>Generate Barcode</Text>
-            <Text style={styles.buttonSubtitle}>Create unique barcode ID</Text>
+            <Text style={styles.buttonSubtitle}>Static barcode or rotating QR</Text>
+          </View>
+          <Text style={styles.buttonArrow}>›</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity 
+          style={styles.modernImportButton}
+          onPress={() => navigateTo('import')}>
+          <View style={styles.buttonIconContainer}>
+            <Text style={styles.buttonIcon}>📥</Text>
+          </View>
+          <View style={styles.buttonContent}>
+            <Text style={styles.buttonTitle}>Import / Export Roster</Text>
+            <Text style={styles.buttonSubtitle}>CSV/JSON files for bulk enrollment & backup</Text>
+          </View>
+          <Text style={styles.buttonArrow}>›</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity 
+          style={styles.modernIdCardButton}
+          onPress={() => navigateTo('idcards')}>
+          <View style={styles.buttonIconContainer}>
+            <Text style={styles.buttonIcon}>🪪</Text>
+          </View>
+          <View style={styles.buttonContent}>
+            <Text style={styles.buttonTitle}>Print ID Cards</Text>
+            <Text style={styles.buttonSubtitle}>PDF or SVG sheets with name, photo box & barcode</Text>
           </View>
           <Text style={styles.buttonArrow}>›</Text>
         </TouchableOpacity>
@@ -579,7 +984,9 @@ const EnrollScreen = ({ systemData, updateSystemData, logError }) => {
               if (user.hasFace) methodIcons.push('👤');
               
               return (
-                <View key={index} style={styles.userCard}>
+                <View
+                  key={index}
+                  style={[styles.userCard, UserLifecycle.statusOf(user) !== 'active' && styles.userCardInactive]}>
                   <View style={styles.userInfo}>
                     <Text style={styles.userTypeIcon}>
                       {methodIcons.join('')}
@@ -589,6 +996,12 @@ const EnrollScreen = ({ systemData, updateSystemData, logError }) => {
                       <Text style={styles.userMeta}>
                         ID: {user.userId} | {user.userRole}
                       </Text>
+                      {UserLifecycle.statusOf(user) !== 'active' && (
+                        <Text style={styles.userStatus}>
+                          {UserLifecycle.label(UserLifecycle.statusOf(user))}
+                          {user.statusReason ? ` - ${user.statusReason}` : ''}
+                        </Text>
+                      )}
                       <Text style={styles.userEnrollmentType}>
                         {methodIcons.length === 4 && '✅ All Methods (4)'}
                         {methodIcons.length === 3 && '✅ 3 Methods'}
@@ -599,7 +1012,12 @@ const EnrollScreen = ({ systemData, updateSystemData, logError }) => {
                         <Text style={styles.userCardUid}>Card: {user.cardUid}</Text>
                       )}
                       {user.barcodeId && (
-                        <Text style={styles.userCardUid}>Barcode: {user.barcodeId}</Text>
+                        <Text style={styles.userCardUid}>
+                          Barcode: {user.barcodeId} ({BarcodeFormats.label(user.barcodeFormat)})
+                        </Text>
+                      )}
+                      {user.badgeIssuedAt && (
+                        <Text style={styles.userCardUid}>Badge: 🔄 Rotating QR</Text>
                       )}
                       {user.hasFace && (
                         <Text style={styles.userCardUid}>
@@ -614,8 +1032,8 @@ const EnrollScreen = ({ systemData, updateSystemData, logError }) => {
                   </View>
                   <TouchableOpacity 
                     style={styles.deleteButton}
-                    onPress={() => deleteUser(user.userId)}>
-                    <Text style={styles.deleteButtonText}>🗑️</Text>
+                    onPress={() => setEditingUserId(user.userId)}>
+                    <Text style={styles.deleteButtonText}>✏️</Text>
                   </TouchableOpacity>
                 </View>
               );
@@ -633,26 +1051,44 @@ const EnrollScreen = ({ systemData, updateSystemData, logError }) => {
         onRequestClose={() => setShowBarcodeModal(false)}>
         <View style={styles.modalOverlay}>
           <View style={styles.barcodeModalContainer}>
-            <Text style={styles.barcodeModalTitle}>📊 Barcode Generated</Text>
+            <Text style={styles.barcodeModalTitle}>
+              {currentBarcode && currentBarcode.setupCode ? '🔄 Set Up Rotating Badge' : '📊 Barcode Generated'}
+            </Text>
             
-            {currentBarcode && (
+            {currentBarcode && currentBarcode.setupCode && (
+              <View style={styles.barcodeDisplay}>
+                <Text style={styles.barcodeUserName}>{currentBarcode.user.userName}</Text>
+                <Text style={styles.barcodeUserId}>ID: {currentBarcode.user.userId}</Text>
+
+                <View style={styles.barcodeWrapper}>
+                  <QRCode value={currentBarcode.setupCode} size={200} />
+                </View>
+
+                <Text style={styles.barcodeInstructions}>
+                  On {currentBarcode.user.userName}'s phone open 🪪 My Badge and scan this code.{'\n\n'}
+                  This code contains the badge secret - do not screenshot, print or send it. Close this window once the phone shows the live badge.
+                </Text>
+              </View>
+            )}
+
+            {currentBarcode && !currentBarcode.setupCode && (
               <View style={styles.barcodeDisplay}>
                 <Text style={styles.barcodeUserName}>{currentBarcode.user.userName}</Text>
                 <Text style={styles.barcodeUserId}>ID: {currentBarcode.user.userId}</Text>
                 
                 <View style={styles.barcodeWrapper}>
-                  <Barcode
+                  <BarcodeSymbol
                     value={currentBarcode.barcodeId}
-                    format="CODE128"
-                    width={2}
+                    format={currentBarcode.user.barcodeFormat}
+                    moduleWidth={2}
                     height={80}
-                    text={currentBarcode.barcodeId}
                     textStyle={styles.barcodeText}
                   />
                 </View>
                 
                 <Text style={styles.barcodeInstructions}>
-                  Screenshot this barcode and print it on the ID card.\n\nThis barcode can be scanned for attendance.
+                  This barcode can be scanned for attendance.{'\n\n'}
+                  Print it on an ID card from 🪪 Print ID Cards on the Enroll screen.
                 </Text>
               </View>
             )}
@@ -666,6 +1102,28 @@ const EnrollScreen = ({ systemData, updateSystemData, logError }) => {
         </View>
       </Modal>
 
+      {/* Static Barcode Setup */}
+      <BarcodeSetupModal
+        user={barcodeSetupUser}
+        users={systemData.enrolledUsers}
+        onSave={saveStaticBarcode}
+        onClose={() => setBarcodeSetupUser(null)}
+      />
+
+      {/* User Edit Modal */}
+      <UserEditModal
+        user={editingUser}
+        users={systemData.enrolledUsers}
+        onSave={saveUserEdit}
+        onStatusChange={changeUserStatus}
+        onDelete={deleteUser}
+        onRevokeCard={revokeCard}
+        onReplaceCard={replaceCard}
+        onWriteCredential={() => writeCardCredential(editingUser)}
+        onShowBadgeSetup={() => showBadgeSetup(editingUser)}
+        onClose={() => setEditingUserId(null)}
+      />
+
     </ScrollView>
   );
 };
@@ -711,6 +1169,35 @@ const styles = StyleSheet.create({
     color: '#94a3b8',
     fontWeight: '500',
   },
+  reenrollCard: {
+    backgroundColor: '#fffaf0',
+    borderRadius: 20,
+    borderLeftWidth: 4,
+    borderLeftColor: '#dd6b20',
+    padding: 20,
+    marginHorizontal: 16,
+    marginBottom: 16,
+  },
+  reenrollTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#7b341e',
+    marginBottom: 6,
+  },
+  reenrollText: {
+    fontSize: 13,
+    color: '#7b341e',
+    marginBottom: 10,
+  },
+  reenrollUser: {
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#feebc8',
+  },
+  reenrollUserText: {
+    fontSize: 14,
+    color: '#2d3748',
+  },
   formCard: {
     backgroundColor: 'white',
     borderRadius: 20,
@@ -878,6 +1365,16 @@ const styles = StyleSheet.create({
     fontFamily: Platform.OS === 'ios' ? 'Courier' : 'monospace',
     marginBottom: 2,
   },
+  userCardInactive: {
+    opacity: 0.6,
+    borderStyle: 'dashed',
+  },
+  userStatus: {
+    fontSize: 12,
+    color: '#c05621',
+    fontWeight: '600',
+    marginBottom: 4,
+  },
   userDate: {
     fontSize: 11,
     color: '#a0aec0',
@@ -944,6 +1441,32 @@ const styles = StyleSheet.create({
     shadowRadius: 12,
     elevation: 8,
   },
+  modernImportButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#0d9488',
+    padding: 20,
+    borderRadius: 16,
+    marginBottom: 16,
+    shadowColor: '#0d9488',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.4,
+    shadowRadius: 12,
+    elevation: 8,
+  },
+  modernIdCardButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1e3a8a',
+    padding: 20,
+    borderRadius: 16,
+    marginBottom: 16,
+    shadowColor: '#1e3a8a',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.4,
+    shadowRadius: 12,
+    elevation: 8,
+  },
   modalOverlay: {
     flex: 1,
     backgroundColor: 'rgba(0, 0, 0, 0.7)',
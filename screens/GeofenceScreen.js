@@ -0,0 +1,637 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Switch,
+  Alert,
+  Platform,
+  ActivityIndicator,
+} from 'react-native';
+
+import geofenceService from '../services/GeofenceService';
+import locationService from '../services/LocationService';
+import analyticsService from '../services/AnalyticsService';
+import ToastService from '../services/ToastService';
+import HapticFeedback from '../utils/HapticFeedback';
+import Geofence from '../utils/Geofence';
+
+const MODE_OPTIONS = [
+  { mode: 'warn', label: '⚠️ Warn', hint: 'Record attendance and show a warning' },
+  { mode: 'flag', label: '🚩 Flag', hint: 'Record attendance flagged for review' },
+  { mode: 'block', label: '⛔ Block', hint: 'Refuse attendance outside every geofence' },
+];
+
+const EMPTY_FENCE = {
+  name: '',
+  type: 'circle',
+  latitude: '',
+  longitude: '',
+  radiusMeters: '150',
+  pointsText: '',
+};
+
+/**
+ * Parse "lat, lng" lines into polygon points
+ */
+const parsePoints = (text) => {
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const [latitude, longitude] = line.split(/[,\s]+/).map(Number);
+      return { latitude, longitude };
+    });
+};
+
+const GeofenceScreen = ({ logError, navigateTo }) => {
+  const [policy, setPolicy] = useState(geofenceService.getPolicy());
+  const [limits, setLimits] = useState({
+    maxAccuracyMeters: String(policy.maxAccuracyMeters),
+    maxAgeSeconds: String(Math.round(policy.maxAgeMs / 1000)),
+  });
+  const [fenceForm, setFenceForm] = useState(null); // null = closed
+  const [locating, setLocating] = useState(false);
+  const [currentFix, setCurrentFix] = useState(null);
+
+  useEffect(() => {
+    analyticsService.trackScreenView('GeofenceScreen');
+  }, []);
+
+  const applyPolicy = async (changes) => {
+    try {
+      setPolicy(await geofenceService.updatePolicy(changes));
+      HapticFeedback.light();
+    } catch (error) {
+      HapticFeedback.error();
+      Alert.alert('⚠️ Geofencing', error.message);
+    }
+  };
+
+  const saveLimits = async () => {
+    const maxAccuracyMeters = Number(limits.maxAccuracyMeters);
+    const maxAgeSeconds = Number(limits.maxAgeSeconds);
+    if (!(maxAccuracyMeters > 0) || !(maxAgeSeconds > 0)) {
+      Alert.alert('⚠️ Invalid Limits', 'Accuracy and age limits must be greater than 0');
+      return;
+    }
+
+    await applyPolicy({ maxAccuracyMeters, maxAgeMs: maxAgeSeconds * 1000 });
+    ToastService.success('Location limits saved');
+  };
+
+  const locate = async () => {
+    setLocating(true);
+    const fix = await locationService.getCurrentFix({ maximumAge: 0 });
+    setLocating(false);
+
+    if (!fix) {
+      logError('GPS', 'Location fix failed', { error: locationService.lastError });
+      Alert.alert('❌ No Location', locationService.lastError || 'Location unavailable');
+      return null;
+    }
+    setCurrentFix(fix);
+    return fix;
+  };
+
+  const updateFenceForm = (field, value) => {
+    setFenceForm({ ...fenceForm, [field]: value });
+  };
+
+  const fillFromCurrentLocation = async () => {
+    const fix = await locate();
+    if (!fix) return;
+
+    if (fenceForm.type === 'circle') {
+      setFenceForm({ ...fenceForm, latitude: fix.latitude.toFixed(6), longitude: fix.longitude.toFixed(6) });
+    } else {
+      const line = `${fix.latitude.toFixed(6)}, ${fix.longitude.toFixed(6)}`;
+      setFenceForm({ ...fenceForm, pointsText: fenceForm.pointsText ? `${fenceForm.pointsText}\n${line}` : line });
+    }
+  };
+
+  const saveFence = async () => {
+    const fence = fenceForm.type === 'circle'
+      ? {
+          name: fenceForm.name,
+          type: 'circle',
+          center: { latitude: Number(fenceForm.latitude), longitude: Number(fenceForm.longitude) },
+          radiusMeters: Number(fenceForm.radiusMeters),
+        }
+      : {
+          name: fenceForm.name,
+          type: 'polygon',
+          points: parsePoints(fenceForm.pointsText),
+        };
+
+    try {
+      await geofenceService.addFence(fence);
+      await analyticsService.trackEvent('settings', 'add_geofence', fence.type);
+      HapticFeedback.success();
+      ToastService.success(`Added ${fence.name.trim()}`);
+      setPolicy(geofenceService.getPolicy());
+      setFenceForm(null);
+    } catch (error) {
+      HapticFeedback.error();
+      Alert.alert('⚠️ Invalid Geofence', error.message);
+    }
+  };
+
+  const deleteFence = (fence) => {
+    Alert.alert(
+      '⚠️ Delete Geofence',
+      `Remove "${fence.name}"?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            await geofenceService.removeFence(fence.id);
+            setPolicy(geofenceService.getPolicy());
+          },
+        },
+      ]
+    );
+  };
+
+  const currentCheck = currentFix ? Geofence.evaluate(currentFix, { ...policy, enabled: true }) : null;
+
+  const renderFenceForm = () => (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>➕ New Geofence</Text>
+
+      <Text style={styles.label}>Site Name *</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="e.g. Main Office"
+        value={fenceForm.name}
+        onChangeText={(text) => updateFenceForm('name', text)}
+      />
+
+      <View style={styles.segmentRow}>
+        {['circle', 'polygon'].map(type => (
+          <TouchableOpacity
+            key={type}
+            style={[styles.segment, fenceForm.type === type && styles.segmentActive]}
+            onPress={() => updateFenceForm('type', type)}>
+            <Text style={[styles.segmentText, fenceForm.type === type && styles.segmentTextActive]}>
+              {type === 'circle' ? '⭕ Circle' : '🔷 Polygon'}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {fenceForm.type === 'circle' ? (
+        <>
+          <View style={styles.formRow}>
+            <View style={styles.formColumn}>
+              <Text style={styles.label}>Latitude</Text>
+              <TextInput
+                style={styles.input}
+                value={fenceForm.latitude}
+                onChangeText={(text) => updateFenceForm('latitude', text)}
+                keyboardType="numeric"
+              />
+            </View>
+            <View style={styles.formColumn}>
+              <Text style={styles.label}>Longitude</Text>
+              <TextInput
+                style={styles.input}
+                value={fenceForm.longitude}
+                onChangeText={(text) => updateFenceForm('longitude', text)}
+                keyboardType="numeric"
+              />
+            </View>
+          </View>
+          <Text style={styles.label}>Radius (m)</Text>
+          <TextInput
+            style={styles.input}
+            value={fenceForm.radiusMeters}
+            onChangeText={(text) => updateFenceForm('radiusMeters', text)}
+            keyboardType="numeric"
+          />
+        </>
+      ) : (
+        <>
+          <Text style={styles.label}>Corners (one "latitude, longitude" per line)</Text>
+          <TextInput
+            style={[styles.input, styles.pointsInput]}
+            placeholder={'14.599512, 120.984222\n14.599800, 120.985100\n14.598900, 120.985300'}
+            value={fenceForm.pointsText}
+            onChangeText={(text) => updateFenceForm('pointsText', text)}
+            multiline={true}
+            autoCapitalize="none"
+          />
+        </>
+      )}
+
+      <TouchableOpacity style={styles.locateButton} onPress={fillFromCurrentLocation} disabled={locating}>
+        <Text style={styles.locateButtonText}>
+          {fenceForm.type === 'circle' ? '📍 Use Current Location as Center' : '📍 Add Current Location as Corner'}
+        </Text>
+      </TouchableOpacity>
+
+      <View style={styles.buttonRow}>
+        <TouchableOpacity style={[styles.smallButton, styles.primaryButton]} onPress={saveFence}>
+          <Text style={styles.smallButtonText}>💾 Save</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.smallButton, styles.neutralButton]} onPress={() => setFenceForm(null)}>
+          <Text style={styles.neutralButtonText}>Cancel</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      {/* Modern Header */}
+      <View style={styles.modernHeader}>
+        <Text style={styles.headerEmoji}>📍</Text>
+        <Text style={styles.headerTitle}>Geofences</Text>
+        <Text style={styles.headerSubtitle}>Where attendance may be taken</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+
+      {/* Policy */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>🛡️ Enforcement</Text>
+
+        <View style={styles.switchRow}>
+          <Text style={styles.switchLabel}>Check location on every punch</Text>
+          <Switch
+            value={policy.enabled}
+            onValueChange={(enabled) => applyPolicy({ enabled })}
+          />
+        </View>
+
+        <Text style={styles.label}>Outside every geofence:</Text>
+        <View style={styles.segmentRow}>
+          {MODE_OPTIONS.map(option => (
+            <TouchableOpacity
+              key={option.mode}
+              style={[styles.segment, policy.mode === option.mode && styles.segmentActive]}
+              onPress={() => applyPolicy({ mode: option.mode })}>
+              <Text style={[styles.segmentText, policy.mode === option.mode && styles.segmentTextActive]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <Text style={styles.hintText}>
+          {MODE_OPTIONS.find(o => o.mode === policy.mode).hint}. Missing, stale or inaccurate fixes count as outside.
+        </Text>
+
+        <View style={styles.formRow}>
+          <View style={styles.formColumn}>
+            <Text style={styles.label}>Max accuracy (m)</Text>
+            <TextInput
+              style={styles.input}
+              value={limits.maxAccuracyMeters}
+              onChangeText={(text) => setLimits({ ...limits, maxAccuracyMeters: text })}
+              keyboardType="numeric"
+            />
+          </View>
+          <View style={styles.formColumn}>
+            <Text style={styles.label}>Max fix age (s)</Text>
+            <TextInput
+              style={styles.input}
+              value={limits.maxAgeSeconds}
+              onChangeText={(text) => setLimits({ ...limits, maxAgeSeconds: text })}
+              keyboardType="numeric"
+            />
+          </View>
+        </View>
+        <TouchableOpacity style={[styles.smallButton, styles.primaryButton, styles.alignStart]} onPress={saveLimits}>
+          <Text style={styles.smallButtonText}>💾 Save Limits</Text>
+        </TouchableOpacity>
+      </View>
+
+      {/* Current Location */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>📡 Current Location</Text>
+        {locating && <ActivityIndicator color="#3b82f6" />}
+        {currentFix && !locating && (
+          <>
+            <Text style={styles.coordinates}>
+              {currentFix.latitude.toFixed(6)}, {currentFix.longitude.toFixed(6)}
+            </Text>
+            <Text style={styles.hintText}>
+              ±{Math.round(currentFix.accuracy)} m • {Math.round(currentFix.ageMs / 1000)}s old
+              {currentFix.mocked ? ' • ⚠️ mock location' : ''}
+            </Text>
+            {currentCheck && currentCheck.reason !== 'disabled' && (
+              <Text style={[styles.checkResult, currentCheck.inside ? styles.checkInside : styles.checkOutside]}>
+                {currentCheck.inside ? '✅ ' : '❌ '}{Geofence.describe(currentCheck)}
+              </Text>
+            )}
+          </>
+        )}
+        <TouchableOpacity style={styles.locateButton} onPress={locate} disabled={locating}>
+          <Text style={styles.locateButtonText}>📡 Check Current Location</Text>
+        </TouchableOpacity>
+      </View>
+
+      {fenceForm && renderFenceForm()}
+
+      {/* Fences */}
+      {policy.fences.map((fence) => (
+        <View key={fence.id} style={styles.card}>
+          <View style={styles.fenceHeader}>
+            <Text style={styles.fenceName}>
+              {fence.type === 'circle' ? '⭕ ' : '🔷 '}{fence.name}
+            </Text>
+            <TouchableOpacity style={[styles.smallButton, styles.dangerButton]} onPress={() => deleteFence(fence)}>
+              <Text style={styles.smallButtonText}>🗑️</Text>
+            </TouchableOpacity>
+          </View>
+          <Text style={styles.fenceDetail}>
+            {fence.type === 'circle'
+              ? `${fence.center.latitude.toFixed(6)}, ${fence.center.longitude.toFixed(6)} • ${fence.radiusMeters} m radius`
+              : `${fence.points.length} corners`}
+          </Text>
+        </View>
+      ))}
+
+      {!fenceForm && (
+        <TouchableOpacity style={styles.addButton} onPress={() => setFenceForm(EMPTY_FENCE)}>
+          <Text style={styles.addButtonText}>➕ Add Geofence</Text>
+        </TouchableOpacity>
+      )}
+
+      <TouchableOpacity style={styles.backButton} onPress={() => navigateTo('home')}>
+        <Text style={styles.backButtonText}>‹ Back to Dashboard</Text>
+      </TouchableOpacity>
+
+      {/* Info */}
+      <View style={styles.infoCard}>
+        <Text style={styles.infoTitle}>ℹ️ About Geofences</Text>
+        <Text style={styles.infoText}>
+          While geofencing (or a site-specific sign-in policy) is on, every attendance record carries the current GPS fix with its accuracy and age. Otherwise no location is looked up.{'\n'}
+          {'\n'}
+          In Warn mode a punch counts as inside when the fix's accuracy circle reaches any geofence, so a poor fix near the edge only goes unwarned. Flag and Block need the reported position itself inside a geofence. A position from a mock-location app never counts as inside.
+        </Text>
+      </View>
+
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  modernHeader: {
+    backgroundColor: '#1e293b',
+    paddingTop: 40,
+    paddingBottom: 30,
+    paddingHorizontal: 20,
+    borderBottomLeftRadius: 30,
+    borderBottomRightRadius: 30,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.3,
+    shadowRadius: 12,
+    elevation: 10,
+    alignItems: 'center',
+  },
+  headerEmoji: {
+    fontSize: 48,
+    marginBottom: 8,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 4,
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#cbd5e1',
+    opacity: 0.9,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 30,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 20,
+    padding: 20,
+    marginTop: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.08,
+    shadowRadius: 8,
+    elevation: 6,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    marginBottom: 16,
+    borderBottomWidth: 3,
+    borderBottomColor: '#3b82f6',
+    paddingBottom: 10,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4a5568',
+    marginBottom: 6,
+  },
+  input: {
+    backgroundColor: '#f7fafc',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  pointsInput: {
+    minHeight: 100,
+    textAlignVertical: 'top',
+    fontFamily: Platform.OS === 'ios' ? 'Courier' : 'monospace',
+  },
+  formRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  formColumn: {
+    flex: 1,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  switchLabel: {
+    fontSize: 15,
+    color: '#1e293b',
+    fontWeight: '600',
+  },
+  segmentRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 8,
+  },
+  segment: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: '#e2e8f0',
+    alignItems: 'center',
+  },
+  segmentActive: {
+    backgroundColor: '#3b82f6',
+  },
+  segmentText: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#334155',
+  },
+  segmentTextActive: {
+    color: 'white',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#64748b',
+    marginBottom: 12,
+  },
+  coordinates: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    fontFamily: Platform.OS === 'ios' ? 'Courier' : 'monospace',
+    marginBottom: 4,
+  },
+  checkResult: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 12,
+  },
+  checkInside: {
+    color: '#059669',
+  },
+  checkOutside: {
+    color: '#dc2626',
+  },
+  locateButton: {
+    backgroundColor: '#10b981',
+    padding: 12,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  locateButtonText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  fenceHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  fenceName: {
+    fontSize: 17,
+    fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  fenceDetail: {
+    fontSize: 12,
+    color: '#475569',
+    fontFamily: Platform.OS === 'ios' ? 'Courier' : 'monospace',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 4,
+  },
+  smallButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  alignStart: {
+    alignSelf: 'flex-start',
+  },
+  smallButtonText: {
+    color: 'white',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  primaryButton: {
+    backgroundColor: '#3b82f6',
+  },
+  dangerButton: {
+    backgroundColor: '#ef4444',
+  },
+  neutralButton: {
+    backgroundColor: '#e2e8f0',
+  },
+  neutralButtonText: {
+    color: '#334155',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  addButton: {
+    backgroundColor: '#3b82f6',
+    padding: 16,
+    borderRadius: 16,
+    alignItems: 'center',
+    marginTop: 16,
+    shadowColor: '#3b82f6',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.4,
+    shadowRadius: 12,
+    elevation: 8,
+  },
+  addButtonText: {
+    color: 'white',
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  backButton: {
+    padding: 14,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  backButtonText: {
+    color: '#3b82f6',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  infoCard: {
+    backgroundColor: '#ebf8ff',
+    borderRadius: 10,
+    padding: 16,
+    marginTop: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: '#4299e1',
+  },
+  infoTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#2c5282',
+    marginBottom: 8,
+  },
+  infoText: {
+    fontSize: 13,
+    color: '#2c5282',
+    lineHeight: 20,
+  },
+});
+
+export default GeofenceScreen;
@@ -9,6 +9,10 @@ import {
   Platform,
 } from 'react-native';
 
+import PunchStateMachine from '../utils/PunchStateMachine';
+import BiometricChallenge from '../utils/BiometricChallenge';
+import AuthPolicy from '../utils/AuthPolicy';
+
 const HistoryScreen = ({ systemData, updateSystemData }) => {
   const clearHistory = () => {
     Alert.alert(
@@ -111,11 +115,14 @@ const HistoryScreen = ({ systemData, updateSystemData }) => {
                   {record.method === 'fingerprint' ? '👆' : 
                    record.method === 'nfc' ? '📡' : 
                    record.method === 'barcode' ? '📊' : 
+                   record.method === 'auto' ? '⏱️' : 
                    '👤'}
                 </Text>
                 <View style={styles.recordHeaderContent}>
                   <Text style={styles.recordName}>{record.userName}</Text>
-                  <Text style={styles.recordId}>ID: {record.userId}</Text>
+                  <Text style={styles.recordId}>
+                    ID: {record.userId}{record.recordedUserId ? ` (recorded as ${record.recordedUserId})` : ''}
+                  </Text>
                 </View>
                 <Text style={styles.recordStatus}>
                   {record.syncStatus === 'success' ? '✅' : '❌'}
@@ -133,9 +140,35 @@ const HistoryScreen = ({ systemData, updateSystemData }) => {
                     {record.method === 'fingerprint' ? 'Fingerprint' : 
                      record.method === 'nfc' ? 'NFC Card' : 
                      record.method === 'barcode' ? 'Barcode' : 
+                     record.method === 'auto' ? 'Auto check-out' : 
                      'Face Recognition'}
                   </Text>
                 </View>
+                {record.direction && (
+                  <View style={styles.recordRow}>
+                    <Text style={styles.recordLabel}>Direction:</Text>
+                    <Text style={styles.recordValue}>
+                      {PunchStateMachine.label(record.direction)}
+                      {record.autoClosed ? ' (missed, auto-closed)' : ''}
+                      {record.missedCheckOut && !record.autoClosed ? ' ⚠️' : ''}
+                    </Text>
+                  </View>
+                )}
+                {record.factors && (record.factors.length > 1 || record.authPolicy) && (
+                  <View style={styles.recordRow}>
+                    <Text style={styles.recordLabel}>Verified With:</Text>
+                    <Text style={styles.recordValue}>
+                      {AuthPolicy.describeFactors(record.factors)}
+                      {record.authPolicy ? ` (${record.authPolicy})` : ''}
+                    </Text>
+                  </View>
+                )}
+                {record.shiftSummary && (
+                  <View style={styles.recordRow}>
+                    <Text style={styles.recordLabel}>Shift:</Text>
+                    <Text style={styles.recordValue}>{record.shiftSummary}</Text>
+                  </View>
+                )}
                 <View style={styles.recordRow}>
                   <Text style={styles.recordLabel}>Time:</Text>
                   <Text style={styles.recordValue}>
@@ -151,7 +184,10 @@ const HistoryScreen = ({ systemData, updateSystemData }) => {
                 {record.barcodeId && (
                   <View style={styles.recordRow}>
                     <Text style={styles.recordLabel}>Barcode ID:</Text>
-                    <Text style={styles.recordValueSmall}>{record.barcodeId}</Text>
+                    <Text style={styles.recordValueSmall}>
+                      {record.barcodeId}
+                      {record.scannedCode ? ` (scanned ${record.scannedCode})` : ''}
+                    </Text>
                   </View>
                 )}
                 {record.faceConfidence && (
@@ -166,6 +202,15 @@ const HistoryScreen = ({ systemData, updateSystemData }) => {
                     <Text style={styles.recordValue}>{record.livenessScore}/100 🔒</Text>
                   </View>
                 )}
+                {record.fingerprintChallenge && (
+                  <View style={styles.recordRow}>
+                    <Text style={styles.recordLabel}>Signature:</Text>
+                    <Text style={styles.recordValue}>
+                      {record.fingerprintVerified ? '✅ Verified' : '❌ Not verified'}
+                      {BiometricChallenge.parse(record.fingerprintChallenge)?.issuer === 'server' ? ' (server challenge)' : ' (kiosk challenge)'}
+                    </Text>
+                  </View>
+                )}
                 {record.fingerprintPublicKey && (
                   <View style={styles.recordRow}>
                     <Text style={styles.recordLabel}>Biometric Key:</Text>
@@ -191,6 +236,15 @@ const HistoryScreen = ({ systemData, updateSystemData }) => {
                     <Text style={styles.recordLabel}>Location:</Text>
                     <Text style={styles.recordValueSmall}>
                       {record.location.latitude?.toFixed(6)}, {record.location.longitude?.toFixed(6)}
+                      {record.location.accuracy ? ` (±${Math.round(record.location.accuracy)}m)` : ''}
+                    </Text>
+                  </View>
+                )}
+                {record.geofenceStatus && (
+                  <View style={styles.recordRow}>
+                    <Text style={styles.recordLabel}>Geofence:</Text>
+                    <Text style={styles.recordValue}>
+                      {record.flagged ? '🚩 ' : '📍 '}{record.geofenceStatus}
                     </Text>
                   </View>
                 )}
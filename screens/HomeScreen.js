@@ -10,6 +10,10 @@ import {
   Alert,
 } from 'react-native';
 import NfcManager from 'react-native-nfc-manager';
+import serverProfileService from '../services/ServerProfileService';
+import apiClient from '../services/ApiClient';
+import deviceRegistrationService from '../services/DeviceRegistrationService';
+import cardSecurityService from '../services/CardSecurityService';
 
 const HomeScreen = ({ systemData, updateSystemData, logError, navigateTo }) => {
   const [deviceStatus, setDeviceStatus] = useState({
@@ -18,9 +22,23 @@ const HomeScreen = ({ systemData, updateSystemData, logError, navigateTo }) => {
     gps: 'Checking...',
     fingerprint: 'Checking...',
   });
+  const [activeProfile, setActiveProfile] = useState(serverProfileService.getActiveProfile());
+  const [registration, setRegistration] = useState(deviceRegistrationService.getRegistration());
 
   useEffect(() => {
     checkDeviceStatus();
+
+    const unsubscribeProfiles = serverProfileService.subscribe((active) => {
+      setActiveProfile(active);
+      setRegistration(deviceRegistrationService.getRegistration(active.id));
+    });
+    const unsubscribeRegistration = deviceRegistrationService.subscribe(() => {
+      setRegistration(deviceRegistrationService.getRegistration());
+    });
+    return () => {
+      unsubscribeProfiles();
+      unsubscribeRegistration();
+    };
   }, []);
 
   const checkDeviceStatus = async () => {
@@ -71,27 +89,13 @@ const HomeScreen = ({ systemData, updateSystemData, logError, navigateTo }) => {
 
   const testServer = async () => {
     try {
-      const response = await fetch(
-        'https://darkviolet-dotterel-146840.hostingersite.com/attendance/api/sync.php',
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Device-Token': 'kiosk_main_gate_2024',
-          },
-          body: JSON.stringify({
-            uid: 'TEST_CONNECTION',
-            device_id: 'NOTHING_PHONE_2',
-            timestamp: new Date().toISOString(),
-            type: 'test',
-          }),
-        }
+      const result = await apiClient.testConnection(activeProfile);
+      Alert.alert(
+        result.ok ? '✅ Server Connected!' : `⚠️ HTTP ${result.status}`,
+        `${activeProfile.name} (${result.latency}ms)\n\n${JSON.stringify(result.data, null, 2)}`
       );
-      
-      const data = await response.json();
-      Alert.alert('✅ Server Connected!', JSON.stringify(data, null, 2));
     } catch (error) {
-      logError('SERVER', 'Server test failed', { error: error.message });
+      logError('SERVER', 'Server test failed', { error: error.message, profile: activeProfile.name });
       Alert.alert('❌ Connection Failed', error.message);
     }
   };
@@ -197,19 +201,106 @@ const HomeScreen = ({ systemData, updateSystemData, logError, navigateTo }) => {
           <Text style={styles.actionIcon}>🌐</Text>
           <View style={styles.actionContent}>
             <Text style={styles.actionTitle}>Test Server</Text>
-            <Text style={styles.actionSubtitle}>Check connection to Hostinger</Text>
+            <Text style={styles.actionSubtitle}>Check connection to {activeProfile.name}</Text>
+          </View>
+        </TouchableOpacity>
+
+        <TouchableOpacity 
+          style={styles.actionButton}
+          onPress={() => navigateTo('servers')}>
+          <Text style={styles.actionIcon}>🖧</Text>
+          <View style={styles.actionContent}>
+            <Text style={styles.actionTitle}>Server Profiles</Text>
+            <Text style={styles.actionSubtitle}>Add, switch and test servers</Text>
+          </View>
+        </TouchableOpacity>
+
+        <TouchableOpacity 
+          style={styles.actionButton}
+          onPress={() => navigateTo('geofence')}>
+          <Text style={styles.actionIcon}>📍</Text>
+          <View style={styles.actionContent}>
+            <Text style={styles.actionTitle}>Geofences</Text>
+            <Text style={styles.actionSubtitle}>Sites where attendance is allowed</Text>
+          </View>
+        </TouchableOpacity>
+
+        <TouchableOpacity 
+          style={styles.actionButton}
+          onPress={() => navigateTo('rules')}>
+          <Text style={styles.actionIcon}>⚙️</Text>
+          <View style={styles.actionContent}>
+            <Text style={styles.actionTitle}>Attendance Rules</Text>
+            <Text style={styles.actionSubtitle}>Check-in / check-out and auto-close</Text>
+          </View>
+        </TouchableOpacity>
+
+        <TouchableOpacity 
+          style={styles.actionButton}
+          onPress={() => navigateTo('shifts')}>
+          <Text style={styles.actionIcon}>🗓️</Text>
+          <View style={styles.actionContent}>
+            <Text style={styles.actionTitle}>Shift Schedules</Text>
+            <Text style={styles.actionSubtitle}>Late and early-leave tagging</Text>
+          </View>
+        </TouchableOpacity>
+
+        <TouchableOpacity 
+          style={styles.actionButton}
+          onPress={() => navigateTo('policies')}>
+          <Text style={styles.actionIcon}>🔐</Text>
+          <View style={styles.actionContent}>
+            <Text style={styles.actionTitle}>Verification Policies</Text>
+            <Text style={styles.actionSubtitle}>Card + fingerprint by role, site or time</Text>
+          </View>
+        </TouchableOpacity>
+
+        <TouchableOpacity 
+          style={styles.actionButton}
+          onPress={() => navigateTo('backup')}>
+          <Text style={styles.actionIcon}>💾</Text>
+          <View style={styles.actionContent}>
+            <Text style={styles.actionTitle}>Backup & Restore</Text>
+            <Text style={styles.actionSubtitle}>Encrypted copy of all kiosk data</Text>
+          </View>
+        </TouchableOpacity>
+
+        <TouchableOpacity 
+          style={styles.actionButton}
+          onPress={() => navigateTo('security')}>
+          <Text style={styles.actionIcon}>🚨</Text>
+          <View style={styles.actionContent}>
+            <Text style={styles.actionTitle}>Card Security</Text>
+            <Text style={styles.actionSubtitle}>
+              {cardSecurityService.getUnreviewedCount() > 0
+                ? `⛔ ${cardSecurityService.getUnreviewedCount()} revoked card tap(s) to review`
+                : 'Revoked cards, incidents and card keys'}
+            </Text>
+          </View>
+        </TouchableOpacity>
+
+        <TouchableOpacity 
+          style={styles.actionButton}
+          onPress={() => navigateTo('badge')}>
+          <Text style={styles.actionIcon}>🪪</Text>
+          <View style={styles.actionContent}>
+            <Text style={styles.actionTitle}>My Badge</Text>
+            <Text style={styles.actionSubtitle}>Rotating QR code to show at the kiosk</Text>
           </View>
         </TouchableOpacity>
       </View>
 
       {/* Server Info */}
-      <View style={styles.infoCard}>
-        <Text style={styles.infoTitle}>🌐 Server Configuration</Text>
+      <TouchableOpacity style={styles.infoCard} onPress={() => navigateTo(registration ? 'servers' : 'pairing')}>
+        <Text style={styles.infoTitle}>🌐 Server Configuration ({activeProfile.name})</Text>
         <Text style={styles.serverUrl}>
-          darkviolet-dotterel-146840.hostingersite.com
+          {serverProfileService.getHost(activeProfile)}
         </Text>
         <Text style={styles.infoText}>Status: {deviceStatus.internet}</Text>
-      </View>
+        <Text style={styles.infoText}>
+          Device: {registration ? registration.deviceId : '⚠️ Not paired - tap to pair'}
+        </Text>
+      </TouchableOpacity>
 
     </ScrollView>
     </View>
@@ -0,0 +1,372 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+  Platform,
+  Share,
+} from 'react-native';
+import { SvgXml } from 'react-native-svg';
+
+import idCardService from '../services/IdCardService';
+import analyticsService from '../services/AnalyticsService';
+import ToastService from '../services/ToastService';
+import HapticFeedback from '../utils/HapticFeedback';
+import UserLifecycle from '../utils/UserLifecycle';
+import IdCard from '../utils/IdCard';
+
+const CODE_LABELS = {
+  barcode: '📊 Barcode',
+  rotating: '🔄 Rotating badge (not printed)',
+  none: '⚠️ No barcode',
+};
+
+const IdCardScreen = ({ systemData, logError, navigateTo }) => {
+  const [searchQuery, setSearchQuery] = useState('');
+  const [role, setRole] = useState('all');
+  const [status, setStatus] = useState('active');
+  const [symbol, setSymbol] = useState('barcode');
+  const [format, setFormat] = useState('pdf');
+  const [title, setTitle] = useState('Attendance ID');
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    analyticsService.trackScreenView('IdCardScreen');
+  }, []);
+
+  const roles = [...new Set(systemData.enrolledUsers.map(user => user.userRole).filter(Boolean))].sort();
+
+  const query = searchQuery.trim().toLowerCase();
+  const selected = systemData.enrolledUsers.filter(user =>
+    (query === '' || user.userName.toLowerCase().includes(query) || user.userId.toLowerCase().includes(query)) &&
+    (role === 'all' || user.userRole === role) &&
+    (status === 'all' || UserLifecycle.statusOf(user) === status)
+  );
+  const sheets = Math.ceil(selected.length / IdCard.PER_SHEET);
+  const cardOptions = { symbol, title: title.trim() || 'Attendance ID' };
+
+  const exportCards = async () => {
+    setExporting(true);
+    HapticFeedback.light();
+    try {
+      const result = await idCardService.exportCards(selected, { format, ...cardOptions });
+      HapticFeedback.success();
+      ToastService.success(`🪪 ${result.count} card(s) on ${result.sheets} sheet(s)`);
+
+      // Android's share sheet takes text only; iOS can share the file itself
+      if (Platform.OS === 'ios') {
+        await Share.share({ url: `file://${result.files[0].path}`, title: result.files[0].fileName });
+      } else {
+        Alert.alert(
+          '✅ ID Cards Saved',
+          `Saved to Downloads:\n${result.files.map(file => file.fileName).join('\n')}\n\nPrint at 100% scale (no "fit to page") so the cards come out credit-card sized.`
+        );
+      }
+    } catch (error) {
+      HapticFeedback.error();
+      logError('ID_CARDS', 'ID card export failed', { count: selected.length, format, error: error.message });
+      Alert.alert('❌ Export Failed', error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const renderChips = (options, value, onSelect) => (
+    <View style={styles.buttonRow}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option.value}
+          style={[styles.chip, value === option.value && styles.chipActive]}
+          onPress={() => onSelect(option.value)}>
+          <Text style={[styles.chipText, value === option.value && styles.chipTextActive]}>{option.label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      {/* Modern Header */}
+      <View style={styles.modernHeader}>
+        <Text style={styles.headerEmoji}>🪪</Text>
+        <Text style={styles.headerTitle}>ID Cards</Text>
+        <Text style={styles.headerSubtitle}>
+          {selected.length} card(s) · {sheets} A4 sheet(s), {IdCard.PER_SHEET} per sheet
+        </Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+
+      {/* Who */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>👥 Users</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="Search by name or ID..."
+          value={searchQuery}
+          onChangeText={setSearchQuery}
+        />
+        <Text style={styles.label}>Role</Text>
+        {renderChips(
+          [{ value: 'all', label: 'All' }, ...roles.map(r => ({ value: r, label: r }))],
+          role,
+          setRole
+        )}
+        <Text style={styles.label}>Status</Text>
+        {renderChips(
+          [{ value: 'all', label: 'All' }, ...UserLifecycle.STATUSES.map(s => ({ value: s, label: UserLifecycle.label(s) }))],
+          status,
+          setStatus
+        )}
+      </View>
+
+      {/* Template */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>🎨 Card</Text>
+        <Text style={styles.label}>Title</Text>
+        <TextInput
+          style={styles.input}
+          value={title}
+          onChangeText={setTitle}
+          placeholder="Attendance ID"
+          maxLength={40}
+        />
+        <Text style={styles.label}>Code</Text>
+        {renderChips([{ value: 'barcode', label: '📊 As enrolled' }, { value: 'qr', label: '🔳 QR' }], symbol, setSymbol)}
+        <Text style={styles.label}>File</Text>
+        {renderChips([{ value: 'pdf', label: '📄 PDF' }, { value: 'svg', label: '🖼️ SVG (one per sheet)' }], format, setFormat)}
+
+        {selected.length > 0 && (
+          <View style={styles.preview}>
+            <SvgXml
+              xml={idCardService.preview(selected[0], cardOptions)}
+              width="100%"
+              style={styles.previewCard}
+            />
+          </View>
+        )}
+      </View>
+
+      {/* Selected */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>📋 On These Sheets ({selected.length})</Text>
+        {selected.length === 0 ? (
+          <Text style={styles.emptyText}>No users match these filters</Text>
+        ) : (
+          selected.map(user => (
+            <View key={user.userId} style={styles.row}>
+              <Text style={styles.rowTitle}>{user.userName}</Text>
+              <Text style={styles.rowDetail}>
+                {user.userId} · {CODE_LABELS[IdCard.codeOf(user)]}
+              </Text>
+            </View>
+          ))
+        )}
+      </View>
+
+      <TouchableOpacity
+        style={[styles.exportButton, (selected.length === 0 || exporting) && styles.buttonDisabled]}
+        disabled={selected.length === 0 || exporting}
+        onPress={exportCards}>
+        <Text style={styles.exportButtonText}>
+          {exporting ? '⏳ Creating…' : `🖨️ Create ${format.toUpperCase()} (${selected.length})`}
+        </Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity style={styles.backButton} onPress={() => navigateTo('enroll')}>
+        <Text style={styles.backButtonText}>‹ Back to Enrollment</Text>
+      </TouchableOpacity>
+
+      {/* Info */}
+      <View style={styles.infoCard}>
+        <Text style={styles.infoTitle}>ℹ️ Printing</Text>
+        <Text style={styles.infoText}>
+          Cards are credit-card size (85.6 × 54 mm), {IdCard.PER_SHEET} to an A4 sheet with space to cut between them. Print at 100% scale.{'\n'}
+          {'\n'}
+          Users with a rotating QR badge get a card without a code - their live code is on their phone. Users without a barcode get one from Generate Barcode on the Enroll screen first.
+        </Text>
+      </View>
+
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  modernHeader: {
+    backgroundColor: '#1e3a8a',
+    paddingTop: 40,
+    paddingBottom: 30,
+    paddingHorizontal: 20,
+    borderBottomLeftRadius: 30,
+    borderBottomRightRadius: 30,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.3,
+    shadowRadius: 12,
+    elevation: 10,
+    alignItems: 'center',
+  },
+  headerEmoji: {
+    fontSize: 48,
+    marginBottom: 8,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 4,
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#bfdbfe',
+    opacity: 0.9,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 30,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 20,
+    padding: 20,
+    marginTop: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.08,
+    shadowRadius: 8,
+    elevation: 6,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    marginBottom: 16,
+    borderBottomWidth: 3,
+    borderBottomColor: '#3b82f6',
+    paddingBottom: 10,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#475569',
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#f7fafc',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 14,
+    marginBottom: 4,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#e2e8f0',
+  },
+  chipActive: {
+    backgroundColor: '#3b82f6',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#334155',
+  },
+  chipTextActive: {
+    color: 'white',
+  },
+  preview: {
+    marginTop: 16,
+    borderRadius: 8,
+    overflow: 'hidden',
+    backgroundColor: '#f1f5f9',
+  },
+  previewCard: {
+    aspectRatio: IdCard.CARD.width / IdCard.CARD.height,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#94a3b8',
+    fontSize: 14,
+    fontStyle: 'italic',
+    paddingVertical: 12,
+  },
+  row: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  rowTitle: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    marginBottom: 2,
+  },
+  rowDetail: {
+    fontSize: 13,
+    color: '#475569',
+  },
+  exportButton: {
+    backgroundColor: '#1e3a8a',
+    padding: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  exportButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  backButton: {
+    padding: 14,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  backButtonText: {
+    color: '#3b82f6',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  infoCard: {
+    backgroundColor: '#ebf8ff',
+    borderRadius: 10,
+    padding: 16,
+    marginTop: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: '#4299e1',
+  },
+  infoTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#2c5282',
+    marginBottom: 8,
+  },
+  infoText: {
+    fontSize: 13,
+    color: '#2c5282',
+    lineHeight: 20,
+  },
+});
+
+export default IdCardScreen;
@@ -0,0 +1,441 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+  Modal,
+  Linking,
+  Platform,
+  ActivityIndicator,
+} from 'react-native';
+import { Camera, useCameraDevice, useCameraPermission, useCodeScanner } from 'react-native-vision-camera';
+
+import serverProfileService from '../services/ServerProfileService';
+import deviceRegistrationService from '../services/DeviceRegistrationService';
+import analyticsService from '../services/AnalyticsService';
+import ToastService from '../services/ToastService';
+import HapticFeedback from '../utils/HapticFeedback';
+
+const PairingScreen = ({ logError, navigateTo }) => {
+  const [profile, setProfile] = useState(serverProfileService.getActiveProfile());
+  const [registration, setRegistration] = useState(deviceRegistrationService.getRegistration());
+  const [pairingCode, setPairingCode] = useState('');
+  const [deviceName, setDeviceName] = useState('');
+  const [pairing, setPairing] = useState(false);
+  const [showScanner, setShowScanner] = useState(false);
+
+  const { hasPermission, requestPermission } = useCameraPermission();
+  const device = useCameraDevice('back');
+
+  useEffect(() => {
+    analyticsService.trackScreenView('PairingScreen');
+
+    const unsubscribeProfiles = serverProfileService.subscribe((active) => {
+      setProfile(active);
+      setRegistration(deviceRegistrationService.getRegistration(active.id));
+    });
+    const unsubscribeRegistration = deviceRegistrationService.subscribe(() => {
+      setRegistration(deviceRegistrationService.getRegistration());
+    });
+    return () => {
+      unsubscribeProfiles();
+      unsubscribeRegistration();
+    };
+  }, []);
+
+  const pairDevice = async (code = pairingCode) => {
+    if (!deviceRegistrationService.parsePairingCode(code)) {
+      HapticFeedback.error();
+      Alert.alert('⚠️ Invalid Code', 'Pairing codes are 6-12 letters or digits, e.g. ABCD-1234');
+      return;
+    }
+
+    setPairing(true);
+    try {
+      const result = await deviceRegistrationService.register(code, {
+        profileId: profile.id,
+        deviceName,
+      });
+
+      HapticFeedback.success();
+      await analyticsService.trackEvent('settings', 'pair_device', profile.name);
+      ToastService.success(`Paired as ${result.deviceId}`);
+      setPairingCode('');
+      navigateTo('home');
+    } catch (error) {
+      HapticFeedback.error();
+      logError('PAIRING', 'Device pairing failed', { error: error.message, profile: profile.name });
+      Alert.alert('❌ Pairing Failed', error.message);
+    } finally {
+      setPairing(false);
+    }
+  };
+
+  const openScanner = async () => {
+    if (!hasPermission && !(await requestPermission())) {
+      Alert.alert(
+        '📷 Camera Permission Required',
+        'Please grant camera permission to scan the pairing code',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Open Settings', onPress: () => Linking.openSettings() }
+        ]
+      );
+      return;
+    }
+
+    if (!device) {
+      Alert.alert('❌ No Camera', 'Camera not available on this device');
+      return;
+    }
+
+    setShowScanner(true);
+  };
+
+  const codeScanner = useCodeScanner({
+    codeTypes: ['qr'],
+    onCodeScanned: (codes) => {
+      if (codes.length === 0 || !showScanner || pairing) return;
+
+      setShowScanner(false);
+      const code = codes[0].value;
+      setPairingCode(deviceRegistrationService.parsePairingCode(code) || code);
+      pairDevice(code);
+    },
+  });
+
+  return (
+    <View style={styles.container}>
+      {/* Modern Header */}
+      <View style={styles.modernHeader}>
+        <Text style={styles.headerEmoji}>📲</Text>
+        <Text style={styles.headerTitle}>Pair This Kiosk</Text>
+        <Text style={styles.headerSubtitle}>{profile.name} • {serverProfileService.getHost(profile)}</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+
+      {registration && (
+        <View style={[styles.card, styles.pairedCard]}>
+          <Text style={styles.cardTitle}>✅ Already Paired</Text>
+          <Text style={styles.detailText}>Device ID: {registration.deviceId}</Text>
+          {registration.deviceName && (
+            <Text style={styles.detailText}>Name: {registration.deviceName}</Text>
+          )}
+          <Text style={styles.detailText}>
+            Since: {new Date(registration.registeredAt).toLocaleString()}
+          </Text>
+          <Text style={styles.hintText}>Pairing again replaces this identity.</Text>
+        </View>
+      )}
+
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>🔑 Pairing Code</Text>
+
+        <TouchableOpacity style={styles.scanButton} onPress={openScanner} disabled={pairing}>
+          <Text style={styles.scanButtonText}>📷 Scan QR Code</Text>
+        </TouchableOpacity>
+
+        <Text style={styles.orText}>— or enter it manually —</Text>
+
+        <TextInput
+          style={[styles.input, styles.codeInput]}
+          placeholder="ABCD-1234"
+          value={pairingCode}
+          onChangeText={setPairingCode}
+          autoCapitalize="characters"
+          autoCorrect={false}
+          maxLength={20}
+        />
+
+        <Text style={styles.label}>Kiosk Name (optional)</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="e.g. Main Entrance"
+          value={deviceName}
+          onChangeText={setDeviceName}
+        />
+
+        <TouchableOpacity
+          style={[styles.pairButton, pairing && styles.pairButtonDisabled]}
+          onPress={() => pairDevice()}
+          disabled={pairing}>
+          {pairing ? (
+            <ActivityIndicator color="white" />
+          ) : (
+            <Text style={styles.pairButtonText}>🔗 Pair Device</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      <TouchableOpacity style={styles.backButton} onPress={() => navigateTo('home')}>
+        <Text style={styles.backButtonText}>{registration ? '‹ Back to Dashboard' : 'Pair later'}</Text>
+      </TouchableOpacity>
+
+      {/* Info */}
+      <View style={styles.infoCard}>
+        <Text style={styles.infoTitle}>ℹ️ How Pairing Works</Text>
+        <Text style={styles.infoText}>
+          1. Create a pairing code for this kiosk in the admin console{'\n'}
+          2. Scan its QR code or type the code here{'\n'}
+          3. The server issues this kiosk its own device ID and signing secret{'\n'}
+          {'\n'}
+          Until it is paired, attendance is sent as "UNPAIRED" without a signature and may be rejected by the server.
+        </Text>
+      </View>
+
+      </ScrollView>
+
+      {/* QR Scanner Modal */}
+      {showScanner && device && (
+        <Modal
+          visible={showScanner}
+          transparent={false}
+          animationType="slide"
+          onRequestClose={() => setShowScanner(false)}>
+          <View style={styles.cameraContainer}>
+            <Camera
+              style={styles.camera}
+              device={device}
+              isActive={showScanner}
+              codeScanner={codeScanner}
+            />
+            <View style={styles.cameraOverlay}>
+              <Text style={styles.cameraTitle}>📲 Scan Pairing Code</Text>
+              <Text style={styles.cameraInstructions}>
+                Point the camera at the QR code shown in the admin console
+              </Text>
+              <TouchableOpacity
+                style={styles.cameraCancelButton}
+                onPress={() => setShowScanner(false)}>
+                <Text style={styles.cameraCancelText}>Cancel</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </Modal>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  modernHeader: {
+    backgroundColor: '#1e293b',
+    paddingTop: 40,
+    paddingBottom: 30,
+    paddingHorizontal: 20,
+    borderBottomLeftRadius: 30,
+    borderBottomRightRadius: 30,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.3,
+    shadowRadius: 12,
+    elevation: 10,
+    alignItems: 'center',
+  },
+  headerEmoji: {
+    fontSize: 48,
+    marginBottom: 8,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 4,
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#cbd5e1',
+    opacity: 0.9,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 30,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 20,
+    padding: 20,
+    marginTop: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.08,
+    shadowRadius: 8,
+    elevation: 6,
+  },
+  pairedCard: {
+    borderWidth: 2,
+    borderColor: '#10b981',
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    marginBottom: 16,
+    borderBottomWidth: 3,
+    borderBottomColor: '#3b82f6',
+    paddingBottom: 10,
+  },
+  detailText: {
+    fontSize: 14,
+    color: '#334155',
+    marginBottom: 4,
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#94a3b8',
+    marginTop: 8,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4a5568',
+    marginBottom: 6,
+  },
+  input: {
+    backgroundColor: '#f7fafc',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  codeInput: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    letterSpacing: 4,
+    textAlign: 'center',
+    fontFamily: Platform.OS === 'ios' ? 'Courier' : 'monospace',
+  },
+  scanButton: {
+    backgroundColor: '#10b981',
+    padding: 16,
+    borderRadius: 16,
+    alignItems: 'center',
+  },
+  scanButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  orText: {
+    textAlign: 'center',
+    color: '#94a3b8',
+    fontSize: 13,
+    marginVertical: 14,
+  },
+  pairButton: {
+    backgroundColor: '#3b82f6',
+    padding: 16,
+    borderRadius: 16,
+    alignItems: 'center',
+    marginTop: 4,
+    shadowColor: '#3b82f6',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.4,
+    shadowRadius: 12,
+    elevation: 8,
+  },
+  pairButtonDisabled: {
+    opacity: 0.6,
+  },
+  pairButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  backButton: {
+    padding: 14,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  backButtonText: {
+    color: '#3b82f6',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  infoCard: {
+    backgroundColor: '#ebf8ff',
+    borderRadius: 10,
+    padding: 16,
+    marginTop: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: '#4299e1',
+  },
+  infoTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#2c5282',
+    marginBottom: 8,
+  },
+  infoText: {
+    fontSize: 13,
+    color: '#2c5282',
+    lineHeight: 20,
+  },
+  cameraContainer: {
+    flex: 1,
+    backgroundColor: 'black',
+  },
+  camera: {
+    flex: 1,
+  },
+  cameraOverlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+  },
+  cameraTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 12,
+    textShadowColor: 'rgba(0, 0, 0, 0.75)',
+    textShadowOffset: { width: -1, height: 1 },
+    textShadowRadius: 10,
+  },
+  cameraInstructions: {
+    fontSize: 16,
+    color: 'white',
+    marginBottom: 40,
+    textAlign: 'center',
+    paddingHorizontal: 40,
+    textShadowColor: 'rgba(0, 0, 0, 0.75)',
+    textShadowOffset: { width: -1, height: 1 },
+    textShadowRadius: 10,
+  },
+  cameraCancelButton: {
+    position: 'absolute',
+    bottom: 50,
+    backgroundColor: '#ef4444',
+    paddingVertical: 16,
+    paddingHorizontal: 40,
+    borderRadius: 30,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 8,
+    elevation: 5,
+  },
+  cameraCancelText: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+});
+
+export default PairingScreen;
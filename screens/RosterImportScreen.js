@@ -0,0 +1,618 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  Switch,
+  Share,
+  Platform,
+} from 'react-native';
+
+import rosterImportService from '../services/RosterImportService';
+import rosterExportService from '../services/RosterExportService';
+import cardSecurityService from '../services/CardSecurityService';
+import analyticsService from '../services/AnalyticsService';
+import ToastService from '../services/ToastService';
+import HapticFeedback from '../utils/HapticFeedback';
+import RosterParser from '../utils/RosterParser';
+
+// Rows listed in the preview; the summary always counts every row
+const PREVIEW_LIMIT = 100;
+
+const STATUS_BADGES = {
+  new: '➕ New',
+  update: '✏️ Update',
+  unchanged: '✔️ Unchanged',
+  invalid: '❌ Invalid',
+  conflict: '⚠️ Conflict',
+};
+
+const RosterImportScreen = ({ systemData, updateSystemData, logError, navigateTo }) => {
+  const [files, setFiles] = useState([]);
+  const [loadingFiles, setLoadingFiles] = useState(true);
+  const [selectedFile, setSelectedFile] = useState(null);
+  const [parsed, setParsed] = useState(null); // { columns, rows }
+  const [mapping, setMapping] = useState({});
+  const [showProblemsOnly, setShowProblemsOnly] = useState(false);
+  const [report, setReport] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [includePublicKeys, setIncludePublicKeys] = useState(false);
+
+  useEffect(() => {
+    analyticsService.trackScreenView('RosterImportScreen');
+    loadFiles();
+  }, []);
+
+  const loadFiles = async () => {
+    setLoadingFiles(true);
+    setFiles(await rosterImportService.listFiles());
+    setLoadingFiles(false);
+  };
+
+  const openFile = async (file) => {
+    HapticFeedback.light();
+    try {
+      const result = await rosterImportService.readFile(file);
+      setSelectedFile(file);
+      setParsed(result);
+      setMapping(RosterParser.guessMapping(result.columns));
+      setShowProblemsOnly(false);
+      setReport(null);
+    } catch (error) {
+      HapticFeedback.error();
+      logError('ROSTER_IMPORT', 'Roster file unreadable', { file: file.name, error: error.message });
+      Alert.alert('❌ Cannot Read File', error.message);
+    }
+  };
+
+  const setColumn = (field, column) => {
+    const updated = { ...mapping };
+    if (column) {
+      updated[field] = column;
+    } else {
+      delete updated[field];
+    }
+    setMapping(updated);
+  };
+
+  // Always planned against the current users, so the preview matches what is applied
+  let plan = null;
+  let planError = null;
+  if (parsed) {
+    try {
+      plan = RosterParser.plan(parsed.rows, mapping, systemData.enrolledUsers, {
+        revokedCardUids: cardSecurityService.getBlocklist().map(entry => entry.cardUid),
+      });
+    } catch (error) {
+      planError = error.message;
+    }
+  }
+  const applicable = plan ? plan.summary.new + plan.summary.update : 0;
+
+  const confirmImport = () => {
+    const skipped = plan.summary.invalid + plan.summary.conflict;
+    Alert.alert(
+      '📥 Import Roster',
+      `${plan.summary.new} new user(s)\n` +
+      `${plan.summary.update} update(s)\n` +
+      `${plan.summary.unchanged} unchanged\n` +
+      (skipped > 0 ? `\n⚠️ ${skipped} row(s) with problems will be skipped.` : ''),
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Import', onPress: applyImport },
+      ]
+    );
+  };
+
+  const applyImport = async () => {
+    setImporting(true);
+    try {
+      // One write: either every accepted row lands or none does
+      const users = RosterParser.apply(plan, systemData.enrolledUsers);
+      await updateSystemData('enrolledUsers', users);
+
+      await analyticsService.trackEvent('enroll', 'roster_import', selectedFile.format, applicable);
+      HapticFeedback.success();
+      ToastService.success(`✅ Imported ${applicable} user(s)`);
+
+      setReport({
+        fileName: selectedFile.name,
+        importedAt: new Date().toISOString(),
+        summary: plan.summary,
+        skipped: plan.entries.filter(entry => entry.status === 'invalid' || entry.status === 'conflict'),
+      });
+      setParsed(null);
+      setSelectedFile(null);
+    } catch (error) {
+      HapticFeedback.error();
+      logError('ROSTER_IMPORT', 'Roster import failed', { file: selectedFile.name, error: error.message });
+      Alert.alert('❌ Import Failed', `${error.message}\n\nNo users were changed.`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const exportRoster = async () => {
+    HapticFeedback.light();
+    try {
+      const file = await rosterExportService.exportRoster(systemData.enrolledUsers, {
+        format: exportFormat,
+        includePublicKeys,
+      });
+      await analyticsService.trackEvent('enroll', 'roster_export', exportFormat, file.count);
+      ToastService.success(`💾 Saved ${file.fileName}`);
+      loadFiles();
+
+      // Android's share sheet takes text only; iOS can share the file itself
+      await Share.share(Platform.OS === 'ios'
+        ? { url: `file://${file.path}`, title: file.fileName }
+        : { message: file.content, title: file.fileName });
+    } catch (error) {
+      HapticFeedback.error();
+      logError('ROSTER_EXPORT', 'Roster export failed', { error: error.message });
+      Alert.alert('❌ Export Failed', error.message);
+    }
+  };
+
+  const renderExport = () => (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>📤 Export Roster</Text>
+      <Text style={styles.label}>Format</Text>
+      <View style={styles.buttonRow}>
+        {[{ value: 'csv', label: '📄 CSV' }, { value: 'json', label: '🧾 JSON (full backup)' }].map(option => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.chip, exportFormat === option.value && styles.chipActive]}
+            onPress={() => setExportFormat(option.value)}>
+            <Text style={[styles.chipText, exportFormat === option.value && styles.chipTextActive]}>{option.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles.switchRow}>
+        <Text style={styles.label}>Include fingerprint public keys</Text>
+        <Switch value={includePublicKeys} onValueChange={setIncludePublicKeys} />
+      </View>
+      <Text style={styles.hintText}>
+        Lets an auditor re-check signed fingerprint punches. Keys only work on this kiosk - a replacement kiosk needs fingerprints enrolled again.
+      </Text>
+
+      <TouchableOpacity
+        style={[styles.importButton, systemData.enrolledUsers.length === 0 && styles.buttonDisabled]}
+        onPress={exportRoster}
+        disabled={systemData.enrolledUsers.length === 0}>
+        <Text style={styles.importButtonText}>📤 Export {systemData.enrolledUsers.length} User(s)</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderSummary = (summary) => (
+    <View style={styles.summaryRow}>
+      {Object.keys(STATUS_BADGES).map(status => (
+        <View key={status} style={styles.summaryBadge}>
+          <Text style={styles.summaryText}>{STATUS_BADGES[status]}: {summary[status]}</Text>
+        </View>
+      ))}
+    </View>
+  );
+
+  const renderEntry = (entry) => (
+    <View key={entry.line} style={styles.entryRow}>
+      <Text style={styles.entryTitle}>
+        {STATUS_BADGES[entry.status]} • Line {entry.line}: {entry.user.userName || '—'} ({entry.user.userId || 'no ID'})
+      </Text>
+      {entry.changes.length > 0 && (
+        <Text style={styles.entryDetail}>
+          {entry.changes.map(field => `${RosterParser.FIELD_LABELS[field]}: ${entry.user[field]}`).join(' • ')}
+        </Text>
+      )}
+      {entry.errors.map(error => (
+        <Text key={error} style={styles.entryError}>{error}</Text>
+      ))}
+    </View>
+  );
+
+  const renderMapping = () => (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>🧭 Map Columns</Text>
+      <Text style={styles.hintText}>{parsed.rows.length} row(s) in {selectedFile.name}</Text>
+      {RosterParser.FIELDS.map(field => (
+        <View key={field} style={styles.mappingRow}>
+          <Text style={styles.label}>
+            {RosterParser.FIELD_LABELS[field]}{field === 'userId' || field === 'userName' ? ' *' : ''}
+          </Text>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+            {[null, ...parsed.columns].map(column => (
+              <TouchableOpacity
+                key={column || 'none'}
+                style={[styles.chip, (mapping[field] || null) === column && styles.chipActive]}
+                onPress={() => setColumn(field, column)}>
+                <Text style={[styles.chipText, (mapping[field] || null) === column && styles.chipTextActive]}>
+                  {column || 'Not in file'}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        </View>
+      ))}
+      <Text style={styles.hintText}>
+        Without a role column users get the {RosterParser.DEFAULT_ROLE} role. Empty cells keep what is already enrolled.
+      </Text>
+    </View>
+  );
+
+  const renderPreview = () => {
+    const entries = showProblemsOnly
+      ? plan.entries.filter(entry => entry.status === 'invalid' || entry.status === 'conflict')
+      : plan.entries;
+
+    return (
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>👀 Preview</Text>
+        {renderSummary(plan.summary)}
+
+        <View style={styles.buttonRow}>
+          <TouchableOpacity
+            style={[styles.chip, !showProblemsOnly && styles.chipActive]}
+            onPress={() => setShowProblemsOnly(false)}>
+            <Text style={[styles.chipText, !showProblemsOnly && styles.chipTextActive]}>All rows</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.chip, showProblemsOnly && styles.chipActive]}
+            onPress={() => setShowProblemsOnly(true)}>
+            <Text style={[styles.chipText, showProblemsOnly && styles.chipTextActive]}>Problems only</Text>
+          </TouchableOpacity>
+        </View>
+
+        {entries.slice(0, PREVIEW_LIMIT).map(renderEntry)}
+        {entries.length > PREVIEW_LIMIT && (
+          <Text style={styles.hintText}>…and {entries.length - PREVIEW_LIMIT} more row(s)</Text>
+        )}
+
+        <TouchableOpacity
+          style={[styles.importButton, (applicable === 0 || importing) && styles.buttonDisabled]}
+          onPress={confirmImport}
+          disabled={applicable === 0 || importing}>
+          {importing ? (
+            <ActivityIndicator color="white" />
+          ) : (
+            <Text style={styles.importButtonText}>📥 Import {applicable} User(s)</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderReport = () => (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>📋 Import Report</Text>
+      <Text style={styles.hintText}>
+        {report.fileName} • {new Date(report.importedAt).toLocaleString()}
+      </Text>
+      {renderSummary(report.summary)}
+      {report.skipped.length > 0 ? (
+        <>
+          <Text style={styles.label}>Skipped rows - fix them in the file and import again</Text>
+          {report.skipped.slice(0, PREVIEW_LIMIT).map(renderEntry)}
+        </>
+      ) : (
+        <Text style={styles.hintText}>Every row was imported.</Text>
+      )}
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      {/* Modern Header */}
+      <View style={styles.modernHeader}>
+        <Text style={styles.headerEmoji}>📥</Text>
+        <Text style={styles.headerTitle}>Roster Files</Text>
+        <Text style={styles.headerSubtitle}>Import or export enrolled users</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+
+      {report && renderReport()}
+
+      {/* Files */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>📁 Choose File</Text>
+        {loadingFiles ? (
+          <ActivityIndicator color="#3b82f6" />
+        ) : files.length > 0 ? (
+          files.map(file => (
+            <TouchableOpacity
+              key={file.path}
+              style={[styles.fileRow, selectedFile && selectedFile.path === file.path && styles.fileRowActive]}
+              onPress={() => openFile(file)}>
+              <Text style={styles.fileIcon}>{file.format === 'json' ? '🧾' : '📄'}</Text>
+              <View style={styles.fileContent}>
+                <Text style={styles.fileName}>{file.name}</Text>
+                <Text style={styles.hintText}>
+                  {(file.size / 1024).toFixed(1)} KB
+                  {file.modifiedAt ? ` • ${new Date(file.modifiedAt).toLocaleString()}` : ''}
+                </Text>
+              </View>
+            </TouchableOpacity>
+          ))
+        ) : (
+          <Text style={styles.hintText}>No .csv or .json files found.</Text>
+        )}
+        <View style={styles.buttonRow}>
+          <TouchableOpacity style={[styles.smallButton, styles.primaryButton]} onPress={loadFiles}>
+            <Text style={styles.smallButtonText}>🔄 Refresh</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {parsed && renderMapping()}
+      {parsed && (plan ? renderPreview() : (
+        <View style={styles.card}>
+          <Text style={styles.hintText}>⚠️ {planError}</Text>
+        </View>
+      ))}
+
+      {renderExport()}
+
+      <TouchableOpacity style={styles.backButton} onPress={() => navigateTo('enroll')}>
+        <Text style={styles.backButtonText}>‹ Back to Enrollment</Text>
+      </TouchableOpacity>
+
+      {/* Info */}
+      <View style={styles.infoCard}>
+        <Text style={styles.infoTitle}>ℹ️ About Roster Files</Text>
+        <Text style={styles.infoText}>
+          Copy the file to the Downloads folder. CSV files need a header row (comma, semicolon or tab separated); JSON files are an array of objects.{'\n'}
+          {'\n'}
+          Rows matching an enrolled ID update that user and keep their fingerprint. Rows with missing values, repeated IDs or a card already assigned to someone else are skipped. Nothing is saved until you confirm the import.{'\n'}
+          {'\n'}
+          Exports are saved to the same folder. A JSON export can be imported on a replacement kiosk to bring over IDs, cards and barcodes.
+        </Text>
+      </View>
+
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  modernHeader: {
+    backgroundColor: '#1e293b',
+    paddingTop: 40,
+    paddingBottom: 30,
+    paddingHorizontal: 20,
+    borderBottomLeftRadius: 30,
+    borderBottomRightRadius: 30,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.3,
+    shadowRadius: 12,
+    elevation: 10,
+    alignItems: 'center',
+  },
+  headerEmoji: {
+    fontSize: 48,
+    marginBottom: 8,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 4,
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#cbd5e1',
+    opacity: 0.9,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 30,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 20,
+    padding: 20,
+    marginTop: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.08,
+    shadowRadius: 8,
+    elevation: 6,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    marginBottom: 16,
+    borderBottomWidth: 3,
+    borderBottomColor: '#3b82f6',
+    paddingBottom: 10,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4a5568',
+    marginBottom: 6,
+  },
+  chipRow: {
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#e2e8f0',
+  },
+  chipActive: {
+    backgroundColor: '#3b82f6',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#334155',
+  },
+  chipTextActive: {
+    color: 'white',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#64748b',
+    marginBottom: 12,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 4,
+  },
+  smallButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  smallButtonText: {
+    color: 'white',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  primaryButton: {
+    backgroundColor: '#3b82f6',
+  },
+  neutralButton: {
+    backgroundColor: '#e2e8f0',
+  },
+  neutralButtonText: {
+    color: '#334155',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  backButton: {
+    padding: 14,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  backButtonText: {
+    color: '#3b82f6',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  infoCard: {
+    backgroundColor: '#ebf8ff',
+    borderRadius: 10,
+    padding: 16,
+    marginTop: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: '#4299e1',
+  },
+  infoTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#2c5282',
+    marginBottom: 8,
+  },
+  infoText: {
+    fontSize: 13,
+    color: '#2c5282',
+    lineHeight: 20,
+  },
+  fileRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f1f5f9',
+  },
+  fileRowActive: {
+    backgroundColor: '#eff6ff',
+  },
+  fileIcon: {
+    fontSize: 24,
+    marginRight: 12,
+  },
+  fileContent: {
+    flex: 1,
+  },
+  fileName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  mappingRow: {
+    marginBottom: 14,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+  summaryBadge: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 12,
+    backgroundColor: '#f1f5f9',
+  },
+  summaryText: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#334155',
+  },
+  entryRow: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f1f5f9',
+  },
+  entryTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  entryDetail: {
+    fontSize: 12,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  entryError: {
+    fontSize: 12,
+    color: '#dc2626',
+    marginTop: 2,
+  },
+  importButton: {
+    backgroundColor: '#059669',
+    padding: 16,
+    borderRadius: 16,
+    alignItems: 'center',
+    marginTop: 16,
+    shadowColor: '#059669',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.4,
+    shadowRadius: 12,
+    elevation: 8,
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  importButtonText: {
+    color: 'white',
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+});
+
+export default RosterImportScreen;
@@ -0,0 +1,460 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  Platform,
+  Share,
+  TextInput,
+} from 'react-native';
+
+import cardSecurityService from '../services/CardSecurityService';
+import cardKeyService from '../services/CardKeyService';
+import adminPinService from '../services/AdminPinService';
+import analyticsService from '../services/AnalyticsService';
+import ToastService from '../services/ToastService';
+import HapticFeedback from '../utils/HapticFeedback';
+import CardLifecycle from '../utils/CardLifecycle';
+
+const SOURCE_LABELS = {
+  nfc: '📡 NFC scan',
+  kiosk: '🖥️ Kiosk mode',
+};
+
+const SecurityScreen = ({ navigateTo }) => {
+  const [blocklist, setBlocklist] = useState(cardSecurityService.getBlocklist());
+  const [incidents, setIncidents] = useState(cardSecurityService.getIncidents());
+  const [keys, setKeys] = useState(cardKeyService.getSummary());
+  const [keyCode, setKeyCode] = useState('');
+  const [pinSet, setPinSet] = useState(adminPinService.isSet());
+  const [newPin, setNewPin] = useState('');
+
+  useEffect(() => {
+    analyticsService.trackScreenView('SecurityScreen');
+
+    return cardSecurityService.subscribe(() => {
+      setBlocklist(cardSecurityService.getBlocklist());
+      setIncidents(cardSecurityService.getIncidents());
+    });
+  }, []);
+
+  const markReviewed = async (incident) => {
+    await cardSecurityService.markReviewed(incident.id);
+    HapticFeedback.light();
+  };
+
+  const unblock = (entry) => {
+    Alert.alert(
+      '🔓 Remove From Blocklist?',
+      `Card ${entry.cardUid} (${CardLifecycle.reasonLabel(entry.reason)}, ${entry.userName}) will no longer raise incidents.\n\n` +
+      `It is not given back to anyone - enroll it again if it should be used.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            await cardSecurityService.unblock(entry.cardUid);
+            ToastService.success(`🔓 ${entry.cardUid} removed from the blocklist`);
+          },
+        },
+      ]
+    );
+  };
+
+  // ==================== CARD KEYS ====================
+
+  const rotateKey = () => {
+    Alert.alert(
+      '🔑 New Card Key?',
+      'Cards issued from now on are signed with a new key version. Existing cards keep working.\n\n' +
+      'Share the new key with every other kiosk, or they will refuse the new cards.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Create Key',
+          onPress: async () => {
+            const version = await cardKeyService.rotate();
+            setKeys(cardKeyService.getSummary());
+            ToastService.success(`🔑 Card key v${version} created`);
+          },
+        },
+      ]
+    );
+  };
+
+  const shareKey = async () => {
+    try {
+      await Share.share({ message: cardKeyService.exportCode(), title: 'Card key' });
+    } catch (error) {
+      Alert.alert('❌ Cannot Share', error.message);
+    }
+  };
+
+  const importKey = async () => {
+    try {
+      const version = await cardKeyService.importCode(keyCode);
+      setKeys(cardKeyService.getSummary());
+      setKeyCode('');
+      HapticFeedback.success();
+      ToastService.success(`🔑 Card key v${version} imported`);
+    } catch (error) {
+      HapticFeedback.error();
+      Alert.alert('❌ Cannot Import', error.message);
+    }
+  };
+
+  // ==================== KIOSK EXIT PIN ====================
+
+  const savePin = async () => {
+    try {
+      await adminPinService.setPin(newPin);
+      setPinSet(true);
+      setNewPin('');
+      HapticFeedback.success();
+      ToastService.success('🔢 Kiosk exit PIN saved');
+    } catch (error) {
+      HapticFeedback.error();
+      Alert.alert('❌ Cannot Save PIN', error.message);
+    }
+  };
+
+  const removePin = () => {
+    Alert.alert(
+      '🔢 Remove Kiosk Exit PIN?',
+      'Kiosk mode can then only be left with this device\'s screen lock or fingerprint. ' +
+      'On a device without either, kiosk mode will not start.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            await adminPinService.clearPin();
+            setPinSet(false);
+            ToastService.info('Kiosk exit PIN removed');
+          },
+        },
+      ]
+    );
+  };
+
+  const unreviewed = incidents.filter(incident => !incident.reviewed).length;
+
+  return (
+    <View style={styles.container}>
+      {/* Modern Header */}
+      <View style={styles.modernHeader}>
+        <Text style={styles.headerEmoji}>🚨</Text>
+        <Text style={styles.headerTitle}>Card Security</Text>
+        <Text style={styles.headerSubtitle}>
+          {unreviewed > 0 ? `${unreviewed} incident${unreviewed === 1 ? '' : 's'} to review` : 'Revoked cards, incidents and card keys'}
+        </Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+
+      {/* Incidents */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>🚨 Incidents ({incidents.length})</Text>
+        {incidents.length === 0 ? (
+          <Text style={styles.emptyText}>No revoked card has been used</Text>
+        ) : (
+          incidents.map(incident => (
+            <View key={incident.id} style={[styles.row, incident.reviewed && styles.rowReviewed]}>
+              <Text style={styles.rowTitle}>
+                {incident.reviewed ? '✔️' : '⛔'} {new Date(incident.timestamp).toLocaleString()}
+              </Text>
+              <Text style={styles.rowDetail}>{CardLifecycle.describe(incident)}</Text>
+              <Text style={styles.hintText}>
+                {SOURCE_LABELS[incident.source] || incident.source} · {incident.deviceName || incident.deviceId || 'this kiosk'}
+              </Text>
+              {!incident.reviewed && (
+                <View style={styles.buttonRow}>
+                  <TouchableOpacity style={[styles.smallButton, styles.primaryButton]} onPress={() => markReviewed(incident)}>
+                    <Text style={styles.smallButtonText}>✔️ Mark Reviewed</Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+            </View>
+          ))
+        )}
+      </View>
+
+      {/* Blocklist */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>⛔ Revoked Cards ({blocklist.length})</Text>
+        {blocklist.length === 0 ? (
+          <Text style={styles.emptyText}>No cards revoked</Text>
+        ) : (
+          blocklist.map(entry => (
+            <View key={entry.cardUid} style={styles.row}>
+              <Text style={[styles.rowTitle, styles.cardUid]}>{entry.cardUid}</Text>
+              <Text style={styles.rowDetail}>
+                {CardLifecycle.reasonLabel(entry.reason)} · {entry.userName} ({entry.userId})
+              </Text>
+              <Text style={styles.hintText}>
+                Revoked {new Date(entry.revokedAt).toLocaleDateString()}{entry.note ? ` - ${entry.note}` : ''}
+              </Text>
+              <View style={styles.buttonRow}>
+                <TouchableOpacity style={[styles.smallButton, styles.dangerButton]} onPress={() => unblock(entry)}>
+                  <Text style={styles.smallButtonText}>🔓 Unblock</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          ))
+        )}
+      </View>
+
+      {/* Card keys */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>🔑 Card Signing Keys</Text>
+        <Text style={styles.rowDetail}>
+          {keys.activeVersion
+            ? `New cards are signed with key v${keys.activeVersion}. Verifies: ${keys.versions.map(v => `v${v}`).join(', ')}`
+            : 'No key yet - one is created when the first card is issued'}
+        </Text>
+        <View style={[styles.buttonRow, styles.keyButtons]}>
+          <TouchableOpacity style={[styles.smallButton, styles.primaryButton]} onPress={rotateKey}>
+            <Text style={styles.smallButtonText}>🔑 New Key</Text>
+          </TouchableOpacity>
+          {keys.activeVersion && (
+            <TouchableOpacity style={[styles.smallButton, styles.primaryButton]} onPress={shareKey}>
+              <Text style={styles.smallButtonText}>📤 Share Key</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+        <TextInput
+          style={styles.input}
+          value={keyCode}
+          onChangeText={setKeyCode}
+          placeholder="Paste a key code from another kiosk (v1:...)"
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+        <TouchableOpacity
+          style={[styles.smallButton, styles.primaryButton, !keyCode.trim() && styles.buttonDisabled]}
+          disabled={!keyCode.trim()}
+          onPress={importKey}>
+          <Text style={styles.smallButtonText}>📥 Import Key</Text>
+        </TouchableOpacity>
+      </View>
+
+      {/* Kiosk exit PIN */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>🔢 Kiosk Exit PIN</Text>
+        <Text style={styles.rowDetail}>
+          {pinSet
+            ? 'Set. Asked when leaving kiosk mode on a device without a screen lock or fingerprint.'
+            : 'Not set. Kiosk mode is left with the device screen lock or fingerprint.'}
+        </Text>
+        <TextInput
+          style={styles.input}
+          value={newPin}
+          onChangeText={setNewPin}
+          placeholder={pinSet ? 'New PIN (4-8 digits)' : 'PIN (4-8 digits)'}
+          keyboardType="number-pad"
+          secureTextEntry
+          maxLength={8}
+        />
+        <View style={styles.buttonRow}>
+          <TouchableOpacity
+            style={[styles.smallButton, styles.primaryButton, !newPin && styles.buttonDisabled]}
+            disabled={!newPin}
+            onPress={savePin}>
+            <Text style={styles.smallButtonText}>{pinSet ? '🔢 Change PIN' : '🔢 Set PIN'}</Text>
+          </TouchableOpacity>
+          {pinSet && (
+            <TouchableOpacity style={[styles.smallButton, styles.dangerButton]} onPress={removePin}>
+              <Text style={styles.smallButtonText}>🗑️ Remove PIN</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+
+      <TouchableOpacity style={styles.backButton} onPress={() => navigateTo('home')}>
+        <Text style={styles.backButtonText}>‹ Back to Dashboard</Text>
+      </TouchableOpacity>
+
+      {/* Info */}
+      <View style={styles.infoCard}>
+        <Text style={styles.infoTitle}>ℹ️ Lost or Replaced Cards</Text>
+        <Text style={styles.infoText}>
+          Report a card lost, stolen or damaged from the user's ✏️ edit sheet on the Enroll screen, or replace it there with a new card. The old card is revoked and listed here.{'\n'}
+          {'\n'}
+          A revoked card never records a punch. Every tap is refused, listed as an incident and sent to the server.{'\n'}
+          {'\n'}
+          Enrolled cards carry a credential signed with the card key, so a copied UID alone is not enough. The key is a shared secret: treat a key code like a password and do not post it anywhere.
+        </Text>
+      </View>
+
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  modernHeader: {
+    backgroundColor: '#7f1d1d',
+    paddingTop: 40,
+    paddingBottom: 30,
+    paddingHorizontal: 20,
+    borderBottomLeftRadius: 30,
+    borderBottomRightRadius: 30,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.3,
+    shadowRadius: 12,
+    elevation: 10,
+    alignItems: 'center',
+  },
+  headerEmoji: {
+    fontSize: 48,
+    marginBottom: 8,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 4,
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#fecaca',
+    opacity: 0.9,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 30,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 20,
+    padding: 20,
+    marginTop: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.08,
+    shadowRadius: 8,
+    elevation: 6,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    marginBottom: 16,
+    borderBottomWidth: 3,
+    borderBottomColor: '#ef4444',
+    paddingBottom: 10,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#94a3b8',
+    fontSize: 14,
+    fontStyle: 'italic',
+    paddingVertical: 12,
+  },
+  row: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  rowReviewed: {
+    opacity: 0.55,
+  },
+  rowTitle: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    marginBottom: 2,
+  },
+  rowDetail: {
+    fontSize: 13,
+    color: '#475569',
+    marginBottom: 2,
+  },
+  input: {
+    backgroundColor: '#f7fafc',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  keyButtons: {
+    marginBottom: 12,
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  cardUid: {
+    fontFamily: Platform.OS === 'ios' ? 'Courier' : 'monospace',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#64748b',
+    marginBottom: 12,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 4,
+  },
+  smallButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  smallButtonText: {
+    color: 'white',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  primaryButton: {
+    backgroundColor: '#3b82f6',
+  },
+  dangerButton: {
+    backgroundColor: '#ef4444',
+  },
+  backButton: {
+    padding: 14,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  backButtonText: {
+    color: '#3b82f6',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  infoCard: {
+    backgroundColor: '#ebf8ff',
+    borderRadius: 10,
+    padding: 16,
+    marginTop: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: '#4299e1',
+  },
+  infoTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#2c5282',
+    marginBottom: 8,
+  },
+  infoText: {
+    fontSize: 13,
+    color: '#2c5282',
+    lineHeight: 20,
+  },
+});
+
+export default SecurityScreen;
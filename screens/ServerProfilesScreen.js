@@ -0,0 +1,535 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+  Platform,
+  ActivityIndicator,
+} from 'react-native';
+
+import serverProfileService from '../services/ServerProfileService';
+import apiClient from '../services/ApiClient';
+import deviceRegistrationService from '../services/DeviceRegistrationService';
+import analyticsService from '../services/AnalyticsService';
+import ToastService from '../services/ToastService';
+import HapticFeedback from '../utils/HapticFeedback';
+
+const EMPTY_FORM = {
+  name: '',
+  baseUrl: 'https://',
+  syncPath: '/attendance/api/sync.php',
+  deviceToken: '',
+  timeoutMs: '15000',
+  apiVersion: '1',
+};
+
+const ServerProfilesScreen = ({ logError, navigateTo }) => {
+  const [profiles, setProfiles] = useState(serverProfileService.getProfiles());
+  const [activeId, setActiveId] = useState(serverProfileService.getActiveProfile().id);
+  const [editingId, setEditingId] = useState(null); // null = closed, 'new' = adding
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [testingId, setTestingId] = useState(null);
+  const [testResults, setTestResults] = useState({});
+
+  useEffect(() => {
+    analyticsService.trackScreenView('ServerProfilesScreen');
+
+    const unsubscribe = deviceRegistrationService.subscribe(reload);
+    return () => {
+      unsubscribe();
+    };
+  }, []);
+
+  const reload = () => {
+    setProfiles(serverProfileService.getProfiles());
+    setActiveId(serverProfileService.getActiveProfile().id);
+  };
+
+  const updateForm = (field, value) => {
+    setForm({ ...form, [field]: value });
+  };
+
+  const startAdd = () => {
+    setForm(EMPTY_FORM);
+    setEditingId('new');
+  };
+
+  const startEdit = (profile) => {
+    setForm({ ...profile, timeoutMs: String(profile.timeoutMs) });
+    setEditingId(profile.id);
+  };
+
+  const saveForm = async () => {
+    try {
+      if (editingId === 'new') {
+        await serverProfileService.addProfile(form);
+        ToastService.success(`Added ${form.name}`);
+      } else {
+        await serverProfileService.updateProfile(editingId, form);
+        ToastService.success(`Saved ${form.name}`);
+      }
+      HapticFeedback.success();
+      setEditingId(null);
+      reload();
+    } catch (error) {
+      HapticFeedback.error();
+      Alert.alert('⚠️ Invalid Profile', error.message);
+    }
+  };
+
+  const switchTo = async (profile) => {
+    HapticFeedback.medium();
+    await serverProfileService.setActiveProfile(profile.id);
+    await analyticsService.trackEvent('settings', 'switch_server', profile.name);
+    ToastService.success(`Now using ${profile.name}`);
+    reload();
+  };
+
+  const deleteProfile = (profile) => {
+    Alert.alert(
+      '⚠️ Delete Profile',
+      `Remove "${profile.name}"?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await serverProfileService.removeProfile(profile.id);
+              await deviceRegistrationService.unregister(profile.id);
+              reload();
+            } catch (error) {
+              Alert.alert('❌ Error', error.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const unpair = (profile) => {
+    Alert.alert(
+      '⚠️ Unpair Device',
+      `This kiosk will forget its identity and signing secret for "${profile.name}". You will need a new pairing code to reconnect.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Unpair',
+          style: 'destructive',
+          onPress: async () => {
+            await deviceRegistrationService.unregister(profile.id);
+            await analyticsService.trackEvent('settings', 'unpair_device', profile.name);
+          },
+        },
+      ]
+    );
+  };
+
+  const testProfile = async (profile) => {
+    setTestingId(profile.id);
+    try {
+      const result = await apiClient.testConnection(profile);
+      setTestResults({
+        ...testResults,
+        [profile.id]: result.ok
+          ? `✅ Connected in ${result.latency}ms`
+          : `⚠️ HTTP ${result.status} in ${result.latency}ms`,
+      });
+    } catch (error) {
+      logError('SERVER', 'Server profile test failed', { error: error.message, profile: profile.name });
+      setTestResults({ ...testResults, [profile.id]: `❌ ${error.message}` });
+    } finally {
+      setTestingId(null);
+    }
+  };
+
+  const renderForm = () => (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>
+        {editingId === 'new' ? '➕ New Server Profile' : '✏️ Edit Server Profile'}
+      </Text>
+
+      <Text style={styles.label}>Name *</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="e.g. Staging"
+        value={form.name}
+        onChangeText={(text) => updateForm('name', text)}
+      />
+
+      <Text style={styles.label}>Base URL *</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="https://example.com"
+        value={form.baseUrl}
+        onChangeText={(text) => updateForm('baseUrl', text)}
+        autoCapitalize="none"
+        autoCorrect={false}
+        keyboardType="url"
+      />
+
+      <Text style={styles.label}>Sync Path *</Text>
+      <TextInput
+        style={styles.input}
+        value={form.syncPath}
+        onChangeText={(text) => updateForm('syncPath', text)}
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+
+      <Text style={styles.label}>Device Token</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="X-Device-Token value"
+        value={form.deviceToken}
+        onChangeText={(text) => updateForm('deviceToken', text)}
+        autoCapitalize="none"
+        autoCorrect={false}
+        secureTextEntry={true}
+      />
+
+      <View style={styles.formRow}>
+        <View style={styles.formColumn}>
+          <Text style={styles.label}>Timeout (ms)</Text>
+          <TextInput
+            style={styles.input}
+            value={form.timeoutMs}
+            onChangeText={(text) => updateForm('timeoutMs', text)}
+            keyboardType="numeric"
+          />
+        </View>
+        <View style={styles.formColumn}>
+          <Text style={styles.label}>API Version</Text>
+          <TextInput
+            style={styles.input}
+            value={form.apiVersion}
+            onChangeText={(text) => updateForm('apiVersion', text)}
+            autoCapitalize="none"
+          />
+        </View>
+      </View>
+
+      <View style={styles.buttonRow}>
+        <TouchableOpacity style={[styles.smallButton, styles.primaryButton]} onPress={saveForm}>
+          <Text style={styles.smallButtonText}>💾 Save</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.smallButton, styles.neutralButton]} onPress={() => setEditingId(null)}>
+          <Text style={styles.neutralButtonText}>Cancel</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      {/* Modern Header */}
+      <View style={styles.modernHeader}>
+        <Text style={styles.headerEmoji}>🖧</Text>
+        <Text style={styles.headerTitle}>Server Profiles</Text>
+        <Text style={styles.headerSubtitle}>Where attendance is sent</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+
+      {editingId && renderForm()}
+
+      {profiles.map((profile) => {
+        const isActive = profile.id === activeId;
+        const registration = deviceRegistrationService.getRegistration(profile.id);
+        return (
+          <View key={profile.id} style={[styles.card, isActive && styles.activeCard]}>
+            <View style={styles.profileHeader}>
+              <Text style={styles.profileName}>
+                {isActive ? '🟢 ' : '⚪ '}{profile.name}
+              </Text>
+              {isActive && <Text style={styles.activeBadge}>ACTIVE</Text>}
+            </View>
+            <Text style={styles.profileUrl}>{serverProfileService.getSyncUrl(profile)}</Text>
+            <Text style={styles.profileMeta}>
+              Timeout {profile.timeoutMs}ms | API v{profile.apiVersion} | Token {profile.deviceToken ? '••••••' : 'none'}
+            </Text>
+            <Text style={styles.profileMeta}>
+              {registration ? `🔐 Paired as ${registration.deviceId}` : '🔓 Not paired (requests unsigned)'}
+            </Text>
+
+            {testingId === profile.id && (
+              <ActivityIndicator style={styles.testIndicator} color="#3b82f6" />
+            )}
+            {testResults[profile.id] && testingId !== profile.id && (
+              <Text style={styles.testResult}>{testResults[profile.id]}</Text>
+            )}
+
+            <View style={styles.buttonRow}>
+              {!isActive && (
+                <TouchableOpacity style={[styles.smallButton, styles.primaryButton]} onPress={() => switchTo(profile)}>
+                  <Text style={styles.smallButtonText}>Use</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity
+                style={[styles.smallButton, styles.successButton]}
+                onPress={() => testProfile(profile)}
+                disabled={testingId !== null}>
+                <Text style={styles.smallButtonText}>🔌 Test</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={[styles.smallButton, styles.neutralButton]} onPress={() => startEdit(profile)}>
+                <Text style={styles.neutralButtonText}>✏️ Edit</Text>
+              </TouchableOpacity>
+              {isActive && !registration && (
+                <TouchableOpacity style={[styles.smallButton, styles.primaryButton]} onPress={() => navigateTo('pairing')}>
+                  <Text style={styles.smallButtonText}>📲 Pair</Text>
+                </TouchableOpacity>
+              )}
+              {registration && (
+                <TouchableOpacity style={[styles.smallButton, styles.neutralButton]} onPress={() => unpair(profile)}>
+                  <Text style={styles.neutralButtonText}>Unpair</Text>
+                </TouchableOpacity>
+              )}
+              {!isActive && (
+                <TouchableOpacity style={[styles.smallButton, styles.dangerButton]} onPress={() => deleteProfile(profile)}>
+                  <Text style={styles.smallButtonText}>🗑️</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          </View>
+        );
+      })}
+
+      {!editingId && (
+        <TouchableOpacity style={styles.addButton} onPress={startAdd}>
+          <Text style={styles.addButtonText}>➕ Add Server Profile</Text>
+        </TouchableOpacity>
+      )}
+
+      <TouchableOpacity style={styles.backButton} onPress={() => navigateTo('home')}>
+        <Text style={styles.backButtonText}>‹ Back to Dashboard</Text>
+      </TouchableOpacity>
+
+      {/* Info */}
+      <View style={styles.infoCard}>
+        <Text style={styles.infoTitle}>ℹ️ About Profiles</Text>
+        <Text style={styles.infoText}>
+          Live attendance, the offline queue and server tests all use the active profile.{'\n'}
+          {'\n'}
+          Records already queued keep the endpoint they were queued for.{'\n'}
+          {'\n'}
+          Each profile is paired separately. The device ID and signing secret issued at pairing are kept in the device keystore, and every request is signed with a fresh timestamp and nonce.
+        </Text>
+      </View>
+
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  modernHeader: {
+    backgroundColor: '#1e293b',
+    paddingTop: 40,
+    paddingBottom: 30,
+    paddingHorizontal: 20,
+    borderBottomLeftRadius: 30,
+    borderBottomRightRadius: 30,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.3,
+    shadowRadius: 12,
+    elevation: 10,
+    alignItems: 'center',
+  },
+  headerEmoji: {
+    fontSize: 48,
+    marginBottom: 8,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 4,
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#cbd5e1',
+    opacity: 0.9,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 30,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 20,
+    padding: 20,
+    marginTop: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.08,
+    shadowRadius: 8,
+    elevation: 6,
+  },
+  activeCard: {
+    borderWidth: 2,
+    borderColor: '#10b981',
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    marginBottom: 16,
+    borderBottomWidth: 3,
+    borderBottomColor: '#3b82f6',
+    paddingBottom: 10,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4a5568',
+    marginBottom: 6,
+  },
+  input: {
+    backgroundColor: '#f7fafc',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  formRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  formColumn: {
+    flex: 1,
+  },
+  profileHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  profileName: {
+    fontSize: 17,
+    fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  activeBadge: {
+    fontSize: 10,
+    fontWeight: 'bold',
+    color: 'white',
+    backgroundColor: '#10b981',
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 6,
+    overflow: 'hidden',
+  },
+  profileUrl: {
+    fontSize: 12,
+    color: '#475569',
+    fontFamily: Platform.OS === 'ios' ? 'Courier' : 'monospace',
+    marginBottom: 4,
+  },
+  profileMeta: {
+    fontSize: 11,
+    color: '#94a3b8',
+    marginBottom: 8,
+  },
+  testIndicator: {
+    marginVertical: 6,
+  },
+  testResult: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#334155',
+    marginBottom: 8,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 4,
+  },
+  smallButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  smallButtonText: {
+    color: 'white',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  primaryButton: {
+    backgroundColor: '#3b82f6',
+  },
+  successButton: {
+    backgroundColor: '#10b981',
+  },
+  dangerButton: {
+    backgroundColor: '#ef4444',
+  },
+  neutralButton: {
+    backgroundColor: '#e2e8f0',
+  },
+  neutralButtonText: {
+    color: '#334155',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  addButton: {
+    backgroundColor: '#3b82f6',
+    padding: 16,
+    borderRadius: 16,
+    alignItems: 'center',
+    marginTop: 16,
+    shadowColor: '#3b82f6',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.4,
+    shadowRadius: 12,
+    elevation: 8,
+  },
+  addButtonText: {
+    color: 'white',
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  backButton: {
+    padding: 14,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  backButtonText: {
+    color: '#3b82f6',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  infoCard: {
+    backgroundColor: '#ebf8ff',
+    borderRadius: 10,
+    padding: 16,
+    marginTop: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: '#4299e1',
+  },
+  infoTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#2c5282',
+    marginBottom: 8,
+  },
+  infoText: {
+    fontSize: 13,
+    color: '#2c5282',
+    lineHeight: 20,
+  },
+});
+
+export default ServerProfilesScreen;
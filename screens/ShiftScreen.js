@@ -0,0 +1,520 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+} from 'react-native';
+
+import shiftService from '../services/ShiftService';
+import analyticsService from '../services/AnalyticsService';
+import ToastService from '../services/ToastService';
+import HapticFeedback from '../utils/HapticFeedback';
+import ShiftSchedule from '../utils/ShiftSchedule';
+
+// Roles offered at enrollment; free-text roles of enrolled users are added
+const STANDARD_ROLES = ['Student', 'Teacher', 'Staff'];
+
+const toForm = (shift) => ({
+  id: shift.id || null,
+  name: shift.name,
+  start: shift.start,
+  end: shift.end,
+  weekdays: [...shift.weekdays],
+  lateGraceMinutes: String(shift.lateGraceMinutes),
+  earlyLeaveGraceMinutes: String(shift.earlyLeaveGraceMinutes),
+});
+
+const ShiftScreen = ({ systemData, navigateTo }) => {
+  const [schedule, setSchedule] = useState(shiftService.getSchedule());
+  const [shiftForm, setShiftForm] = useState(null); // null = closed
+
+  useEffect(() => {
+    analyticsService.trackScreenView('ShiftScreen');
+  }, []);
+
+  const roles = [...new Set([
+    ...STANDARD_ROLES,
+    ...systemData.enrolledUsers.map(u => u.userRole).filter(Boolean),
+  ])];
+
+  const updateShiftForm = (field, value) => {
+    setShiftForm({ ...shiftForm, [field]: value });
+  };
+
+  const toggleWeekday = (day) => {
+    const weekdays = shiftForm.weekdays.includes(day)
+      ? shiftForm.weekdays.filter(d => d !== day)
+      : [...shiftForm.weekdays, day];
+    updateShiftForm('weekdays', weekdays);
+  };
+
+  const saveShift = async () => {
+    const shift = {
+      name: shiftForm.name,
+      start: shiftForm.start.trim(),
+      end: shiftForm.end.trim(),
+      weekdays: shiftForm.weekdays,
+      lateGraceMinutes: Number(shiftForm.lateGraceMinutes),
+      earlyLeaveGraceMinutes: Number(shiftForm.earlyLeaveGraceMinutes),
+    };
+
+    try {
+      if (shiftForm.id) {
+        await shiftService.updateShift(shiftForm.id, shift);
+      } else {
+        await shiftService.addShift(shift);
+        await analyticsService.trackEvent('settings', 'add_shift', `${shift.start}-${shift.end}`);
+      }
+      HapticFeedback.success();
+      ToastService.success(`Saved ${shift.name.trim()}`);
+      setSchedule(shiftService.getSchedule());
+      setShiftForm(null);
+    } catch (error) {
+      HapticFeedback.error();
+      Alert.alert('⚠️ Invalid Shift', error.message);
+    }
+  };
+
+  const deleteShift = (shift) => {
+    Alert.alert(
+      '⚠️ Delete Shift',
+      `Remove "${shift.name}"? Roles and users assigned to it will have no shift.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            await shiftService.removeShift(shift.id);
+            setSchedule(shiftService.getSchedule());
+          },
+        },
+      ]
+    );
+  };
+
+  const assignRole = async (role, shiftId) => {
+    await shiftService.assignRole(role, shiftId);
+    HapticFeedback.light();
+    setSchedule(shiftService.getSchedule());
+  };
+
+  const assignUser = async (userId, shiftId) => {
+    await shiftService.assignUser(userId, shiftId);
+    HapticFeedback.light();
+    setSchedule(shiftService.getSchedule());
+  };
+
+  /**
+   * Row of shift choices; the first option clears the assignment
+   */
+  const renderChoices = (selectedId, noneLabel, onSelect) => (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+      {[{ id: null, name: noneLabel }, ...schedule.shifts].map(option => (
+        <TouchableOpacity
+          key={option.id || 'none'}
+          style={[styles.chip, (selectedId || null) === option.id && styles.chipActive]}
+          onPress={() => onSelect(option.id)}>
+          <Text style={[styles.chipText, (selectedId || null) === option.id && styles.chipTextActive]}>
+            {option.name}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
+  const renderShiftForm = () => (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>{shiftForm.id ? '✏️ Edit Shift' : '➕ New Shift'}</Text>
+
+      <Text style={styles.label}>Shift Name *</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="e.g. Morning"
+        value={shiftForm.name}
+        onChangeText={(text) => updateShiftForm('name', text)}
+      />
+
+      <View style={styles.formRow}>
+        <View style={styles.formColumn}>
+          <Text style={styles.label}>Start (HH:MM)</Text>
+          <TextInput
+            style={styles.input}
+            value={shiftForm.start}
+            onChangeText={(text) => updateShiftForm('start', text)}
+            keyboardType="numbers-and-punctuation"
+          />
+        </View>
+        <View style={styles.formColumn}>
+          <Text style={styles.label}>End (HH:MM)</Text>
+          <TextInput
+            style={styles.input}
+            value={shiftForm.end}
+            onChangeText={(text) => updateShiftForm('end', text)}
+            keyboardType="numbers-and-punctuation"
+          />
+        </View>
+      </View>
+
+      <View style={styles.formRow}>
+        <View style={styles.formColumn}>
+          <Text style={styles.label}>Late grace (min)</Text>
+          <TextInput
+            style={styles.input}
+            value={shiftForm.lateGraceMinutes}
+            onChangeText={(text) => updateShiftForm('lateGraceMinutes', text)}
+            keyboardType="numeric"
+          />
+        </View>
+        <View style={styles.formColumn}>
+          <Text style={styles.label}>Early-leave grace (min)</Text>
+          <TextInput
+            style={styles.input}
+            value={shiftForm.earlyLeaveGraceMinutes}
+            onChangeText={(text) => updateShiftForm('earlyLeaveGraceMinutes', text)}
+            keyboardType="numeric"
+          />
+        </View>
+      </View>
+
+      <Text style={styles.label}>Working days</Text>
+      <View style={styles.weekdayRow}>
+        {ShiftSchedule.WEEKDAY_NAMES.map((name, day) => (
+          <TouchableOpacity
+            key={name}
+            style={[styles.weekday, shiftForm.weekdays.includes(day) && styles.chipActive]}
+            onPress={() => toggleWeekday(day)}>
+            <Text style={[styles.chipText, shiftForm.weekdays.includes(day) && styles.chipTextActive]}>
+              {name}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <Text style={styles.hintText}>An end time before the start time is an overnight shift.</Text>
+
+      <View style={styles.buttonRow}>
+        <TouchableOpacity style={[styles.smallButton, styles.primaryButton]} onPress={saveShift}>
+          <Text style={styles.smallButtonText}>💾 Save</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.smallButton, styles.neutralButton]} onPress={() => setShiftForm(null)}>
+          <Text style={styles.neutralButtonText}>Cancel</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      {/* Modern Header */}
+      <View style={styles.modernHeader}>
+        <Text style={styles.headerEmoji}>🗓️</Text>
+        <Text style={styles.headerTitle}>Shift Schedules</Text>
+        <Text style={styles.headerSubtitle}>Who is expected when</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+
+      {shiftForm && renderShiftForm()}
+
+      {/* Shifts */}
+      {schedule.shifts.map((shift) => (
+        <View key={shift.id} style={styles.card}>
+          <View style={styles.shiftHeader}>
+            <Text style={styles.shiftName}>🕘 {shift.name}</Text>
+            <View style={styles.buttonRow}>
+              <TouchableOpacity style={[styles.smallButton, styles.primaryButton]} onPress={() => setShiftForm(toForm(shift))}>
+                <Text style={styles.smallButtonText}>✏️</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={[styles.smallButton, styles.dangerButton]} onPress={() => deleteShift(shift)}>
+                <Text style={styles.smallButtonText}>🗑️</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+          <Text style={styles.shiftDetail}>
+            {shift.start} – {shift.end} • {ShiftSchedule.formatWeekdays(shift.weekdays)}
+          </Text>
+          <Text style={styles.hintText}>
+            Late after {shift.lateGraceMinutes} min • early leave more than {shift.earlyLeaveGraceMinutes} min before end
+          </Text>
+        </View>
+      ))}
+
+      {!shiftForm && (
+        <TouchableOpacity style={styles.addButton} onPress={() => setShiftForm(toForm(ShiftSchedule.DEFAULT_SHIFT))}>
+          <Text style={styles.addButtonText}>➕ Add Shift</Text>
+        </TouchableOpacity>
+      )}
+
+      {schedule.shifts.length > 0 && (
+        <>
+          {/* Role Assignments */}
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>📋 Shifts by Role</Text>
+            {roles.map(role => (
+              <View key={role} style={styles.assignmentRow}>
+                <Text style={styles.assignmentLabel}>{role}</Text>
+                {renderChoices(schedule.roleShifts[role], 'No shift', (shiftId) => assignRole(role, shiftId))}
+              </View>
+            ))}
+          </View>
+
+          {/* User Overrides */}
+          {systemData.enrolledUsers.length > 0 && (
+            <View style={styles.card}>
+              <Text style={styles.cardTitle}>👤 Individual Shifts</Text>
+              <Text style={styles.hintText}>Overrides the shift of the user's role.</Text>
+              {systemData.enrolledUsers.map(user => (
+                <View key={user.userId} style={styles.assignmentRow}>
+                  <Text style={styles.assignmentLabel}>{user.userName} ({user.userRole})</Text>
+                  {renderChoices(schedule.userShifts[user.userId], 'Role default', (shiftId) => assignUser(user.userId, shiftId))}
+                </View>
+              ))}
+            </View>
+          )}
+        </>
+      )}
+
+      <TouchableOpacity style={styles.backButton} onPress={() => navigateTo('home')}>
+        <Text style={styles.backButtonText}>‹ Back to Dashboard</Text>
+      </TouchableOpacity>
+
+      {/* Info */}
+      <View style={styles.infoCard}>
+        <Text style={styles.infoTitle}>ℹ️ About Shifts</Text>
+        <Text style={styles.infoText}>
+          Every punch is tagged on time, late, early leave or off shift against the user's shift, and the tag is sent to the server with the punch.{'\n'}
+          {'\n'}
+          Punches more than 3 hours outside any scheduled shift count as off shift. Users without a shift are not tagged.
+        </Text>
+      </View>
+
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  modernHeader: {
+    backgroundColor: '#1e293b',
+    paddingTop: 40,
+    paddingBottom: 30,
+    paddingHorizontal: 20,
+    borderBottomLeftRadius: 30,
+    borderBottomRightRadius: 30,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.3,
+    shadowRadius: 12,
+    elevation: 10,
+    alignItems: 'center',
+  },
+  headerEmoji: {
+    fontSize: 48,
+    marginBottom: 8,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 4,
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#cbd5e1',
+    opacity: 0.9,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 30,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 20,
+    padding: 20,
+    marginTop: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.08,
+    shadowRadius: 8,
+    elevation: 6,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    marginBottom: 16,
+    borderBottomWidth: 3,
+    borderBottomColor: '#3b82f6',
+    paddingBottom: 10,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4a5568',
+    marginBottom: 6,
+  },
+  input: {
+    backgroundColor: '#f7fafc',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  formRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  formColumn: {
+    flex: 1,
+  },
+  weekdayRow: {
+    flexDirection: 'row',
+    gap: 4,
+    marginBottom: 8,
+  },
+  weekday: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#e2e8f0',
+    alignItems: 'center',
+  },
+  chipRow: {
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#e2e8f0',
+  },
+  chipActive: {
+    backgroundColor: '#3b82f6',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#334155',
+  },
+  chipTextActive: {
+    color: 'white',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#64748b',
+    marginBottom: 12,
+  },
+  shiftHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  shiftName: {
+    fontSize: 17,
+    fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  shiftDetail: {
+    fontSize: 14,
+    color: '#475569',
+    marginBottom: 4,
+  },
+  assignmentRow: {
+    marginBottom: 14,
+  },
+  assignmentLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginBottom: 6,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 4,
+  },
+  smallButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  smallButtonText: {
+    color: 'white',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  primaryButton: {
+    backgroundColor: '#3b82f6',
+  },
+  dangerButton: {
+    backgroundColor: '#ef4444',
+  },
+  neutralButton: {
+    backgroundColor: '#e2e8f0',
+  },
+  neutralButtonText: {
+    color: '#334155',
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  addButton: {
+    backgroundColor: '#3b82f6',
+    padding: 16,
+    borderRadius: 16,
+    alignItems: 'center',
+    marginTop: 16,
+    shadowColor: '#3b82f6',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.4,
+    shadowRadius: 12,
+    elevation: 8,
+  },
+  addButtonText: {
+    color: 'white',
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  backButton: {
+    padding: 14,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  backButtonText: {
+    color: '#3b82f6',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  infoCard: {
+    backgroundColor: '#ebf8ff',
+    borderRadius: 10,
+    padding: 16,
+    marginTop: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: '#4299e1',
+  },
+  infoTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#2c5282',
+    marginBottom: 8,
+  },
+  infoText: {
+    fontSize: 13,
+    color: '#2c5282',
+    lineHeight: 20,
+  },
+});
+
+export default ShiftScreen;
@@ -0,0 +1,115 @@
+/**
+ * ADMIN PIN SERVICE
+ *
+ * PIN that lets an administrator leave kiosk mode on a device without a
+ * screen lock or fingerprint sensor
+ * - Only a salted PBKDF2 hash is kept, in the secure store, never in backups
+ * - Five wrong PINs lock the prompt for five minutes
+ */
+
+import CryptoJS from 'crypto-js';
+import secureStore from './SecureStore';
+import analyticsService from './AnalyticsService';
+import SecureRandom from '../utils/SecureRandom';
+
+const PIN_KEY = 'kiosk_admin_pin';
+const PIN_PATTERN = /^\d{4,8}$/;
+const KDF_ITERATIONS = 5000;
+const MAX_ATTEMPTS = 5;
+const LOCKOUT_MS = 5 * 60 * 1000;
+
+const hashPin = (pin, salt, iterations) => CryptoJS.PBKDF2(pin, CryptoJS.enc.Hex.parse(salt), {
+  keySize: 256 / 32,
+  iterations,
+  hasher: CryptoJS.algo.SHA256,
+}).toString(CryptoJS.enc.Hex);
+
+/**
+ * Compare without stopping at the first differing character
+ */
+const sameText = (a, b) => {
+  if (a.length !== b.length) return false;
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+};
+
+class AdminPinService {
+  constructor() {
+    this.stored = null; // { salt, hash, iterations, setAt }
+    this.failures = 0;
+    this.lockedUntil = 0;
+  }
+
+  async init() {
+    this.stored = await secureStore.getItem(PIN_KEY);
+    return this.isSet();
+  }
+
+  isSet() {
+    return !!this.stored;
+  }
+
+  /**
+   * @returns {string|null} Validation error
+   */
+  validate(pin) {
+    return PIN_PATTERN.test(pin || '') ? null : 'The PIN must be 4 to 8 digits';
+  }
+
+  async setPin(pin) {
+    const error = this.validate(pin);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const salt = SecureRandom.hex(16);
+    const stored = { salt, hash: hashPin(pin, salt, KDF_ITERATIONS), iterations: KDF_ITERATIONS, setAt: new Date().toISOString() };
+    await secureStore.setItem(PIN_KEY, stored);
+    this.stored = stored;
+    this.failures = 0;
+    this.lockedUntil = 0;
+    await analyticsService.trackEvent('admin_pin', 'set');
+  }
+
+  async clearPin() {
+    await secureStore.removeItem(PIN_KEY);
+    this.stored = null;
+    await analyticsService.trackEvent('admin_pin', 'clear');
+  }
+
+  /**
+   * Check a PIN typed at the kiosk
+   * @returns {Object} { valid: true } or { valid: false, reason: 'not_set' | 'locked' | 'wrong', retryInMs }
+   */
+  async verify(pin, now = Date.now()) {
+    if (!this.stored) {
+      return { valid: false, reason: 'not_set' };
+    }
+    if (now < this.lockedUntil) {
+      return { valid: false, reason: 'locked', retryInMs: this.lockedUntil - now };
+    }
+
+    const { salt, hash, iterations } = this.stored;
+    if (sameText(hashPin(String(pin || ''), salt, iterations), hash)) {
+      this.failures = 0;
+      return { valid: true };
+    }
+
+    this.failures += 1;
+    await analyticsService.trackEvent('admin_pin', 'wrong', null, this.failures);
+    if (this.failures >= MAX_ATTEMPTS) {
+      this.failures = 0;
+      this.lockedUntil = now + LOCKOUT_MS;
+      return { valid: false, reason: 'locked', retryInMs: LOCKOUT_MS };
+    }
+    return { valid: false, reason: 'wrong' };
+  }
+}
+
+// Singleton instance
+const adminPinService = new AdminPinService();
+
+export default adminPinService;
@@ -79,6 +79,17 @@ class AnalyticsService {
     await this.trackEvent('attendance', 'record', method, success ? 1 : 0);
   }
 
+  /**
+   * Track a punch ignored because the user punched moments ago
+   * Kept out of the 'attendance' category so it doesn't skew attendance stats
+   * @param {string} userId - User who punched again
+   * @param {string} method - 'nfc', 'barcode', ...
+   * @param {number} secondsSinceLast - Seconds since the recorded punch
+   */
+  async trackDuplicatePunch(userId, method, secondsSinceLast) {
+    await this.trackEvent('duplicate_punch', method, userId, secondsSinceLast);
+  }
+
   /**
    * Track user enrollment
    */
@@ -258,6 +269,23 @@ class AnalyticsService {
     return stats;
   }
 
+  /**
+   * Suppressed duplicate punches for review, newest first
+   * @returns {Array} [{ userId, method, secondsSinceLast, timestamp }]
+   */
+  async getSuppressedDuplicates(limit = 20) {
+    return this.events
+      .filter(e => e.category === 'duplicate_punch')
+      .slice(-limit)
+      .reverse()
+      .map(e => ({
+        userId: e.label,
+        method: e.action,
+        secondsSinceLast: e.value,
+        timestamp: e.timestamp,
+      }));
+  }
+
   /**
    * Get performance metrics
    */
@@ -0,0 +1,146 @@
+/**
+ * API CLIENT
+ *
+ * Single request builder for everything sent to the attendance server
+ * - Live submissions and queued retries produce identical requests
+ * - Auth token and API version from the server profile
+ * - Device identity headers (from device registration)
+ * - Request signing hook
+ * - Per-profile timeout
+ */
+
+import { Platform } from 'react-native';
+import serverProfileService from './ServerProfileService';
+
+class ApiClient {
+  constructor() {
+    this.signer = null;
+    this.identityProvider = null;
+  }
+
+  /**
+   * Register where the device identity comes from
+   * @param {Function} provider - (profileId) => { deviceId, deviceModel }
+   */
+  setIdentityProvider(provider) {
+    this.identityProvider = provider;
+  }
+
+  /**
+   * Device identity attached to every request and attendance payload
+   * @param {string} profileId - Server profile (default: active)
+   */
+  getDeviceIdentity(profileId = serverProfileService.getActiveProfile().id) {
+    const identity = this.identityProvider
+      ? this.identityProvider(profileId)
+      : { deviceId: 'UNPAIRED', deviceModel: Platform.OS };
+    return { ...identity, platform: Platform.OS };
+  }
+
+  /**
+   * Register a request signer
+   * @param {Function} signer - async ({ method, url, body, profile }) => headers object
+   */
+  setSigner(signer) {
+    this.signer = signer;
+  }
+
+  /**
+   * Build a request without sending it
+   * @param {Object} params
+   * @param {string} params.url - Full endpoint URL
+   * @param {string} params.method - HTTP method (default POST)
+   * @param {Object} params.body - JSON body, serialised once so the signature covers the exact bytes sent
+   * @param {string} params.idempotencyKey - Sent as Idempotency-Key
+   * @param {string} params.profileId - Profile whose credentials to use (default: active)
+   * @param {Object} params.headers - Extra headers
+   * @returns {Object} { url, options, profile }
+   */
+  async buildRequest({ url, method = 'POST', body, idempotencyKey, profileId, headers = {} }) {
+    const profile = serverProfileService.getProfile(profileId) || serverProfileService.getActiveProfile();
+    const identity = this.getDeviceIdentity(profile.id);
+    const bodyText = body === undefined ? undefined : JSON.stringify(body);
+
+    const requestHeaders = {
+      'Accept': 'application/json',
+      'X-API-Version': profile.apiVersion,
+      'X-Device-Id': identity.deviceId,
+      'X-Device-Model': identity.deviceModel,
+      ...headers,
+    };
+
+    if (bodyText !== undefined) {
+      requestHeaders['Content-Type'] = 'application/json';
+    }
+    if (profile.deviceToken) {
+      requestHeaders['X-Device-Token'] = profile.deviceToken;
+    }
+    if (idempotencyKey) {
+      requestHeaders['Idempotency-Key'] = idempotencyKey;
+    }
+    if (this.signer) {
+      Object.assign(requestHeaders, await this.signer({ method, url, body: bodyText || '', profile }));
+    }
+
+    return {
+      url,
+      profile,
+      options: {
+        method,
+        headers: requestHeaders,
+        body: bodyText,
+      },
+    };
+  }
+
+  /**
+   * Send a built request with the profile's timeout
+   */
+  async send(request) {
+    return serverProfileService.fetchWithTimeout(request.url, request.options, request.profile.timeoutMs);
+  }
+
+  /**
+   * Build and send in one step
+   */
+  async request(params) {
+    return this.send(await this.buildRequest(params));
+  }
+
+  /**
+   * Send a test record to a profile's sync endpoint
+   * @returns {Object} { ok, status, latency, data }
+   */
+  async testConnection(profile = serverProfileService.getActiveProfile()) {
+    const start = Date.now();
+    const response = await this.request({
+      url: serverProfileService.getSyncUrl(profile),
+      profileId: profile.id,
+      body: {
+        uid: 'TEST_CONNECTION',
+        device_id: this.getDeviceIdentity(profile.id).deviceId,
+        timestamp: new Date().toISOString(),
+        type: 'test',
+      },
+    });
+
+    let data = null;
+    try {
+      data = await response.json();
+    } catch (error) {
+      data = { status: 'Non-JSON response' };
+    }
+
+    return {
+      ok: response.ok,
+      status: response.status,
+      latency: Date.now() - start,
+      data,
+    };
+  }
+}
+
+// Singleton instance
+const apiClient = new ApiClient();
+
+export default apiClient;
@@ -0,0 +1,510 @@
+/**
+ * ATTENDANCE SERVICE
+ *
+ * Records a punch once the person has been identified - no UI
+ * - Duplicate cooldown, geofence, auth policy, IN/OUT direction and shift tagging
+ * - One payload for every delivery path: sent now, queued offline,
+ *   or queued for retry when sending fails
+ * - Local history (trimmed) and scan stats
+ *
+ * Transport, storage and the services it consults are pluggable so the
+ * logic can run against a fake server. Screens subscribe for results and
+ * history changes and decide how to present them.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import offlineSyncManager from './OfflineSyncManager';
+import serverProfileService from './ServerProfileService';
+import apiClient from './ApiClient';
+import locationService from './LocationService';
+import geofenceService from './GeofenceService';
+import authPolicyService from './AuthPolicyService';
+import punchStateService from './PunchStateService';
+import shiftService from './ShiftService';
+import analyticsService from './AnalyticsService';
+import IdGenerator from '../utils/IdGenerator';
+import Geofence from '../utils/Geofence';
+import AuthPolicy from '../utils/AuthPolicy';
+import PunchStateMachine from '../utils/PunchStateMachine';
+import ShiftSchedule from '../utils/ShiftSchedule';
+import UserLifecycle from '../utils/UserLifecycle';
+
+const HISTORY_KEY = 'attendanceHistory';
+const STATS_KEY = 'systemStats';
+const HISTORY_LIMIT = 50;
+
+const EMPTY_STATS = {
+  totalScans: 0,
+  successfulScans: 0,
+  failedScans: 0,
+  lastSyncTime: null,
+};
+
+/**
+ * Default transport: the active server profile, signed requests
+ * and the offline sync queue
+ */
+const defaultTransport = {
+  target: () => {
+    const profile = serverProfileService.getActiveProfile();
+    const device = apiClient.getDeviceIdentity(profile.id);
+    return {
+      profileId: profile.id,
+      url: serverProfileService.getSyncUrl(profile),
+      deviceId: device.deviceId,
+      deviceModel: device.deviceModel,
+    };
+  },
+  isOnline: () => offlineSyncManager.checkOnlineStatus(),
+  send: ({ url, profileId, body, idempotencyKey }) => apiClient.request({ url, profileId, body, idempotencyKey }),
+  isPermanentFailure: (status) => offlineSyncManager.isPermanentFailure(status),
+  enqueue: (item) => offlineSyncManager.addToQueue(item),
+  deadLetter: (item, message) => offlineSyncManager.addToDeadLetter(item, message),
+};
+
+/**
+ * Default storage: the same AsyncStorage keys App.js loads at startup
+ */
+const defaultStorage = {
+  getHistory: async () => {
+    const stored = await AsyncStorage.getItem(HISTORY_KEY);
+    return stored ? JSON.parse(stored) : [];
+  },
+  saveHistory: (history) => AsyncStorage.setItem(HISTORY_KEY, JSON.stringify(history)),
+  getStats: async () => {
+    const stored = await AsyncStorage.getItem(STATS_KEY);
+    return stored ? JSON.parse(stored) : { ...EMPTY_STATS };
+  },
+  saveStats: (stats) => AsyncStorage.setItem(STATS_KEY, JSON.stringify(stats)),
+};
+
+/**
+ * Default services: the app's singletons
+ */
+const defaultServices = {
+  punchState: punchStateService,
+  location: locationService,
+  geofence: geofenceService,
+  authPolicy: authPolicyService,
+  shift: shiftService,
+  analytics: analyticsService,
+};
+
+class AttendanceService {
+  constructor() {
+    this.transport = defaultTransport;
+    this.storage = defaultStorage;
+    this.services = defaultServices;
+    this.listeners = [];
+  }
+
+  /**
+   * Swap transport, storage and/or services (omitted parts keep their current value)
+   * @param {Object} options - {
+   *   transport: { target(), isOnline(), send(request), isPermanentFailure(status),
+   *                enqueue(item), deadLetter(item, message) },
+   *   storage: { getHistory(), saveHistory(h), getStats(), saveStats(s) },
+   *   services: { punchState, location, geofence, authPolicy, shift, analytics }
+   * }
+   */
+  configure({ transport, storage, services } = {}) {
+    if (transport) this.transport = { ...defaultTransport, ...transport };
+    if (storage) this.storage = { ...defaultStorage, ...storage };
+    if (services) this.services = { ...defaultServices, ...services };
+  }
+
+  // ==================== EVENTS ====================
+
+  /**
+   * Subscribe to attendance events
+   * - { recorded: result } after every record() call
+   * - { historyChanged: true, history, stats } when local history was saved
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  notifyListeners(event) {
+    this.listeners.forEach(listener => listener(event));
+  }
+
+  // ==================== RECORDING ====================
+
+  /**
+   * Record a punch for an identified user
+   * @param {Object} user - Enrolled user
+   * @param {string} method - 'fingerprint' | 'nfc' | 'barcode' | 'face'
+   * @param {Object} evidence - Method details, added to the record and the payload
+   * @returns {Object} {
+   *   status: 'success' | 'queued' | 'failed' | 'rejected' | 'duplicate' | 'blocked' | 'refused',
+   *   user, method, direction, missedCheckOut, autoClose, shift, geofence,
+   *   record, serverResponse, error, lastPunch (duplicate only), refusal (refused only)
+   * }
+   */
+  async record(user, method, evidence = {}, { now = new Date() } = {}) {
+    const result = await this.process(user, method, evidence, now);
+    this.notifyListeners({ recorded: result });
+    return result;
+  }
+
+  async process(user, method, evidence, now) {
+    const { analytics, punchState } = this.services;
+    const startTime = Date.now();
+
+    // Suspended and departed users keep their record but cannot punch
+    const refusal = UserLifecycle.refusal(user);
+    if (refusal) {
+      await analytics.trackEvent('lifecycle', 'refused', refusal.status);
+      return { status: 'refused', user, method, refusal };
+    }
+
+    // A second tap moments after the first - or while it is still being
+    // recorded - is a duplicate, not a check-out
+    const duplicate = await punchState.reserve(user.userId, method, now);
+    if (duplicate) {
+      const secondsSinceLast = Math.round((now - new Date(duplicate.lastPunch.timestamp)) / 1000);
+      await analytics.trackDuplicatePunch(user.userId, method, secondsSinceLast);
+      return { status: 'duplicate', user, method, lastPunch: duplicate.lastPunch };
+    }
+
+    try {
+      return await this.punch(user, method, evidence, now, startTime);
+    } finally {
+      punchState.release(user.userId);
+    }
+  }
+
+  /**
+   * Record a punch whose cooldown is already reserved
+   */
+  async punch(user, method, evidence, now, startTime) {
+    const { analytics, punchState, location, geofence: geofencing, authPolicy, shift: shifts } = this.services;
+    const timestamp = now.toISOString();
+
+    // Location is best effort and only looked up when a fence or a
+    // site-specific policy needs it; only the geofence policy can stop a punch
+    const fix = geofencing.isActive() || authPolicy.needsSite()
+      ? await location.getCurrentFix()
+      : null;
+    const geofence = geofencing.check(fix);
+
+    if (geofence.action === 'block') {
+      await analytics.trackEvent('geofence', 'blocked', geofence.reason);
+      return { status: 'blocked', user, method, geofence };
+    }
+    if (geofence.action === 'warn') {
+      await analytics.trackEvent('geofence', 'warned', geofence.reason);
+    }
+
+    // Screens walk the user through the policy's factors; the evidence must still prove each one
+    const rule = authPolicy.resolve(user, { now, siteId: geofencing.siteOf(fix) });
+    const missing = AuthPolicy.remainingFactors(rule, AuthPolicy.provenFactors(method, evidence));
+    if (missing.length > 0) {
+      await analytics.trackEvent('mfa', 'refused', rule.name, missing.length);
+      return {
+        status: 'refused',
+        user,
+        method,
+        refusal: {
+          status: 'auth_policy',
+          title: '🔐 More Verification Needed',
+          message: `${user.userName}, "${rule.name}" requires:\n${AuthPolicy.describeFactors(rule.factors)}\n\n` +
+            `Missing: ${AuthPolicy.describeFactors(missing)}`,
+        },
+      };
+    }
+
+    const target = this.transport.target();
+
+    // IN or OUT from this user's last punch; a forgotten check-out is closed first
+    const punch = await punchState.resolvePunch(user.userId, now);
+    const autoCloseRecord = punch.autoClose ? await this.queueAutoClose(user, punch.autoClose, target) : null;
+
+    // The direction flips once the punch is sent or queued - a queued retry
+    // keeps its idempotency key, so it still lands on the server once
+    const commitPunch = () => punchState.commitPunch(user.userId, { direction: punch.direction, timestamp, method });
+
+    // On time, late, early leave or off shift - null when the user has no shift
+    const shift = shifts.classify(user, punch.direction, now);
+
+    // Created once per attendance event and sent on every retry,
+    // so the server can reject a replay instead of storing a duplicate punch
+    const idempotencyKey = IdGenerator.uuid();
+    const punchData = { user, method, evidence, timestamp, idempotencyKey, punch, shift, fix, geofence, location };
+    const record = buildRecord(punchData);
+    const payload = buildPayload(punchData, target);
+    const queueItem = {
+      type: 'attendance',
+      idempotencyKey,
+      profileId: target.profileId,
+      data: payload,
+      url: target.url,
+      method: 'POST',
+    };
+
+    const result = {
+      user,
+      method,
+      direction: punch.direction,
+      missedCheckOut: punch.missedCheckOut,
+      autoClose: punch.autoClose,
+      shift,
+      geofence,
+    };
+
+    if (!this.transport.isOnline()) {
+      await this.transport.enqueue(queueItem);
+      await commitPunch();
+      const saved = await this.saveRecord({ ...record, syncStatus: 'queued' }, autoCloseRecord);
+
+      await analytics.trackAttendance(method, true);
+      await analytics.trackEvent('offline', 'queue_attendance', method);
+      return { ...result, status: 'queued', record: saved };
+    }
+
+    const sent = { result, record, queueItem, autoCloseRecord, commitPunch };
+
+    // Only the request itself may fail into the retry queue - a local
+    // error after the server accepted the punch must not queue it again
+    let response;
+    try {
+      response = await this.transport.send({
+        url: target.url,
+        profileId: target.profileId,
+        body: payload,
+        idempotencyKey,
+      });
+    } catch (error) {
+      return this.retryPunch(sent, error);
+    }
+
+    if (!response.ok && response.status !== 409) {
+      const message = `HTTP ${response.status}: ${response.statusText}`;
+      if (!this.transport.isPermanentFailure(response.status)) {
+        return this.retryPunch(sent, new Error(message));
+      }
+      return this.rejectPunch({ ...sent, response, message });
+    }
+
+    // 409: an earlier attempt with this idempotency key already got through.
+    // An unreadable body does not undo a punch the server accepted
+    const data = response.status === 409
+      ? { status: 'duplicate', idempotency_key: idempotencyKey }
+      : await response.json().catch(() => ({}));
+
+    await commitPunch();
+    const saved = await this.saveRecord(
+      { ...record, syncStatus: 'success', serverResponse: data },
+      autoCloseRecord,
+      'successfulScans'
+    );
+
+    await analytics.trackAttendance(method, true);
+    await analytics.trackPerformance(`attendance_${method}`, Date.now() - startTime);
+    return { ...result, status: 'success', record: saved, serverResponse: data };
+  }
+
+  /**
+   * Queue a punch whose request failed for retry with the same idempotency
+   * key - if the request actually reached the server, the retry is
+   * recognised as a replay
+   */
+  async retryPunch({ result, record, queueItem, autoCloseRecord, commitPunch }, error) {
+    const { analytics } = this.services;
+    await analytics.trackError('attendance_failed', error.message, result.method);
+    await analytics.trackAttendance(result.method, false);
+
+    await this.transport.enqueue(queueItem);
+    await commitPunch();
+    const saved = await this.saveRecord(
+      { ...record, syncStatus: 'failed', error: error.message },
+      autoCloseRecord,
+      'failedScans'
+    );
+    return { ...result, status: 'failed', record: saved, error };
+  }
+
+  /**
+   * A punch the server refused outright (malformed, failed fingerprint
+   * proof, ...) goes to the dead-letter store instead of the retry queue,
+   * and the user's IN/OUT direction stays as it was. A refused kiosk
+   * (401/403) is not a refused punch - those are queued for retry.
+   */
+  async rejectPunch({ result, record, queueItem, autoCloseRecord, response, message }) {
+    const body = await response.json().catch(() => ({}));
+    const reason = body.message ? `${message} - ${body.message}` : message;
+
+    const { analytics } = this.services;
+    await analytics.trackError('attendance_rejected', reason, result.method);
+    await analytics.trackAttendance(result.method, false);
+
+    await this.transport.deadLetter(queueItem, reason);
+    const saved = await this.saveRecord(
+      { ...record, syncStatus: 'rejected', error: reason },
+      autoCloseRecord,
+      'failedScans'
+    );
+    return { ...result, status: 'rejected', record: saved, error: new Error(reason) };
+  }
+
+  /**
+   * Queue the check-out a user forgot, so the server sees a closed shift
+   * @returns {Object} History record for the synthetic check-out
+   */
+  async queueAutoClose(user, autoClose, target) {
+    const idempotencyKey = IdGenerator.uuid();
+
+    await this.transport.enqueue({
+      type: 'attendance',
+      idempotencyKey,
+      profileId: target.profileId,
+      url: target.url,
+      method: 'POST',
+      data: {
+        uid: user.userId,
+        device_id: target.deviceId,
+        timestamp: autoClose.timestamp,
+        type: 'auto_close',
+        direction: PunchStateMachine.OUT,
+        auto_closed: true,
+        auto_close_reason: autoClose.reason,
+        opened_at: autoClose.openedAt,
+        user_name: user.userName,
+        user_role: user.userRole,
+        device_model: target.deviceModel,
+        idempotency_key: idempotencyKey,
+      },
+    });
+    await this.services.analytics.trackEvent('punch', 'auto_close', autoClose.reason);
+
+    return {
+      id: idempotencyKey,
+      idempotencyKey,
+      userId: user.userId,
+      userName: user.userName,
+      userRole: user.userRole,
+      method: 'auto',
+      direction: PunchStateMachine.OUT,
+      timestamp: autoClose.timestamp,
+      autoClosed: true,
+      syncStatus: 'queued',
+    };
+  }
+
+  // ==================== HISTORY ====================
+
+  /**
+   * Add a record (and any auto-close before it) to the local history
+   * @param {string} statsCounter - 'successfulScans' | 'failedScans' to count a server attempt
+   */
+  async saveRecord(record, autoCloseRecord, statsCounter = null) {
+    const prior = await this.storage.getHistory();
+    const history = [record, ...(autoCloseRecord ? [autoCloseRecord] : []), ...prior].slice(0, HISTORY_LIMIT);
+    await this.storage.saveHistory(history);
+
+    let stats = await this.storage.getStats();
+    if (statsCounter) {
+      stats = {
+        ...stats,
+        totalScans: stats.totalScans + 1,
+        [statsCounter]: stats[statsCounter] + 1,
+        lastSyncTime: new Date().toISOString(),
+      };
+      await this.storage.saveStats(stats);
+    }
+
+    this.notifyListeners({ historyChanged: true, history, stats });
+    return record;
+  }
+
+  /**
+   * Move a user's past punches to a corrected ID
+   * recordedUserId keeps the ID the punch was recorded (and synced) under
+   */
+  async renameUser(oldUserId, newUserId) {
+    const prior = await this.storage.getHistory();
+    if (!prior.some(record => record.userId === oldUserId)) return;
+
+    const history = prior.map(record => (record.userId === oldUserId
+      ? { ...record, userId: newUserId, recordedUserId: record.recordedUserId || oldUserId }
+      : record));
+    await this.storage.saveHistory(history);
+    this.notifyListeners({ historyChanged: true, history, stats: await this.storage.getStats() });
+  }
+}
+
+// ==================== PAYLOADS ====================
+
+const buildRecord = ({ user, method, evidence, timestamp, idempotencyKey, punch, shift, fix, geofence }) => ({
+  id: idempotencyKey,
+  idempotencyKey,
+  userId: user.userId,
+  userName: user.userName,
+  userRole: user.userRole,
+  method,
+  direction: punch.direction,
+  missedCheckOut: punch.missedCheckOut,
+  shiftStatus: shift ? shift.status : null,
+  shiftSummary: shift ? ShiftSchedule.describe(shift) : null,
+  timestamp,
+  location: fix ? { latitude: fix.latitude, longitude: fix.longitude, accuracy: fix.accuracy } : null,
+  geofenceStatus: geofence.reason === 'disabled' ? null : Geofence.describe(geofence),
+  flagged: geofence.action === 'flag',
+  ...evidence,
+});
+
+const buildPayload = ({ user, method, evidence, timestamp, idempotencyKey, punch, shift, fix, geofence, location }, target) => ({
+  uid: user.userId,
+  device_id: target.deviceId,
+  timestamp,
+  type: method,
+  direction: punch.direction,
+  missed_check_out: punch.missedCheckOut,
+  shift: shift ? {
+    status: shift.status,
+    minutes: shift.minutes,
+    shift_id: shift.shiftId,
+    shift_name: shift.shiftName,
+    scheduled_start: shift.scheduledStart,
+    scheduled_end: shift.scheduledEnd,
+  } : null,
+  user_name: user.userName,
+  user_role: user.userRole,
+  location: location.toPayload(fix),
+  geofence: geofence.reason === 'disabled' ? null : {
+    status: geofence.reason,
+    fence: geofence.fence,
+    distance_m: geofence.distanceMeters,
+    flagged: geofence.action === 'flag',
+  },
+  device_model: target.deviceModel,
+  ...evidence,
+  idempotency_key: idempotencyKey,
+});
+
+// Singleton instance
+const attendanceService = new AttendanceService();
+
+export default attendanceService;
+
+/**
+ * USAGE EXAMPLES:
+ *
+ * // Screens present the outcome
+ * const unsubscribe = attendanceService.subscribe((event) => {
+ *   if (event.recorded) showPunchResult(event.recorded);
+ * });
+ *
+ * const result = await attendanceService.record(user, 'nfc', { cardUid: '04A1B2C3' });
+ * // => { status: 'success', direction: 'in', record: {...}, serverResponse: {...}, ... }
+ *
+ * // Against a fake server and in-memory storage (see __tests__/AttendanceService.test.js)
+ * attendanceService.configure({
+ *   transport: { isOnline: () => true, send: async () => ({ ok: true, status: 200, json: async () => ({ success: true }) }) },
+ *   storage: { getHistory: async () => memory, saveHistory: async (h) => { memory = h; } },
+ *   services: { location: { getCurrentFix: async () => fixture, toPayload: () => null } },
+ * });
+ */
@@ -0,0 +1,120 @@
+/**
+ * AUTH POLICY SERVICE
+ *
+ * Admin-defined rules for which methods a punch needs
+ * - Keyed by role, site (geofence) and time window
+ * - Checked in order, first match wins; persisted locally
+ * - Matching itself lives in utils/AuthPolicy (pure, testable)
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import AuthPolicy from '../utils/AuthPolicy';
+import IdGenerator from '../utils/IdGenerator';
+
+const POLICIES_KEY = 'auth_policies';
+
+class AuthPolicyService {
+  constructor() {
+    this.rules = [];
+  }
+
+  // ==================== PERSISTENCE ====================
+
+  async init() {
+    try {
+      const stored = await AsyncStorage.getItem(POLICIES_KEY);
+      this.rules = stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Failed to load auth policies:', error);
+    }
+    return this.getRules();
+  }
+
+  async save() {
+    try {
+      await AsyncStorage.setItem(POLICIES_KEY, JSON.stringify(this.rules));
+    } catch (error) {
+      console.error('Failed to save auth policies:', error);
+    }
+  }
+
+  getRules() {
+    return this.rules.map(rule => ({ ...rule }));
+  }
+
+  // ==================== RULES ====================
+
+  async addRule(rule) {
+    const newRule = { ...AuthPolicy.EMPTY_RULE, ...rule, id: IdGenerator.uuid() };
+    const errors = AuthPolicy.validateRule(newRule);
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+
+    newRule.name = newRule.name.trim();
+    this.rules = [...this.rules, newRule];
+    await this.save();
+    return newRule;
+  }
+
+  async updateRule(id, changes) {
+    const existing = this.rules.find(r => r.id === id);
+    if (!existing) {
+      throw new Error('Policy not found');
+    }
+
+    const updated = { ...existing, ...changes, id };
+    const errors = AuthPolicy.validateRule(updated);
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+
+    updated.name = updated.name.trim();
+    this.rules = this.rules.map(r => (r.id === id ? updated : r));
+    await this.save();
+    return updated;
+  }
+
+  async removeRule(id) {
+    this.rules = this.rules.filter(r => r.id !== id);
+    await this.save();
+  }
+
+  /**
+   * Move a rule up (-1) or down (+1); earlier rules win
+   */
+  async moveRule(id, offset) {
+    const index = this.rules.findIndex(r => r.id === id);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= this.rules.length) {
+      return;
+    }
+
+    const rules = [...this.rules];
+    [rules[index], rules[target]] = [rules[target], rules[index]];
+    this.rules = rules;
+    await this.save();
+  }
+
+  // ==================== MATCHING ====================
+
+  /**
+   * Whether any rule depends on where the kiosk is
+   */
+  needsSite() {
+    return this.rules.some(rule => rule.sites.length > 0);
+  }
+
+  /**
+   * Rule for a punch, null when any single method is enough
+   * @param {Object} context - { now, siteId }
+   */
+  resolve(user, context) {
+    return AuthPolicy.resolve(this.rules, user, context);
+  }
+}
+
+// Singleton instance
+const authPolicyService = new AuthPolicyService();
+
+export default authPolicyService;
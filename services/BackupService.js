@@ -0,0 +1,272 @@
+/**
+ * BACKUP SERVICE
+ *
+ * One password-encrypted file with everything needed to rebuild a kiosk
+ * - Roster, history, stats, sync queues, audit logs, analytics and settings
+ * - Restore either merges into this device's data or replaces it
+ * - Encryption, integrity and merge rules live in utils/BackupArchive
+ *
+ * Not backed up: the device pairing and its secret (a replacement kiosk
+ * pairs again), badge secrets (badges are issued again) and the
+ * fingerprint key, which never leaves the device.
+ */
+
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import RNFS from 'react-native-fs';
+import apiClient from './ApiClient';
+import serverProfileService from './ServerProfileService';
+import offlineSyncManager from './OfflineSyncManager';
+import settingsService from './SettingsService';
+import geofenceService from './GeofenceService';
+import shiftService from './ShiftService';
+import authPolicyService from './AuthPolicyService';
+import punchStateService from './PunchStateService';
+import cardSecurityService from './CardSecurityService';
+import badgeService from './BadgeService';
+import analyticsService from './AnalyticsService';
+import BackupArchive from '../utils/BackupArchive';
+import BarcodeFormats from '../utils/BarcodeFormats';
+import CardCredential from '../utils/CardCredential';
+
+const FILE_EXTENSION = '.backup';
+
+const byTimestamp = (item) => item.timestamp || '';
+const keepDevice = (device, archive) => (device === null || device === undefined ? archive : device);
+
+/**
+ * Storage keys in a backup, and how each merges into existing data
+ * merge(deviceValue, archiveValue) -> value to store
+ * replace(deviceValue, archiveValue) -> value to store, the archive value when omitted
+ */
+const BACKUP_KEYS = {
+  enrolledUsers: {
+    label: '👥 Enrolled users',
+    merge: (device, archive) => {
+      const users = device || [];
+      // A card or barcode (in any of its forms) already held by someone on this device stays theirs
+      const taken = (user, field) => user[field] && (field === 'barcodeId'
+        ? !!BarcodeFormats.ownerOf(users, user.barcodeId, user.userId, user.barcodeFormat)
+        : users.some(u => u[field] === user[field] && u.userId !== user.userId));
+      const accepted = (archive || []).filter(user => !taken(user, 'cardUid') && !taken(user, 'barcodeId'));
+      return BackupArchive.mergeList(users, accepted, { identity: u => u.userId });
+    },
+    // Someone whose card changed since the backup keeps no credential written for the other card
+    replace: (device, archive) => (archive || []).map(user => (
+      CardCredential.forCard(user, (device || []).find(u => u.userId === user.userId) || null)
+    )),
+  },
+  attendanceHistory: {
+    label: '📋 Attendance history',
+    merge: (device, archive) => BackupArchive.mergeList(device, archive, {
+      identity: r => r.id, sortBy: byTimestamp, newestFirst: true, limit: 50,
+    }),
+  },
+  systemStats: { label: '📊 Scan statistics', merge: keepDevice },
+  errorLogs: {
+    label: '🐞 Error logs',
+    merge: (device, archive) => BackupArchive.mergeList(device, archive, {
+      identity: e => e.id, sortBy: byTimestamp, newestFirst: true, limit: 100,
+    }),
+  },
+  offline_sync_queue: {
+    label: '📤 Sync queue',
+    merge: (device, archive) => BackupArchive.mergeList(device, archive, {
+      identity: i => i.idempotencyKey || i.id, sortBy: byTimestamp,
+    }),
+  },
+  offline_dead_letter_queue: {
+    label: '☠️ Dead letters',
+    merge: (device, archive) => BackupArchive.mergeList(device, archive, { identity: i => i.id }),
+  },
+  face_audit_logs: {
+    label: '🛡️ Face audit log',
+    merge: (device, archive) => BackupArchive.mergeList(device, archive, {
+      identity: l => `${l.timestamp}|${l.action}|${l.userId}`, sortBy: byTimestamp, newestFirst: true,
+    }),
+  },
+  analytics_data: {
+    label: '📈 Analytics events',
+    merge: (device, archive) => BackupArchive.mergeList(device, archive, {
+      identity: e => `${e.timestamp}|${e.category}|${e.action}|${e.label}`, sortBy: byTimestamp,
+    }),
+  },
+  performance_metrics: { label: '⏱️ Performance metrics', merge: keepDevice },
+  user_audit_log: {
+    label: '📝 User change log',
+    merge: (device, archive) => BackupArchive.mergeList(device, archive, {
+      identity: e => e.id, sortBy: byTimestamp, newestFirst: true, limit: 1000,
+    }),
+  },
+  card_blocklist: {
+    label: '⛔ Revoked cards',
+    merge: (device, archive) => BackupArchive.mergeList(device, archive, { identity: e => e.cardUid }),
+  },
+  security_incidents: {
+    label: '🚨 Security incidents',
+    merge: (device, archive) => BackupArchive.mergeList(device, archive, {
+      identity: i => i.id, sortBy: byTimestamp, newestFirst: true, limit: 200,
+    }),
+  },
+  punch_state: {
+    label: '🔄 Last punches',
+    merge: (device, archive) => BackupArchive.mergeMap(device, archive, (d, a) => a.timestamp > d.timestamp),
+  },
+  kiosk_settings: { label: '⚙️ Attendance rules', merge: keepDevice },
+  geofence_policy: { label: '📍 Geofences', merge: keepDevice },
+  shift_schedule: { label: '🗓️ Shifts', merge: keepDevice },
+  auth_policies: { label: '🔐 Verification policies', merge: keepDevice },
+  server_profiles: { label: '🌐 Server profiles', merge: keepDevice },
+};
+
+const countOf = (value) => {
+  if (Array.isArray(value)) return value.length;
+  if (value && typeof value === 'object') return Object.keys(value).length;
+  return value === null || value === undefined ? 0 : 1;
+};
+
+class BackupService {
+  getFolder() {
+    return Platform.OS === 'android' ? RNFS.DownloadDirectoryPath : RNFS.DocumentDirectoryPath;
+  }
+
+  getLabel(key) {
+    return BACKUP_KEYS[key] ? BACKUP_KEYS[key].label : key;
+  }
+
+  async readEntries() {
+    const pairs = await AsyncStorage.multiGet(Object.keys(BACKUP_KEYS));
+    const entries = {};
+    pairs.forEach(([key, value]) => {
+      if (value !== null) entries[key] = JSON.parse(value);
+    });
+    return entries;
+  }
+
+  // ==================== BACKUP ====================
+
+  /**
+   * Write an encrypted backup of this device
+   * @returns {Object} { fileName, path, counts: { storageKey: number } }
+   */
+  async createBackup(password) {
+    const passwordError = BackupArchive.validatePassword(password);
+    if (passwordError) {
+      throw new Error(passwordError);
+    }
+
+    const { deviceId, deviceName } = apiClient.getDeviceIdentity();
+    const createdAt = new Date().toISOString();
+    const entries = await this.readEntries();
+    const text = BackupArchive.seal({ createdAt, source: { deviceId, deviceName: deviceName || null }, entries }, password);
+
+    const fileName = `kiosk-${createdAt.slice(0, 16).replace(/[T:]/g, '-')}${FILE_EXTENSION}`;
+    const path = `${this.getFolder()}/${fileName}`;
+    await RNFS.writeFile(path, text, 'utf8');
+    await analyticsService.trackEvent('backup', 'create', deviceId, Object.keys(entries).length);
+
+    const counts = {};
+    Object.entries(entries).forEach(([key, value]) => { counts[key] = countOf(value); });
+    return { fileName, path, counts };
+  }
+
+  /**
+   * Backup files, newest first
+   * @returns {Array} [{ name, path, size, modifiedAt }]
+   */
+  async listBackups() {
+    try {
+      const items = await RNFS.readDir(this.getFolder());
+      return items
+        .filter(item => item.isFile() && item.name.endsWith(FILE_EXTENSION))
+        .map(item => ({
+          name: item.name,
+          path: item.path,
+          size: Number(item.size),
+          modifiedAt: item.mtime ? new Date(item.mtime).toISOString() : null,
+        }))
+        .sort((a, b) => (b.modifiedAt || '').localeCompare(a.modifiedAt || ''));
+    } catch (error) {
+      console.warn('Cannot list backups:', error.message);
+      return [];
+    }
+  }
+
+  readText(file) {
+    return RNFS.readFile(file.path, 'utf8');
+  }
+
+  // ==================== RESTORE ====================
+
+  /**
+   * Decrypt a backup and work out what a restore would change - writes nothing
+   * @param {string} mode - 'merge' | 'replace'
+   * @returns {Object} {
+   *   createdAt, source, mode,
+   *   changes: [{ key, label, before, after }],
+   *   missing: [label]   - known here, absent from the backup (left as is)
+   *   ignored: [key]     - in the backup, unknown to this app version
+   *   values: { storageKey: value to store }
+   * }
+   */
+  async prepareRestore(file, password, mode) {
+    const text = await this.readText(file);
+    const payload = BackupArchive.open(text, password);
+    const archiveEntries = payload.entries || {};
+    const deviceEntries = await this.readEntries();
+
+    const changes = [];
+    const values = {};
+    Object.keys(BACKUP_KEYS)
+      .filter(key => key in archiveEntries)
+      .forEach(key => {
+        const { merge, replace = (device, archive) => archive } = BACKUP_KEYS[key];
+        const value = (mode === 'replace' ? replace : merge)(deviceEntries[key], archiveEntries[key]);
+        values[key] = value;
+        changes.push({ key, label: this.getLabel(key), before: countOf(deviceEntries[key]), after: countOf(value) });
+      });
+
+    return {
+      createdAt: payload.createdAt,
+      source: payload.source || {},
+      mode,
+      changes,
+      missing: Object.keys(BACKUP_KEYS).filter(key => !(key in archiveEntries)).map(key => this.getLabel(key)),
+      ignored: Object.keys(archiveEntries).filter(key => !BACKUP_KEYS[key]),
+      values,
+    };
+  }
+
+  /**
+   * Store a prepared restore in one write and reload the services that cache storage
+   */
+  async applyRestore(prepared) {
+    // Older backups still carry badge secrets on the user records
+    if (prepared.values.enrolledUsers) {
+      const { users } = await badgeService.takeSecrets(prepared.values.enrolledUsers);
+      prepared.values.enrolledUsers = users;
+    }
+
+    await AsyncStorage.multiSet(
+      Object.entries(prepared.values).map(([key, value]) => [key, JSON.stringify(value)])
+    );
+
+    await serverProfileService.init();
+    await settingsService.init();
+    await geofenceService.init();
+    await shiftService.init();
+    await authPolicyService.init();
+    await punchStateService.reload();
+    await cardSecurityService.init();
+    await offlineSyncManager.loadQueue();
+    await offlineSyncManager.loadDeadLetterQueue();
+    offlineSyncManager.scheduleNextRetry();
+    await analyticsService.loadAnalyticsData();
+    await analyticsService.trackEvent('backup', 'restore', prepared.mode, prepared.changes.length);
+  }
+}
+
+// Singleton instance
+const backupService = new BackupService();
+
+export default backupService;
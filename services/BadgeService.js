@@ -0,0 +1,149 @@
+/**
+ * BADGE SERVICE
+ *
+ * Rotating QR badges on both sides
+ * - Kiosk: issues per-user secrets and accepts each live code once
+ * - Secrets are kept in the secure store, never on the user records or in backups
+ * - User's phone ("My Badge"): keeps the badge set up from the enrollment QR
+ * - Code formats and checks live in utils/BadgeCode and utils/Totp
+ */
+
+import secureStore from './SecureStore';
+import analyticsService from './AnalyticsService';
+import BadgeCode from '../utils/BadgeCode';
+import SecureRandom from '../utils/SecureRandom';
+
+const MY_BADGE_KEY = 'my_badge';
+const SECRETS_KEY = 'badge_secrets';
+const SECRET_BYTES = 20;
+
+class BadgeService {
+  constructor() {
+    // userId -> last accepted time step; a restart forgets them, which
+    // only reopens the ~1 minute window of codes not yet expired
+    this.lastCounters = {};
+    this.secrets = {}; // userId -> secret hex
+    this.loaded = false;
+    this.myBadge = null;
+  }
+
+  // ==================== KIOSK ====================
+
+  async load() {
+    if (this.loaded) return;
+    this.secrets = (await secureStore.getItem(SECRETS_KEY)) || {};
+    this.loaded = true;
+  }
+
+  async saveSecrets() {
+    await secureStore.setItem(SECRETS_KEY, this.secrets);
+  }
+
+  /**
+   * New secret for a user from the platform's secure random source;
+   * replaces any earlier one, so their old phone stops working
+   * @returns {string} The secret as hex, for the setup code
+   */
+  async issue(userId) {
+    await this.load();
+    const secret = SecureRandom.hex(SECRET_BYTES);
+    this.secrets = { ...this.secrets, [userId]: secret };
+    await this.saveSecrets();
+    return secret;
+  }
+
+  async getSecret(userId) {
+    await this.load();
+    return this.secrets[userId] || null;
+  }
+
+  async renameUser(oldUserId, newUserId) {
+    await this.load();
+    const { [oldUserId]: secret, ...rest } = this.secrets;
+    if (!secret) return;
+    this.secrets = { ...rest, [newUserId]: secret };
+    await this.saveSecrets();
+  }
+
+  async removeUser(userId) {
+    await this.load();
+    if (!this.secrets[userId]) return;
+    const { [userId]: removed, ...rest } = this.secrets;
+    this.secrets = rest;
+    await this.saveSecrets();
+  }
+
+  /**
+   * Move secrets that older versions kept on the user records (and in
+   * backups) into the secure store; a secret already held here is kept
+   * @returns {Object} { users, moved } - users without badgeSecret
+   */
+  async takeSecrets(users) {
+    const holders = users.filter(user => user.badgeSecret);
+    if (holders.length === 0) {
+      return { users, moved: 0 };
+    }
+
+    await this.load();
+    holders.forEach(user => {
+      this.secrets = { [user.userId]: user.badgeSecret, ...this.secrets };
+    });
+    await this.saveSecrets();
+    return {
+      users: users.map(({ badgeSecret, ...user }) => user),
+      moved: holders.length,
+    };
+  }
+
+  /**
+   * Check a scanned live code and mark it used
+   * @returns {Object} BadgeCode.identify() result
+   */
+  async verifyScan(users, text, now = new Date()) {
+    await this.load();
+    const result = BadgeCode.identify(users, text, { now, lastCounters: this.lastCounters, secrets: this.secrets });
+
+    if (result.user) {
+      this.lastCounters = { ...this.lastCounters, [result.user.userId]: result.counter };
+    } else {
+      await analyticsService.trackEvent('badge', 'rejected', result.reason);
+    }
+    return result;
+  }
+
+  // ==================== MY BADGE ====================
+
+  async loadMyBadge() {
+    this.myBadge = await secureStore.getItem(MY_BADGE_KEY);
+    return this.myBadge;
+  }
+
+  /**
+   * Keep the badge from a scanned setup QR on this phone
+   * @returns {Object} { userId, userName, secret }
+   */
+  async setUpMyBadge(setupText) {
+    const badge = BadgeCode.parseSetup(setupText);
+    if (!badge) {
+      throw new Error('This is not a badge setup code');
+    }
+
+    await secureStore.setItem(MY_BADGE_KEY, { ...badge, setUpAt: new Date().toISOString() });
+    await analyticsService.trackEvent('badge', 'set_up', badge.userId);
+    return this.loadMyBadge();
+  }
+
+  async removeMyBadge() {
+    await secureStore.removeItem(MY_BADGE_KEY);
+    this.myBadge = null;
+  }
+
+  liveCode(now = new Date()) {
+    return this.myBadge ? BadgeCode.live(this.myBadge.userId, this.myBadge.secret, now) : null;
+  }
+}
+
+// Singleton instance
+const badgeService = new BadgeService();
+
+export default badgeService;
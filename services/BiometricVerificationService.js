@@ -0,0 +1,177 @@
+/**
+ * BIOMETRIC VERIFICATION SERVICE
+ *
+ * Turns a fingerprint prompt into a signature the server can check
+ * - Each punch signs a fresh challenge, from the server when online
+ *   and issued by the kiosk when offline
+ * - The signature is checked against the public key stored when the
+ *   user enrolled, so a rotated or foreign key is rejected
+ * - Challenge format and verification live in utils/BiometricChallenge
+ *
+ * A fingerprint cannot be bound to a user on a phone. Android and iOS
+ * unlock a key for any fingerprint enrolled in the OS and never say which
+ * one was used, so a key per user would unlock for every finger just the
+ * same. Fingerprint templates never leave the secure hardware either, so
+ * there is nothing to match on the server. The signature proves a live
+ * biometric on this kiosk for a challenge nobody can replay - who is
+ * punching comes from the user picked (or the card), not the fingerprint.
+ * Policies that must identify someone need a card or barcode as well.
+ *
+ * react-native-biometrics has a single key pair per app, so every user
+ * enrolled on a kiosk stores the same public key. The device PIN/pattern
+ * cannot unlock it - only a biometric can.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import ReactNativeBiometrics from 'react-native-biometrics';
+import serverProfileService from './ServerProfileService';
+import apiClient from './ApiClient';
+import offlineSyncManager from './OfflineSyncManager';
+import BiometricChallenge from '../utils/BiometricChallenge';
+import IdGenerator from '../utils/IdGenerator';
+
+// react-native-biometrics keeps one key pair per app and only reveals
+// the public key when it is created, so it is remembered here.
+// v2: keys created before could also be unlocked with the device PIN
+const DEVICE_KEY_KEY = 'biometric_device_public_key_v2';
+const LEGACY_DEVICE_KEY_KEY = 'biometric_device_public_key';
+
+const rnBiometrics = new ReactNativeBiometrics({ allowDeviceCredentials: false });
+
+class BiometricVerificationService {
+  /**
+   * Retire a key pair from before v2, which the device PIN could also unlock
+   * Users enrolled with it show up in needsReenrollment() until they enroll again
+   */
+  async init() {
+    const legacyKey = await AsyncStorage.getItem(LEGACY_DEVICE_KEY_KEY);
+    if (!legacyKey) {
+      return;
+    }
+
+    // Without a v2 key the pair in the keystore is still the old one
+    if (!(await AsyncStorage.getItem(DEVICE_KEY_KEY))) {
+      await rnBiometrics.deleteKeys();
+    }
+    await AsyncStorage.removeItem(LEGACY_DEVICE_KEY_KEY);
+    console.log('Retired the old fingerprint key - enrolled fingerprints must be enrolled again');
+  }
+
+  // ==================== KEYS ====================
+
+  /**
+   * Public key of the current key pair, null before the first enrollment
+   * A user whose enrolled key differs has to enroll the fingerprint again
+   */
+  async getDeviceKey() {
+    return AsyncStorage.getItem(DEVICE_KEY_KEY);
+  }
+
+  /**
+   * Whether a user's fingerprint was enrolled with a key this kiosk no longer has
+   * @param {string|null} deviceKey - getDeviceKey()
+   */
+  needsReenrollment(user, deviceKey) {
+    return !!user.hasFingerprint && user.fingerprintPublicKey !== deviceKey;
+  }
+
+  /**
+   * Public key for a new enrollment
+   * Reuses the existing key pair - creating a new one would invalidate
+   * every user already enrolled on this kiosk
+   * @returns {string} Base64 public key
+   */
+  async getEnrollmentKey() {
+    const stored = await AsyncStorage.getItem(DEVICE_KEY_KEY);
+    const { keysExist } = await rnBiometrics.biometricKeysExist();
+    if (stored && keysExist) {
+      return stored;
+    }
+
+    const { publicKey } = await rnBiometrics.createKeys();
+    await AsyncStorage.setItem(DEVICE_KEY_KEY, publicKey);
+    return publicKey;
+  }
+
+  // ==================== CHALLENGES ====================
+
+  /**
+   * Get a challenge for a user's punch
+   * @returns {string} Server-issued when reachable, otherwise kiosk-issued
+   */
+  async issueChallenge(user, profile = serverProfileService.getActiveProfile()) {
+    const device = apiClient.getDeviceIdentity(profile.id);
+
+    if (offlineSyncManager.checkOnlineStatus()) {
+      try {
+        const response = await apiClient.request({
+          url: `${serverProfileService.getSyncUrl(profile)}?action=challenge`,
+          profileId: profile.id,
+          body: { uid: user.userId, device_id: device.deviceId },
+        });
+        const data = await response.json();
+        const parsed = BiometricChallenge.parse(data.challenge);
+
+        if (response.ok && parsed && parsed.issuer === 'server' && parsed.userId === user.userId) {
+          return data.challenge;
+        }
+        console.warn('Server challenge rejected, issuing locally:', data.message || response.status);
+      } catch (error) {
+        console.warn('Server challenge unavailable, issuing locally:', error.message);
+      }
+    }
+
+    return BiometricChallenge.build({
+      issuer: 'kiosk',
+      userId: user.userId,
+      deviceId: device.deviceId,
+      issuedAt: new Date().toISOString(),
+      nonce: IdGenerator.uuid(),
+    });
+  }
+
+  // ==================== VERIFICATION ====================
+
+  /**
+   * Prompt for a fingerprint and verify the signature against the user's enrolled key
+   * @returns {Object} {
+   *   verified,
+   *   reason: 'verified' | 'not_enrolled' | 'key_changed' | 'cancelled' | 'signature_mismatch',
+   *   challenge, signature, publicKey
+   * }
+   */
+  async verifyUser(user, promptMessage) {
+    if (!user.fingerprintPublicKey) {
+      return { verified: false, reason: 'not_enrolled' };
+    }
+    // Checked before the prompt: the kiosk's key could never match
+    if (this.needsReenrollment(user, await this.getDeviceKey())) {
+      return { verified: false, reason: 'key_changed' };
+    }
+
+    const challenge = await this.issueChallenge(user);
+    const { success, signature } = await rnBiometrics.createSignature({
+      promptMessage,
+      payload: challenge,
+      cancelButtonText: 'Cancel',
+    });
+
+    if (!success || !signature) {
+      return { verified: false, reason: 'cancelled', challenge };
+    }
+
+    const verified = BiometricChallenge.verify(challenge, signature, user.fingerprintPublicKey);
+    return {
+      verified,
+      reason: verified ? 'verified' : 'signature_mismatch',
+      challenge,
+      signature,
+      publicKey: user.fingerprintPublicKey,
+    };
+  }
+}
+
+// Singleton instance
+const biometricVerificationService = new BiometricVerificationService();
+
+export default biometricVerificationService;
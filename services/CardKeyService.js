@@ -0,0 +1,138 @@
+/**
+ * CARD KEY SERVICE
+ *
+ * Versioned keys that sign and verify the credentials written to NFC cards
+ * - Kept in the secure store, never in backups
+ * - Rotating adds a new version; older versions still verify existing cards
+ * - Every kiosk of a site needs the same keys: share a key code from one
+ *   kiosk and import it on the others
+ * - Credential format and signatures live in utils/CardCredential
+ */
+
+import secureStore from './SecureStore';
+import analyticsService from './AnalyticsService';
+import CardCredential from '../utils/CardCredential';
+import SecureRandom from '../utils/SecureRandom';
+
+const KEYS_KEY = 'card_keys';
+const CODE_PATTERN = /^v(\d+):([0-9a-f]{64})$/;
+
+/**
+ * 32 bytes of key material from the platform's secure random source
+ */
+const newKeyHex = () => SecureRandom.hex(32);
+
+class CardKeyService {
+  constructor() {
+    this.state = { activeVersion: null, keys: {} }; // keys: { version: keyHex }
+  }
+
+  async init() {
+    const stored = await secureStore.getItem(KEYS_KEY);
+    if (stored) {
+      this.state = stored;
+    }
+    return this.getSummary();
+  }
+
+  async save() {
+    await secureStore.setItem(KEYS_KEY, this.state);
+  }
+
+  // ==================== KEYS ====================
+
+  /**
+   * @returns {Object} { activeVersion, versions: number[] } - never the keys themselves
+   */
+  getSummary() {
+    return {
+      activeVersion: this.state.activeVersion,
+      versions: Object.keys(this.state.keys).map(Number).sort((a, b) => a - b),
+    };
+  }
+
+  getKeys() {
+    return { ...this.state.keys };
+  }
+
+  hasKey() {
+    return this.state.activeVersion !== null;
+  }
+
+  /**
+   * Create the next key version and sign new cards with it
+   * @returns {number} The new version
+   */
+  async rotate() {
+    const version = Math.max(0, ...this.getSummary().versions) + 1;
+    this.state = { activeVersion: version, keys: { ...this.state.keys, [version]: newKeyHex() } };
+    await this.save();
+    await analyticsService.trackEvent('card_keys', 'rotate', `v${version}`);
+    return version;
+  }
+
+  /**
+   * Key code for another kiosk: "v<version>:<64 hex>"
+   */
+  exportCode(version = this.state.activeVersion) {
+    if (!this.state.keys[version]) {
+      throw new Error('No card key to share yet');
+    }
+    return `v${version}:${this.state.keys[version]}`;
+  }
+
+  /**
+   * Add a key shared from another kiosk; the highest version signs new cards
+   * @returns {number} The imported version
+   */
+  async importCode(code) {
+    const match = CODE_PATTERN.exec(String(code).trim().toLowerCase());
+    if (!match) {
+      throw new Error('A key code looks like v1: followed by 64 hex characters');
+    }
+
+    const version = Number(match[1]);
+    const existing = this.state.keys[version];
+    if (existing && existing !== match[2]) {
+      throw new Error(`This kiosk already has a different key v${version}`);
+    }
+
+    this.state = {
+      activeVersion: Math.max(version, this.state.activeVersion || 0),
+      keys: { ...this.state.keys, [version]: match[2] },
+    };
+    await this.save();
+    await analyticsService.trackEvent('card_keys', 'import', `v${version}`);
+    return version;
+  }
+
+  // ==================== CREDENTIALS ====================
+
+  /**
+   * Sign a credential for a user's card with the active key (created on first use)
+   * @param {string} cardUid - UID of the card it will be written to
+   * @returns {Object} { text, issuedAt, keyVersion }
+   */
+  async issue(userId, cardUid, now = new Date()) {
+    if (!this.hasKey()) {
+      await this.rotate();
+    }
+
+    const keyVersion = this.state.activeVersion;
+    const text = CardCredential.encode({ userId, cardUid, issuedAt: now, keyVersion }, this.state.keys[keyVersion]);
+    const { issuedAt } = CardCredential.parse(text);
+    return { text, issuedAt, keyVersion };
+  }
+
+  /**
+   * @returns {Object} CardCredential.verify() result
+   */
+  verify(text, now = new Date()) {
+    return CardCredential.verify(text, this.state.keys, { now });
+  }
+}
+
+// Singleton instance
+const cardKeyService = new CardKeyService();
+
+export default cardKeyService;
@@ -0,0 +1,172 @@
+/**
+ * CARD SECURITY SERVICE
+ *
+ * Blocklist of revoked NFC cards and the incidents raised when one is used
+ * - Lost, stolen, damaged or replaced cards are revoked, never reused
+ * - A tap of a revoked card is a security incident, not a punch
+ * - Incidents are kept locally and queued for the server like punches
+ * - Revocation rules live in utils/CardLifecycle
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import apiClient from './ApiClient';
+import serverProfileService from './ServerProfileService';
+import offlineSyncManager from './OfflineSyncManager';
+import analyticsService from './AnalyticsService';
+import CardLifecycle from '../utils/CardLifecycle';
+import IdGenerator from '../utils/IdGenerator';
+
+const BLOCKLIST_KEY = 'card_blocklist';
+const INCIDENTS_KEY = 'security_incidents';
+const MAX_INCIDENTS = 200;
+
+class CardSecurityService {
+  constructor() {
+    this.blocklist = []; // [{ cardUid, reason, userId, userName, revokedAt, note }]
+    this.incidents = [];
+    this.listeners = [];
+  }
+
+  // ==================== PERSISTENCE ====================
+
+  async init() {
+    try {
+      const [blocklist, incidents] = await AsyncStorage.multiGet([BLOCKLIST_KEY, INCIDENTS_KEY]);
+      this.blocklist = blocklist[1] ? JSON.parse(blocklist[1]) : [];
+      this.incidents = incidents[1] ? JSON.parse(incidents[1]) : [];
+    } catch (error) {
+      console.error('Failed to load card blocklist:', error);
+    }
+  }
+
+  async save() {
+    try {
+      await AsyncStorage.multiSet([
+        [BLOCKLIST_KEY, JSON.stringify(this.blocklist)],
+        [INCIDENTS_KEY, JSON.stringify(this.incidents)],
+      ]);
+    } catch (error) {
+      console.error('Failed to save card blocklist:', error);
+    }
+  }
+
+  // ==================== EVENTS ====================
+
+  /**
+   * Subscribe to security events
+   * - { incident } when a revoked card is tapped
+   * - { changed: true } when the blocklist or incident review state changes
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  notifyListeners(event) {
+    this.listeners.forEach(listener => listener(event));
+  }
+
+  // ==================== BLOCKLIST ====================
+
+  getBlocklist() {
+    return [...this.blocklist];
+  }
+
+  /**
+   * @returns {Object|null} Blocklist entry for the card
+   */
+  getEntry(cardUid) {
+    return cardUid ? this.blocklist.find(entry => entry.cardUid === cardUid) || null : null;
+  }
+
+  isBlocked(cardUid) {
+    return this.getEntry(cardUid) !== null;
+  }
+
+  /**
+   * Revoke a user's card and blocklist it
+   * @returns {Object} { users, user, entry } - the caller stores the users
+   */
+  async revoke(users, userId, reason, note = '') {
+    const revoked = CardLifecycle.revoke(users, userId, reason, note);
+    this.blocklist = [revoked.entry, ...this.blocklist.filter(e => e.cardUid !== revoked.entry.cardUid)];
+    await this.save();
+    await analyticsService.trackEvent('security', 'card_revoked', reason);
+    this.notifyListeners({ changed: true });
+    return revoked;
+  }
+
+  /**
+   * Take a card off the blocklist (e.g. a "lost" card turned up)
+   * It is not re-bound to anyone; enroll it again if wanted
+   */
+  async unblock(cardUid) {
+    this.blocklist = this.blocklist.filter(entry => entry.cardUid !== cardUid);
+    await this.save();
+    await analyticsService.trackEvent('security', 'card_unblocked', cardUid);
+    this.notifyListeners({ changed: true });
+  }
+
+  // ==================== INCIDENTS ====================
+
+  getIncidents() {
+    return [...this.incidents];
+  }
+
+  getUnreviewedCount() {
+    return this.incidents.filter(incident => !incident.reviewed).length;
+  }
+
+  /**
+   * Record a tap of a revoked card and raise the alert
+   * @param {string} source - 'nfc' | 'kiosk'
+   * @returns {Object} The incident
+   */
+  async reportTap(cardUid, source) {
+    const entry = this.getEntry(cardUid);
+    const profile = serverProfileService.getActiveProfile();
+    const { deviceId, deviceName } = apiClient.getDeviceIdentity(profile.id);
+    const incident = CardLifecycle.incident(entry, { source, deviceId, deviceName }, IdGenerator.uuid());
+
+    this.incidents = [incident, ...this.incidents].slice(0, MAX_INCIDENTS);
+    await this.save();
+    await analyticsService.trackEvent('security', 'revoked_card_tap', entry.reason);
+    this.notifyListeners({ incident });
+
+    // Sent like a punch so it survives being offline; the server alerts on it
+    await offlineSyncManager.addToQueue({
+      type: 'security_incident',
+      idempotencyKey: incident.id,
+      profileId: profile.id,
+      url: offlineSyncManager.withQuery(serverProfileService.getSyncUrl(profile), 'action=incident'),
+      method: 'POST',
+      data: {
+        type: incident.type,
+        uid: incident.userId,
+        card_uid: incident.cardUid,
+        card_status: incident.reason,
+        revoked_at: incident.revokedAt,
+        timestamp: incident.timestamp,
+        source,
+        device_id: deviceId,
+      },
+    });
+
+    return incident;
+  }
+
+  async markReviewed(incidentId) {
+    this.incidents = this.incidents.map(incident => (
+      incident.id === incidentId ? { ...incident, reviewed: true, reviewedAt: new Date().toISOString() } : incident
+    ));
+    await this.save();
+    this.notifyListeners({ changed: true });
+  }
+}
+
+// Singleton instance
+const cardSecurityService = new CardSecurityService();
+
+export default cardSecurityService;
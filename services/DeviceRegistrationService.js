@@ -0,0 +1,185 @@
+/**
+ * DEVICE REGISTRATION SERVICE
+ *
+ * Pairs this kiosk with a server so it gets its own identity
+ * - Admin enters or scans a one-time pairing code
+ * - Server issues a unique device ID and signing secret
+ * - Device ID is kept per server profile; the secret goes to RequestSigner
+ * - Every request and attendance payload then carries the real identity
+ */
+
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import serverProfileService from './ServerProfileService';
+import apiClient from './ApiClient';
+import requestSigner from './RequestSigner';
+
+const REGISTRATIONS_KEY = 'device_registrations';
+const UNPAIRED_DEVICE_ID = 'UNPAIRED';
+const PAIRING_URI_PREFIX = 'attendance-pair:';
+
+class DeviceRegistrationService {
+  constructor() {
+    this.registrations = {}; // profileId -> { deviceId, deviceName, registeredAt }
+    this.listeners = [];
+  }
+
+  // ==================== PERSISTENCE ====================
+
+  async init() {
+    try {
+      const stored = await AsyncStorage.getItem(REGISTRATIONS_KEY);
+      this.registrations = stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.error('Failed to load device registrations:', error);
+    }
+  }
+
+  async save() {
+    try {
+      await AsyncStorage.setItem(REGISTRATIONS_KEY, JSON.stringify(this.registrations));
+    } catch (error) {
+      console.error('Failed to save device registrations:', error);
+    }
+  }
+
+  /**
+   * Subscribe to pairing changes
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  notifyListeners(profileId) {
+    const registration = this.getRegistration(profileId);
+    this.listeners.forEach(listener => listener({ profileId, registration }));
+  }
+
+  // ==================== IDENTITY ====================
+
+  /**
+   * Hardware model reported by the OS (e.g. 'A065' on a Nothing Phone 2)
+   */
+  getDeviceModel() {
+    const constants = Platform.constants || {};
+    return constants.Model || constants.model || `${Platform.OS} device`;
+  }
+
+  /**
+   * @returns {Object|null} { deviceId, deviceName, registeredAt }
+   */
+  getRegistration(profileId = serverProfileService.getActiveProfile().id) {
+    return this.registrations[profileId] || null;
+  }
+
+  isRegistered(profileId) {
+    return !!this.getRegistration(profileId);
+  }
+
+  /**
+   * Identity sent with requests to a profile (ApiClient identity provider)
+   */
+  getIdentity(profileId) {
+    const registration = this.getRegistration(profileId);
+    return {
+      deviceId: registration ? registration.deviceId : UNPAIRED_DEVICE_ID,
+      deviceName: registration ? registration.deviceName : null,
+      deviceModel: this.getDeviceModel(),
+    };
+  }
+
+  // ==================== PAIRING ====================
+
+  /**
+   * Extract the pairing code from typed text or a scanned QR code
+   * Accepts 'ABCD-1234', 'abcd 1234' or 'attendance-pair:ABCD1234'
+   * @returns {string|null} Normalized code, or null when it is not a valid code
+   */
+  parsePairingCode(input) {
+    let text = String(input || '').trim();
+    if (text.toLowerCase().startsWith(PAIRING_URI_PREFIX)) {
+      text = text.slice(PAIRING_URI_PREFIX.length);
+    }
+
+    const code = text.toUpperCase().replace(/[\s-]/g, '');
+    return /^[A-Z0-9]{6,12}$/.test(code) ? code : null;
+  }
+
+  /**
+   * Register this kiosk with a server using a pairing code
+   * @param {string} pairingCode - Code from the admin console (typed or scanned)
+   * @param {Object} options - { profileId, deviceName }
+   * @returns {Object} The stored registration
+   */
+  async register(pairingCode, { profileId = serverProfileService.getActiveProfile().id, deviceName = '' } = {}) {
+    const code = this.parsePairingCode(pairingCode);
+    if (!code) {
+      throw new Error('Pairing code must be 6-12 letters or digits');
+    }
+
+    const profile = serverProfileService.getProfile(profileId);
+    if (!profile) {
+      throw new Error('Profile not found');
+    }
+
+    const response = await apiClient.request({
+      url: `${serverProfileService.getSyncUrl(profile)}?action=register`,
+      profileId,
+      body: {
+        pairing_code: code,
+        device_name: deviceName.trim(),
+        device_model: this.getDeviceModel(),
+        platform: Platform.OS,
+        os_version: String(Platform.Version),
+      },
+    });
+
+    let data = {};
+    try {
+      data = await response.json();
+    } catch (error) {
+      throw new Error(`Server returned HTTP ${response.status}`);
+    }
+
+    if (!response.ok) {
+      throw new Error(data.message || `Server returned HTTP ${response.status}`);
+    }
+    if (!data.device_id || !data.secret) {
+      throw new Error('Server did not return device credentials');
+    }
+
+    await requestSigner.provisionCredentials(profileId, { deviceId: data.device_id, secret: data.secret });
+
+    const registration = {
+      deviceId: data.device_id,
+      deviceName: data.device_name || deviceName.trim() || null,
+      registeredAt: new Date().toISOString(),
+    };
+    this.registrations = { ...this.registrations, [profileId]: registration };
+    await this.save();
+    this.notifyListeners(profileId);
+
+    return registration;
+  }
+
+  /**
+   * Forget the identity and secret for a profile
+   */
+  async unregister(profileId) {
+    await requestSigner.clearCredentials(profileId);
+
+    const registrations = { ...this.registrations };
+    delete registrations[profileId];
+    this.registrations = registrations;
+    await this.save();
+    this.notifyListeners(profileId);
+  }
+}
+
+// Singleton instance
+const deviceRegistrationService = new DeviceRegistrationService();
+
+export default deviceRegistrationService;
@@ -0,0 +1,127 @@
+/**
+ * GEOFENCE SERVICE
+ *
+ * Admin-configured sites where attendance may be taken
+ * - Circle and polygon fences, persisted locally
+ * - One policy for the kiosk: warn, flag or block outside every fence
+ * - Evaluation itself lives in utils/Geofence (pure, testable)
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import Geofence from '../utils/Geofence';
+import IdGenerator from '../utils/IdGenerator';
+
+const POLICY_KEY = 'geofence_policy';
+
+const DEFAULT_POLICY = {
+  enabled: false,
+  mode: 'warn',
+  maxAccuracyMeters: 100,
+  maxAgeMs: 2 * 60 * 1000,
+  fences: [],
+};
+
+class GeofenceService {
+  constructor() {
+    this.policy = { ...DEFAULT_POLICY };
+  }
+
+  // ==================== PERSISTENCE ====================
+
+  async init() {
+    try {
+      const stored = await AsyncStorage.getItem(POLICY_KEY);
+      if (stored) {
+        this.policy = { ...DEFAULT_POLICY, ...JSON.parse(stored) };
+      }
+    } catch (error) {
+      console.error('Failed to load geofence policy:', error);
+    }
+    return this.getPolicy();
+  }
+
+  async save() {
+    try {
+      await AsyncStorage.setItem(POLICY_KEY, JSON.stringify(this.policy));
+    } catch (error) {
+      console.error('Failed to save geofence policy:', error);
+    }
+  }
+
+  // ==================== POLICY ====================
+
+  getPolicy() {
+    return { ...this.policy, fences: this.policy.fences.map(f => ({ ...f })) };
+  }
+
+  /**
+   * Update enabled / mode / accuracy and age limits
+   */
+  async updatePolicy(changes) {
+    if (changes.mode && !Geofence.MODES.includes(changes.mode)) {
+      throw new Error(`Mode must be one of: ${Geofence.MODES.join(', ')}`);
+    }
+    if (changes.enabled && this.policy.fences.length === 0) {
+      throw new Error('Add at least one geofence before enabling enforcement');
+    }
+
+    // Fences are managed with addFence / removeFence
+    const settings = { ...changes };
+    delete settings.fences;
+    this.policy = { ...this.policy, ...settings };
+    await this.save();
+    return this.getPolicy();
+  }
+
+  // ==================== FENCES ====================
+
+  async addFence(fence) {
+    const errors = Geofence.validateFence(fence);
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+
+    const newFence = { ...fence, id: IdGenerator.uuid(), name: fence.name.trim() };
+    this.policy = { ...this.policy, fences: [...this.policy.fences, newFence] };
+    await this.save();
+    return newFence;
+  }
+
+  async removeFence(id) {
+    const fences = this.policy.fences.filter(f => f.id !== id);
+    // Nothing left to enforce against
+    this.policy = { ...this.policy, fences, enabled: this.policy.enabled && fences.length > 0 };
+    await this.save();
+  }
+
+  // ==================== CHECKS ====================
+
+  /**
+   * Whether punches are checked against fences at all
+   */
+  isActive() {
+    return this.policy.enabled && this.policy.fences.length > 0;
+  }
+
+  /**
+   * Evaluate a location fix against the current policy
+   * @returns {Object} Geofence.evaluate() result
+   */
+  check(fix) {
+    return Geofence.evaluate(fix, this.policy);
+  }
+
+  /**
+   * Fence a fix is inside, whether or not enforcement is on
+   * @returns {string|null} Fence id
+   */
+  siteOf(fix) {
+    const result = Geofence.evaluate(fix, { ...this.policy, enabled: true });
+    return result.inside ? result.fenceId : null;
+  }
+}
+
+// Singleton instance
+const geofenceService = new GeofenceService();
+
+export default geofenceService;
@@ -0,0 +1,62 @@
+/**
+ * ID CARD SERVICE
+ *
+ * Writes printable ID cards for enrolled users
+ * - One PDF with a page per A4 sheet, or one SVG per sheet
+ * - Card template and sheet layout live in utils/IdCard
+ */
+
+import { Platform } from 'react-native';
+import RNFS from 'react-native-fs';
+import analyticsService from './AnalyticsService';
+import IdCard from '../utils/IdCard';
+import PdfWriter from '../utils/PdfWriter';
+
+class IdCardService {
+  getFolder() {
+    return Platform.OS === 'android' ? RNFS.DownloadDirectoryPath : RNFS.DocumentDirectoryPath;
+  }
+
+  /**
+   * One card as SVG text, for on-screen previews
+   * @param {Object} options - See IdCard.card()
+   */
+  preview(user, options = {}) {
+    return IdCard.toSvg(IdCard.card(user, options), IdCard.CARD);
+  }
+
+  /**
+   * @param {Array} users - Users to print, in order
+   * @param {Object} options - { format: 'pdf' | 'svg', symbol: 'barcode' | 'qr', title }
+   * @returns {Object} { files: [{ fileName, path }], sheets, count }
+   */
+  async exportCards(users, { format = 'pdf', ...cardOptions } = {}) {
+    if (users.length === 0) {
+      throw new Error('No users to print');
+    }
+
+    const pages = IdCard.sheets(users, cardOptions);
+    const now = new Date();
+    const documents = format === 'svg'
+      ? pages.map((page, index) => ({
+        fileName: IdCard.fileName('svg', now, pages.length > 1 ? index + 1 : null),
+        content: IdCard.toSvg(page),
+      }))
+      : [{ fileName: IdCard.fileName('pdf', now), content: PdfWriter.render(pages, IdCard.A4) }];
+
+    const files = [];
+    for (const { fileName, content } of documents) {
+      const path = `${this.getFolder()}/${fileName}`;
+      await RNFS.writeFile(path, content, 'utf8');
+      files.push({ fileName, path });
+    }
+
+    await analyticsService.trackEvent('id_cards', 'export', format, users.length);
+    return { files, sheets: pages.length, count: users.length };
+  }
+}
+
+// Singleton instance
+const idCardService = new IdCardService();
+
+export default idCardService;
@@ -0,0 +1,101 @@
+/**
+ * LOCATION SERVICE
+ *
+ * Current GPS fix for attendance records
+ * - Asks for location permission once
+ * - Reuses a recent fix instead of waking the GPS for every punch
+ * - Never throws: attendance must still work when location is unavailable
+ */
+
+import { Platform, PermissionsAndroid } from 'react-native';
+import Geolocation from 'react-native-geolocation-service';
+
+const FIX_TIMEOUT_MS = 8000;
+const MAX_CACHED_AGE_MS = 30000;
+
+class LocationService {
+  constructor() {
+    this.lastFix = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Request location permission
+   * @returns {boolean} Granted
+   */
+  async requestPermission() {
+    try {
+      if (Platform.OS === 'android') {
+        const result = await PermissionsAndroid.request(
+          PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION,
+        );
+        return result === PermissionsAndroid.RESULTS.GRANTED;
+      }
+      return (await Geolocation.requestAuthorization('whenInUse')) === 'granted';
+    } catch (error) {
+      console.error('Location permission request failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Current position
+   * @param {Object} options - { timeout, maximumAge } in ms
+   * @returns {Object|null} { latitude, longitude, accuracy, altitude, timestamp, ageMs, mocked }
+   */
+  async getCurrentFix({ timeout = FIX_TIMEOUT_MS, maximumAge = MAX_CACHED_AGE_MS } = {}) {
+    if (!(await this.requestPermission())) {
+      this.lastError = 'Location permission denied';
+      return null;
+    }
+
+    try {
+      const position = await new Promise((resolve, reject) => {
+        Geolocation.getCurrentPosition(resolve, reject, {
+          enableHighAccuracy: true,
+          timeout,
+          maximumAge,
+          showLocationDialog: false,
+        });
+      });
+
+      this.lastFix = {
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+        accuracy: position.coords.accuracy,
+        altitude: position.coords.altitude,
+        timestamp: position.timestamp,
+        mocked: !!position.mocked,
+      };
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = error.message;
+      console.warn('Location fix failed:', error.message);
+      return null;
+    }
+
+    return { ...this.lastFix, ageMs: Date.now() - this.lastFix.timestamp };
+  }
+
+  /**
+   * Location block for the attendance payload
+   */
+  toPayload(fix) {
+    if (!fix) {
+      return null;
+    }
+    return {
+      latitude: fix.latitude,
+      longitude: fix.longitude,
+      accuracy_m: Math.round(fix.accuracy),
+      fix_time: new Date(fix.timestamp).toISOString(),
+      age_ms: fix.ageMs,
+      mocked: fix.mocked,
+    };
+  }
+}
+
+// Singleton instance
+const locationService = new LocationService();
+
+export default locationService;
@@ -6,22 +6,48 @@
  * - Queues operations when offline
  * - Auto-syncs when connection restored
  * - Conflict resolution
+ * - Idempotency keys so retries never create duplicate records
+ * - Dead-letter store for items that exhausted their retries
+ * - Backoff scheduler that retries failed items while the device is online
+ * - Batch uploads for servers that advertise support
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import NetInfo from '@react-native-community/netinfo';
+import IdGenerator from '../utils/IdGenerator';
+import PerformanceOptimizer from './PerformanceOptimizer';
+import apiClient from './ApiClient';
 
 const QUEUE_KEY = 'offline_sync_queue';
 const SYNC_STATUS_KEY = 'last_sync_status';
+const DEAD_LETTER_KEY = 'offline_dead_letter_queue';
+
+// Validation rejections: the same record would be refused again
+const PERMANENT_STATUSES = [400, 409, 422];
 
 class OfflineSyncManager {
   constructor() {
     this.isOnline = true;
     this.syncQueue = [];
+    this.deadLetterQueue = [];
     this.syncInProgress = false;
     this.listeners = [];
     this.retryAttempts = {};
-    this.maxRetries = 3;
+    this.maxRetries = 8;
+    
+    // Retry scheduler: 5s, 10s, 20s ... capped at 10 minutes, +/- 30% jitter
+    this.retryBaseDelay = 5000;
+    this.retryMaxDelay = 10 * 60 * 1000;
+    this.retryJitter = 0.3;
+    this.retryTimer = null;
+    
+    // Batch uploads: used when the server advertises support
+    this.batchSize = 50;
+    this.batchMode = 'auto';
+    this.capabilities = {};
+    
+    // Set while the server refuses this kiosk (401/403), cleared by the next upload it accepts
+    this.authProblem = null;
   }
   
   // ==================== NETWORK MONITORING ====================
@@ -30,8 +56,9 @@ class OfflineSyncManager {
    * Initialize network monitoring
    */
   async initialize() {
-    // Load existing queue
+    // Load existing queue and dead letters
     await this.loadQueue();
+    await this.loadDeadLetterQueue();
     
     // Monitor network status
     NetInfo.addEventListener(state => {
@@ -41,9 +68,11 @@ class OfflineSyncManager {
       // Notify listeners of network change
       this.notifyListeners({ online: this.isOnline });
       
-      // Auto-sync when connection restored
+      // Auto-sync when connection restored, pause retries while offline
       if (!wasOnline && this.isOnline) {
         this.syncAll();
+      } else if (!this.isOnline) {
+        this.cancelScheduledRetry();
       }
     });
     
@@ -51,6 +80,9 @@ class OfflineSyncManager {
     const state = await NetInfo.fetch();
     this.isOnline = state.isConnected && state.isInternetReachable;
     
+    // Resume retries persisted before the last restart
+    this.scheduleNextRetry();
+    
     return this.isOnline;
   }
   
@@ -72,18 +104,20 @@ class OfflineSyncManager {
   
   /**
    * Add operation to sync queue
+   * The idempotency key is taken from the operation (or its data) when the
+   * caller already created one, so the same event is never queued twice
    */
   async addToQueue(operation) {
-    const queueItem = {
-      id: Date.now() + Math.random(),
-      timestamp: new Date().toISOString(),
-      operation: operation.type,
-      data: operation.data,
-      url: operation.url,
-      method: operation.method || 'POST',
-      retries: 0,
-      status: 'pending',
-    };
+    const idempotencyKey = operation.idempotencyKey ||
+      operation.data?.idempotency_key ||
+      IdGenerator.uuid();
+
+    const existing = this.syncQueue.find(i => i.idempotencyKey === idempotencyKey);
+    if (existing) {
+      return existing.id;
+    }
+
+    const queueItem = this.toQueueItem(operation, idempotencyKey);
     
     this.syncQueue.push(queueItem);
     await this.saveQueue();
@@ -96,6 +130,21 @@ class OfflineSyncManager {
     return queueItem.id;
   }
   
+  toQueueItem(operation, idempotencyKey) {
+    return {
+      id: idempotencyKey,
+      idempotencyKey,
+      timestamp: new Date().toISOString(),
+      operation: operation.type,
+      data: { ...operation.data, idempotency_key: idempotencyKey },
+      url: operation.url,
+      profileId: operation.profileId || null,
+      method: operation.method || 'POST',
+      retries: 0,
+      status: 'pending',
+    };
+  }
+  
   /**
    * Save queue to storage
    */
@@ -115,6 +164,20 @@ class OfflineSyncManager {
       const stored = await AsyncStorage.getItem(QUEUE_KEY);
       if (stored) {
         this.syncQueue = JSON.parse(stored);
+        
+        // Items queued before idempotency keys existed get one now, once,
+        // and it is persisted so every later retry sends the same key
+        let migrated = false;
+        this.syncQueue.forEach(item => {
+          if (!item.idempotencyKey) {
+            item.idempotencyKey = item.data?.idempotency_key || IdGenerator.uuid();
+            item.data = { ...item.data, idempotency_key: item.idempotencyKey };
+            migrated = true;
+          }
+        });
+        if (migrated) {
+          await this.saveQueue();
+        }
       }
     } catch (error) {
       console.error('Failed to load sync queue:', error);
@@ -130,16 +193,31 @@ class OfflineSyncManager {
       total: this.syncQueue.length,
       pending: this.syncQueue.filter(i => i.status === 'pending').length,
       failed: this.syncQueue.filter(i => i.status === 'failed').length,
+      deadLetter: this.deadLetterQueue.length,
+      nextRetryAt: this.getNextRetryTime(),
       syncing: this.syncInProgress,
+      authProblem: this.authProblem,
     };
   }
   
   // ==================== SYNCHRONIZATION ====================
   
+  /**
+   * Whether a queue item may be attempted now
+   * Pending items are always due; failed items wait for their nextAttemptAt
+   */
+  isItemDue(item, now = Date.now()) {
+    if (item.status === 'pending') return true;
+    if (item.status !== 'failed' || item.retries >= this.maxRetries) return false;
+    return !item.nextAttemptAt || new Date(item.nextAttemptAt).getTime() <= now;
+  }
+  
   /**
    * Sync all queued operations
+   * Never rejects: a pass that fails part-way reports results.error
+   * @param {Object} options - { force: true } ignores nextAttemptAt
    */
-  async syncAll() {
+  async syncAll({ force = false } = {}) {
     if (!this.isOnline || this.syncInProgress) {
       return { success: false, reason: this.syncInProgress ? 'sync_in_progress' : 'offline' };
     }
@@ -154,78 +232,365 @@ class OfflineSyncManager {
       errors: [],
     };
     
-    // Process queue items
-    const itemsToSync = [...this.syncQueue];
-    
-    for (const item of itemsToSync) {
-      if (item.status === 'pending' || (item.status === 'failed' && item.retries < this.maxRetries)) {
+    // A storage or network error must not leave syncing locked, or stop
+    // the retry scheduler, until restart - callers don't await this
+    try {
+      // Process queue items
+      const now = Date.now();
+      const itemsToSync = this.syncQueue.filter(item =>
+        force ? item.retries < this.maxRetries : this.isItemDue(item, now)
+      );
+
+      // Attendance records bound for the same endpoint can go in one request
+      const batchGroups = {};
+      const singleItems = [];
+
+      for (const item of itemsToSync) {
+        if (this.batchMode !== 'off' && item.operation === 'attendance' && item.method === 'POST') {
+          batchGroups[item.url] = [...(batchGroups[item.url] || []), item];
+        } else {
+          singleItems.push(item);
+        }
+      }
+
+      for (const [url, items] of Object.entries(batchGroups)) {
+        const capabilities = items.length > 1
+          ? await this.getServerCapabilities(url, items[0].profileId)
+          : { batch: false };
+
+        if (!capabilities.batch) {
+          singleItems.push(...items);
+          continue;
+        }
+
+        const size = Math.max(1, Math.min(this.batchSize, capabilities.maxBatchSize || this.batchSize));
+        for (let i = 0; i < items.length; i += size) {
+          await this.syncBatch(url, items.slice(i, i + size), results);
+        }
+      }
+
+      for (const item of singleItems) {
         try {
           await this.syncItem(item);
-          
-          // Remove from queue on success
-          this.syncQueue = this.syncQueue.filter(i => i.id !== item.id);
-          results.succeeded++;
-          
+          this.markItemSynced(item, results);
         } catch (error) {
-          item.retries++;
-          item.status = 'failed';
-          item.lastError = error.message;
-          results.failed++;
-          results.errors.push({
-            id: item.id,
-            operation: item.operation,
-            error: error.message,
-          });
-          
-          // Remove if max retries exceeded
-          if (item.retries >= this.maxRetries) {
-            this.syncQueue = this.syncQueue.filter(i => i.id !== item.id);
+          if (error.unauthorized) {
+            this.markItemUnauthorized(item, error.message, results);
+          } else {
+            this.markItemFailed(item, error.message, results, error.permanent === true);
           }
         }
       }
+
+      await this.saveQueue();
+      if (results.deadLettered) {
+        await this.saveDeadLetterQueue();
+      }
+
+      // Update sync status
+      await AsyncStorage.setItem(SYNC_STATUS_KEY, JSON.stringify({
+        timestamp: new Date().toISOString(),
+        results: results,
+      }));
+    } catch (error) {
+      console.error('Sync pass failed:', error);
+      results.error = error.message;
+    } finally {
+      this.syncInProgress = false;
     }
     
-    await this.saveQueue();
-    
-    // Update sync status
-    await AsyncStorage.setItem(SYNC_STATUS_KEY, JSON.stringify({
-      timestamp: new Date().toISOString(),
-      results: results,
-    }));
-    
-    this.syncInProgress = false;
     this.notifyListeners({ 
       syncCompleted: true, 
       results: results,
     });
+    if (results.deadLettered) {
+      this.notifyListeners({ deadLetterChanged: true });
+    }
+    if (results.unauthorized) {
+      this.authProblem = { message: results.unauthorized, at: new Date().toISOString() };
+      this.notifyListeners({ authProblem: this.authProblem });
+    } else if (results.succeeded > 0) {
+      this.authProblem = null;
+    }
+    
+    this.scheduleNextRetry();
     
     return results;
   }
   
+  /**
+   * Remove a synced item from the queue
+   */
+  markItemSynced(item, results) {
+    this.syncQueue = this.syncQueue.filter(i => i.id !== item.id);
+    results.succeeded++;
+  }
+  
+  /**
+   * Record a failed attempt and schedule the next one
+   * @param {boolean} permanent - Server rejected the record; retrying won't help
+   */
+  markItemFailed(item, message, results, permanent = false) {
+    item.retries++;
+    item.status = 'failed';
+    item.lastError = message;
+    item.retryHistory = [
+      ...(item.retryHistory || []),
+      { attempt: item.retries, attemptedAt: new Date().toISOString(), error: message },
+    ];
+    item.nextAttemptAt = new Date(Date.now() + PerformanceOptimizer.getBackoffDelay(
+      item.retries - 1,
+      this.retryBaseDelay,
+      this.retryMaxDelay,
+      this.retryJitter
+    )).toISOString();
+    results.failed++;
+    results.errors.push({
+      id: item.id,
+      operation: item.operation,
+      error: message,
+    });
+    
+    // Move to dead-letter store if max retries exceeded or rejected outright
+    if (permanent || item.retries >= this.maxRetries) {
+      this.syncQueue = this.syncQueue.filter(i => i.id !== item.id);
+      this.deadLetterQueue.push(this.toDeadLetter(item));
+      results.deadLettered = (results.deadLettered || 0) + 1;
+    }
+  }
+  
+  /**
+   * The server refused this kiosk rather than the record (401/403: not
+   * paired, bad signature, clock off). The item stays queued without using
+   * up a retry and waits the longest backoff; a forced sync tries it sooner.
+   */
+  markItemUnauthorized(item, message, results) {
+    const history = item.retryHistory || [];
+    item.status = 'failed';
+    item.lastError = message;
+    item.retryHistory = [
+      ...history,
+      { attempt: history.length + 1, attemptedAt: new Date().toISOString(), error: message },
+    ];
+    item.nextAttemptAt = new Date(Date.now() + this.retryMaxDelay).toISOString();
+    results.failed++;
+    results.errors.push({
+      id: item.id,
+      operation: item.operation,
+      error: message,
+    });
+    results.unauthorized = message;
+  }
+  
+  // ==================== BATCH UPLOAD ====================
+  
+  /**
+   * Configure batch uploads
+   * @param {Object} options - { size: records per request, mode: 'auto' | 'off' }
+   */
+  setBatchOptions({ size, mode } = {}) {
+    if (size) this.batchSize = size;
+    if (mode) this.batchMode = mode;
+  }
+  
+  /**
+   * Append query parameters to an endpoint URL
+   */
+  withQuery(url, query) {
+    return url + (url.includes('?') ? '&' : '?') + query;
+  }
+  
+  /**
+   * Ask the server what it supports (GET <url>?action=capabilities)
+   * Servers that don't answer with { batch: true } get single-item sync.
+   * Cached per endpoint for an hour.
+   */
+  async getServerCapabilities(url, profileId) {
+    const cached = this.capabilities[url];
+    if (cached && Date.now() - cached.checkedAt < 60 * 60 * 1000) {
+      return cached;
+    }
+    
+    let capabilities = { batch: false };
+    try {
+      const response = await apiClient.request({
+        url: this.withQuery(url, 'action=capabilities'),
+        method: 'GET',
+        profileId,
+      });
+      if (response.ok) {
+        const data = await response.json();
+        capabilities = {
+          batch: data.batch === true,
+          maxBatchSize: data.max_batch_size || null,
+        };
+      }
+    } catch (error) {
+      // Unknown servers are treated as single-item only
+    }
+    
+    this.capabilities[url] = { ...capabilities, checkedAt: Date.now() };
+    return this.capabilities[url];
+  }
+  
+  /**
+   * Upload several attendance records in one request
+   * 
+   * POST <url>?action=batch  { records: [...] }
+   * Response: { results: [{ idempotency_key, status, message }] }
+   * where status is 'success', 'duplicate', 'rejected' or 'error'.
+   * Rejected records go straight to the dead-letter store; records the
+   * server did not mention are retried like any other failure.
+   */
+  async syncBatch(url, items, results) {
+    let response;
+    try {
+      response = await apiClient.request({
+        url: this.withQuery(url, 'action=batch'),
+        profileId: items[0].profileId,
+        body: { records: items.map(item => item.data) },
+      });
+      
+      if (!response.ok) {
+        const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        error.unauthorized = this.isAuthFailure(response.status);
+        throw error;
+      }
+      
+      response = await response.json();
+    } catch (error) {
+      items.forEach(item => (error.unauthorized
+        ? this.markItemUnauthorized(item, error.message, results)
+        : this.markItemFailed(item, error.message, results)));
+      return;
+    }
+    
+    const byKey = {};
+    (response.results || []).forEach(result => {
+      byKey[result.idempotency_key] = result;
+    });
+    
+    for (const item of items) {
+      const result = byKey[item.idempotencyKey];
+      
+      if (!result) {
+        this.markItemFailed(item, 'Missing from batch response', results);
+      } else if (result.status === 'success' || result.status === 'duplicate') {
+        this.markItemSynced(item, results);
+      } else if (result.status === 'rejected') {
+        this.markItemFailed(item, `Rejected: ${result.message || 'no reason given'}`, results, true);
+      } else {
+        this.markItemFailed(item, result.message || 'Batch item failed', results);
+      }
+    }
+  }
+  
+  // ==================== RETRY SCHEDULER ====================
+  
+  /**
+   * Arm a timer for the earliest due item
+   * nextAttemptAt is stored on each item, so the schedule survives restarts.
+   * Timers are capped at one minute (long timers are unreliable on Android)
+   * and simply re-check when they fire early.
+   */
+  scheduleNextRetry() {
+    this.cancelScheduledRetry();
+    
+    if (!this.isOnline) return;
+    
+    const waiting = this.syncQueue.filter(
+      i => i.status === 'pending' || (i.status === 'failed' && i.retries < this.maxRetries)
+    );
+    if (waiting.length === 0) return;
+    
+    const nextAt = Math.min(...waiting.map(i =>
+      i.status === 'pending' || !i.nextAttemptAt ? 0 : new Date(i.nextAttemptAt).getTime()
+    ));
+    const delay = Math.min(Math.max(nextAt - Date.now(), 0), 60 * 1000);
+    
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      if (this.syncQueue.some(i => this.isItemDue(i))) {
+        this.syncAll();
+      } else {
+        this.scheduleNextRetry();
+      }
+    }, delay);
+  }
+  
+  /**
+   * Stop the retry timer (used while offline)
+   */
+  cancelScheduledRetry() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+  
+  /**
+   * Earliest scheduled retry, or null when nothing is waiting
+   */
+  getNextRetryTime() {
+    const times = this.syncQueue
+      .filter(i => i.status === 'failed' && i.retries < this.maxRetries && i.nextAttemptAt)
+      .map(i => new Date(i.nextAttemptAt).getTime());
+    return times.length > 0 ? new Date(Math.min(...times)).toISOString() : null;
+  }
+  
   /**
    * Sync individual item
+   * Built by the shared API client, so a queued record is sent with the same
+   * credentials and headers as a live one.
+   * A 409 means the server already stored this idempotency key, so the
+   * earlier attempt went through and the item is done. Other failures carry
+   * error.permanent so refused records skip the remaining retries, and
+   * error.unauthorized when the server refused the kiosk, not the record
    */
   async syncItem(item) {
-    const response = await fetch(item.url, {
+    const response = await apiClient.request({
+      url: item.url,
       method: item.method,
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(item.data),
+      profileId: item.profileId,
+      body: item.data,
+      idempotencyKey: item.idempotencyKey,
     });
     
+    if (response.status === 409) {
+      return { status: 'duplicate', idempotency_key: item.idempotencyKey };
+    }
+    
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+      error.permanent = this.isPermanentFailure(response.status);
+      error.unauthorized = this.isAuthFailure(response.status);
+      throw error;
     }
     
     return await response.json();
   }
   
+  /**
+   * Validation errors mean the server refused this record - retrying sends the same thing
+   * Anything else (timeouts, rate limits, auth, server errors) is worth another try
+   */
+  isPermanentFailure(status) {
+    return PERMANENT_STATUSES.includes(status);
+  }
+  
+  /**
+   * 401/403: the server does not accept this kiosk - pair it again or fix its clock
+   */
+  isAuthFailure(status) {
+    return status === 401 || status === 403;
+  }
+  
   /**
    * Clear sync queue
    */
   async clearQueue() {
     this.syncQueue = [];
+    this.cancelScheduledRetry();
     await this.saveQueue();
   }
   
@@ -241,6 +606,146 @@ class OfflineSyncManager {
     }
   }
   
+  // ==================== DEAD-LETTER QUEUE ====================
+  
+  /**
+   * Build a dead-letter entry from a queue item that ran out of retries
+   * Keeps the original payload untouched so it can be requeued or exported
+   */
+  toDeadLetter(item) {
+    return {
+      ...item,
+      status: 'dead',
+      deadLetteredAt: new Date().toISOString(),
+      originalPayload: item.originalPayload || item.data,
+      retryHistory: item.retryHistory || [],
+    };
+  }
+  
+  /**
+   * Store an operation the server refused on its first, live attempt
+   * It skips the sync queue - retrying would send the same thing
+   */
+  async addToDeadLetter(operation, message) {
+    const idempotencyKey = operation.idempotencyKey ||
+      operation.data?.idempotency_key ||
+      IdGenerator.uuid();
+    const attemptedAt = new Date().toISOString();
+    
+    this.deadLetterQueue.push(this.toDeadLetter({
+      ...this.toQueueItem(operation, idempotencyKey),
+      retries: 1,
+      status: 'failed',
+      lastError: message,
+      retryHistory: [{ attempt: 1, attemptedAt, error: message }],
+    }));
+    await this.saveDeadLetterQueue();
+    this.notifyListeners({ deadLetterChanged: true });
+    return idempotencyKey;
+  }
+  
+  /**
+   * Save dead-letter queue to storage
+   */
+  async saveDeadLetterQueue() {
+    try {
+      await AsyncStorage.setItem(DEAD_LETTER_KEY, JSON.stringify(this.deadLetterQueue));
+    } catch (error) {
+      console.error('Failed to save dead-letter queue:', error);
+    }
+  }
+  
+  /**
+   * Load dead-letter queue from storage
+   */
+  async loadDeadLetterQueue() {
+    try {
+      const stored = await AsyncStorage.getItem(DEAD_LETTER_KEY);
+      if (stored) {
+        this.deadLetterQueue = JSON.parse(stored);
+      }
+    } catch (error) {
+      console.error('Failed to load dead-letter queue:', error);
+      this.deadLetterQueue = [];
+    }
+  }
+  
+  /**
+   * Get dead-letter items
+   */
+  getDeadLetterItems() {
+    return [...this.deadLetterQueue];
+  }
+  
+  /**
+   * Change the endpoint a dead-letter item will be sent to when requeued
+   */
+  async updateDeadLetterEndpoint(id, url) {
+    const item = this.deadLetterQueue.find(i => i.id === id);
+    if (!item) {
+      throw new Error('Dead-letter item not found');
+    }
+    
+    item.url = url;
+    await this.saveDeadLetterQueue();
+    this.notifyListeners({ deadLetterChanged: true });
+    return { ...item };
+  }
+  
+  /**
+   * Move a dead-letter item back into the sync queue with a fresh retry budget
+   * The retry history is kept so earlier failures stay visible
+   */
+  async requeueDeadLetterItem(id) {
+    const item = this.deadLetterQueue.find(i => i.id === id);
+    if (!item) {
+      throw new Error('Dead-letter item not found');
+    }
+    
+    this.deadLetterQueue = this.deadLetterQueue.filter(i => i.id !== id);
+    this.syncQueue.push({
+      ...item,
+      data: item.originalPayload,
+      retries: 0,
+      nextAttemptAt: null,
+      status: 'pending',
+      requeuedAt: new Date().toISOString(),
+    });
+    
+    await this.saveDeadLetterQueue();
+    await this.saveQueue();
+    this.notifyListeners({ deadLetterChanged: true });
+    
+    if (this.isOnline) {
+      this.syncAll();
+    }
+  }
+  
+  /**
+   * Permanently remove a dead-letter item
+   */
+  async removeDeadLetterItem(id) {
+    this.deadLetterQueue = this.deadLetterQueue.filter(i => i.id !== id);
+    await this.saveDeadLetterQueue();
+    this.notifyListeners({ deadLetterChanged: true });
+  }
+  
+  /**
+   * Export dead-letter items as JSON text
+   * @param {string} id - Optional item id; exports everything when omitted
+   */
+  exportDeadLetterItems(id = null) {
+    const items = id
+      ? this.deadLetterQueue.filter(i => i.id === id)
+      : this.deadLetterQueue;
+    
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      count: items.length,
+      items,
+    }, null, 2);
+  }
+  
   // ==================== CONFLICT RESOLUTION ====================
   
   /**
@@ -288,7 +793,7 @@ class OfflineSyncManager {
     if (!this.isOnline) {
       throw new Error('Cannot sync while offline');
     }
-    return await this.syncAll();
+    return await this.syncAll({ force: true });
   }
   
   /**
@@ -168,17 +168,33 @@ class PerformanceOptimizer {
   
   // ==================== NETWORK OPTIMIZATION ====================
   
+  /**
+   * Exponential backoff delay for a given attempt (0-based)
+   * Jitter spreads retries out so many kiosks don't hit the server in lockstep
+   * @param {number} attempt - Number of attempts already made
+   * @param {number} baseDelay - Delay before the first retry in ms
+   * @param {number} maxDelay - Upper bound in ms
+   * @param {number} jitter - Fraction of the delay to randomise (0 - 1)
+   */
+  static getBackoffDelay(attempt, baseDelay = 1000, maxDelay = 10 * 60 * 1000, jitter = 0) {
+    const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+    if (!jitter) return delay;
+    
+    const spread = delay * jitter;
+    return Math.round(delay - spread + Math.random() * spread * 2);
+  }
+  
   /**
    * Retry failed requests with exponential backoff
    */
-  static async retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
+  static async retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000, jitter = 0) {
     for (let i = 0; i < maxRetries; i++) {
       try {
         return await fn();
       } catch (error) {
         if (i === maxRetries - 1) throw error;
         
-        const delay = baseDelay * Math.pow(2, i);
+        const delay = this.getBackoffDelay(i, baseDelay, Infinity, jitter);
         await new Promise(resolve => setTimeout(resolve, delay));
       }
     }
@@ -0,0 +1,135 @@
+/**
+ * PUNCH STATE SERVICE
+ *
+ * Remembers each user's last punch so the next one can be IN or OUT
+ * - Kept separately from the (trimmed) attendance history
+ * - Direction rules live in utils/PunchStateMachine
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import PunchStateMachine from '../utils/PunchStateMachine';
+import settingsService from './SettingsService';
+
+const PUNCH_STATE_KEY = 'punch_state';
+
+class PunchStateService {
+  constructor() {
+    this.lastPunches = {}; // userId -> { direction, timestamp, method }
+    this.inFlight = {}; // userId -> punch reserved but not yet committed
+    this.loaded = false;
+  }
+
+  async load() {
+    if (this.loaded) return;
+    try {
+      const stored = await AsyncStorage.getItem(PUNCH_STATE_KEY);
+      this.lastPunches = stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.error('Failed to load punch state:', error);
+    }
+    this.loaded = true;
+  }
+
+  /**
+   * Read again from storage, e.g. after a backup restore
+   */
+  async reload() {
+    this.loaded = false;
+    await this.load();
+  }
+
+  async save() {
+    try {
+      await AsyncStorage.setItem(PUNCH_STATE_KEY, JSON.stringify(this.lastPunches));
+    } catch (error) {
+      console.error('Failed to save punch state:', error);
+    }
+  }
+
+  async getLastPunch(userId) {
+    await this.load();
+    return this.lastPunches[userId] || null;
+  }
+
+  /**
+   * Work out the direction of a punch happening now
+   * @returns {Object} PunchStateMachine.next() result
+   */
+  async resolvePunch(userId, now = new Date()) {
+    const lastPunch = await this.getLastPunch(userId);
+    return PunchStateMachine.next(lastPunch, now, settingsService.get('punch'));
+  }
+
+  /**
+   * Check whether a punch now would repeat the user's last one
+   * @returns {Object|null} { lastPunch, remainingMs } when still cooling down
+   */
+  async checkCooldown(userId, now = new Date()) {
+    await this.load();
+    return this.cooldownOf(userId, now);
+  }
+
+  /**
+   * A punch still being recorded always counts as a duplicate, even with
+   * the cooldown switched off
+   */
+  cooldownOf(userId, now) {
+    const seconds = settingsService.get('cooldown').seconds;
+    const pending = this.inFlight[userId];
+    if (pending) {
+      return { lastPunch: pending, remainingMs: PunchStateMachine.cooldownRemaining(pending, now, seconds) };
+    }
+
+    const lastPunch = this.lastPunches[userId] || null;
+    const remainingMs = PunchStateMachine.cooldownRemaining(lastPunch, now, seconds);
+    return remainingMs > 0 ? { lastPunch, remainingMs } : null;
+  }
+
+  /**
+   * Check the cooldown and claim it in one step, before the slow part of
+   * a punch (location fix, network) - a second tap meanwhile is a duplicate
+   * Call release() once the punch is committed or abandoned
+   * @returns {Object|null} checkCooldown() result when the punch may not go ahead
+   */
+  async reserve(userId, method, now = new Date()) {
+    await this.load();
+    const duplicate = this.cooldownOf(userId, now);
+    if (duplicate) {
+      return duplicate;
+    }
+
+    const { direction } = PunchStateMachine.next(this.lastPunches[userId] || null, now, settingsService.get('punch'));
+    this.inFlight = { ...this.inFlight, [userId]: { direction, timestamp: now.toISOString(), method } };
+    return null;
+  }
+
+  release(userId) {
+    const { [userId]: released, ...rest } = this.inFlight;
+    this.inFlight = rest;
+  }
+
+  /**
+   * Record a punch as the user's latest
+   */
+  async commitPunch(userId, punch) {
+    await this.load();
+    this.lastPunches = { ...this.lastPunches, [userId]: punch };
+    await this.save();
+  }
+
+  /**
+   * Move a user's last punch to their corrected ID
+   */
+  async renameUser(oldUserId, newUserId) {
+    await this.load();
+    const { [oldUserId]: punch, ...rest } = this.lastPunches;
+    if (!punch) return;
+    this.lastPunches = { ...rest, [newUserId]: punch };
+    await this.save();
+  }
+}
+
+// Singleton instance
+const punchStateService = new PunchStateService();
+
+export default punchStateService;
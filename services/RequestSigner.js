@@ -0,0 +1,109 @@
+/**
+ * REQUEST SIGNER
+ *
+ * HMAC-SHA256 signatures for requests to the attendance server
+ * - One secret per device and server profile, kept in SecureStore
+ * - Signature covers method, path, timestamp, nonce and the exact body sent
+ * - Fresh timestamp and nonce on every send, so queued retries stay valid
+ *
+ * Canonical string (lines joined with \n):
+ *   METHOD
+ *   /path?query
+ *   unix timestamp (seconds)
+ *   nonce
+ *   SHA-256 hex of the body ('' when there is none)
+ */
+
+import CryptoJS from 'crypto-js';
+import secureStore from './SecureStore';
+import IdGenerator from '../utils/IdGenerator';
+
+const CREDENTIALS_KEY_PREFIX = 'device_credentials_';
+
+class RequestSigner {
+  constructor() {
+    this.credentials = {}; // profileId -> { deviceId, secret } (loaded lazily)
+  }
+
+  // ==================== CREDENTIALS ====================
+
+  /**
+   * Signing credentials for a server profile
+   * @returns {Object|null} { deviceId, secret, provisionedAt }
+   */
+  async getCredentials(profileId) {
+    if (!(profileId in this.credentials)) {
+      this.credentials[profileId] = await secureStore.getItem(CREDENTIALS_KEY_PREFIX + profileId);
+    }
+    return this.credentials[profileId];
+  }
+
+  async hasCredentials(profileId) {
+    return !!(await this.getCredentials(profileId));
+  }
+
+  /**
+   * Store the device ID and secret issued by the server
+   */
+  async provisionCredentials(profileId, { deviceId, secret }) {
+    if (!deviceId || !secret) {
+      throw new Error('Device ID and secret are required');
+    }
+
+    const credentials = { deviceId, secret, provisionedAt: new Date().toISOString() };
+    await secureStore.setItem(CREDENTIALS_KEY_PREFIX + profileId, credentials);
+    this.credentials[profileId] = credentials;
+    return credentials;
+  }
+
+  async clearCredentials(profileId) {
+    await secureStore.removeItem(CREDENTIALS_KEY_PREFIX + profileId);
+    this.credentials[profileId] = null;
+  }
+
+  // ==================== SIGNING ====================
+
+  /**
+   * Path and query of a URL (what the server sees as the request target)
+   */
+  getRequestTarget(url) {
+    return url.replace(/^https?:\/\/[^/]+/i, '') || '/';
+  }
+
+  buildCanonicalString({ method, url, timestamp, nonce, body }) {
+    return [
+      method.toUpperCase(),
+      this.getRequestTarget(url),
+      String(timestamp),
+      nonce,
+      CryptoJS.SHA256(body || '').toString(CryptoJS.enc.Hex),
+    ].join('\n');
+  }
+
+  /**
+   * Signature headers for one request (ApiClient signer)
+   * Returns no headers when the profile has no credentials yet
+   */
+  async sign({ method, url, body, profile }) {
+    const credentials = await this.getCredentials(profile.id);
+    if (!credentials) {
+      return {};
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const nonce = IdGenerator.uuid();
+    const canonical = this.buildCanonicalString({ method, url, timestamp, nonce, body });
+
+    return {
+      'X-Device-Id': credentials.deviceId,
+      'X-Timestamp': String(timestamp),
+      'X-Nonce': nonce,
+      'X-Signature': CryptoJS.HmacSHA256(canonical, credentials.secret).toString(CryptoJS.enc.Hex),
+    };
+  }
+}
+
+// Singleton instance
+const requestSigner = new RequestSigner();
+
+export default requestSigner;
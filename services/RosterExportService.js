@@ -0,0 +1,41 @@
+/**
+ * ROSTER EXPORT SERVICE
+ *
+ * Writes the enrolled users to a file for auditing or moving to another kiosk
+ * - CSV or versioned JSON (utils/RosterExport)
+ * - Saved where the import screen looks, so a copied file can be imported
+ */
+
+import { Platform } from 'react-native';
+import RNFS from 'react-native-fs';
+import apiClient from './ApiClient';
+import RosterExport from '../utils/RosterExport';
+
+class RosterExportService {
+  getFolder() {
+    return Platform.OS === 'android' ? RNFS.DownloadDirectoryPath : RNFS.DocumentDirectoryPath;
+  }
+
+  /**
+   * @param {Array} users - Enrolled users
+   * @param {Object} options - { format: 'csv' | 'json', includePublicKeys }
+   * @returns {Object} { fileName, path, content, count }
+   */
+  async exportRoster(users, { format = 'csv', includePublicKeys = false } = {}) {
+    const { deviceId, deviceName } = apiClient.getDeviceIdentity();
+    const content = format === 'json'
+      ? RosterExport.toJson(users, { includePublicKeys, source: { deviceId, deviceName: deviceName || null } })
+      : RosterExport.toCsv(users, { includePublicKeys });
+
+    const fileName = RosterExport.fileName(format);
+    const path = `${this.getFolder()}/${fileName}`;
+    await RNFS.writeFile(path, content, 'utf8');
+
+    return { fileName, path, content, count: users.length };
+  }
+}
+
+// Singleton instance
+const rosterExportService = new RosterExportService();
+
+export default rosterExportService;
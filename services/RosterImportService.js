@@ -0,0 +1,85 @@
+/**
+ * ROSTER IMPORT SERVICE
+ *
+ * Finds and reads roster files for bulk enrollment
+ * - CSV or JSON files copied to Downloads or the app's documents folder
+ * - Parsing, validation and merging live in utils/RosterParser
+ */
+
+import { Platform } from 'react-native';
+import RNFS from 'react-native-fs';
+import RosterParser from '../utils/RosterParser';
+
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+const FORMATS = {
+  csv: 'csv',
+  txt: 'csv',
+  json: 'json',
+};
+
+class RosterImportService {
+  /**
+   * Folders searched for roster files
+   */
+  getFolders() {
+    return [
+      Platform.OS === 'android' ? RNFS.DownloadDirectoryPath : null,
+      RNFS.DocumentDirectoryPath,
+    ].filter(Boolean);
+  }
+
+  formatOf(name) {
+    const extension = name.split('.').pop().toLowerCase();
+    return FORMATS[extension] || null;
+  }
+
+  /**
+   * Roster files, newest first
+   * @returns {Array} [{ name, path, size, modifiedAt, format }]
+   */
+  async listFiles() {
+    const files = [];
+
+    for (const folder of this.getFolders()) {
+      try {
+        const items = await RNFS.readDir(folder);
+        items
+          .filter(item => item.isFile() && this.formatOf(item.name))
+          .forEach(item => files.push({
+            name: item.name,
+            path: item.path,
+            size: Number(item.size),
+            modifiedAt: item.mtime ? new Date(item.mtime).toISOString() : null,
+            format: this.formatOf(item.name),
+          }));
+      } catch (error) {
+        console.warn(`Cannot read ${folder}:`, error.message);
+      }
+    }
+
+    return files.sort((a, b) => (b.modifiedAt || '').localeCompare(a.modifiedAt || ''));
+  }
+
+  /**
+   * Read and parse a roster file
+   * @returns {Object} RosterParser.parse() result
+   */
+  async readFile(file) {
+    if (file.size > MAX_FILE_BYTES) {
+      throw new Error(`${file.name} is larger than ${MAX_FILE_BYTES / 1024 / 1024} MB`);
+    }
+
+    const text = await RNFS.readFile(file.path, 'utf8');
+    try {
+      return RosterParser.parse(text, file.format);
+    } catch (error) {
+      throw new Error(`Cannot read ${file.name}: ${error.message}`);
+    }
+  }
+}
+
+// Singleton instance
+const rosterImportService = new RosterImportService();
+
+export default rosterImportService;
@@ -0,0 +1,51 @@
+/**
+ * SECURE STORE
+ *
+ * Small JSON key/value store backed by the Android Keystore / iOS Keychain
+ * - For secrets that must not sit in plain AsyncStorage
+ * - Each key is its own keychain service entry
+ * - Never leaves the device (no iCloud / backup sync)
+ */
+
+import * as Keychain from 'react-native-keychain';
+
+const SERVICE_PREFIX = 'attendance_kiosk.';
+
+class SecureStore {
+  /**
+   * Read a stored value
+   * @returns {Object|null} Parsed value, or null when nothing is stored
+   */
+  async getItem(key) {
+    try {
+      const entry = await Keychain.getGenericPassword({ service: SERVICE_PREFIX + key });
+      return entry ? JSON.parse(entry.password) : null;
+    } catch (error) {
+      console.error(`Secure store read failed (${key}):`, error);
+      return null;
+    }
+  }
+
+  async setItem(key, value) {
+    const saved = await Keychain.setGenericPassword(key, JSON.stringify(value), {
+      service: SERVICE_PREFIX + key,
+      accessible: Keychain.ACCESSIBLE.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY,
+    });
+    if (!saved) {
+      throw new Error('Secure storage is not available on this device');
+    }
+  }
+
+  async removeItem(key) {
+    try {
+      await Keychain.resetGenericPassword({ service: SERVICE_PREFIX + key });
+    } catch (error) {
+      console.error(`Secure store delete failed (${key}):`, error);
+    }
+  }
+}
+
+// Singleton instance
+const secureStore = new SecureStore();
+
+export default secureStore;
@@ -0,0 +1,235 @@
+/**
+ * SERVER PROFILE SERVICE
+ *
+ * Persisted server configuration shared by every network call
+ * - Multiple profiles (production, staging, local test server)
+ * - One active profile at a time
+ * - Base URL, sync path, auth token, timeout and API version per profile
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import IdGenerator from '../utils/IdGenerator';
+
+const PROFILES_KEY = 'server_profiles';
+
+// Shared tokens the default profiles used to ship with - requests are signed per device instead (RequestSigner)
+const RETIRED_DEVICE_TOKENS = ['secure_kiosk_2024_v2', 'local_test_token'];
+
+const DEFAULT_PROFILES = [
+  {
+    id: 'production',
+    name: 'Production',
+    baseUrl: 'https://darkviolet-dotterel-146840.hostingersite.com',
+    syncPath: '/attendance/api/sync.php',
+    timeoutMs: 15000,
+    apiVersion: '1',
+  },
+  {
+    id: 'local',
+    name: 'Local Test Server',
+    baseUrl: 'http://10.0.2.2:8080', // Android emulator -> host machine (npm run mock-server)
+    syncPath: '/attendance/api/sync.php',
+    timeoutMs: 5000,
+    apiVersion: '1',
+  },
+];
+
+class ServerProfileService {
+  constructor() {
+    this.profiles = DEFAULT_PROFILES.map(p => ({ ...p }));
+    this.activeId = DEFAULT_PROFILES[0].id;
+    this.listeners = [];
+  }
+
+  // ==================== PERSISTENCE ====================
+
+  /**
+   * Load saved profiles (first run keeps the defaults)
+   */
+  async init() {
+    try {
+      const stored = await AsyncStorage.getItem(PROFILES_KEY);
+      if (stored) {
+        const parsed = JSON.parse(stored);
+        if (Array.isArray(parsed.profiles) && parsed.profiles.length > 0) {
+          this.profiles = parsed.profiles.map(profile => (
+            RETIRED_DEVICE_TOKENS.includes(profile.deviceToken) ? { ...profile, deviceToken: '' } : profile
+          ));
+          this.activeId = parsed.activeId || parsed.profiles[0].id;
+          if (this.profiles.some((profile, index) => profile !== parsed.profiles[index])) {
+            await this.save();
+          }
+        }
+      } else {
+        await this.save();
+      }
+    } catch (error) {
+      console.error('Failed to load server profiles:', error);
+    }
+
+    return this.getActiveProfile();
+  }
+
+  async save() {
+    try {
+      await AsyncStorage.setItem(PROFILES_KEY, JSON.stringify({
+        profiles: this.profiles,
+        activeId: this.activeId,
+      }));
+    } catch (error) {
+      console.error('Failed to save server profiles:', error);
+    }
+  }
+
+  /**
+   * Subscribe to profile changes
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  notifyListeners() {
+    const active = this.getActiveProfile();
+    this.listeners.forEach(listener => listener(active));
+  }
+
+  // ==================== PROFILES ====================
+
+  getProfiles() {
+    return this.profiles.map(p => ({ ...p }));
+  }
+
+  getProfile(id) {
+    const profile = this.profiles.find(p => p.id === id);
+    return profile ? { ...profile } : null;
+  }
+
+  getActiveProfile() {
+    const active = this.profiles.find(p => p.id === this.activeId) || this.profiles[0];
+    return { ...active };
+  }
+
+  /**
+   * Check a profile before it is saved
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  validateProfile(profile) {
+    const errors = [];
+    if (!profile.name || !profile.name.trim()) {
+      errors.push('Name is required');
+    }
+    if (!/^https?:\/\/[^\s/]+/i.test(profile.baseUrl || '')) {
+      errors.push('Base URL must start with http:// or https://');
+    }
+    if (!profile.syncPath || !profile.syncPath.startsWith('/')) {
+      errors.push('Sync path must start with /');
+    }
+    if (!(Number(profile.timeoutMs) >= 1000)) {
+      errors.push('Timeout must be at least 1000 ms');
+    }
+    return errors;
+  }
+
+  normalizeProfile(profile) {
+    return {
+      ...profile,
+      name: profile.name.trim(),
+      baseUrl: profile.baseUrl.trim().replace(/\/+$/, ''),
+      syncPath: profile.syncPath.trim(),
+      deviceToken: (profile.deviceToken || '').trim(),
+      timeoutMs: Number(profile.timeoutMs),
+      apiVersion: String(profile.apiVersion || '1').trim(),
+    };
+  }
+
+  async addProfile(profile) {
+    const errors = this.validateProfile(profile);
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+
+    const newProfile = this.normalizeProfile({ ...profile, id: IdGenerator.uuid() });
+    this.profiles = [...this.profiles, newProfile];
+    await this.save();
+    return newProfile;
+  }
+
+  async updateProfile(id, changes) {
+    const existing = this.profiles.find(p => p.id === id);
+    if (!existing) {
+      throw new Error('Profile not found');
+    }
+
+    const merged = { ...existing, ...changes, id };
+    const errors = this.validateProfile(merged);
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+
+    this.profiles = this.profiles.map(p => (p.id === id ? this.normalizeProfile(merged) : p));
+    await this.save();
+    if (id === this.activeId) {
+      this.notifyListeners();
+    }
+  }
+
+  async removeProfile(id) {
+    if (id === this.activeId) {
+      throw new Error('Switch to another profile before deleting the active one');
+    }
+    this.profiles = this.profiles.filter(p => p.id !== id);
+    await this.save();
+  }
+
+  async setActiveProfile(id) {
+    if (!this.profiles.some(p => p.id === id)) {
+      throw new Error('Profile not found');
+    }
+    this.activeId = id;
+    await this.save();
+    this.notifyListeners();
+  }
+
+  // ==================== REQUESTS ====================
+
+  /**
+   * Full sync.php URL for a profile (active profile by default)
+   */
+  getSyncUrl(profile = this.getActiveProfile()) {
+    return profile.baseUrl + profile.syncPath;
+  }
+
+  /**
+   * Host name shown in the UI
+   */
+  getHost(profile = this.getActiveProfile()) {
+    return profile.baseUrl.replace(/^https?:\/\//i, '');
+  }
+
+  /**
+   * fetch() that gives up after the profile's timeout
+   */
+  async fetchWithTimeout(url, options = {}, timeoutMs = this.getActiveProfile().timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      return await fetch(url, { ...options, signal: controller.signal });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Request timed out after ${timeoutMs}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+// Singleton instance
+const serverProfileService = new ServerProfileService();
+
+export default serverProfileService;
@@ -0,0 +1,100 @@
+/**
+ * SETTINGS SERVICE
+ *
+ * Admin-adjustable attendance rules, persisted locally
+ * - Grouped in sections ('punch' check-in / check-out rules, 'cooldown' duplicate-punch window)
+ * - Each section is validated before it is saved
+ * - Missing keys fall back to defaults, so new settings need no migration
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import PunchStateMachine from '../utils/PunchStateMachine';
+
+const SETTINGS_KEY = 'kiosk_settings';
+
+const DEFAULT_SETTINGS = {
+  punch: { ...PunchStateMachine.DEFAULT_RULES },
+  cooldown: { ...PunchStateMachine.DEFAULT_COOLDOWN },
+};
+
+const VALIDATORS = {
+  punch: PunchStateMachine.validateRules,
+  cooldown: PunchStateMachine.validateCooldown,
+};
+
+class SettingsService {
+  constructor() {
+    this.settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+    this.listeners = [];
+  }
+
+  // ==================== PERSISTENCE ====================
+
+  async init() {
+    try {
+      const stored = await AsyncStorage.getItem(SETTINGS_KEY);
+      if (stored) {
+        const parsed = JSON.parse(stored);
+        Object.keys(DEFAULT_SETTINGS).forEach(section => {
+          this.settings[section] = { ...DEFAULT_SETTINGS[section], ...parsed[section] };
+        });
+      }
+    } catch (error) {
+      console.error('Failed to load kiosk settings:', error);
+    }
+  }
+
+  async save() {
+    try {
+      await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      console.error('Failed to save kiosk settings:', error);
+    }
+  }
+
+  /**
+   * Subscribe to settings changes
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  notifyListeners(section) {
+    this.listeners.forEach(listener => listener(section, this.get(section)));
+  }
+
+  // ==================== SECTIONS ====================
+
+  get(section) {
+    return { ...this.settings[section] };
+  }
+
+  /**
+   * Update part of a section
+   * @throws {Error} With every validation message when the result is invalid
+   */
+  async update(section, changes) {
+    if (!this.settings[section]) {
+      throw new Error(`Unknown settings section: ${section}`);
+    }
+
+    const merged = { ...this.settings[section], ...changes };
+    const errors = VALIDATORS[section] ? VALIDATORS[section](merged) : [];
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+
+    this.settings[section] = merged;
+    await this.save();
+    this.notifyListeners(section);
+    return this.get(section);
+  }
+}
+
+// Singleton instance
+const settingsService = new SettingsService();
+
+export default settingsService;
@@ -0,0 +1,163 @@
+/**
+ * SHIFT SERVICE
+ *
+ * Admin-defined shifts and who works them
+ * - Shifts assigned per role, with per-user overrides
+ * - Persisted locally
+ * - Classification itself lives in utils/ShiftSchedule (pure, testable)
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import ShiftSchedule from '../utils/ShiftSchedule';
+import IdGenerator from '../utils/IdGenerator';
+
+const SCHEDULE_KEY = 'shift_schedule';
+
+class ShiftService {
+  constructor() {
+    this.schedule = { ...ShiftSchedule.EMPTY_SCHEDULE };
+  }
+
+  // ==================== PERSISTENCE ====================
+
+  async init() {
+    try {
+      const stored = await AsyncStorage.getItem(SCHEDULE_KEY);
+      if (stored) {
+        this.schedule = { ...ShiftSchedule.EMPTY_SCHEDULE, ...JSON.parse(stored) };
+      }
+    } catch (error) {
+      console.error('Failed to load shift schedule:', error);
+    }
+    return this.getSchedule();
+  }
+
+  async save() {
+    try {
+      await AsyncStorage.setItem(SCHEDULE_KEY, JSON.stringify(this.schedule));
+    } catch (error) {
+      console.error('Failed to save shift schedule:', error);
+    }
+  }
+
+  getSchedule() {
+    return {
+      shifts: this.schedule.shifts.map(s => ({ ...s })),
+      roleShifts: { ...this.schedule.roleShifts },
+      userShifts: { ...this.schedule.userShifts },
+    };
+  }
+
+  // ==================== SHIFTS ====================
+
+  async addShift(shift) {
+    const newShift = { ...ShiftSchedule.DEFAULT_SHIFT, ...shift, id: IdGenerator.uuid() };
+    const errors = ShiftSchedule.validateShift(newShift);
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+
+    newShift.name = newShift.name.trim();
+    this.schedule = { ...this.schedule, shifts: [...this.schedule.shifts, newShift] };
+    await this.save();
+    return newShift;
+  }
+
+  async updateShift(id, changes) {
+    const existing = this.schedule.shifts.find(s => s.id === id);
+    if (!existing) {
+      throw new Error('Shift not found');
+    }
+
+    const updated = { ...existing, ...changes, id };
+    const errors = ShiftSchedule.validateShift(updated);
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+
+    updated.name = updated.name.trim();
+    this.schedule = {
+      ...this.schedule,
+      shifts: this.schedule.shifts.map(s => (s.id === id ? updated : s)),
+    };
+    await this.save();
+    return updated;
+  }
+
+  /**
+   * Delete a shift and every assignment pointing at it
+   */
+  async removeShift(id) {
+    const withoutShift = (assignments) => Object.fromEntries(
+      Object.entries(assignments).filter(([, shiftId]) => shiftId !== id)
+    );
+
+    this.schedule = {
+      shifts: this.schedule.shifts.filter(s => s.id !== id),
+      roleShifts: withoutShift(this.schedule.roleShifts),
+      userShifts: withoutShift(this.schedule.userShifts),
+    };
+    await this.save();
+  }
+
+  // ==================== ASSIGNMENTS ====================
+
+  /**
+   * Assign a shift to everyone with a role (null to unassign)
+   */
+  async assignRole(role, shiftId) {
+    this.schedule = { ...this.schedule, roleShifts: this.withAssignment(this.schedule.roleShifts, role, shiftId) };
+    await this.save();
+  }
+
+  /**
+   * Give one user a shift other than their role's (null to follow the role again)
+   */
+  async assignUser(userId, shiftId) {
+    this.schedule = { ...this.schedule, userShifts: this.withAssignment(this.schedule.userShifts, userId, shiftId) };
+    await this.save();
+  }
+
+  /**
+   * Move a user's own shift to their corrected ID
+   */
+  async renameUser(oldUserId, newUserId) {
+    const { [oldUserId]: shiftId, ...userShifts } = this.schedule.userShifts;
+    if (!shiftId) return;
+    this.schedule = { ...this.schedule, userShifts: { ...userShifts, [newUserId]: shiftId } };
+    await this.save();
+  }
+
+  withAssignment(assignments, key, shiftId) {
+    if (shiftId && !this.schedule.shifts.some(s => s.id === shiftId)) {
+      throw new Error('Shift not found');
+    }
+
+    const next = { ...assignments };
+    if (shiftId) {
+      next[key] = shiftId;
+    } else {
+      delete next[key];
+    }
+    return next;
+  }
+
+  // ==================== CLASSIFICATION ====================
+
+  getShiftFor(user) {
+    return ShiftSchedule.shiftFor(user, this.schedule);
+  }
+
+  /**
+   * Classify a punch for a user
+   * @returns {Object|null} ShiftSchedule.classify() result, null when the user has no shift
+   */
+  classify(user, direction, now = new Date()) {
+    return ShiftSchedule.classify(direction, now, this.getShiftFor(user));
+  }
+}
+
+// Singleton instance
+const shiftService = new ShiftService();
+
+export default shiftService;
@@ -0,0 +1,81 @@
+/**
+ * USER AUDIT SERVICE
+ *
+ * Append-only log of changes to enrolled users
+ * - Profile edits, ID corrections, status changes and permanent deletes
+ * - Each entry records what changed, why and on which kiosk
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import apiClient from './ApiClient';
+import IdGenerator from '../utils/IdGenerator';
+
+const AUDIT_KEY = 'user_audit_log';
+const MAX_ENTRIES = 1000;
+
+class UserAuditService {
+  constructor() {
+    this.listeners = [];
+  }
+
+  /**
+   * Subscribe to new entries
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  notifyListeners(event) {
+    this.listeners.forEach(listener => listener(event));
+  }
+
+  async getEntries() {
+    try {
+      const stored = await AsyncStorage.getItem(AUDIT_KEY);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Failed to load user audit log:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Entries about one user, newest first (follows ID corrections)
+   */
+  async getEntriesFor(user) {
+    const ids = [user.userId, ...(user.previousIds || [])];
+    const entries = await this.getEntries();
+    return entries.filter(entry => ids.includes(entry.userId) || ids.includes(entry.previousUserId));
+  }
+
+  /**
+   * @param {Object} entry - { action: 'edited' | 'status_changed' | 'deleted', user, changes, reason }
+   */
+  async record({ action, user, changes = {}, reason = null }) {
+    const auditEntry = {
+      id: IdGenerator.uuid(),
+      timestamp: new Date().toISOString(),
+      action,
+      userId: user.userId,
+      previousUserId: changes.userId ? changes.userId.from : null,
+      userName: user.userName,
+      changes,
+      reason,
+      deviceId: apiClient.getDeviceIdentity().deviceId,
+    };
+
+    const entries = await this.getEntries();
+    await AsyncStorage.setItem(AUDIT_KEY, JSON.stringify([auditEntry, ...entries].slice(0, MAX_ENTRIES)));
+    this.notifyListeners({ recorded: auditEntry });
+    return auditEntry;
+  }
+}
+
+// Singleton instance
+const userAuditService = new UserAuditService();
+
+export default userAuditService;
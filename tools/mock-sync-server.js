@@ -0,0 +1,337 @@
+/**
+ * MOCK SYNC SERVER
+ *
+ * Local stand-in for attendance/api/sync.php
+ * - Accepts attendance POSTs like the production endpoint
+ * - Remembers idempotency keys and rejects replays with 409
+ * - Advertises batch support (GET ?action=capabilities) and accepts
+ *   batches (POST ?action=batch) with per-record results
+ * - Pairs kiosks (POST ?action=register with a pairing code) and issues
+ *   each one a device ID and signing secret
+ * - Verifies HMAC request signatures and rejects stale timestamps and
+ *   reused nonces (see services/RequestSigner.js for the canonical string)
+ * - Issues one-time fingerprint challenges (POST ?action=challenge) and
+ *   re-verifies the signature on every fingerprint punch
+ * - Logs security incidents (POST ?action=incident), e.g. a revoked card tapped
+ *
+ * Run: npm run mock-server   (PORT defaults to 8080)
+ * Pairing code: MOCK_PAIRING_CODE (default ABCD-1234)
+ * Then point the kiosk at http://<your-pc-ip>:8080/attendance/api/sync.php
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = process.env.PORT || 8080;
+const SYNC_PATH = '/attendance/api/sync.php';
+const MAX_BATCH_SIZE = 100;
+const MAX_CLOCK_SKEW_SECONDS = 300;
+const CHALLENGE_TTL_SECONDS = 120;
+const CHALLENGE_PREFIX = 'attendance-challenge:v1';
+
+// idempotency_key -> stored record
+const records = new Map();
+
+const PAIRING_CODE = (process.env.MOCK_PAIRING_CODE || 'ABCD-1234').toUpperCase().replace(/[\s-]/g, '');
+
+// device_id -> HMAC secret
+const devices = new Map();
+
+// nonce -> unix timestamp it was used with
+const usedNonces = new Map();
+
+// challenge nonce -> { uid, deviceId, issuedAt } until a punch uses it or it expires
+const challenges = new Map();
+
+// nonce of a kiosk-issued challenge -> idempotency key of the punch that used it
+// Kept as long as the records: a queued offline punch may arrive days later
+const usedKioskChallenges = new Map();
+
+// idempotency_key -> security incident
+const incidents = new Map();
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', chunk => {
+    raw += chunk;
+  });
+  req.on('end', () => resolve(raw));
+  req.on('error', reject);
+});
+
+const sha256Hex = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Check the X-Signature headers of a request
+ * @returns {string|null} Rejection reason, or null when the signature is valid
+ */
+const verifySignature = (req, rawBody) => {
+  const deviceId = req.headers['x-device-id'];
+  const timestamp = Number(req.headers['x-timestamp']);
+  const nonce = req.headers['x-nonce'];
+  const signature = req.headers['x-signature'];
+
+  if (!signature || !nonce || !timestamp) {
+    return 'Missing signature headers';
+  }
+  if (!devices.has(deviceId)) {
+    return `Unknown device ${deviceId}`;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (Math.abs(now - timestamp) > MAX_CLOCK_SKEW_SECONDS) {
+    return `Stale timestamp (server time ${now})`;
+  }
+
+  // Forget nonces once their timestamp can no longer pass the skew check
+  for (const [usedNonce, usedAt] of usedNonces) {
+    if (now - usedAt > MAX_CLOCK_SKEW_SECONDS) {
+      usedNonces.delete(usedNonce);
+    }
+  }
+  if (usedNonces.has(nonce)) {
+    return 'Nonce already used';
+  }
+
+  const canonical = [req.method, req.url, String(timestamp), nonce, sha256Hex(rawBody)].join('\n');
+  const expected = crypto.createHmac('sha256', devices.get(deviceId)).update(canonical).digest('hex');
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return 'Invalid signature';
+  }
+
+  usedNonces.set(nonce, timestamp);
+  return null;
+};
+
+/**
+ * Issue a device ID and secret for a valid pairing code
+ */
+const registerDevice = (data) => {
+  if (data.pairing_code !== PAIRING_CODE) {
+    return { status: 403, body: { status: 'error', message: 'Unknown or expired pairing code' } };
+  }
+
+  const deviceId = `KIOSK-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  const secret = crypto.randomBytes(32).toString('hex');
+  devices.set(deviceId, secret);
+
+  console.log(`[pair] ${deviceId} ${data.device_name || ''} (${data.device_model}, ${data.platform})`);
+  return {
+    status: 200,
+    body: { status: 'success', device_id: deviceId, device_name: data.device_name || null, secret },
+  };
+};
+
+/**
+ * Forget server challenges nobody used in time - they can no longer pass the age check
+ */
+const pruneChallenges = () => {
+  const now = Date.now();
+  for (const [nonce, issued] of challenges) {
+    if ((now - new Date(issued.issuedAt)) / 1000 > CHALLENGE_TTL_SECONDS + MAX_CLOCK_SKEW_SECONDS) {
+      challenges.delete(nonce);
+    }
+  }
+};
+
+/**
+ * Issue a one-time challenge for a fingerprint punch
+ * Same format as utils/BiometricChallenge.js
+ */
+const issueChallenge = (data, deviceId) => {
+  if (!data.uid) {
+    return { status: 400, body: { status: 'error', message: 'uid is required' } };
+  }
+
+  pruneChallenges();
+
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const issuedAt = new Date().toISOString();
+  challenges.set(nonce, { uid: data.uid, deviceId, issuedAt });
+
+  const challenge = [CHALLENGE_PREFIX, 'server', data.uid, deviceId, issuedAt, nonce].join('|');
+  return { status: 200, body: { status: 'success', challenge, expires_in: CHALLENGE_TTL_SECONDS } };
+};
+
+/**
+ * Check the signed challenge of a fingerprint punch
+ * The mock has no enrollment records, so it trusts the public key sent
+ * with the punch; a real server checks it against the user's enrollment
+ * @returns {string|null} Rejection reason, or null when valid (or no fingerprint factor)
+ */
+const verifyFingerprint = (data) => {
+  const factors = Array.isArray(data.factors) ? data.factors : [data.type];
+  if (data.type !== 'fingerprint' && !factors.includes('fingerprint')) {
+    return null;
+  }
+
+  const { fingerprintChallenge: challenge, fingerprintSignature: signature, fingerprintPublicKey: publicKey } = data;
+  if (!challenge || !signature || !publicKey) {
+    return 'Fingerprint punch without a signed challenge';
+  }
+
+  const [prefix, issuer, uid, , issuedAt, nonce] = challenge.split('|');
+  if (prefix !== CHALLENGE_PREFIX || uid !== data.uid) {
+    return 'Challenge does not belong to this user';
+  }
+
+  const ageSeconds = (new Date(data.timestamp) - new Date(issuedAt)) / 1000;
+  if (!(ageSeconds >= -MAX_CLOCK_SKEW_SECONDS && ageSeconds <= CHALLENGE_TTL_SECONDS + MAX_CLOCK_SKEW_SECONDS)) {
+    return 'Challenge expired';
+  }
+  pruneChallenges();
+  if (issuer === 'server' && !challenges.has(nonce)) {
+    return 'Unknown, expired or already used challenge';
+  }
+  if (issuer !== 'server' && usedKioskChallenges.has(nonce)) {
+    return 'Challenge already used';
+  }
+
+  let valid = false;
+  try {
+    valid = crypto.verify(
+      'sha256',
+      Buffer.from(challenge, 'utf8'),
+      { key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' },
+      Buffer.from(signature, 'base64')
+    );
+  } catch (error) {
+    return `Unreadable fingerprint key: ${error.message}`;
+  }
+  if (!valid) {
+    return 'Invalid fingerprint signature';
+  }
+
+  if (issuer === 'server') {
+    challenges.delete(nonce);
+  } else {
+    usedKioskChallenges.set(nonce, data.idempotency_key || null);
+  }
+  return null;
+};
+
+/**
+ * Store one attendance record, or report it as a replay
+ */
+const storeRecord = (data, headerKey) => {
+  const key = data.idempotency_key || headerKey;
+
+  if (key && records.has(key)) {
+    return { status: 409, body: { status: 'duplicate', idempotency_key: key } };
+  }
+
+  const fingerprintError = verifyFingerprint(data);
+  if (fingerprintError) {
+    console.log(`[sync] rejected ${data.type} ${data.uid}: ${fingerprintError}`);
+    return { status: 422, body: { status: 'error', message: fingerprintError, idempotency_key: key } };
+  }
+
+  const stored = { ...data, received_at: new Date().toISOString() };
+  if (key) {
+    records.set(key, stored);
+  }
+
+  console.log(`[sync] ${data.type} ${data.uid} (${key || 'no key'})`);
+  return { status: 200, body: { status: 'success', idempotency_key: key, record_count: records.size } };
+};
+
+/**
+ * Validate and store each record of a batch independently
+ */
+const storeBatch = (batch) => batch.map(data => {
+  if (!data || !data.uid || !data.idempotency_key) {
+    return {
+      idempotency_key: data && data.idempotency_key,
+      status: 'rejected',
+      message: 'uid and idempotency_key are required',
+    };
+  }
+
+  const result = storeRecord(data);
+  if (result.status === 422) {
+    return { idempotency_key: data.idempotency_key, status: 'rejected', message: result.body.message };
+  }
+  return {
+    idempotency_key: data.idempotency_key,
+    status: result.status === 409 ? 'duplicate' : 'success',
+  };
+});
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const action = url.searchParams.get('action');
+
+  if (url.pathname !== SYNC_PATH) {
+    return sendJson(res, 404, { status: 'error', message: 'Not found' });
+  }
+
+  const rawBody = await readBody(req);
+
+  // Pairing is the only unsigned request: the kiosk has no secret yet
+  if (req.method === 'POST' && action === 'register') {
+    let registration;
+    try {
+      registration = registerDevice(JSON.parse(rawBody));
+    } catch (error) {
+      return sendJson(res, 400, { status: 'error', message: 'Invalid JSON' });
+    }
+    return sendJson(res, registration.status, registration.body);
+  }
+
+  const signatureError = verifySignature(req, rawBody);
+  if (signatureError) {
+    console.log(`[auth] rejected ${req.method} ${req.url}: ${signatureError}`);
+    return sendJson(res, 401, { status: 'error', message: signatureError });
+  }
+
+  if (req.method === 'GET' && action === 'capabilities') {
+    return sendJson(res, 200, { batch: true, max_batch_size: MAX_BATCH_SIZE });
+  }
+
+  if (req.method !== 'POST') {
+    return sendJson(res, 405, { status: 'error', message: 'Method not allowed' });
+  }
+
+  let data;
+  try {
+    data = JSON.parse(rawBody);
+  } catch (error) {
+    return sendJson(res, 400, { status: 'error', message: 'Invalid JSON' });
+  }
+
+  if (action === 'challenge') {
+    const result = issueChallenge(data, req.headers['x-device-id']);
+    return sendJson(res, result.status, result.body);
+  }
+
+  if (action === 'incident') {
+    const key = data.idempotency_key || req.headers['idempotency-key'];
+    if (key && incidents.has(key)) {
+      return sendJson(res, 409, { status: 'duplicate', idempotency_key: key });
+    }
+    incidents.set(key, { ...data, received_at: new Date().toISOString() });
+    console.log(`[security] ALERT ${data.type}: card ${data.card_uid} (${data.card_status}, ${data.uid}) at ${data.device_id}`);
+    return sendJson(res, 200, { status: 'success', idempotency_key: key });
+  }
+
+  if (action === 'batch') {
+    const records = Array.isArray(data.records) ? data.records : [];
+    if (records.length > MAX_BATCH_SIZE) {
+      return sendJson(res, 413, { status: 'error', message: `Max ${MAX_BATCH_SIZE} records per batch` });
+    }
+    return sendJson(res, 200, { status: 'success', results: storeBatch(records) });
+  }
+
+  const result = storeRecord(data, req.headers['idempotency-key']);
+  return sendJson(res, result.status, result.body);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock sync server listening on http://localhost:${PORT}${SYNC_PATH}`);
+});
@@ -0,0 +1,152 @@
+/**
+ * Auth Policy Utility
+ *
+ * Decides which verification methods a punch needs - pure, no storage
+ *
+ * Rule:
+ *   { id, name,
+ *     roles: ['Teacher'],           // empty = every role
+ *     sites: [fenceId],             // empty = anywhere (see GeofenceService)
+ *     window: null | { start: 'HH:MM', end: 'HH:MM', weekdays: [1..5] },
+ *     factors: ['nfc', 'fingerprint'] }   // all required, in any order
+ *
+ * Rules are checked in order and the first match wins. With no match
+ * any single method is enough, as before policies existed.
+ */
+
+import ShiftSchedule from './ShiftSchedule';
+
+const METHOD_LABELS = {
+  fingerprint: '👆 Fingerprint',
+  nfc: '📡 RFID Card',
+  barcode: '📊 Barcode',
+};
+
+// What a punch's evidence must hold for a method to count as done
+const EVIDENCE = {
+  fingerprint: (evidence) => evidence.fingerprintVerified === true && !!evidence.fingerprintSignature,
+  nfc: (evidence) => !!evidence.cardUid,
+  barcode: (evidence) => !!(evidence.barcodeId || evidence.badgeCode),
+};
+
+const AuthPolicy = {
+  METHODS: ['fingerprint', 'nfc', 'barcode'],
+
+  EMPTY_RULE: {
+    name: '',
+    roles: [],
+    sites: [],
+    window: null,
+    factors: ['nfc', 'fingerprint'],
+  },
+
+  /**
+   * Whether a time window is open at a moment (overnight windows allowed)
+   */
+  inWindow: (window, now) => {
+    if (!window) {
+      return true;
+    }
+    return ShiftSchedule.occurrencesAround(window, now).some(({ start, end }) => now >= start && now < end);
+  },
+
+  /**
+   * First rule that applies to a punch
+   * @param {Object} user - { userId, userRole }
+   * @param {Object} context - { now: Date, siteId: fence id or null }
+   * @returns {Object|null}
+   */
+  resolve: (rules, user, { now = new Date(), siteId = null } = {}) => {
+    return rules.find(rule =>
+      (rule.roles.length === 0 || rule.roles.includes(user.userRole)) &&
+      (rule.sites.length === 0 || rule.sites.includes(siteId)) &&
+      AuthPolicy.inWindow(rule.window, now)
+    ) || null;
+  },
+
+  /**
+   * Methods still needed after the ones already completed
+   */
+  remainingFactors: (rule, completed) => {
+    const required = rule ? rule.factors : [];
+    return required.filter(method => !completed.includes(method));
+  },
+
+  /**
+   * Whether a method may start a punch under a rule
+   */
+  allowsMethod: (rule, method) => {
+    return !rule || rule.factors.includes(method);
+  },
+
+  /**
+   * Methods a punch proves: those it lists as factors (or its own method)
+   * that came with their evidence
+   */
+  provenFactors: (method, evidence = {}) => {
+    const claimed = Array.isArray(evidence.factors) ? evidence.factors : [method];
+    return claimed.filter(factor => EVIDENCE[factor] && EVIDENCE[factor](evidence));
+  },
+
+  isSatisfied: (rule, completed) => {
+    return completed.length > 0 && AuthPolicy.remainingFactors(rule, completed).length === 0;
+  },
+
+  /**
+   * Check a rule before it is saved
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  validateRule: (rule) => {
+    const errors = [];
+    if (!rule.name || !rule.name.trim()) {
+      errors.push('Policy name is required');
+    }
+    if (!Array.isArray(rule.factors) || rule.factors.length === 0 ||
+        !rule.factors.every(method => AuthPolicy.METHODS.includes(method))) {
+      errors.push(`Pick at least one method: ${AuthPolicy.METHODS.join(', ')}`);
+    } else if (new Set(rule.factors).size !== rule.factors.length) {
+      errors.push('Each method can only be required once');
+    }
+    if (rule.window) {
+      // Same shape as a shift, so the shift checks apply
+      const windowErrors = ShiftSchedule.validateShift({
+        name: rule.name || 'window',
+        lateGraceMinutes: 0,
+        earlyLeaveGraceMinutes: 0,
+        ...rule.window,
+      });
+      errors.push(...windowErrors.map(error => `Time window: ${error}`));
+    }
+    return errors;
+  },
+
+  label: (method) => METHOD_LABELS[method] || method,
+
+  /**
+   * "📡 RFID Card + 👆 Fingerprint"
+   */
+  describeFactors: (factors) => factors.map(AuthPolicy.label).join(' + '),
+};
+
+export default AuthPolicy;
+
+/**
+ * USAGE EXAMPLES:
+ *
+ * const rules = [
+ *   { id: 'r1', name: 'Labs', roles: [], sites: ['lab-fence'], window: null, factors: ['nfc', 'fingerprint'] },
+ *   { id: 'r2', name: 'Students', roles: ['Student'], sites: [], window: null, factors: ['barcode'] },
+ * ];
+ *
+ * const rule = AuthPolicy.resolve(rules, { userRole: 'Teacher' }, { siteId: 'lab-fence' });
+ * // => rule r1
+ *
+ * AuthPolicy.remainingFactors(rule, ['nfc']);
+ * // => ['fingerprint']
+ *
+ * AuthPolicy.allowsMethod(AuthPolicy.resolve(rules, { userRole: 'Student' }), 'nfc');
+ * // => false - students must use a barcode
+ *
+ * AuthPolicy.provenFactors('nfc', { cardUid: '04A1B2C3', factors: ['nfc', 'fingerprint'] });
+ * // => ['nfc'] - no fingerprint signature, so the fingerprint was not done
+ */
@@ -0,0 +1,202 @@
+/**
+ * Backup Archive Utility
+ *
+ * Password-encrypted container for a device backup, and the merge rules
+ * used when restoring into existing data - pure, no storage access
+ *
+ * Archive (JSON text):
+ *   { format: 'attendance-backup', version: 1, createdAt,
+ *     kdf: { name: 'PBKDF2-SHA256', iterations, salt },   salt/iv hex
+ *     cipher: 'AES-256-CBC', iv, ciphertext,               ciphertext base64
+ *     mac }                                                HMAC-SHA256 hex
+ *
+ * The password is stretched into an encryption key and a separate MAC key.
+ * The MAC covers every header field and the ciphertext and is checked
+ * before decrypting, so a wrong password and a damaged file fail the same way.
+ *
+ * Plaintext: { createdAt, source, entries: { storageKey: parsed value } }
+ */
+
+import CryptoJS from 'crypto-js';
+import SecureRandom from './SecureRandom';
+
+const FORMAT = 'attendance-backup';
+const VERSION = 1;
+const KDF_ITERATIONS = 20000;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Salt/IV material from the platform's secure random source
+ */
+const freshBytes = (bytes) => SecureRandom.hex(bytes);
+
+/**
+ * Compare without stopping at the first differing character
+ */
+const sameText = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+};
+
+const deriveKeys = (password, salt, iterations) => {
+  const material = CryptoJS.PBKDF2(password, CryptoJS.enc.Hex.parse(salt), {
+    keySize: 512 / 32,
+    iterations,
+    hasher: CryptoJS.algo.SHA256,
+  });
+  return {
+    encryptionKey: CryptoJS.lib.WordArray.create(material.words.slice(0, 8)),
+    macKey: CryptoJS.lib.WordArray.create(material.words.slice(8, 16)),
+  };
+};
+
+const macInput = (archive) => [
+  archive.format,
+  archive.version,
+  archive.createdAt,
+  archive.kdf.name,
+  archive.kdf.iterations,
+  archive.kdf.salt,
+  archive.cipher,
+  archive.iv,
+  archive.ciphertext,
+].join('|');
+
+const BackupArchive = {
+  FORMAT,
+  VERSION,
+  MIN_PASSWORD_LENGTH,
+
+  validatePassword: (password) => {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+  },
+
+  /**
+   * Encrypt a backup payload
+   * @param {Object} payload - { createdAt, source, entries }
+   * @param {Object} options - { salt, iv, iterations } for tests; fresh by default
+   * @returns {string} Archive JSON text
+   */
+  seal: (payload, password, { salt = freshBytes(16), iv = freshBytes(16), iterations = KDF_ITERATIONS } = {}) => {
+    const { encryptionKey, macKey } = deriveKeys(password, salt, iterations);
+    const encrypted = CryptoJS.AES.encrypt(JSON.stringify(payload), encryptionKey, {
+      iv: CryptoJS.enc.Hex.parse(iv),
+      mode: CryptoJS.mode.CBC,
+      padding: CryptoJS.pad.Pkcs7,
+    });
+
+    const archive = {
+      format: FORMAT,
+      version: VERSION,
+      createdAt: payload.createdAt,
+      kdf: { name: 'PBKDF2-SHA256', iterations, salt },
+      cipher: 'AES-256-CBC',
+      iv,
+      ciphertext: encrypted.ciphertext.toString(CryptoJS.enc.Base64),
+    };
+    archive.mac = CryptoJS.HmacSHA256(macInput(archive), macKey).toString(CryptoJS.enc.Hex);
+    return JSON.stringify(archive);
+  },
+
+  /**
+   * Read an archive's unencrypted header without the password
+   * @returns {Object} { format, version, createdAt, ... }
+   */
+  inspect: (text) => {
+    let archive;
+    try {
+      archive = JSON.parse(text);
+    } catch (error) {
+      throw new Error('This is not a backup file');
+    }
+
+    if (!archive || archive.format !== FORMAT || !archive.kdf || !archive.ciphertext || !archive.mac) {
+      throw new Error('This is not a backup file');
+    }
+    if (archive.version > VERSION) {
+      throw new Error(`This backup was made by a newer app (format ${archive.version}). Update the app and try again.`);
+    }
+    if (archive.kdf.name !== 'PBKDF2-SHA256' || archive.cipher !== 'AES-256-CBC') {
+      throw new Error('This backup uses an unsupported encryption scheme');
+    }
+    return archive;
+  },
+
+  /**
+   * Check integrity and decrypt
+   * @returns {Object} The sealed payload
+   */
+  open: (text, password) => {
+    const archive = BackupArchive.inspect(text);
+    const { encryptionKey, macKey } = deriveKeys(password, archive.kdf.salt, archive.kdf.iterations);
+
+    const mac = CryptoJS.HmacSHA256(macInput(archive), macKey).toString(CryptoJS.enc.Hex);
+    if (!sameText(mac, archive.mac)) {
+      throw new Error('Wrong password, or the backup file is damaged');
+    }
+
+    const decrypted = CryptoJS.AES.decrypt(
+      { ciphertext: CryptoJS.enc.Base64.parse(archive.ciphertext) },
+      encryptionKey,
+      { iv: CryptoJS.enc.Hex.parse(archive.iv), mode: CryptoJS.mode.CBC, padding: CryptoJS.pad.Pkcs7 }
+    );
+    return JSON.parse(decrypted.toString(CryptoJS.enc.Utf8));
+  },
+
+  // ==================== MERGING ====================
+
+  /**
+   * Union of two lists; on the same identity the device copy wins
+   * @param {Object} options - { identity: item => key, sortBy: item => string, newestFirst, limit }
+   */
+  mergeList: (deviceItems, archiveItems, { identity, sortBy = null, newestFirst = false, limit = null }) => {
+    const device = Array.isArray(deviceItems) ? deviceItems : [];
+    const known = new Set(device.map(identity));
+    let merged = [...device, ...(archiveItems || []).filter(item => !known.has(identity(item)))];
+
+    if (sortBy) {
+      merged = merged.sort((a, b) => String(sortBy(a)).localeCompare(String(sortBy(b))));
+      if (newestFirst) merged.reverse();
+    }
+    return limit ? merged.slice(0, limit) : merged;
+  },
+
+  /**
+   * Union of two objects; on the same key the device entry wins unless
+   * prefer(deviceEntry, archiveEntry) says the archive one is better
+   */
+  mergeMap: (deviceMap, archiveMap, prefer = () => false) => {
+    const merged = { ...(archiveMap || {}) };
+    Object.entries(deviceMap || {}).forEach(([key, value]) => {
+      if (!(key in merged) || !prefer(value, merged[key])) {
+        merged[key] = value;
+      }
+    });
+    return merged;
+  },
+};
+
+export default BackupArchive;
+
+/**
+ * USAGE EXAMPLES:
+ *
+ * const text = BackupArchive.seal(
+ *   { createdAt: new Date().toISOString(), source: { deviceId }, entries: { enrolledUsers: [...] } },
+ *   'correct horse battery'
+ * );
+ *
+ * BackupArchive.inspect(text).createdAt;   // no password needed
+ * BackupArchive.open(text, 'wrong');       // throws 'Wrong password, or the backup file is damaged'
+ * BackupArchive.open(text, 'correct horse battery').entries.enrolledUsers;
+ *
+ * BackupArchive.mergeList(deviceUsers, backupUsers, { identity: u => u.userId });
+ * // => device users plus the backup users this device does not have
+ */
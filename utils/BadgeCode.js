@@ -0,0 +1,106 @@
+/**
+ * Badge Code Utility
+ *
+ * Rotating QR badges - what the QR codes hold and how a kiosk checks them - pure
+ *
+ * Live code (shown on the user's phone, changes every 30 s):
+ *   ATQ1|<userId>|<8-digit TOTP>
+ * Setup code (shown once at enrollment, scanned by the user's "My Badge" screen):
+ *   ATB1|<userId>|<base32 secret>|<userName>
+ *
+ * A live code is accepted within ±1 time step and only once, so a
+ * screenshot is useless a minute later or after the owner has used it.
+ */
+
+import Totp from './Totp';
+
+const LIVE_PREFIX = 'ATQ1';
+const SETUP_PREFIX = 'ATB1';
+const SEPARATOR = '|';
+
+const BadgeCode = {
+  isLive: (text) => typeof text === 'string' && text.startsWith(LIVE_PREFIX + SEPARATOR),
+
+  isSetup: (text) => typeof text === 'string' && text.startsWith(SETUP_PREFIX + SEPARATOR),
+
+  /**
+   * @returns {string} Live code for this moment
+   */
+  live: (userId, secretHex, now = new Date()) => [LIVE_PREFIX, userId, Totp.generate(secretHex, now)].join(SEPARATOR),
+
+  setup: ({ userId, userName }, secretHex) => (
+    [SETUP_PREFIX, userId, Totp.toBase32(secretHex), userName].join(SEPARATOR)
+  ),
+
+  /**
+   * @returns {Object|null} { userId, userName, secret } - secret as hex
+   */
+  parseSetup: (text) => {
+    if (!BadgeCode.isSetup(text)) return null;
+    const [, userId, secret, ...name] = text.split(SEPARATOR);
+    if (!userId || !secret) return null;
+    try {
+      return { userId, userName: name.join(SEPARATOR) || userId, secret: Totp.fromBase32(secret) };
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Who a scanned live code belongs to
+   * A phone set up before an ID correction still shows the old ID; it is
+   * followed through previousIds.
+   * @param {Object} options - { now, secrets: { userId: secret hex },
+   *                             lastCounters: { userId: last accepted time step } }
+   * @returns {Object} { user, counter, drift } or { user: null, reason, userId }
+   */
+  identify: (users, text, { now = new Date(), secrets = {}, lastCounters = {} } = {}) => {
+    const [prefix, userId, code, ...extra] = String(text).split(SEPARATOR);
+    if (prefix !== LIVE_PREFIX || !userId || !code || extra.length > 0) {
+      return { user: null, reason: 'malformed' };
+    }
+
+    const user = users.find(u => u.userId === userId) ||
+      users.find(u => (u.previousIds || []).includes(userId));
+    if (!user) {
+      return { user: null, reason: 'unknown_user', userId };
+    }
+    const secret = secrets[user.userId];
+    if (!secret) {
+      return { user: null, reason: 'not_dynamic', userId };
+    }
+
+    const result = Totp.verify(code, secret, now);
+    if (!result.valid) {
+      return { user: null, reason: 'expired', userId };
+    }
+    const lastCounter = lastCounters[user.userId];
+    if (lastCounter !== undefined && result.counter <= lastCounter) {
+      return { user: null, reason: 'replayed', userId };
+    }
+    return { user, counter: result.counter, drift: result.drift };
+  },
+
+  describeFailure: (result) => ({
+    malformed: 'This QR code is not an attendance badge',
+    unknown_user: `The badge is for ID ${result.userId}, who is not enrolled on this kiosk`,
+    not_dynamic: 'This person does not have a rotating badge - set one up at enrollment',
+    expired: 'This code has expired. Show the live badge on your phone, not a screenshot',
+    replayed: 'This code was already used. Wait for the next code on your phone',
+  }[result.reason] || 'The badge could not be verified'),
+};
+
+export default BadgeCode;
+
+/**
+ * USAGE EXAMPLES:
+ *
+ * BadgeCode.setup({ userId: 'S001', userName: 'Ann Lee' }, badgeSecret);
+ * // => 'ATB1|S001|GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ|Ann Lee'   (shown once at enrollment)
+ *
+ * BadgeCode.live('S001', badgeSecret, new Date('2026-10-18T14:30:00Z'));
+ * // => 'ATQ1|S001|48988588'   (the phone's QR, new every 30 s)
+ *
+ * BadgeCode.identify(enrolledUsers, scanned, { secrets, lastCounters });
+ * // => { user, counter, drift } or { user: null, reason: 'expired' | 'replayed' | ... }
+ */
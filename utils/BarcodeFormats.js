@@ -0,0 +1,246 @@
+/**
+ * Barcode Formats Utility
+ *
+ * Symbologies a user's static barcode can use, and how scanned codes are
+ * matched to enrolled ones - pure
+ *
+ * Formats: CODE128 (default), CODE39, EAN13, QR
+ *
+ * Scanners do not all report a code the same way: some add an AIM
+ * symbology prefix ("]C0"), Code 39 readers may keep the * start/stop
+ * characters or a mod-43 check character, and EAN/UPC carry a check digit
+ * and zero padding around the roll number. keys() reduces a code to the
+ * forms it may be enrolled under; findUser() prefers an exact match and
+ * only falls back to a reduced form when exactly one user fits.
+ * Matching ignores letter case.
+ *
+ * The last digit is only taken as a check digit for EAN-13 codes and
+ * EAN/UPC scans - a roll number like 20231019 merely looks like one.
+ */
+
+import JsBarcode from 'jsbarcode';
+
+const FORMATS = {
+  CODE128: { label: 'Code 128', encoder: 'CODE128', codeTypes: ['code-128'] },
+  CODE39: { label: 'Code 39', encoder: 'CODE39', codeTypes: ['code-39'] },
+  EAN13: { label: 'EAN-13', encoder: 'EAN13', codeTypes: ['ean-13', 'upc-a'] },
+  QR: { label: 'QR', encoder: null, codeTypes: ['qr'] },
+};
+
+const DEFAULT_FORMAT = 'CODE128';
+
+// Everything the kiosk camera reads (react-native-vision-camera code types)
+const SCANNER_CODE_TYPES = ['qr', 'code-128', 'code-39', 'code-93', 'ean-13', 'ean-8', 'upc-a', 'upc-e'];
+const GTIN_CODE_TYPES = ['ean-13', 'ean-8', 'upc-a', 'upc-e'];
+
+const CODE39_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ-. $/+%';
+const CODE39_PATTERN = /^[0-9A-Z\-. $/+%]+$/;
+
+const gtinCheckDigit = (digits) => {
+  const sum = digits.split('').reverse()
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+const isGtin = (value) => /^(\d{8}|\d{12,14})$/.test(value) && gtinCheckDigit(value.slice(0, -1)) === value.slice(-1);
+
+const code39CheckChar = (text) => {
+  const sum = text.split('').reduce((total, char) => total + CODE39_CHARS.indexOf(char), 0);
+  return CODE39_CHARS[sum % 43];
+};
+
+const withoutLeadingZeros = (value) => value.replace(/^0+(?=.)/, '');
+
+const BarcodeFormats = {
+  FORMATS,
+  DEFAULT_FORMAT,
+  SCANNER_CODE_TYPES,
+
+  label: (format) => (FORMATS[format] || FORMATS[DEFAULT_FORMAT]).label,
+
+  /**
+   * Format for a react-native-vision-camera code type, null when not one of ours
+   */
+  fromCodeType: (codeType) => (
+    Object.keys(FORMATS).find(format => FORMATS[format].codeTypes.includes(codeType)) || null
+  ),
+
+  /**
+   * Format a scanned code is matched as: every EAN/UPC type counts as
+   * EAN-13, since its last digit is a check digit; null when unknown
+   */
+  scanFormat: (codeType) => (GTIN_CODE_TYPES.includes(codeType) ? 'EAN13' : BarcodeFormats.fromCodeType(codeType)),
+
+  /**
+   * Best format for a code with none recorded (imported rosters)
+   */
+  detect: (value) => (/^\d{13}$/.test(value) && isGtin(value) ? 'EAN13' : DEFAULT_FORMAT),
+
+  /**
+   * A code as the scanner meant it: no AIM prefix, * wrappers or
+   * surrounding whitespace, upper case
+   */
+  clean: (value) => {
+    let code = String(value || '').trim().replace(/^\][A-Za-z][0-9A-Za-z]/, '');
+    if (code.length > 2 && code.startsWith('*') && code.endsWith('*')) {
+      code = code.slice(1, -1);
+    }
+    return code.trim().toUpperCase();
+  },
+
+  /**
+   * Forms a code may be enrolled under, exact form first
+   * @param {string} format - the code's format; EAN13 drops the check digit
+   * @returns {string[]} e.g. '0000000123457', 'EAN13' -> ['0000000123457', '12345']
+   */
+  keys: (value, format = null) => {
+    const exact = BarcodeFormats.clean(value);
+    if (!exact) return [];
+
+    const keys = [exact];
+    if (format === 'EAN13' && isGtin(exact)) {
+      keys.push(withoutLeadingZeros(exact.slice(0, -1)));
+    } else if (/^\d+$/.test(exact)) {
+      keys.push(withoutLeadingZeros(exact));
+    }
+
+    // Digit-only codes are left alone: a digit is too often a valid mod-43 check
+    const body = exact.slice(0, -1);
+    if (body.length > 1 && /\D/.test(exact) && CODE39_PATTERN.test(exact) && code39CheckChar(body) === exact.slice(-1)) {
+      keys.push(body);
+    }
+    return [...new Set(keys)];
+  },
+
+  sameCode: (a, b, formatOfA = null, formatOfB = null) => {
+    const keysOfB = BarcodeFormats.keys(b, formatOfB);
+    return BarcodeFormats.keys(a, formatOfA).some(key => keysOfB.includes(key));
+  },
+
+  /**
+   * Who a scanned code belongs to
+   * @param {string} format - see scanFormat()
+   * @returns {Object|null} { user, exact } - null when nobody, or more than one user, fits
+   */
+  findUser: (users, scanned, format = null) => {
+    const scannedKeys = BarcodeFormats.keys(scanned, format);
+    if (scannedKeys.length === 0) return null;
+
+    const withCodes = users.filter(user => user.barcodeId);
+    const exact = withCodes.find(user => BarcodeFormats.clean(user.barcodeId) === scannedKeys[0]);
+    if (exact) {
+      return { user: exact, exact: true };
+    }
+
+    const candidates = withCodes.filter(user => (
+      BarcodeFormats.keys(user.barcodeId, user.barcodeFormat).some(key => scannedKeys.includes(key))
+    ));
+    return candidates.length === 1 ? { user: candidates[0], exact: false } : null;
+  },
+
+  /**
+   * Someone other than userId already holding this code (in any of its forms)
+   */
+  ownerOf: (users, value, userId = null, format = null) => (
+    users.find(user => (
+      user.barcodeId && user.userId !== userId && BarcodeFormats.sameCode(user.barcodeId, value, user.barcodeFormat, format)
+    )) || null
+  ),
+
+  /**
+   * Check a code for a format and put it in the form that is stored
+   * EAN-13 accepts 12 digits and adds the check digit
+   * @returns {Object} { value } or { error }
+   */
+  prepare: (input, format) => {
+    const raw = String(input || '').trim().replace(/^\][A-Za-z][0-9A-Za-z]/, '');
+    if (!raw) {
+      return { error: 'Enter or scan a code' };
+    }
+
+    switch (format) {
+      case 'CODE39': {
+        const value = BarcodeFormats.clean(raw);
+        if (!CODE39_PATTERN.test(value) || value.length > 43) {
+          return { error: 'Code 39 allows A-Z, 0-9, space and - . $ / + % (max 43)' };
+        }
+        return { value };
+      }
+      case 'EAN13': {
+        if (/^\d{12}$/.test(raw)) {
+          return { value: raw + gtinCheckDigit(raw) };
+        }
+        if (!/^\d{13}$/.test(raw)) {
+          return { error: 'EAN-13 needs 12 digits, or 13 with the check digit' };
+        }
+        return isGtin(raw) ? { value: raw } : { error: `Check digit should be ${gtinCheckDigit(raw.slice(0, 12))}` };
+      }
+      case 'QR':
+        return raw.length > 300 ? { error: 'QR codes here hold at most 300 characters' } : { value: raw };
+      default:
+        return /^[\x20-\x7E]{1,80}$/.test(raw)
+          ? { value: raw }
+          : { error: 'Code 128 allows printable ASCII characters (max 80)' };
+    }
+  },
+
+  /**
+   * A new code for a user
+   * @param {number} now - Milliseconds; makes each code unique
+   */
+  generate: (userId, format = DEFAULT_FORMAT, now = Date.now()) => {
+    const stamp = now.toString(36).toUpperCase();
+    switch (format) {
+      case 'CODE39':
+        return `ATT${String(userId).toUpperCase().replace(/[^0-9A-Z\-.]/g, '-')}${stamp}`;
+      case 'EAN13': {
+        // 2x prefixes are reserved for in-house numbering and never clash with products
+        const digits = `2${String(now).slice(-11).padStart(11, '0')}`;
+        return digits + gtinCheckDigit(digits);
+      }
+      default:
+        return `ATT${userId}${stamp}`;
+    }
+  },
+
+  /**
+   * Bars and spaces of a linear code as '1'/'0' modules
+   * @returns {string|null} null for QR or a value the format cannot encode
+   */
+  bars: (value, format = DEFAULT_FORMAT) => {
+    const encoderName = (FORMATS[format] || FORMATS[DEFAULT_FORMAT]).encoder;
+    if (!encoderName || !value) return null;
+
+    // JsBarcode renders into a plain object as well as a canvas or SVG;
+    // flat keeps EAN guards and digit groups in one run of modules
+    const rendered = {};
+    let valid = false;
+    JsBarcode(rendered, value, {
+      format: encoderName,
+      flat: true,
+      displayValue: false,
+      valid: (result) => { valid = result; },
+    });
+    if (!valid || !rendered.encodings) return null;
+
+    return rendered.encodings.map(part => part.data).join('');
+  },
+};
+
+export default BarcodeFormats;
+
+/**
+ * USAGE EXAMPLES:
+ *
+ * BarcodeFormats.prepare('590123412345', 'EAN13');   // => { value: '5901234123457' }
+ * BarcodeFormats.prepare('r-1042', 'CODE39');        // => { value: 'R-1042' }
+ *
+ * BarcodeFormats.keys(']C0*R-1042*');                // => ['R-1042']
+ * BarcodeFormats.keys('0000000123457', 'EAN13');     // => ['0000000123457', '12345']
+ * BarcodeFormats.keys('20231019');                   // => ['20231019'] - a roll number, not a GTIN
+ *
+ * BarcodeFormats.findUser(users, '0000000123457', BarcodeFormats.scanFormat('ean-13'));
+ * // => { user: <enrolled with barcodeId '12345'>, exact: false }
+ *
+ * BarcodeFormats.bars('R-1042', 'CODE39');           // => '1000101110111010...'
+ */
@@ -0,0 +1,95 @@
+/**
+ * Biometric Challenge Utility
+ *
+ * Builds the challenge a fingerprint punch signs, and checks the signature
+ * against the public key stored at enrollment - pure, no device APIs
+ *
+ * Challenge (one line, signed as UTF-8):
+ *   attendance-challenge:v1|<issuer>|<userId>|<deviceId>|<issuedAt ISO>|<nonce>
+ *   issuer is 'server' (fetched from the sync endpoint) or 'kiosk' (offline)
+ *
+ * Keys and signatures are what react-native-biometrics produces:
+ *   public key - base64 DER SubjectPublicKeyInfo (RSA 2048)
+ *   signature  - base64 SHA256withRSA
+ */
+
+import { KJUR, KEYUTIL, b64tohex } from 'jsrsasign';
+
+const PREFIX = 'attendance-challenge:v1';
+
+const BiometricChallenge = {
+  ISSUERS: ['server', 'kiosk'],
+
+  /**
+   * @param {Object} fields - { issuer, userId, deviceId, issuedAt, nonce }
+   * @returns {string}
+   */
+  build: ({ issuer, userId, deviceId, issuedAt, nonce }) => {
+    return [PREFIX, issuer, userId, deviceId, issuedAt, nonce].join('|');
+  },
+
+  /**
+   * @returns {Object|null} { issuer, userId, deviceId, issuedAt, nonce }, null when malformed
+   */
+  parse: (challenge) => {
+    if (typeof challenge !== 'string') {
+      return null;
+    }
+
+    const parts = challenge.split('|');
+    if (parts.length !== 6 || parts[0] !== PREFIX || !BiometricChallenge.ISSUERS.includes(parts[1])) {
+      return null;
+    }
+
+    const [, issuer, userId, deviceId, issuedAt, nonce] = parts;
+    if (!userId || !nonce || isNaN(new Date(issuedAt).getTime())) {
+      return null;
+    }
+    return { issuer, userId, deviceId, issuedAt, nonce };
+  },
+
+  /**
+   * Wrap a base64 DER public key as PEM
+   */
+  toPem: (publicKey) => {
+    const body = publicKey.replace(/\s+/g, '').match(/.{1,64}/g).join('\n');
+    return `-----BEGIN PUBLIC KEY-----\n${body}\n-----END PUBLIC KEY-----`;
+  },
+
+  /**
+   * Check a signature over a challenge
+   * @returns {boolean} false for bad signatures and unreadable keys alike
+   */
+  verify: (challenge, signature, publicKey) => {
+    if (!challenge || !signature || !publicKey) {
+      return false;
+    }
+
+    try {
+      const verifier = new KJUR.crypto.Signature({ alg: 'SHA256withRSA' });
+      verifier.init(KEYUTIL.getKey(BiometricChallenge.toPem(publicKey)));
+      verifier.updateString(challenge);
+      return verifier.verify(b64tohex(signature));
+    } catch (error) {
+      return false;
+    }
+  },
+};
+
+export default BiometricChallenge;
+
+/**
+ * USAGE EXAMPLES:
+ *
+ * const challenge = BiometricChallenge.build({
+ *   issuer: 'kiosk', userId: 'EMP001', deviceId: 'KIOSK-1A2B3C4D',
+ *   issuedAt: new Date().toISOString(), nonce: IdGenerator.uuid(),
+ * });
+ *
+ * // signature from rnBiometrics.createSignature({ payload: challenge })
+ * BiometricChallenge.verify(challenge, signature, user.fingerprintPublicKey);
+ * // => true only for the key pair created when the user enrolled
+ *
+ * BiometricChallenge.parse(challenge).userId;
+ * // => 'EMP001'
+ */
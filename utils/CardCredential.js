@@ -0,0 +1,231 @@
+/**
+ * Card Credential Utility
+ *
+ * Signed attendance credential stored on an NFC card as an NDEF text record
+ * - pure, no NFC or storage access
+ *
+ * Text (fits an NTAG213's 144 bytes):
+ *   ATC1|<userId>|<cardUid>|<issuedAt>|<keyVersion>|<mac>
+ *   cardUid    - UID of the card it was written to, hex without separators,
+ *                so a copy on another card does not verify
+ *   issuedAt   - ISO time to the second, e.g. 2026-10-18T14:30:00Z
+ *   keyVersion - which card key signed it, so keys can be rotated
+ *   mac        - HMAC-SHA256 of everything before it, first 16 bytes, base64url
+ *
+ * Card keys are shared secrets: every kiosk that verifies cards holds the
+ * same versioned keys (see services/CardKeyService).
+ */
+
+import CryptoJS from 'crypto-js';
+
+const PREFIX = 'ATC1';
+const SEPARATOR = '|';
+const MAC_BYTES = 16;
+const KEY_HEX_PATTERN = /^[0-9a-f]{64}$/;
+const UID_PATTERN = /^[0-9A-F]{8,20}$/;
+
+// '04:a1:b2:c3' and '04A1B2C3' are the same card
+const normalizeUid = (cardUid) => String(cardUid || '').replace(/[\s:-]/g, '').toUpperCase();
+
+const toBase64Url = (wordArray) => CryptoJS.enc.Base64.stringify(wordArray)
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const macOf = (body, keyHex) => {
+  const mac = CryptoJS.HmacSHA256(body, CryptoJS.enc.Hex.parse(keyHex));
+  return toBase64Url(CryptoJS.lib.WordArray.create(mac.words.slice(0, MAC_BYTES / 4), MAC_BYTES));
+};
+
+/**
+ * Compare without stopping at the first differing character
+ */
+const sameText = (a, b) => {
+  if (a.length !== b.length) return false;
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+};
+
+const CardCredential = {
+  PREFIX,
+
+  isValidKey: (keyHex) => KEY_HEX_PATTERN.test(keyHex || ''),
+
+  normalizeUid,
+
+  /**
+   * Whether NDEF text looks like a credential (signed or not)
+   */
+  isCredential: (text) => typeof text === 'string' && text.startsWith(PREFIX + SEPARATOR),
+
+  /**
+   * @param {Object} credential - { userId, cardUid, issuedAt: Date|string, keyVersion }
+   * @param {string} keyHex - 32-byte card key as hex
+   * @returns {string} Text for the NDEF record
+   */
+  encode: ({ userId, cardUid, issuedAt, keyVersion }, keyHex) => {
+    if (!userId || userId.includes(SEPARATOR)) {
+      throw new Error('User ID cannot be written to a card');
+    }
+    if (!UID_PATTERN.test(normalizeUid(cardUid))) {
+      throw new Error('The card has no readable UID to bind the credential to');
+    }
+    if (!CardCredential.isValidKey(keyHex)) {
+      throw new Error('Card key must be 64 hex characters');
+    }
+
+    const issued = new Date(issuedAt).toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const body = [PREFIX, userId, normalizeUid(cardUid), issued, Number(keyVersion)].join(SEPARATOR);
+    return body + SEPARATOR + macOf(body, keyHex);
+  },
+
+  /**
+   * Split credential text without checking the signature
+   * @returns {Object|null} { userId, cardUid, issuedAt, keyVersion, body, mac }
+   */
+  parse: (text) => {
+    if (!CardCredential.isCredential(text)) return null;
+
+    const parts = text.split(SEPARATOR);
+    if (parts.length !== 6) return null;
+
+    const [, userId, cardUid, issuedAt, keyVersion, mac] = parts;
+    if (!userId || !UID_PATTERN.test(cardUid) || Number.isNaN(Date.parse(issuedAt)) || !/^\d+$/.test(keyVersion)) {
+      return null;
+    }
+
+    return {
+      userId,
+      cardUid,
+      issuedAt,
+      keyVersion: Number(keyVersion),
+      body: parts.slice(0, 5).join(SEPARATOR),
+      mac,
+    };
+  },
+
+  /**
+   * Check a credential's signature
+   * @param {Object} keys - { [keyVersion]: keyHex }
+   * @returns {Object} { valid: true, userId, cardUid, issuedAt, keyVersion }
+   *                or { valid: false, reason: 'malformed' | 'unknown_key' | 'bad_signature' | 'future', ... }
+   */
+  verify: (text, keys, { now = new Date(), maxSkewMs = 5 * 60 * 1000 } = {}) => {
+    const parsed = CardCredential.parse(text);
+    if (!parsed) {
+      return { valid: false, reason: 'malformed' };
+    }
+
+    const { userId, cardUid, issuedAt, keyVersion } = parsed;
+    const keyHex = keys[keyVersion];
+    if (!keyHex) {
+      return { valid: false, reason: 'unknown_key', userId, keyVersion };
+    }
+    if (!sameText(macOf(parsed.body, keyHex), parsed.mac)) {
+      return { valid: false, reason: 'bad_signature', userId, keyVersion };
+    }
+    if (new Date(issuedAt) - now > maxSkewMs) {
+      return { valid: false, reason: 'future', userId, keyVersion };
+    }
+    return { valid: true, userId, cardUid, issuedAt, keyVersion };
+  },
+
+  /**
+   * Who a tapped card belongs to
+   * A card with a credential is identified by it alone - the credential must
+   * be valid, written for this card and the user's current one. Cards without
+   * one fall back to the UID, except for users who were issued a credential:
+   * their card without it is a copy or has been wiped.
+   * @param {Object} card - { cardUid, text } where text is the card's NDEF text
+   * @returns {Object} { user, match: 'credential' | 'uid', credential }
+   *                or { user: null, reason, ... }
+   */
+  identify: (users, { cardUid, text }, keys, options = {}) => {
+    if (CardCredential.isCredential(text)) {
+      const result = CardCredential.verify(text, keys, options);
+      if (!result.valid) {
+        return { user: null, ...result };
+      }
+
+      const user = users.find(u => u.userId === result.userId);
+      if (!user) {
+        // Written before an ID correction - the user must get it rewritten
+        const renamed = users.find(u => (u.previousIds || []).includes(result.userId));
+        return renamed
+          ? { user: null, reason: 'renamed', userId: result.userId, currentUserId: renamed.userId }
+          : { user: null, reason: 'unknown_user', userId: result.userId };
+      }
+      if (user.credentialIssuedAt !== result.issuedAt) {
+        return { user: null, reason: 'superseded', userId: result.userId };
+      }
+      if (result.cardUid !== normalizeUid(cardUid)) {
+        return { user: null, reason: 'wrong_card', userId: result.userId };
+      }
+      return { user, match: 'credential', credential: result };
+    }
+
+    const user = cardUid ? users.find(u => u.cardUid && normalizeUid(u.cardUid) === normalizeUid(cardUid) && u.hasNFC) : null;
+    if (!user) {
+      return { user: null, reason: 'not_enrolled' };
+    }
+    if (user.credentialIssuedAt) {
+      return { user: null, reason: 'credential_missing', userId: user.userId };
+    }
+    return { user, match: 'uid', credential: null };
+  },
+
+  /**
+   * A user record whose card may have changed (roster import, backup restore)
+   * A credential is written for one card, so on another card it is dropped
+   * and the card is identified by its UID until a credential is written again
+   * @param {Object|null} previous - The record being replaced
+   * @returns {Object} user, without credential fields when its card changed
+   */
+  forCard: (user, previous) => {
+    if (!previous || normalizeUid(user.cardUid) === normalizeUid(previous.cardUid)) {
+      return user;
+    }
+    return { ...user, credentialIssuedAt: null, credentialKeyVersion: null, credentialNeedsReissue: false };
+  },
+
+  describeFailure: (result) => ({
+    not_enrolled: 'This card is not assigned to any user',
+    unknown_user: `The card is for ID ${result.userId}, who is not enrolled on this kiosk`,
+    renamed: `The card still carries the old ID ${result.userId} - rewrite it for ${result.currentUserId} from Edit User`,
+    superseded: 'A newer card has been issued to this person - this one is no longer valid',
+    wrong_card: 'The credential was written for a different card - this may be a copy',
+    credential_missing: 'This card should carry a signed credential but has none - it may be a copy or was wiped',
+    malformed: 'The card holds unreadable attendance data',
+    unknown_key: `The card was signed with key v${result.keyVersion}, which this kiosk does not have`,
+    bad_signature: 'The card signature is not valid - it may be forged or damaged',
+    future: 'The card was issued in the future - check the kiosk clock',
+  }[result.reason] || 'The card could not be verified'),
+};
+
+export default CardCredential;
+
+/**
+ * USAGE EXAMPLES:
+ *
+ * const key = 'b1946ac92492d2347c6235b4d2611184b1946ac92492d2347c6235b4d2611184';
+ * const text = CardCredential.encode({ userId: 'S001', cardUid: '04:A1:B2:C3', issuedAt: '2026-10-18T14:30:00Z', keyVersion: 1 }, key);
+ * // => 'ATC1|S001|04A1B2C3|2026-10-18T14:30:00Z|1|sTZTnaZQv36LoCMD13_33A'
+ *
+ * CardCredential.verify(text, { 1: key });
+ * // => { valid: true, userId: 'S001', cardUid: '04A1B2C3', issuedAt: '2026-10-18T14:30:00Z', keyVersion: 1 }
+ *
+ * CardCredential.verify(text.replace('S001', 'S002'), { 1: key });
+ * // => { valid: false, reason: 'bad_signature', userId: 'S002', keyVersion: 1 }
+ *
+ * CardCredential.identify(enrolledUsers, { cardUid: '04:A1:B2:C3', text }, { 1: key });
+ * // => { user, match: 'credential', credential: {...} } - or match: 'uid' for unsigned cards
+ *
+ * CardCredential.identify(enrolledUsers, { cardUid: '04:FF:00:11', text }, { 1: key });
+ * // => { user: null, reason: 'wrong_card', userId: 'S001' } - copied onto another card
+ *
+ * // After S001 is corrected to S0001, until the card is rewritten:
+ * // => { user: null, reason: 'renamed', userId: 'S001', currentUserId: 'S0001' }
+ */
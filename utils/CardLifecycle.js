@@ -0,0 +1,99 @@
+/**
+ * Card Lifecycle Utility
+ *
+ * Revoking NFC cards and describing taps of revoked cards - pure
+ *
+ * A revoked card is unbound from its user and goes on the blocklist:
+ *   { cardUid, reason, userId, userName, revokedAt, note }
+ * Its signed credential stops matching the user, so a copy on another
+ * chip is refused too. The user keeps every other method and can be
+ * issued a replacement.
+ * Revoked UIDs are remembered on the user in previousCardUids.
+ */
+
+import RosterParser from './RosterParser';
+
+const REASON_LABELS = {
+  lost: '❓ Lost',
+  stolen: '🚨 Stolen',
+  damaged: '💔 Damaged',
+  replaced: '🔁 Replaced',
+};
+
+const CardLifecycle = {
+  REASONS: ['lost', 'stolen', 'damaged', 'replaced'],
+
+  reasonLabel: (reason) => REASON_LABELS[reason] || reason,
+
+  /**
+   * Unbind a user's card
+   * @returns {Object} { users, user, entry } - entry is the blocklist entry
+   */
+  revoke: (users, userId, reason, note = '', at = new Date().toISOString()) => {
+    if (!CardLifecycle.REASONS.includes(reason)) {
+      throw new Error(`Unknown reason: ${reason}`);
+    }
+
+    const original = users.find(u => u.userId === userId);
+    if (!original || !original.cardUid) {
+      throw new Error('This user has no card to revoke');
+    }
+
+    const user = {
+      ...original,
+      hasNFC: false,
+      cardUid: null,
+      cardType: null,
+      ndefData: null,
+      credentialIssuedAt: null,
+      credentialKeyVersion: null,
+      credentialNeedsReissue: false,
+      previousCardUids: [...(original.previousCardUids || []), original.cardUid],
+    };
+    user.enrollmentType = RosterParser.enrollmentType(user);
+    const entry = {
+      cardUid: original.cardUid,
+      reason,
+      userId: original.userId,
+      userName: original.userName,
+      revokedAt: at,
+      note: note.trim() || null,
+    };
+    return { users: users.map(u => (u.userId === userId ? user : u)), user, entry };
+  },
+
+  /**
+   * Security incident for a tap of a blocklisted card
+   * @param {Object} context - { source: 'nfc' | 'kiosk', deviceId, deviceName }
+   */
+  incident: (entry, context, id, at = new Date().toISOString()) => ({
+    id,
+    type: 'revoked_card',
+    timestamp: at,
+    cardUid: entry.cardUid,
+    reason: entry.reason,
+    userId: entry.userId,
+    userName: entry.userName,
+    revokedAt: entry.revokedAt,
+    source: context.source,
+    deviceId: context.deviceId || null,
+    deviceName: context.deviceName || null,
+    reviewed: false,
+  }),
+
+  describe: (incident) =>
+    `${CardLifecycle.reasonLabel(incident.reason)} card ${incident.cardUid} of ${incident.userName} (${incident.userId})`,
+};
+
+export default CardLifecycle;
+
+/**
+ * USAGE EXAMPLES:
+ *
+ * const { users, entry } = CardLifecycle.revoke(enrolledUsers, 'S001', 'lost', 'Lost on the bus');
+ * // => users: S001 with hasNFC false, previousCardUids: ['04:A1:B2:C3']
+ * // => entry: { cardUid: '04:A1:B2:C3', reason: 'lost', userId: 'S001', ... }
+ *
+ * CardLifecycle.incident(entry, { source: 'kiosk', deviceId: 'KIOSK-1A2B' }, IdGenerator.uuid());
+ * // => { type: 'revoked_card', cardUid: '04:A1:B2:C3', reviewed: false, ... }
+ */
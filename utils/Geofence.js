@@ -0,0 +1,224 @@
+/**
+ * Geofence Utility
+ *
+ * Pure geometry and policy checks for attendance locations
+ * No device APIs - give it coordinates, get a decision back
+ *
+ * Fence shapes:
+ *   { id, name, type: 'circle', center: { latitude, longitude }, radiusMeters }
+ *   { id, name, type: 'polygon', points: [{ latitude, longitude }, ...] }
+ *
+ * Policy:
+ *   { enabled, mode: 'warn' | 'flag' | 'block', fences: [...],
+ *     maxAccuracyMeters, maxAgeMs }
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Project a point onto a local flat plane (meters) around an origin
+ * Accurate enough for site-sized fences (a few km)
+ */
+const toLocalMeters = (point, origin) => ({
+  x: toRadians(point.longitude - origin.longitude) * EARTH_RADIUS_METERS * Math.cos(toRadians(origin.latitude)),
+  y: toRadians(point.latitude - origin.latitude) * EARTH_RADIUS_METERS,
+});
+
+const distanceToSegment = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+const isValidCoordinate = (point) => {
+  return !!point &&
+    Number.isFinite(point.latitude) && Math.abs(point.latitude) <= 90 &&
+    Number.isFinite(point.longitude) && Math.abs(point.longitude) <= 180;
+};
+
+const Geofence = {
+  MODES: ['warn', 'flag', 'block'],
+
+  /**
+   * Great-circle distance (haversine)
+   * @returns {number} Meters between two { latitude, longitude } points
+   */
+  distanceMeters: (a, b) => {
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLon = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+  },
+
+  /**
+   * Ray-casting point-in-polygon test
+   */
+  isInsidePolygon: (point, points) => {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const a = points[i];
+      const b = points[j];
+      const crosses = (a.latitude > point.latitude) !== (b.latitude > point.latitude) &&
+        point.longitude < (b.longitude - a.longitude) * (point.latitude - a.latitude) / (b.latitude - a.latitude) + a.longitude;
+      if (crosses) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  },
+
+  /**
+   * Distance from a point to the edge of a fence
+   * @returns {number} 0 when inside, otherwise meters to the nearest edge
+   */
+  distanceToFence: (point, fence) => {
+    if (fence.type === 'circle') {
+      return Math.max(0, Geofence.distanceMeters(point, fence.center) - fence.radiusMeters);
+    }
+
+    if (Geofence.isInsidePolygon(point, fence.points)) {
+      return 0;
+    }
+    const p = toLocalMeters(point, point);
+    const vertices = fence.points.map(v => toLocalMeters(v, point));
+    return Math.min(...vertices.map((v, i) => distanceToSegment(p, v, vertices[(i + 1) % vertices.length])));
+  },
+
+  /**
+   * Check a fence definition before it is saved
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  validateFence: (fence) => {
+    const errors = [];
+    if (!fence.name || !String(fence.name).trim()) {
+      errors.push('Name is required');
+    }
+    if (fence.type === 'circle') {
+      if (!isValidCoordinate(fence.center)) {
+        errors.push('Center must be a valid latitude/longitude');
+      }
+      if (!(Number(fence.radiusMeters) > 0)) {
+        errors.push('Radius must be greater than 0 m');
+      }
+    } else if (fence.type === 'polygon') {
+      if (!Array.isArray(fence.points) || fence.points.length < 3) {
+        errors.push('A polygon needs at least 3 points');
+      } else if (!fence.points.every(isValidCoordinate)) {
+        errors.push('Every polygon point must be a valid latitude/longitude');
+      }
+    } else {
+      errors.push('Type must be circle or polygon');
+    }
+    return errors;
+  },
+
+  /**
+   * Decide what to do with an attendance location
+   * Under 'warn' a fix counts as inside when its accuracy circle reaches a
+   * fence; 'flag' and 'block' need the reported position itself inside, so
+   * a poor fix cannot stretch the fence by its accuracy radius. A fix from
+   * a mock-location app never counts as inside.
+   * @param {Object|null} fix - { latitude, longitude, accuracy, timestamp }
+   * @param {Object} policy - See header
+   * @param {number} now - Current time in ms (for fix age)
+   * @returns {Object} {
+   *   action: 'allow' | 'warn' | 'flag' | 'block',
+   *   inside, reason: 'inside' | 'outside' | 'no_fix' | 'mocked' | 'inaccurate' | 'stale' | 'disabled',
+   *   fence: name of the matching or nearest fence, distanceMeters,
+   *   fenceId: id of the matching fence (inside only)
+   * }
+   */
+  evaluate: (fix, policy, now = Date.now()) => {
+    const fences = (policy && policy.fences) || [];
+    if (!policy || !policy.enabled || fences.length === 0) {
+      return { action: 'allow', inside: null, reason: 'disabled', fence: null, distanceMeters: null };
+    }
+
+    const outcome = (reason, fence = null, distanceMeters = null) => ({
+      action: policy.mode || 'warn',
+      inside: false,
+      reason,
+      fence,
+      distanceMeters,
+    });
+
+    if (!fix || !isValidCoordinate(fix)) {
+      return outcome('no_fix');
+    }
+    if (fix.mocked) {
+      return outcome('mocked');
+    }
+    if (policy.maxAgeMs && fix.timestamp && now - fix.timestamp > policy.maxAgeMs) {
+      return outcome('stale');
+    }
+    if (policy.maxAccuracyMeters && fix.accuracy > policy.maxAccuracyMeters) {
+      return outcome('inaccurate');
+    }
+
+    const tolerance = (policy.mode || 'warn') === 'warn' ? fix.accuracy || 0 : 0;
+    let nearest = null;
+    fences.forEach(fence => {
+      const distance = Geofence.distanceToFence(fix, fence);
+      if (!nearest || distance < nearest.distance) {
+        nearest = { fence, distance };
+      }
+    });
+
+    const distanceMeters = Math.round(nearest.distance);
+    if (nearest.distance <= tolerance) {
+      return { action: 'allow', inside: true, reason: 'inside', fence: nearest.fence.name, fenceId: nearest.fence.id, distanceMeters };
+    }
+    return outcome('outside', nearest.fence.name, distanceMeters);
+  },
+
+  /**
+   * Human-readable explanation of an evaluate() result
+   */
+  describe: (result) => {
+    switch (result.reason) {
+      case 'inside':
+        return `Inside ${result.fence}`;
+      case 'outside':
+        return `${result.distanceMeters} m outside ${result.fence}`;
+      case 'no_fix':
+        return 'Location unavailable';
+      case 'mocked':
+        return 'Location comes from a mock-location app';
+      case 'stale':
+        return 'Location fix is too old';
+      case 'inaccurate':
+        return 'Location fix is not accurate enough';
+      default:
+        return 'Geofencing off';
+    }
+  },
+};
+
+export default Geofence;
+
+/**
+ * USAGE EXAMPLES:
+ *
+ * const policy = {
+ *   enabled: true,
+ *   mode: 'block',
+ *   maxAccuracyMeters: 100,
+ *   maxAgeMs: 2 * 60 * 1000,
+ *   fences: [
+ *     { id: 'hq', name: 'HQ', type: 'circle', center: { latitude: 14.5995, longitude: 120.9842 }, radiusMeters: 150 },
+ *   ],
+ * };
+ *
+ * Geofence.evaluate({ latitude: 14.5996, longitude: 120.9843, accuracy: 12, timestamp: Date.now() }, policy);
+ * // => { action: 'allow', inside: true, reason: 'inside', fence: 'HQ', distanceMeters: 0 }
+ *
+ * Geofence.evaluate({ latitude: 14.6100, longitude: 120.9842, accuracy: 12, timestamp: Date.now() }, policy);
+ * // => { action: 'block', inside: false, reason: 'outside', fence: 'HQ', distanceMeters: 1018 }
+ */
@@ -0,0 +1,225 @@
+/**
+ * ID Card Utility
+ *
+ * Lays out printable ID cards - pure, no file access
+ *
+ * A card is a list of drawing shapes in millimetres (top-left origin):
+ *   { type: 'rect', x, y, w, h, fill, stroke, dashed }
+ *   { type: 'text', x, y, text, size, bold, color, anchor: 'start' | 'middle' }
+ * Sheets place several cards on an A4 page. toSvg() draws a page or a
+ * single card; utils/PdfWriter draws the same shapes as a PDF.
+ *
+ * Card: ISO/IEC 7810 ID-1 (credit card size) with a title band, photo
+ * box, name, ID, role and the user's static barcode in its enrolled
+ * format (utils/BarcodeFormats), or as QR for every card.
+ * Rotating badges are never printed - the live code is on the phone.
+ */
+
+import QRCode from 'qrcode';
+import BarcodeFormats from './BarcodeFormats';
+
+const CARD = { width: 85.6, height: 54 };
+const A4 = { width: 210, height: 297 };
+const GRID = { columns: 2, rows: 4, gap: 8 };
+const PER_SHEET = GRID.columns * GRID.rows;
+
+const COLORS = {
+  band: '#1e3a8a',
+  ink: '#111827',
+  muted: '#6b7280',
+  line: '#9ca3af',
+  white: '#ffffff',
+};
+
+const SYMBOLS = ['barcode', 'qr'];
+
+// Rough Helvetica advance; good enough to keep names inside the card
+const AVERAGE_CHAR_WIDTH = 0.55;
+
+const fit = (text, size, maxWidth) => {
+  const value = String(text || '');
+  const maxChars = Math.floor(maxWidth / (size * AVERAGE_CHAR_WIDTH));
+  return value.length > maxChars ? `${value.slice(0, Math.max(maxChars - 1, 1))}…` : value;
+};
+
+const rect = (x, y, w, h, style = {}) => ({ type: 'rect', x, y, w, h, ...style });
+const text = (x, y, value, size, style = {}) => ({ type: 'text', x, y, text: value, size, color: COLORS.ink, ...style });
+
+/**
+ * Linear barcode bars as rects, quiet zone included, centred in the area
+ */
+const barcodeShapes = (value, format, area) => {
+  const data = BarcodeFormats.bars(value, format);
+  if (!data) return null;
+
+  const module = Math.min(0.33, area.w / (data.length + 20));
+  const left = area.x + (area.w - data.length * module) / 2;
+  const shapes = [];
+  data.replace(/1+/g, (run, offset) => {
+    shapes.push(rect(left + offset * module, area.y, run.length * module, area.h, { fill: COLORS.ink }));
+    return run;
+  });
+  return shapes;
+};
+
+/**
+ * QR modules as rects, dark runs in a row merged into one
+ */
+const qrShapes = (value, area) => {
+  const { modules } = QRCode.create(value, { errorCorrectionLevel: 'M' });
+  const cell = area.w / modules.size;
+  const shapes = [];
+  for (let row = 0; row < modules.size; row++) {
+    let start = null;
+    for (let col = 0; col <= modules.size; col++) {
+      const dark = col < modules.size && modules.get(row, col);
+      if (dark && start === null) start = col;
+      if (!dark && start !== null) {
+        shapes.push(rect(area.x + start * cell, area.y + row * cell, (col - start) * cell, cell, { fill: COLORS.ink }));
+        start = null;
+      }
+    }
+  }
+  return shapes;
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const round = (n) => Math.round(n * 100) / 100;
+
+const IdCard = {
+  CARD,
+  A4,
+  PER_SHEET,
+  SYMBOLS,
+
+  /**
+   * What the card's code area shows
+   * @returns {string} 'barcode' | 'rotating' | 'none'
+   */
+  codeOf: (user) => {
+    if (user.barcodeId) return 'barcode';
+    if (user.badgeIssuedAt) return 'rotating';
+    return 'none';
+  },
+
+  /**
+   * One card's shapes, positioned at (x, y)
+   * @param {Object} options - { symbol: 'barcode' (as enrolled) | 'qr', title, issuedOn: 'YYYY-MM-DD' }
+   */
+  card: (user, { symbol = 'barcode', title = 'Attendance ID', issuedOn = new Date().toISOString().slice(0, 10) } = {}, x = 0, y = 0) => {
+    const shapes = [
+      rect(0, 0, CARD.width, CARD.height, { fill: COLORS.white, stroke: COLORS.line }),
+      rect(0, 0, CARD.width, 10, { fill: COLORS.band }),
+      text(4, 6.8, fit(title.toUpperCase(), 3.6, CARD.width - 8), 3.6, { bold: true, color: COLORS.white }),
+      rect(4, 14, 22, 28, { stroke: COLORS.line, dashed: true }),
+      text(15, 29, 'PHOTO', 2.8, { anchor: 'middle', color: COLORS.muted }),
+      text(30, 18, fit(user.userName, 4.2, CARD.width - 34), 4.2, { bold: true }),
+      text(4, 51, `Issued ${issuedOn}`, 2, { color: COLORS.muted }),
+    ];
+
+    const code = IdCard.codeOf(user);
+    const format = user.barcodeFormat || BarcodeFormats.DEFAULT_FORMAT;
+    const isQr = code === 'barcode' && (symbol === 'qr' || format === 'QR');
+    // Beside a QR the ID and role share the width with the code
+    const detailWidth = isQr ? 31 : CARD.width - 34;
+    shapes.push(text(30, 24, fit(`ID: ${user.userId}`, 3.2, detailWidth), 3.2));
+    if (user.userRole) {
+      shapes.push(text(30, 29, fit(user.userRole, 3, detailWidth), 3, { color: COLORS.muted }));
+    }
+
+    if (code === 'barcode') {
+      const symbolShapes = isQr
+        ? qrShapes(user.barcodeId, { x: 63, y: 23, w: 19 })
+        : barcodeShapes(user.barcodeId, format, { x: 30, y: 33, w: CARD.width - 34, h: 11 });
+      if (symbolShapes) {
+        shapes.push(...symbolShapes);
+        shapes.push(isQr
+          ? text(72.5, 45.5, fit(user.barcodeId, 2, 26), 2, { anchor: 'middle' })
+          : text(30 + (CARD.width - 34) / 2, 47.5, user.barcodeId, 2.4, { anchor: 'middle' }));
+      } else {
+        shapes.push(text(30, 40, 'Barcode cannot be printed', 2.8, { color: COLORS.muted }));
+      }
+    } else if (code === 'rotating') {
+      shapes.push(text(30, 38, 'Show the live badge from', 2.8, { color: COLORS.muted }));
+      shapes.push(text(30, 42, 'My Badge on your phone', 2.8, { color: COLORS.muted }));
+    }
+
+    return shapes.map(shape => ({ ...shape, x: shape.x + x, y: shape.y + y }));
+  },
+
+  /**
+   * Cards laid out on A4 pages, PER_SHEET to a page
+   * @returns {Array} Pages, each a list of shapes
+   */
+  sheets: (users, options = {}) => {
+    const gridWidth = GRID.columns * CARD.width + (GRID.columns - 1) * GRID.gap;
+    const gridHeight = GRID.rows * CARD.height + (GRID.rows - 1) * GRID.gap;
+    const left = (A4.width - gridWidth) / 2;
+    const top = (A4.height - gridHeight) / 2;
+
+    const pages = [];
+    users.forEach((user, index) => {
+      const slot = index % PER_SHEET;
+      if (slot === 0) pages.push([]);
+      const x = left + (slot % GRID.columns) * (CARD.width + GRID.gap);
+      const y = top + Math.floor(slot / GRID.columns) * (CARD.height + GRID.gap);
+      pages[pages.length - 1].push(...IdCard.card(user, options, x, y));
+    });
+    return pages;
+  },
+
+  /**
+   * SVG document for a page (A4) or a single card
+   * @param {Object} size - { width, height } in mm
+   */
+  toSvg: (shapes, size = A4) => {
+    const body = shapes.map(shape => {
+      if (shape.type === 'rect') {
+        const stroke = shape.stroke
+          ? ` stroke="${shape.stroke}" stroke-width="0.3"${shape.dashed ? ' stroke-dasharray="1 1"' : ''}`
+          : '';
+        return `<rect x="${round(shape.x)}" y="${round(shape.y)}" width="${round(shape.w)}" height="${round(shape.h)}" fill="${shape.fill || 'none'}"${stroke}/>`;
+      }
+      const anchor = shape.anchor === 'middle' ? ' text-anchor="middle"' : '';
+      const weight = shape.bold ? ' font-weight="bold"' : '';
+      return `<text x="${round(shape.x)}" y="${round(shape.y)}" font-size="${shape.size}"${weight}${anchor} fill="${shape.color}">${escapeXml(shape.text)}</text>`;
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${size.width}mm" height="${size.height}mm" viewBox="0 0 ${size.width} ${size.height}" font-family="Helvetica, Arial, sans-serif">`,
+      ...body,
+      '</svg>',
+      '',
+    ].join('\n');
+  },
+
+  /**
+   * id-cards-2026-10-18-1430.pdf, or id-cards-2026-10-18-1430-2.svg for sheet 2
+   */
+  fileName: (format, date = new Date(), sheet = null) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+    return `id-cards-${stamp}${sheet ? `-${sheet}` : ''}.${format}`;
+  },
+};
+
+export default IdCard;
+
+/**
+ * USAGE EXAMPLES:
+ *
+ * const preview = IdCard.toSvg(IdCard.card(user, { symbol: 'qr' }), IdCard.CARD);
+ * // => '<?xml ...?><svg ... viewBox="0 0 85.6 54">...'   one card, for <SvgXml xml={preview} />
+ *
+ * const pages = IdCard.sheets(activeUsers, { symbol: 'barcode', title: 'Northside High' });
+ * // => 19 users -> 3 pages of shapes (8 cards per A4 sheet)
+ *
+ * PdfWriter.render(pages, IdCard.A4);   // one PDF, a page per sheet
+ * pages.map(page => IdCard.toSvg(page)); // or one SVG per sheet
+ */
@@ -0,0 +1,46 @@
+/**
+ * ID Generator Utility
+ *
+ * Creates client-side identifiers for records that leave the device
+ * Used as idempotency keys so the server can reject replayed submissions
+ */
+
+import SecureRandom from './SecureRandom';
+
+const IdGenerator = {
+  /**
+   * RFC 4122 version 4 UUID from the platform's secure random source
+   * @returns {string} e.g. '3b241101-e2bb-4255-8caf-4136c566a962'
+   */
+  uuid: () => {
+    const bytes = SecureRandom.bytes(16);
+    bytes[6] = (bytes[6] & 0x0f) | 0x40; // version 4
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+    const hex = Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  },
+
+  /**
+   * Check that a value looks like a UUID produced by uuid()
+   * @param {string} value - Value to check
+   */
+  isUuid: (value) => {
+    return typeof value === 'string' &&
+      /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(value);
+  },
+};
+
+export default IdGenerator;
+
+/**
+ * USAGE EXAMPLES:
+ *
+ * // One key per attendance event, created once and reused on every retry
+ * const idempotencyKey = IdGenerator.uuid();
+ *
+ * await offlineSyncManager.addToQueue({
+ *   type: 'attendance',
+ *   idempotencyKey,
+ *   data: { ...payload, idempotency_key: idempotencyKey },
+ * });
+ */
@@ -0,0 +1,135 @@
+/**
+ * PDF Writer Utility
+ *
+ * Draws pages of simple shapes as a PDF document - pure, no file access
+ * Shapes are the ones utils/IdCard produces: rects and one-line text,
+ * in millimetres with a top-left origin.
+ *
+ * Text uses the built-in Helvetica fonts, so nothing is embedded and the
+ * file stays small. They only cover Western European characters; anything
+ * else prints as '?'. The output is plain ASCII, so it can be written
+ * with RNFS as 'utf8' and the byte offsets still hold.
+ */
+
+const POINTS_PER_MM = 72 / 25.4;
+
+// WinAnsi codes for the few characters outside Latin-1 that labels use
+const WIN_ANSI_EXTRAS = {
+  '…': 0x85,
+  '–': 0x96,
+  '—': 0x97,
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '€': 0x80,
+};
+
+const pt = (mm) => Number((mm * POINTS_PER_MM).toFixed(2));
+
+const rgb = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+    .map(channel => Number((channel / 255).toFixed(3)))
+    .join(' ');
+};
+
+/**
+ * A PDF string literal with ( ) \ escaped and non-ASCII as octal
+ */
+const pdfString = (text) => {
+  let out = '';
+  for (const char of String(text)) {
+    const code = WIN_ANSI_EXTRAS[char] || char.charCodeAt(0);
+    if (char === '(' || char === ')' || char === '\\') {
+      out += `\\${char}`;
+    } else if (code >= 32 && code < 127) {
+      out += char;
+    } else if (code <= 255 && (code >= 160 || Object.values(WIN_ANSI_EXTRAS).includes(code))) {
+      out += `\\${code.toString(8).padStart(3, '0')}`;
+    } else {
+      out += '?';
+    }
+  }
+  return `(${out})`;
+};
+
+const AVERAGE_CHAR_WIDTH = 0.55;
+
+const drawShape = (shape, pageHeight) => {
+  if (shape.type === 'rect') {
+    const ops = ['q'];
+    if (shape.fill) ops.push(`${rgb(shape.fill)} rg`);
+    if (shape.stroke) {
+      ops.push(`${rgb(shape.stroke)} RG 0.85 w`);
+      if (shape.dashed) ops.push('[2.8 2.8] 0 d');
+    }
+    ops.push(`${pt(shape.x)} ${pt(pageHeight - shape.y - shape.h)} ${pt(shape.w)} ${pt(shape.h)} re`);
+    ops.push(shape.fill && shape.stroke ? 'B' : shape.fill ? 'f' : 'S');
+    ops.push('Q');
+    return ops.join(' ');
+  }
+
+  // Centred text is placed by estimated width; Helvetica metrics are not embedded
+  const width = shape.anchor === 'middle' ? String(shape.text).length * shape.size * AVERAGE_CHAR_WIDTH : 0;
+  return [
+    'BT',
+    `/${shape.bold ? 'F2' : 'F1'} ${pt(shape.size)} Tf`,
+    `${rgb(shape.color || '#000000')} rg`,
+    `${pt(shape.x - width / 2)} ${pt(pageHeight - shape.y)} Td`,
+    `${pdfString(shape.text)} Tj`,
+    'ET',
+  ].join(' ');
+};
+
+const PdfWriter = {
+  /**
+   * @param {Array} pages - Each a list of shapes
+   * @param {Object} size - Page { width, height } in mm
+   * @returns {string} PDF document
+   */
+  render: (pages, size) => {
+    // 1 catalog, 2 page tree, 3-4 fonts, then a page and its content per page
+    const objects = [];
+    const pageIds = pages.map((_, index) => 5 + index * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+    pages.forEach((shapes, index) => {
+      const pageId = pageIds[index];
+      const content = shapes.map(shape => drawShape(shape, size.height)).join('\n');
+      objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pt(size.width)} ${pt(size.height)}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+      objects[pageId + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+    });
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = pdf.length;
+      pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return pdf;
+  },
+};
+
+export default PdfWriter;
+
+/**
+ * USAGE EXAMPLES:
+ *
+ * const pdf = PdfWriter.render(IdCard.sheets(users), IdCard.A4);
+ * // => '%PDF-1.4\n1 0 obj\n<< /Type /Catalog ...'
+ *
+ * await RNFS.writeFile(path, pdf, 'utf8');   // ASCII only, offsets stay valid
+ */
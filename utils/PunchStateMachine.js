@@ -0,0 +1,185 @@
+/**
+ * Punch State Machine
+ *
+ * Works out whether a punch is a check-in or a check-out
+ * from the user's previous punch - pure, no storage
+ *
+ *   (none) --punch--> IN --punch--> OUT --punch--> IN ...
+ *
+ * An IN stays open for up to the maximum shift, even across the work day
+ * boundary, so overnight shifts close normally. Left open for longer, it
+ * is a forgotten check-out: the next punch starts a new IN and the open
+ * one is closed according to the auto-close rule.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const PunchStateMachine = {
+  IN: 'IN',
+  OUT: 'OUT',
+
+  AUTO_CLOSE_MODES: ['max_shift', 'day_end', 'none'],
+
+  DEFAULT_RULES: {
+    dayStartHour: 4, // Work days run 04:00 -> 04:00 so late finishes stay on the same day
+    maxShiftHours: 12,
+    autoCloseMode: 'max_shift',
+  },
+
+  DEFAULT_COOLDOWN: {
+    seconds: 120, // 0 turns the cooldown off
+  },
+
+  /**
+   * Start of the work day containing a date (local time)
+   * @returns {Date}
+   */
+  workDayStart: (date, dayStartHour) => {
+    const start = new Date(date);
+    start.setHours(dayStartHour, 0, 0, 0);
+    if (start > date) {
+      start.setDate(start.getDate() - 1);
+    }
+    return start;
+  },
+
+  isSameWorkDay: (a, b, dayStartHour) => {
+    return PunchStateMachine.workDayStart(a, dayStartHour).getTime() ===
+      PunchStateMachine.workDayStart(b, dayStartHour).getTime();
+  },
+
+  /**
+   * Decide the direction of a new punch
+   * @param {Object|null} lastPunch - { direction, timestamp } of the user's previous punch
+   * @param {Date} now - Time of the new punch
+   * @param {Object} rules - { dayStartHour, maxShiftHours, autoCloseMode }
+   * @returns {Object} {
+   *   direction: 'IN' | 'OUT',
+   *   missedCheckOut: true when an open IN was abandoned,
+   *   autoClose: { timestamp, openedAt, reason: 'next_day' | 'max_shift' } | null
+   * }
+   */
+  next: (lastPunch, now, rules = PunchStateMachine.DEFAULT_RULES) => {
+    const { dayStartHour, maxShiftHours, autoCloseMode } = { ...PunchStateMachine.DEFAULT_RULES, ...rules };
+
+    if (!lastPunch || lastPunch.direction !== PunchStateMachine.IN) {
+      return { direction: PunchStateMachine.IN, missedCheckOut: false, autoClose: null };
+    }
+
+    const openedAt = new Date(lastPunch.timestamp);
+    const overdue = now - openedAt > maxShiftHours * HOUR_MS;
+
+    // The day boundary only decides when day_end closes a forgotten IN
+    if (!overdue) {
+      return { direction: PunchStateMachine.OUT, missedCheckOut: false, autoClose: null };
+    }
+
+    if (autoCloseMode === 'none') {
+      return { direction: PunchStateMachine.IN, missedCheckOut: true, autoClose: null };
+    }
+
+    let closeAt;
+    if (autoCloseMode === 'day_end') {
+      const dayStart = PunchStateMachine.workDayStart(openedAt, dayStartHour);
+      closeAt = new Date(dayStart.getTime() + 24 * HOUR_MS - 1000);
+    } else {
+      closeAt = new Date(openedAt.getTime() + maxShiftHours * HOUR_MS);
+    }
+
+    const sameDay = PunchStateMachine.isSameWorkDay(openedAt, now, dayStartHour);
+
+    // Never close after the punch that discovered the open shift
+    if (closeAt >= now) {
+      closeAt = new Date(now.getTime() - 1000);
+    }
+
+    return {
+      direction: PunchStateMachine.IN,
+      missedCheckOut: true,
+      autoClose: {
+        timestamp: closeAt.toISOString(),
+        openedAt: openedAt.toISOString(),
+        reason: sameDay ? 'max_shift' : 'next_day',
+      },
+    };
+  },
+
+  /**
+   * Time left before a user may punch again
+   * Repeated taps within the cooldown are duplicates, not new punches
+   * @returns {number} Milliseconds remaining (0 when a new punch is allowed)
+   */
+  cooldownRemaining: (lastPunch, now, cooldownSeconds) => {
+    if (!lastPunch || !cooldownSeconds) {
+      return 0;
+    }
+    const elapsed = now - new Date(lastPunch.timestamp);
+    // A clock set backwards must not lock the user out
+    if (elapsed < 0) {
+      return 0;
+    }
+    return Math.max(0, cooldownSeconds * 1000 - elapsed);
+  },
+
+  /**
+   * Check the duplicate-punch cooldown before it is saved
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  validateCooldown: (cooldown) => {
+    const errors = [];
+    if (!Number.isInteger(cooldown.seconds) || cooldown.seconds < 0 || cooldown.seconds > 3600) {
+      errors.push('Cooldown must be a whole number of seconds from 0 to 3600');
+    }
+    return errors;
+  },
+
+  /**
+   * Check auto-close rules before they are saved
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  validateRules: (rules) => {
+    const errors = [];
+    if (!Number.isInteger(rules.dayStartHour) || rules.dayStartHour < 0 || rules.dayStartHour > 23) {
+      errors.push('Work day start must be an hour from 0 to 23');
+    }
+    if (!(rules.maxShiftHours >= 1 && rules.maxShiftHours <= 24)) {
+      errors.push('Maximum shift must be between 1 and 24 hours');
+    }
+    if (!PunchStateMachine.AUTO_CLOSE_MODES.includes(rules.autoCloseMode)) {
+      errors.push(`Auto-close must be one of: ${PunchStateMachine.AUTO_CLOSE_MODES.join(', ')}`);
+    }
+    return errors;
+  },
+
+  /**
+   * Label shown in confirmations and history
+   */
+  label: (direction) => {
+    return direction === PunchStateMachine.OUT ? '🔴 CHECK-OUT' : '🟢 CHECK-IN';
+  },
+};
+
+export default PunchStateMachine;
+
+/**
+ * USAGE EXAMPLES:
+ *
+ * PunchStateMachine.next(null, new Date('2025-01-06T08:00:00'));
+ * // => { direction: 'IN', missedCheckOut: false, autoClose: null }
+ *
+ * PunchStateMachine.next({ direction: 'IN', timestamp: '2025-01-06T08:00:00' }, new Date('2025-01-06T17:05:00'));
+ * // => { direction: 'OUT', missedCheckOut: false, autoClose: null }
+ *
+ * // Night shift across the 04:00 day start: still within 12h, so a check-out
+ * PunchStateMachine.next({ direction: 'IN', timestamp: '2025-01-06T22:00:00' }, new Date('2025-01-07T06:00:00'));
+ * // => { direction: 'OUT', missedCheckOut: false, autoClose: null }
+ *
+ * // Forgot to check out yesterday: closed at 08:00 + 12h, today's punch is a new IN
+ * PunchStateMachine.next({ direction: 'IN', timestamp: '2025-01-06T08:00:00' }, new Date('2025-01-07T07:55:00'));
+ * // => { direction: 'IN', missedCheckOut: true,
+ * //      autoClose: { timestamp: <2025-01-06T20:00:00 local>, openedAt: ..., reason: 'next_day' } }
+ *
+ * // Same badge tapped again 30 seconds later with a 2 minute cooldown
+ * PunchStateMachine.cooldownRemaining({ direction: 'IN', timestamp: '2025-01-06T08:00:00' }, new Date('2025-01-06T08:00:30'), 120);
+ * // => 90000 (ms until another punch is accepted)
+ */
@@ -0,0 +1,121 @@
+/**
+ * Roster Export Utility
+ *
+ * Writes enrolled users as CSV or as the versioned JSON roster - pure
+ *
+ * JSON roster (read back by RosterParser / the import screen):
+ *   { format: 'attendance-roster', version: 1, exportedAt, source,
+ *     includesPublicKeys, count, users: [{ userId, userName, ... }] }
+ *
+ * Fingerprint public keys are left out unless asked for. They only
+ * verify signatures from the kiosk that enrolled the user.
+ */
+
+const FORMAT = 'attendance-roster';
+const VERSION = 1;
+
+// Exported fields, in column order
+const COLUMNS = [
+  'userId',
+  'userName',
+  'userRole',
+  'cardUid',
+  'cardType',
+  'barcodeId',
+  'barcodeFormat',
+  'hasFingerprint',
+  'hasNFC',
+  'hasBarcode',
+  'hasFace',
+  'enrollmentType',
+  'status',
+  'enrolledAt',
+  'fingerprintEnrolledAt',
+  'nfcEnrolledAt',
+  'barcodeGeneratedAt',
+  'importedAt',
+];
+
+const FLAG_COLUMNS = ['hasFingerprint', 'hasNFC', 'hasBarcode', 'hasFace'];
+
+/**
+ * Quote when needed; a leading = + - @ is defused so spreadsheets
+ * do not run a cell as a formula
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const RosterExport = {
+  FORMAT,
+  VERSION,
+  COLUMNS,
+
+  columns: (includePublicKeys) => (
+    includePublicKeys ? [...COLUMNS, 'fingerprintPublicKey'] : COLUMNS
+  ),
+
+  /**
+   * One user with only the exported fields; flags are always booleans
+   */
+  pick: (user, includePublicKeys = false) => {
+    const picked = {};
+    RosterExport.columns(includePublicKeys).forEach(column => {
+      picked[column] = FLAG_COLUMNS.includes(column) ? !!user[column] : (user[column] ?? null);
+    });
+    return picked;
+  },
+
+  toCsv: (users, { includePublicKeys = false } = {}) => {
+    const columns = RosterExport.columns(includePublicKeys);
+    const lines = users.map(user => {
+      const picked = RosterExport.pick(user, includePublicKeys);
+      return columns.map(column => csvCell(picked[column])).join(',');
+    });
+    return [columns.join(','), ...lines].join('\r\n') + '\r\n';
+  },
+
+  /**
+   * @param {Object} options - { includePublicKeys, source: { deviceId, deviceName }, exportedAt }
+   */
+  toJson: (users, { includePublicKeys = false, source = null, exportedAt = new Date().toISOString() } = {}) => {
+    return JSON.stringify({
+      format: FORMAT,
+      version: VERSION,
+      exportedAt,
+      source,
+      includesPublicKeys: includePublicKeys,
+      count: users.length,
+      users: users.map(user => RosterExport.pick(user, includePublicKeys)),
+    }, null, 2);
+  },
+
+  /**
+   * roster-2026-10-18-1430.csv
+   */
+  fileName: (format, date = new Date()) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+    return `roster-${stamp}.${format}`;
+  },
+};
+
+export default RosterExport;
+
+/**
+ * USAGE EXAMPLES:
+ *
+ * RosterExport.toCsv(systemData.enrolledUsers);
+ * // => 'userId,userName,userRole,cardUid,...\r\nS001,Ann Lee,Student,04:A1:B2:C3,...\r\n'
+ *
+ * RosterExport.toJson(systemData.enrolledUsers, {
+ *   includePublicKeys: true,
+ *   source: { deviceId: 'KIOSK-1A2B3C4D', deviceName: 'Front Gate' },
+ * });
+ * // => '{ "format": "attendance-roster", "version": 1, ... }'
+ */
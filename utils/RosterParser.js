@@ -0,0 +1,349 @@
+/**
+ * Roster Parser Utility
+ *
+ * Turns a CSV or JSON roster into an import plan - pure, no file access
+ *
+ * Flow:
+ *   parse(text, format)         -> { columns, rows }     raw cells by column
+ *   guessMapping(columns)       -> { userId: 'Student ID', ... }
+ *   plan(rows, mapping, users)  -> { entries, summary }  per-row status
+ *   apply(plan, users)          -> new enrolledUsers array
+ *
+ * Row status:
+ *   new       - ID not enrolled yet
+ *   update    - ID enrolled, some mapped field differs
+ *   unchanged - ID enrolled, nothing to change
+ *   invalid   - missing/malformed values or repeated in the file
+ *               (barcodes compared in any form)
+ *   conflict  - card UID or barcode already belongs to someone else
+ *               (barcodes compared in any form, see BarcodeFormats.keys),
+ *               or the card UID is on the revoked-card blocklist
+ * Only new and update rows are applied.
+ */
+
+import RosterExport from './RosterExport';
+import BarcodeFormats from './BarcodeFormats';
+import CardCredential from './CardCredential';
+
+const FIELDS = ['userId', 'userName', 'userRole', 'cardUid', 'barcodeId'];
+
+// Header spellings recognised by guessMapping (compared lower-case, no spaces/_/-)
+const HEADER_ALIASES = {
+  userId: ['userid', 'id', 'studentid', 'employeeid', 'staffid', 'uid', 'number'],
+  userName: ['username', 'name', 'fullname', 'studentname', 'employeename'],
+  userRole: ['userrole', 'role', 'type', 'group'],
+  cardUid: ['carduid', 'card', 'cardid', 'rfid', 'nfc', 'nfcuid', 'rfiduid'],
+  barcodeId: ['barcodeid', 'barcode', 'badge', 'badgeid'],
+};
+
+const FIELD_LABELS = {
+  userId: 'ID',
+  userName: 'Name',
+  userRole: 'Role',
+  cardUid: 'Card UID',
+  barcodeId: 'Barcode ID',
+};
+
+const DEFAULT_ROLE = 'Student';
+const USER_ID_PATTERN = /^[A-Za-z0-9._-]{1,32}$/;
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[\s_-]/g, '');
+
+/**
+ * Split CSV text into rows of cells (quoted cells, "" escapes, CRLF)
+ */
+const parseCsv = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Comma, semicolon (European Excel) or tab - whichever the header line uses most
+ */
+const detectDelimiter = (text) => {
+  const header = text.split(/\r?\n/, 1)[0];
+  return [',', ';', '\t']
+    .map(delimiter => ({ delimiter, count: header.split(delimiter).length }))
+    .sort((a, b) => b.count - a.count)[0].delimiter;
+};
+
+const RosterParser = {
+  FIELDS,
+  FIELD_LABELS,
+  DEFAULT_ROLE,
+
+  /**
+   * @param {string} text - File contents
+   * @param {string} format - 'csv' | 'json'
+   * @returns {Object} { columns: string[], rows: [{ line, values: { column: string } }] }
+   */
+  parse: (text, format) => {
+    const content = String(text).replace(/^\uFEFF/, '');
+
+    if (format === 'json') {
+      const data = JSON.parse(content);
+      if (data && data.format === RosterExport.FORMAT && data.version > RosterExport.VERSION) {
+        throw new Error(`Roster version ${data.version} is newer than this app supports (${RosterExport.VERSION})`);
+      }
+      const records = Array.isArray(data) ? data : data && (data.users || data.enrolledUsers);
+      if (!Array.isArray(records)) {
+        throw new Error('JSON roster must be an array of users or a roster export with "users"');
+      }
+
+      const columns = [...new Set(records.flatMap(record => Object.keys(record || {})))];
+      const rows = records.map((record, index) => ({
+        line: index + 1,
+        values: Object.fromEntries(columns.map(column => [
+          column,
+          record && record[column] != null ? String(record[column]) : '',
+        ])),
+      }));
+      return { columns, rows };
+    }
+
+    const [header, ...body] = parseCsv(content, detectDelimiter(content));
+    if (!header) {
+      throw new Error('The file is empty');
+    }
+
+    const columns = header.map(column => column.trim());
+    const rows = body.map((cells, index) => ({
+      line: index + 2, // header is line 1
+      values: Object.fromEntries(columns.map((column, i) => [column, (cells[i] || '').trim()])),
+    }));
+    return { columns, rows };
+  },
+
+  /**
+   * Pick a column for each field by its header
+   * @returns {Object} field -> column name (missing when no header matches)
+   */
+  guessMapping: (columns) => {
+    const mapping = {};
+    FIELDS.forEach(field => {
+      const column = columns.find(c => HEADER_ALIASES[field].includes(normalizeHeader(c)));
+      if (column) mapping[field] = column;
+    });
+    return mapping;
+  },
+
+  /**
+   * Card UIDs as the kiosk reads them: "04:A1:B2:C3"
+   * Accepts separators or none, any case
+   */
+  normalizeCardUid: (value) => {
+    const hex = String(value || '').replace(/[\s:.-]/g, '').toUpperCase();
+    if (!hex) return '';
+    if (!/^[0-9A-F]+$/.test(hex) || hex.length % 2 !== 0 || hex.length < 8 || hex.length > 20) {
+      return null;
+    }
+    return hex.match(/.{2}/g).join(':');
+  },
+
+  /**
+   * Validate mapped rows and compare them with the enrolled users
+   * @param {Object} options - { revokedCardUids: string[] }
+   * @returns {Object} {
+   *   entries: [{ line, status, user, changes: [field], errors: [string] }],
+   *   summary: { new, update, unchanged, invalid, conflict, total }
+   * }
+   */
+  plan: (rows, mapping, enrolledUsers, { revokedCardUids = [] } = {}) => {
+    if (!mapping.userId || !mapping.userName) {
+      throw new Error('Map at least the ID and Name columns');
+    }
+
+    const byId = new Map(enrolledUsers.map(user => [user.userId, user]));
+    const seen = { userId: new Map(), cardUid: new Map(), barcodeId: new Map() };
+
+    const entries = rows.map(({ line, values }) => {
+      const read = (field) => (mapping[field] ? (values[mapping[field]] || '').trim() : '');
+      const errors = [];
+
+      const user = {
+        userId: read('userId'),
+        userName: read('userName'),
+        userRole: read('userRole') || null,
+        cardUid: RosterParser.normalizeCardUid(read('cardUid')),
+        barcodeId: read('barcodeId'),
+      };
+
+      if (!user.userId) {
+        errors.push('ID is missing');
+      } else if (!USER_ID_PATTERN.test(user.userId)) {
+        errors.push(`ID "${user.userId}" may only use letters, digits, . _ - (max 32)`);
+      }
+      if (!user.userName) {
+        errors.push('Name is missing');
+      }
+      if (user.cardUid === null) {
+        errors.push(`Card UID "${read('cardUid')}" is not 4-10 hex bytes`);
+      }
+
+      // Repeats inside the file: the first row keeps the value
+      ['userId', 'cardUid', 'barcodeId'].forEach(field => {
+        if (!user[field]) return;
+        const repeated = field === 'barcodeId'
+          ? [...seen.barcodeId.keys()].find(code => (
+            BarcodeFormats.sameCode(code, user.barcodeId, BarcodeFormats.detect(code), BarcodeFormats.detect(user.barcodeId))
+          ))
+          : seen[field].has(user[field]) && user[field];
+        if (repeated) {
+          errors.push(`${FIELD_LABELS[field]} ${user[field]} repeats line ${seen[field].get(repeated)}`);
+        } else {
+          seen[field].set(user[field], line);
+        }
+      });
+
+      if (errors.length > 0) {
+        return { line, status: 'invalid', user, changes: [], errors };
+      }
+
+      // Card or barcode held by a different enrolled user
+      const conflicts = ['cardUid', 'barcodeId']
+        .filter(field => user[field])
+        .map(field => {
+          const owner = field === 'barcodeId'
+            ? BarcodeFormats.ownerOf(enrolledUsers, user.barcodeId, user.userId, BarcodeFormats.detect(user.barcodeId))
+            : enrolledUsers.find(u => u[field] === user[field] && u.userId !== user.userId);
+          return owner ? `${FIELD_LABELS[field]} ${user[field]} belongs to ${owner.userName} (${owner.userId})` : null;
+        })
+        .filter(Boolean);
+      if (user.cardUid && revokedCardUids.includes(user.cardUid)) {
+        conflicts.push(`Card UID ${user.cardUid} has been revoked`);
+      }
+
+      if (conflicts.length > 0) {
+        return { line, status: 'conflict', user, changes: [], errors: conflicts };
+      }
+
+      const existing = byId.get(user.userId);
+      if (!existing) {
+        return { line, status: 'new', user, changes: FIELDS.filter(field => user[field]), errors: [] };
+      }
+
+      // Empty cells keep what is enrolled
+      const changes = FIELDS.filter(field => user[field] && user[field] !== existing[field]);
+      return { line, status: changes.length > 0 ? 'update' : 'unchanged', user, changes, errors: [] };
+    });
+
+    const summary = { new: 0, update: 0, unchanged: 0, invalid: 0, conflict: 0, total: entries.length };
+    entries.forEach(entry => { summary[entry.status]++; });
+    return { entries, summary };
+  },
+
+  /**
+   * Enrolled users after applying the new and update rows of a plan
+   * Fingerprint keys and other enrollment data are kept; a card credential
+   * only while the card stays the same
+   */
+  apply: (plan, enrolledUsers, now = new Date().toISOString()) => {
+    const users = enrolledUsers.map(user => ({ ...user }));
+    const indexById = new Map(users.map((user, index) => [user.userId, index]));
+
+    plan.entries
+      .filter(entry => entry.status === 'new' || entry.status === 'update')
+      .forEach(({ status, user, changes }) => {
+        const existing = status === 'update' ? users[indexById.get(user.userId)] : {
+          userId: user.userId,
+          userRole: DEFAULT_ROLE,
+          hasFingerprint: false,
+          hasNFC: false,
+          hasBarcode: false,
+          enrolledAt: now,
+        };
+
+        let updated = { ...existing, importedAt: now };
+        changes.forEach(field => { updated[field] = user[field]; });
+        updated = CardCredential.forCard(updated, existing);
+        if (changes.includes('cardUid')) {
+          updated.hasNFC = true;
+          updated.nfcEnrolledAt = now;
+        }
+        if (changes.includes('barcodeId')) {
+          updated.hasBarcode = true;
+          updated.barcodeFormat = BarcodeFormats.detect(user.barcodeId);
+          updated.barcodeGeneratedAt = now;
+        }
+        updated.enrollmentType = RosterParser.enrollmentType(updated);
+
+        if (status === 'update') {
+          users[indexById.get(user.userId)] = updated;
+        } else {
+          indexById.set(user.userId, users.length);
+          users.push(updated);
+        }
+      });
+
+    return users;
+  },
+
+  /**
+   * Same labels EnrollScreen uses
+   */
+  enrollmentType: ({ hasFingerprint, hasNFC, hasBarcode }) => {
+    if (hasFingerprint && hasNFC && hasBarcode) return 'all';
+    if (hasFingerprint && hasNFC) return 'both';
+    if (hasFingerprint && hasBarcode) return 'fingerprint-barcode';
+    if (hasNFC && hasBarcode) return 'nfc-barcode';
+    if (hasFingerprint) return 'fingerprint';
+    if (hasNFC) return 'nfc';
+    if (hasBarcode) return 'barcode';
+    return 'roster';
+  },
+};
+
+export default RosterParser;
+
+/**
+ * USAGE EXAMPLES:
+ *
+ * const { columns, rows } = RosterParser.parse(
+ *   'Student ID,Name,Role,RFID\nS001,Ann Lee,Student,04a1b2c3\n',
+ *   'csv'
+ * );
+ * const mapping = RosterParser.guessMapping(columns);
+ * // => { userId: 'Student ID', userName: 'Name', userRole: 'Role', cardUid: 'RFID' }
+ *
+ * const plan = RosterParser.plan(rows, mapping, systemData.enrolledUsers);
+ * // => plan.summary: { new: 1, update: 0, unchanged: 0, invalid: 0, conflict: 0, total: 1 }
+ *
+ * const users = RosterParser.apply(plan, systemData.enrolledUsers);
+ * // => S001 added with cardUid '04:A1:B2:C3' and hasNFC: true
+ */
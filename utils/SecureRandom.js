@@ -0,0 +1,40 @@
+/**
+ * Secure Random Utility
+ *
+ * Key material from the platform's CSPRNG
+ * crypto.getRandomValues is installed by react-native-get-random-values
+ * (imported first thing in index.js). Throws rather than fall back to
+ * Math.random - a guessable key is worse than no key.
+ */
+
+const SecureRandom = {
+  /**
+   * @returns {Uint8Array} length random bytes
+   */
+  bytes: (length) => {
+    const cryptoApi = global.crypto;
+    if (!cryptoApi || typeof cryptoApi.getRandomValues !== 'function') {
+      throw new Error('Secure random numbers are not available on this device');
+    }
+    return cryptoApi.getRandomValues(new Uint8Array(length));
+  },
+
+  /**
+   * @returns {string} length random bytes as lowercase hex
+   */
+  hex: (length) => Array.from(SecureRandom.bytes(length))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join(''),
+};
+
+export default SecureRandom;
+
+/**
+ * USAGE EXAMPLES:
+ *
+ * SecureRandom.hex(32);
+ * // => 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855' (64 hex characters)
+ *
+ * SecureRandom.bytes(20);
+ * // => Uint8Array(20) [ 183, 12, ... ]
+ */
@@ -0,0 +1,225 @@
+/**
+ * Shift Schedule Utility
+ *
+ * Classifies a punch against the user's shift - pure, no storage
+ *
+ * Shift:
+ *   { id, name, start: 'HH:MM', end: 'HH:MM', weekdays: [1, 2, 3, 4, 5],
+ *     lateGraceMinutes, earlyLeaveGraceMinutes }
+ *   weekdays use Date.getDay() numbering (0 = Sunday); a shift whose end is
+ *   not after its start runs overnight and belongs to the day it starts on
+ *
+ * Schedule:
+ *   { shifts: [...], roleShifts: { [userRole]: shiftId }, userShifts: { [userId]: shiftId } }
+ *   A user's own assignment wins over their role's
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// How far outside a shift a punch may fall and still belong to it
+const MATCH_WINDOW_MINUTES = 3 * 60;
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const parseTime = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const isGrace = (value) => Number.isInteger(value) && value >= 0 && value <= 240;
+
+const ShiftSchedule = {
+  STATUS: {
+    ON_TIME: 'on_time',
+    LATE: 'late',
+    EARLY_LEAVE: 'early_leave',
+    OFF_SHIFT: 'off_shift',
+  },
+
+  WEEKDAY_NAMES,
+
+  DEFAULT_SHIFT: {
+    name: '',
+    start: '08:00',
+    end: '17:00',
+    weekdays: [1, 2, 3, 4, 5],
+    lateGraceMinutes: 5,
+    earlyLeaveGraceMinutes: 0,
+  },
+
+  EMPTY_SCHEDULE: {
+    shifts: [],
+    roleShifts: {},
+    userShifts: {},
+  },
+
+  /**
+   * The shift a user works, if any
+   * @returns {Object|null}
+   */
+  shiftFor: (user, schedule) => {
+    const shiftId = schedule.userShifts[user.userId] || schedule.roleShifts[user.userRole];
+    return schedule.shifts.find(s => s.id === shiftId) || null;
+  },
+
+  /**
+   * Scheduled instances of a shift around a moment (yesterday, today, tomorrow)
+   * @returns {Array} [{ start: Date, end: Date }]
+   */
+  occurrencesAround: (shift, now) => {
+    const startMinutes = parseTime(shift.start);
+    let endMinutes = parseTime(shift.end);
+    if (endMinutes <= startMinutes) {
+      endMinutes += 24 * 60;
+    }
+
+    const occurrences = [];
+    for (let offset = -1; offset <= 1; offset++) {
+      const day = new Date(now);
+      day.setHours(0, 0, 0, 0);
+      day.setDate(day.getDate() + offset);
+      if (!shift.weekdays.includes(day.getDay())) {
+        continue;
+      }
+
+      const start = new Date(day);
+      start.setMinutes(startMinutes);
+      const end = new Date(day);
+      end.setMinutes(endMinutes);
+      occurrences.push({ start, end });
+    }
+    return occurrences;
+  },
+
+  /**
+   * Classify a punch against a shift
+   * @param {string} direction - 'IN' | 'OUT' (see PunchStateMachine)
+   * @param {Date} now - Time of the punch
+   * @param {Object|null} shift - The user's shift
+   * @returns {Object|null} {
+   *   status: 'on_time' | 'late' | 'early_leave' | 'off_shift',
+   *   minutes: minutes late / early (0 otherwise),
+   *   shiftId, shiftName, scheduledStart, scheduledEnd (ISO, null when off shift)
+   * } or null when the user has no shift
+   */
+  classify: (direction, now, shift) => {
+    if (!shift) {
+      return null;
+    }
+
+    const windowMs = MATCH_WINDOW_MINUTES * MINUTE_MS;
+    const gap = ({ start, end }) => Math.max(start - now, now - end, 0);
+    const occurrence = ShiftSchedule.occurrencesAround(shift, now)
+      .filter(o => now >= o.start - windowMs && now <= o.end.getTime() + windowMs)
+      .sort((a, b) => gap(a) - gap(b))[0];
+
+    const result = (status, minutes = 0) => ({
+      status,
+      minutes,
+      shiftId: shift.id,
+      shiftName: shift.name,
+      scheduledStart: occurrence ? occurrence.start.toISOString() : null,
+      scheduledEnd: occurrence ? occurrence.end.toISOString() : null,
+    });
+
+    if (!occurrence) {
+      return result(ShiftSchedule.STATUS.OFF_SHIFT);
+    }
+
+    if (direction === 'OUT') {
+      const leaveBy = occurrence.end - shift.earlyLeaveGraceMinutes * MINUTE_MS;
+      if (now < leaveBy) {
+        return result(ShiftSchedule.STATUS.EARLY_LEAVE, Math.ceil((occurrence.end - now) / MINUTE_MS));
+      }
+      return result(ShiftSchedule.STATUS.ON_TIME);
+    }
+
+    // Checking in after the shift is over is not a late arrival
+    if (now >= occurrence.end) {
+      return result(ShiftSchedule.STATUS.OFF_SHIFT);
+    }
+    if (now > occurrence.start.getTime() + shift.lateGraceMinutes * MINUTE_MS) {
+      return result(ShiftSchedule.STATUS.LATE, Math.ceil((now - occurrence.start) / MINUTE_MS));
+    }
+    return result(ShiftSchedule.STATUS.ON_TIME);
+  },
+
+  /**
+   * Check a shift before it is saved
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  validateShift: (shift) => {
+    const errors = [];
+    if (!shift.name || !shift.name.trim()) {
+      errors.push('Shift name is required');
+    }
+    if (!TIME_PATTERN.test(shift.start) || !TIME_PATTERN.test(shift.end)) {
+      errors.push('Start and end must be times like 08:00');
+    } else if (shift.start === shift.end) {
+      errors.push('Start and end must be different');
+    }
+    if (!Array.isArray(shift.weekdays) || shift.weekdays.length === 0 ||
+        !shift.weekdays.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      errors.push('Pick at least one weekday');
+    }
+    if (!isGrace(shift.lateGraceMinutes) || !isGrace(shift.earlyLeaveGraceMinutes)) {
+      errors.push('Grace periods must be whole minutes from 0 to 240');
+    }
+    return errors;
+  },
+
+  /**
+   * "Mon, Tue, Wed" style weekday list
+   */
+  formatWeekdays: (weekdays) => {
+    return [...weekdays].sort().map(d => WEEKDAY_NAMES[d]).join(', ');
+  },
+
+  /**
+   * Label shown in confirmations and history
+   */
+  label: (status) => {
+    switch (status) {
+      case ShiftSchedule.STATUS.ON_TIME: return '✅ On Time';
+      case ShiftSchedule.STATUS.LATE: return '⏰ Late';
+      case ShiftSchedule.STATUS.EARLY_LEAVE: return '🏃 Early Leave';
+      case ShiftSchedule.STATUS.OFF_SHIFT: return '📅 Off Shift';
+      default: return '—';
+    }
+  },
+
+  /**
+   * One-line summary of a classify() result
+   */
+  describe: (classification) => {
+    const label = ShiftSchedule.label(classification.status);
+    const minutes = classification.minutes > 0 ? ` by ${classification.minutes} min` : '';
+    return `${label}${minutes} (${classification.shiftName})`;
+  },
+};
+
+export default ShiftSchedule;
+
+/**
+ * USAGE EXAMPLES:
+ *
+ * const morning = { id: 's1', name: 'Morning', start: '08:00', end: '16:00',
+ *   weekdays: [1, 2, 3, 4, 5], lateGraceMinutes: 5, earlyLeaveGraceMinutes: 0 };
+ *
+ * // Monday
+ * ShiftSchedule.classify('IN', new Date('2025-01-06T08:12:00'), morning);
+ * // => { status: 'late', minutes: 12, shiftName: 'Morning', ... }
+ *
+ * ShiftSchedule.classify('OUT', new Date('2025-01-06T15:30:00'), morning);
+ * // => { status: 'early_leave', minutes: 30, ... }
+ *
+ * // Saturday is not a working day for this shift
+ * ShiftSchedule.classify('IN', new Date('2025-01-11T08:00:00'), morning);
+ * // => { status: 'off_shift', minutes: 0, scheduledStart: null, ... }
+ *
+ * // Night shift 22:00 -> 06:00 checking out on Tuesday morning
+ * ShiftSchedule.classify('OUT', new Date('2025-01-07T06:02:00'), { ...morning, start: '22:00', end: '06:00' });
+ * // => { status: 'on_time', scheduledStart: <Mon 22:00>, scheduledEnd: <Tue 06:00> }
+ */
@@ -0,0 +1,162 @@
+/**
+ * User Lifecycle Utility
+ *
+ * Profile edits and the active / suspended / left status - pure
+ *
+ * Users are never hard-deleted by default: a user who leaves keeps their
+ * record (and card binding) so past punches still resolve to someone,
+ * and re-activating them restores everything.
+ *
+ *   active    - may punch
+ *   suspended - refused at scan time, e.g. pending an investigation
+ *   left      - refused at scan time, no longer with the organisation
+ */
+
+const STATUS_LABELS = {
+  active: '🟢 Active',
+  suspended: '⏸️ Suspended',
+  left: '🚪 Left',
+};
+
+const EDITABLE_FIELDS = ['userId', 'userName', 'userRole'];
+const USER_ID_PATTERN = /^[A-Za-z0-9._-]{1,32}$/;
+
+const UserLifecycle = {
+  STATUSES: ['active', 'suspended', 'left'],
+  EDITABLE_FIELDS,
+
+  statusOf: (user) => (user && user.status) || 'active',
+
+  label: (status) => STATUS_LABELS[status] || status || '—',
+
+  /**
+   * Whether a user may punch now
+   * @returns {Object|null} null when allowed, otherwise { status, title, message }
+   */
+  refusal: (user) => {
+    const status = UserLifecycle.statusOf(user);
+    if (status === 'active') {
+      return null;
+    }
+
+    const since = user.statusChangedAt ? ` since ${new Date(user.statusChangedAt).toLocaleDateString()}` : '';
+    return status === 'suspended'
+      ? {
+        status,
+        title: '⏸️ Account Suspended',
+        message: `${user.userName}, your account is suspended${since}.\n\n` +
+          `${user.statusReason ? `Reason: ${user.statusReason}\n\n` : ''}Please see the office.`,
+      }
+      : {
+        status,
+        title: '🚪 No Longer Enrolled',
+        message: `${user.userName} is marked as left${since}.\n\nPlease see the office if this is a mistake.`,
+      };
+  },
+
+  /**
+   * Check a profile edit
+   * @param {Object} edits - { userId, userName, userRole }
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  validateEdit: (edits, original, users) => {
+    const errors = [];
+    const userId = (edits.userId || '').trim();
+
+    if (!userId) {
+      errors.push('ID is required');
+    } else if (!USER_ID_PATTERN.test(userId)) {
+      errors.push('ID may only use letters, digits, . _ - (max 32)');
+    } else if (userId !== original.userId && users.some(u => u.userId === userId)) {
+      const owner = users.find(u => u.userId === userId);
+      errors.push(`ID ${userId} already belongs to ${owner.userName}`);
+    }
+    if (!(edits.userName || '').trim()) {
+      errors.push('Name is required');
+    }
+    if (!(edits.userRole || '').trim()) {
+      errors.push('Role is required');
+    }
+    return errors;
+  },
+
+  /**
+   * Field-by-field changes: { field: { from, to } }
+   */
+  diff: (original, updated, fields = EDITABLE_FIELDS) => {
+    const changes = {};
+    fields.forEach(field => {
+      if ((original[field] ?? null) !== (updated[field] ?? null)) {
+        changes[field] = { from: original[field] ?? null, to: updated[field] ?? null };
+      }
+    });
+    return changes;
+  },
+
+  /**
+   * Apply a profile edit; an ID correction keeps the old ID in previousIds
+   * A signed card credential names the old ID, so it is flagged for a
+   * rewrite - credentialIssuedAt stays so the card is not accepted by UID
+   * alone in the meantime.
+   * @returns {Object} { users, user, changes }
+   */
+  applyEdit: (users, originalId, edits) => {
+    const original = users.find(u => u.userId === originalId);
+    const errors = UserLifecycle.validateEdit(edits, original, users);
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+
+    const trimmed = {
+      userId: edits.userId.trim(),
+      userName: edits.userName.trim(),
+      userRole: edits.userRole.trim(),
+    };
+    const changes = UserLifecycle.diff(original, trimmed);
+    const user = { ...original, ...trimmed };
+    if (changes.userId) {
+      user.previousIds = [...(original.previousIds || []), original.userId];
+      if (original.credentialIssuedAt) {
+        user.credentialNeedsReissue = true;
+      }
+    }
+
+    return { users: users.map(u => (u.userId === originalId ? user : u)), user, changes };
+  },
+
+  /**
+   * Move a user to another lifecycle status
+   * @returns {Object} { users, user, changes }
+   */
+  applyStatus: (users, userId, status, reason = '', at = new Date().toISOString()) => {
+    if (!UserLifecycle.STATUSES.includes(status)) {
+      throw new Error(`Unknown status: ${status}`);
+    }
+
+    const original = users.find(u => u.userId === userId);
+    const user = {
+      ...original,
+      status,
+      statusReason: reason.trim() || null,
+      statusChangedAt: at,
+    };
+    const changes = { status: { from: UserLifecycle.statusOf(original), to: status } };
+    return { users: users.map(u => (u.userId === userId ? user : u)), user, changes };
+  },
+};
+
+export default UserLifecycle;
+
+/**
+ * USAGE EXAMPLES:
+ *
+ * const { users, changes } = UserLifecycle.applyEdit(enrolledUsers, 'S001', {
+ *   userId: 'S0001', userName: 'Ann Lee', userRole: 'Student',
+ * });
+ * // => changes: { userId: { from: 'S001', to: 'S0001' } }, previousIds: ['S001']
+ *
+ * UserLifecycle.applyStatus(enrolledUsers, 'S0001', 'suspended', 'Lost badge investigation');
+ *
+ * UserLifecycle.refusal(user);
+ * // => null for active users, { status, title, message } otherwise
+ */